@@ -0,0 +1,254 @@
+/* =====================================================
+   Buoy Station Registry
+   Single source of truth for buoy page station config
+   ===================================================== */
+
+/**
+ * Declares every station shown on the buoys page: region, display order,
+ * agency, source link, precision and which wave metric is "primary".
+ * Cards (main.js), the wave table, the comparison chart, the wave charts
+ * and the stations map all read from here, so adding a buoy is one entry.
+ */
+(function() {
+  // Regions in display order
+  const REGIONS = [
+    { name: 'Strait of Georgia', collapsedByDefault: false },
+    { name: 'Boundary Bay', collapsedByDefault: true },
+    { name: 'Juan de Fuca Strait', collapsedByDefault: true },
+    { name: 'West Coast Vancouver Island', collapsedByDefault: true }
+  ];
+
+  // Data providers - badge text and colours used on cards
+  const AGENCIES = {
+    ec: { label: 'Env Canada', badge: '🇨🇦 Env Canada', color: '#006400', cardBorder: null },
+    noaa: { label: 'NOAA', badge: '🇺🇸 NOAA', color: '#003087', cardBorder: '#003087' },
+    flowworks: { label: 'Surrey (FlowWorks)', badge: '🏛️ Surrey (FlowWorks)', color: '#006837', cardBorder: '#006837' }
+  };
+
+  // Primary wave metric → timeseries/latest field names for height, period and direction
+  const WAVE_METRICS = {
+    wave_height_sig: {
+      label: 'Wave',
+      heightKey: 'wave_height_sig',
+      periodKey: 'wave_period_avg',
+      periodFallbackKey: 'wave_period_peak',
+      directionKey: 'wave_direction_peak',
+      directionFallbackKey: 'swell_direction'
+    },
+    swell_height: {
+      label: 'Swell',
+      heightKey: 'swell_height',
+      periodKey: 'swell_period',
+      periodFallbackKey: null,
+      directionKey: 'swell_direction',
+      directionFallbackKey: null
+    }
+  };
+
+  const ECCC_MARINE_URL = 'https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html';
+  const NDBC_URL = 'https://www.ndbc.noaa.gov/station_page.php';
+  const FLOWWORKS_URL = 'https://developers.flowworks.com/';
+
+  /**
+   * Station entries, in display order.
+   *
+   * region            - REGIONS name, or null for stations without a card
+   * agency            - AGENCIES key
+   * heightPrecision   - decimals for wave heights
+   * primaryWaveMetric - WAVE_METRICS key used for cards, history and table
+   * spectral          - NOAA wind-wave/swell split (dual wave charts)
+   * waveDirection     - has a usable wave direction series for chart arrows
+   * highFrequency     - sub-hourly samples (downsampled for comparison/history)
+   * waveTable         - wave height table column position (default columns only)
+   * comparison        - selected in the comparison chart by default
+   * comparisonColor   - line colour in the comparison chart
+   * forecastZone      - marine_forecast.json zone whose warnings shade the charts
+   */
+  const STATIONS = [
+    {
+      id: '4600146', name: 'Halibut Bank', region: 'Strait of Georgia', agency: 'ec',
+      sourceUrl: `${ECCC_MARINE_URL}?mapID=02&siteID=14305&stationID=46146`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveDirection: true, waveTable: 1, comparison: true, comparisonColor: '#1e88e5',
+      forecastZone: 'strait_georgia_south'
+    },
+    {
+      id: '4600304', name: 'English Bay', region: 'Strait of Georgia', agency: 'ec',
+      sourceUrl: `${ECCC_MARINE_URL}?mapID=03&siteID=06400&stationID=46304`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveTable: 2, comparison: true, comparisonColor: '#43a047',
+      forecastZone: 'strait_georgia_south'
+    },
+    {
+      id: '4600303', name: 'Southern Georgia Strait', region: 'Strait of Georgia', agency: 'ec',
+      sourceUrl: `${ECCC_MARINE_URL}?mapID=02&siteID=14305&stationID=46303`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveTable: 4, comparison: true, comparisonColor: '#fb8c00',
+      forecastZone: 'strait_georgia_south'
+    },
+    {
+      id: '4600131', name: 'Sentry Shoal', region: 'Strait of Georgia', agency: 'ec',
+      sourceUrl: `${ECCC_MARINE_URL}?mapID=03&siteID=06400&stationID=46131`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveDirection: true, waveTable: 5, comparison: true, comparisonColor: '#e53935',
+      forecastZone: 'strait_georgia_north'
+    },
+    {
+      id: 'CRPILE', name: 'Crescent Beach Ocean', region: 'Boundary Bay', agency: 'flowworks',
+      sourceUrl: FLOWWORKS_URL,
+      heightPrecision: 2, primaryWaveMetric: 'wave_height_sig',
+      highFrequency: true, waveTable: 3, comparison: true, comparisonColor: '#9c27b0',
+      forecastZone: 'strait_georgia_south'
+    },
+    {
+      id: 'CRCHAN', name: 'Crescent Channel', region: 'Boundary Bay', agency: 'flowworks',
+      sourceUrl: FLOWWORKS_URL,
+      heightPrecision: 2, primaryWaveMetric: 'wave_height_sig',
+      highFrequency: true, comparisonColor: '#d81b60',
+      forecastZone: 'strait_georgia_south'
+    },
+    {
+      id: '46087', name: 'Neah Bay', region: 'Juan de Fuca Strait', agency: 'noaa',
+      sourceUrl: `${NDBC_URL}?station=46087`,
+      heightPrecision: 1, primaryWaveMetric: 'swell_height',
+      spectral: true, waveTable: 7, comparisonColor: '#3949ab'
+    },
+    {
+      id: '46088', name: 'New Dungeness (Hein Bank)', region: 'Juan de Fuca Strait', agency: 'noaa',
+      sourceUrl: `${NDBC_URL}?station=46088`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      spectral: true, waveTable: 8, comparisonColor: '#00897b'
+    },
+    {
+      id: '46267', name: 'Angeles Point', region: 'Juan de Fuca Strait', agency: 'noaa',
+      sourceUrl: `${NDBC_URL}?station=46267`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveDirection: true, waveTable: 9, comparisonColor: '#7cb342'
+    },
+    {
+      id: '4600206', name: 'La Perouse Bank', region: 'West Coast Vancouver Island', agency: 'ec',
+      sourceUrl: `${ECCC_MARINE_URL}?mapID=03&siteID=06400&stationID=46206`,
+      heightPrecision: 1, primaryWaveMetric: 'wave_height_sig',
+      waveTable: 6, comparisonColor: '#6d4c41'
+    },
+    // Wind-only station - no card, available in charts and on the map
+    {
+      id: 'COLEB', name: 'Colebrook', region: null, agency: 'flowworks',
+      sourceUrl: FLOWWORKS_URL,
+      heightPrecision: 1, primaryWaveMetric: null, comparisonColor: '#546e7a',
+      forecastZone: 'strait_georgia_south'
+    }
+  ];
+
+  const STATIONS_BY_ID = {};
+  STATIONS.forEach(station => { STATIONS_BY_ID[station.id] = station; });
+
+  let stationsMetadata = null; // Promise for stations.json, shared by every module on the page
+
+  /**
+   * Get station entry by ID
+   * @param {string} id - Station ID
+   * @returns {Object|null} Station entry
+   */
+  function getStation(id) {
+    return STATIONS_BY_ID[id] || null;
+  }
+
+  /**
+   * Get field names for a station's primary wave metric
+   * @param {string} id - Station ID
+   * @returns {Object} WAVE_METRICS entry (defaults to significant wave height)
+   */
+  function getWaveMetric(id) {
+    const key = getStation(id)?.primaryWaveMetric;
+    return WAVE_METRICS[key] || WAVE_METRICS.wave_height_sig;
+  }
+
+  /**
+   * Get regions with their card stations, in display order
+   * @returns {Array} [{ name, collapsedByDefault, stations: [id, ...] }]
+   */
+  function getRegionGroups() {
+    return REGIONS.map(region => ({
+      ...region,
+      stations: STATIONS.filter(s => s.region === region.name).map(s => s.id)
+    })).filter(group => group.stations.length > 0);
+  }
+
+  /**
+   * Populate a <select> with card stations grouped by region
+   * @param {HTMLSelectElement} select - Select element to fill
+   */
+  function populateSelect(select) {
+    if (!select) return;
+
+    const previous = select.value;
+    select.innerHTML = getRegionGroups().map(group => `
+      <optgroup label="${group.name}">
+        ${group.stations.map(id => `<option value="${id}">${STATIONS_BY_ID[id].name}</option>`).join('')}
+      </optgroup>
+    `).join('');
+
+    if (previous && STATIONS_BY_ID[previous]) {
+      select.value = previous;
+    }
+  }
+
+  /**
+   * Load stations.json (coordinates and backend station metadata) once per page
+   * A failed load is forgotten so the next call tries again.
+   * @returns {Promise<Object>} stations.json content
+   */
+  function loadStationsMetadata() {
+    if (!stationsMetadata) {
+      stationsMetadata = fetchWithTimeout('/data/stations.json').catch(error => {
+        stationsMetadata = null;
+        throw error;
+      });
+    }
+    return stationsMetadata;
+  }
+
+  /**
+   * Great-circle distance between two points
+   * @param {Object} a - { lat, lon }
+   * @param {Object} b - { lat, lon }
+   * @returns {number} Distance in km
+   */
+  function distanceKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+  }
+
+  // Public API
+  window.BuoyRegistry = {
+    REGIONS: REGIONS,
+    AGENCIES: AGENCIES,
+    WAVE_METRICS: WAVE_METRICS,
+    STATIONS: STATIONS,
+
+    getStation: getStation,
+    getAgency: (id) => AGENCIES[getStation(id)?.agency] || null,
+    getWaveMetric: getWaveMetric,
+    getHeightPrecision: (id) => getStation(id)?.heightPrecision ?? 1,
+    getSourceUrl: (id) => getStation(id)?.sourceUrl || null,
+    getForecastZone: (id) => getStation(id)?.forecastZone || null,
+    getRegionGroups: getRegionGroups,
+    populateSelect: populateSelect,
+    loadStationsMetadata: loadStationsMetadata,
+    distanceKm: distanceKm,
+
+    isAgency: (id, agency) => getStation(id)?.agency === agency,
+    isSpectral: (id) => !!getStation(id)?.spectral,
+    hasWaveDirection: (id) => !!getStation(id)?.waveDirection,
+    isHighFrequency: (id) => !!getStation(id)?.highFrequency,
+
+    // Station lists for specific views, in display order
+    getWaveTableStations: () => STATIONS.filter(s => s.waveTable).sort((a, b) => a.waveTable - b.waveTable),
+    getComparisonStations: () => STATIONS.filter(s => s.comparison)
+  };
+})();
@@ -0,0 +1,248 @@
+/* =====================================================
+   Buoy Trends
+   Trend arrows and sparklines for buoy cards
+   ===================================================== */
+
+/**
+ * Uses the 48h timeseries loaded by charts-v4.js (buoy_timeseries_48h.json)
+ * to show whether wave height, period, wind and pressure are building, steady
+ * or dropping over the last 3 or 6 hours. The trend is the least-squares slope
+ * over the window, so a single noisy sample doesn't flip the arrow.
+ *
+ * main.js renders an empty `.card-trends` container per card; setTimeseries()
+ * fills every container once chart data arrives.
+ */
+(function() {
+  const WINDOW_STORAGE_KEY = 'buoy_trend_window_hours';
+  const WINDOW_OPTIONS = [3, 6];
+  const MIN_POINTS = 3;
+
+  const SPARKLINE_WIDTH = 64;
+  const SPARKLINE_HEIGHT = 18;
+
+  const TREND_STYLES = {
+    building: { arrow: '↗', color: '#c05621' },
+    steady: { arrow: '→', color: '#718096' },
+    dropping: { arrow: '↘', color: '#2b6cb0' }
+  };
+
+  // Change per 3 hours below which a metric counts as steady.
+  // Height also uses a relative band so 0.1 m isn't "building" on a 3 m sea.
+  const STEADY_BANDS = {
+    height: { absolute: 0.1, relative: 0.1 },
+    period: { absolute: 0.5 },
+    speed: { absolute: 3 },
+    pressure: { absolute: 1 } // Standard 3-hour pressure tendency threshold
+  };
+
+  let timeseriesData = null;
+  let windowHours = loadWindowHours();
+
+  function loadWindowHours() {
+    try {
+      const stored = Number(localStorage.getItem(WINDOW_STORAGE_KEY));
+      return WINDOW_OPTIONS.includes(stored) ? stored : WINDOW_OPTIONS[0];
+    } catch (e) {
+      return WINDOW_OPTIONS[0];
+    }
+  }
+
+  /**
+   * Metrics shown for a station, using its primary wave metric from the registry
+   * @param {string} id - Station ID
+   * @returns {Array} [{ label, keys, kind, decimals }]
+   */
+  function getTrendMetrics(id) {
+    const wave = BuoyRegistry.getWaveMetric(id);
+    return [
+      { label: wave.label, keys: [wave.heightKey], kind: 'height', decimals: BuoyRegistry.getHeightPrecision(id) },
+      { label: 'Period', keys: [wave.periodKey, wave.periodFallbackKey].filter(Boolean), kind: 'period', decimals: 1 },
+      { label: 'Wind', keys: ['wind_speed'], kind: 'speed', decimals: 0 },
+      { label: 'Pressure', keys: ['pressure'], kind: 'pressure', decimals: 1 }
+    ];
+  }
+
+  /**
+   * Get valid points for a metric within the trend window
+   * @param {Object} timeseries - Station timeseries object
+   * @param {Array<string>} keys - Metric keys in order of preference
+   * @param {number} hours - Window length
+   * @returns {Array} [{ t, value }] sorted by time
+   */
+  function getWindowPoints(timeseries, keys, hours) {
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+
+    for (const key of keys) {
+      const points = (timeseries[key]?.data || [])
+        .map(d => ({ t: new Date(d.time).getTime(), value: parseFloat(d.value) }))
+        .filter(d => d.t >= cutoff && !isNaN(d.value))
+        .sort((a, b) => a.t - b.t);
+
+      if (points.length >= MIN_POINTS) return points;
+    }
+    return [];
+  }
+
+  /**
+   * Classify a series as building / steady / dropping
+   * @param {Array} points - [{ t, value }] sorted by time
+   * @param {string} kind - STEADY_BANDS key
+   * @param {number} hours - Window length (for the reported change)
+   * @returns {Object|null} { trend, change } - change is slope × window, in source units
+   */
+  function classifyTrend(points, kind, hours) {
+    if (points.length < MIN_POINTS) return null;
+
+    // Least-squares slope (value per hour)
+    const n = points.length;
+    const xs = points.map(p => (p.t - points[0].t) / 3600000);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.value, 0) / n;
+
+    let num = 0;
+    let den = 0;
+    points.forEach((p, i) => {
+      num += (xs[i] - meanX) * (p.value - meanY);
+      den += (xs[i] - meanX) ** 2;
+    });
+    if (den === 0) return null;
+
+    const slopePerHour = num / den;
+    const changePer3h = slopePerHour * 3;
+
+    const band = STEADY_BANDS[kind];
+    const threshold = Math.max(band.absolute, (band.relative || 0) * Math.abs(meanY));
+
+    let trend = 'steady';
+    if (changePer3h > threshold) trend = 'building';
+    else if (changePer3h < -threshold) trend = 'dropping';
+
+    return {
+      trend: trend,
+      change: slopePerHour * hours
+    };
+  }
+
+  /**
+   * Build an inline SVG sparkline
+   * @param {Array} points - [{ t, value }] sorted by time
+   * @param {string} color - Stroke colour
+   * @returns {string} SVG markup
+   */
+  function renderSparkline(points, color) {
+    const values = points.map(p => p.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const t0 = points[0].t;
+    const span = points[points.length - 1].t - t0 || 1;
+    const pad = 2;
+
+    const coords = points.map(p => {
+      const x = pad + ((p.t - t0) / span) * (SPARKLINE_WIDTH - pad * 2);
+      const y = SPARKLINE_HEIGHT - pad - ((p.value - min) / range) * (SPARKLINE_HEIGHT - pad * 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const [lastX, lastY] = coords[coords.length - 1].split(',');
+
+    return `
+      <svg class="trend-sparkline" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" aria-hidden="true">
+        <polyline points="${coords.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/>
+        <circle cx="${lastX}" cy="${lastY}" r="2" fill="${color}"/>
+      </svg>
+    `;
+  }
+
+  function formatChange(metric, change) {
+    const sign = change >= 0 ? '+' : '−';
+    const abs = Math.abs(change);
+
+    if (metric.kind === 'height' || metric.kind === 'speed') {
+      return `${sign}${Units.format(metric.kind, abs, metric.decimals)}`;
+    }
+    const unit = metric.kind === 'period' ? 's' : ' hPa';
+    return `${sign}${abs.toFixed(metric.decimals)}${unit}`;
+  }
+
+  /**
+   * Build the trend rows for a station card
+   * @param {string} id - Station ID
+   * @returns {string} HTML (empty until chart data has loaded)
+   */
+  function buildTrendsHtml(id) {
+    const timeseries = timeseriesData?.[id]?.timeseries;
+    if (!timeseries) return '';
+
+    const rows = getTrendMetrics(id).map(metric => {
+      const points = getWindowPoints(timeseries, metric.keys, windowHours);
+      const result = classifyTrend(points, metric.kind, windowHours);
+      if (!result) return '';
+
+      const style = TREND_STYLES[result.trend];
+      return `
+        <div class="trend-row" title="${metric.label}: ${result.trend} over the last ${windowHours}h">
+          <span class="trend-label">${metric.label}</span>
+          ${renderSparkline(points, style.color)}
+          <span class="trend-value" style="color: ${style.color};">${style.arrow} ${formatChange(metric, result.change)}</span>
+          <span class="trend-class" style="color: ${style.color};">${result.trend}</span>
+        </div>
+      `;
+    }).join('');
+
+    if (!rows) return '';
+
+    return `
+      <div class="trend-header">
+        <span>Trend</span>
+        <span class="trend-window-toggle">
+          ${WINDOW_OPTIONS.map(hours => `
+            <button type="button" class="trend-window-btn${hours === windowHours ? ' active' : ''}" onclick="BuoyTrends.setWindow(${hours})">${hours}h</button>
+          `).join('')}
+        </span>
+      </div>
+      ${rows}
+    `;
+  }
+
+  /**
+   * Re-render trends into every card container on the page
+   */
+  function renderAll() {
+    document.querySelectorAll('.card-trends[data-buoy-id]').forEach(container => {
+      container.innerHTML = buildTrendsHtml(container.dataset.buoyId);
+    });
+  }
+
+  /**
+   * Provide fresh timeseries (called by charts-v4.js after each load)
+   * @param {Object} data - buoy_timeseries_48h.json content
+   */
+  function setTimeseries(data) {
+    timeseriesData = data;
+    renderAll();
+  }
+
+  /**
+   * Switch the trend window (3h / 6h) for all cards
+   * @param {number} hours - One of WINDOW_OPTIONS
+   */
+  function setWindow(hours) {
+    if (!WINDOW_OPTIONS.includes(hours)) return;
+    windowHours = hours;
+    try {
+      localStorage.setItem(WINDOW_STORAGE_KEY, String(hours));
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+    renderAll();
+  }
+
+  Units.onChange(renderAll);
+
+  // Public API
+  window.BuoyTrends = {
+    buildTrendsHtml: buildTrendsHtml,
+    setTimeseries: setTimeseries,
+    setWindow: setWindow
+  };
+})();
@@ -4,46 +4,31 @@
    ----------------------------- */
 
 let chartData = null;
-let waveChart, windChart, tempChart, waveComparisonChart;
+let waveChart, windChart, tempChart, waveComparisonChart, windRoseChart;
 let currentTimeRange = 24; // Default to 24 hours
 
+// Wave, wind and temperature charts share a crosshair and zoom via echarts.connect
+const SYNCED_CHART_GROUP = "buoy-charts";
+let chartZoomWindow = null; // { start, end } in ms while zoomed, null for the full range
+let chartTimeExtent = null; // { min, max } in ms - shared x-axis extent of the synced charts
+const SWELL_ARRIVAL_SERIES_ID = "swell-arrival-window";
+
 /**
  * Filter timeseries data to specified time range (hours)
  */
 function filterTimeseriesData(data, hours) {
-  if (!data) return data;
-
-  const now = new Date();
-  const cutoff = new Date(now - hours * 60 * 60 * 1000);
-
-  // Deep copy and filter each buoy's timeseries
-  const filtered = {};
-
-  Object.keys(data).forEach(buoyId => {
-    if (buoyId === '_meta') {
-      filtered[buoyId] = data[buoyId];
-      return;
-    }
-
-    const buoy = data[buoyId];
-    filtered[buoyId] = {
-      name: buoy.name,
-      location: buoy.location,
-      timeseries: {}
-    };
-
-    // Filter each metric's data array
-    Object.keys(buoy.timeseries || {}).forEach(metricKey => {
-      const metric = buoy.timeseries[metricKey];
-      filtered[buoyId].timeseries[metricKey] = {
-        name: metric.name,
-        unit: metric.unit,
-        data: (metric.data || []).filter(point => new Date(point.time) >= cutoff)
-      };
-    });
-  });
+  return filterTimeseriesWindow(data, Date.now() - hours * 60 * 60 * 1000, Infinity);
+}
 
-  return filtered;
+/**
+ * Filter timeseries data to points between two times (inclusive)
+ * @param {Object} data - buoy_timeseries_48h.json content
+ * @param {number} start - Window start in ms
+ * @param {number} end - Window end in ms
+ * @returns {Object} Filtered copy with the same shape
+ */
+function filterTimeseriesWindow(data, start, end) {
+  return Resampler.filterDataset(data, start, end);
 }
 
 /**
@@ -71,7 +56,8 @@ async function loadChartsData() {
     initCharts();
     const selectedBuoy = document.getElementById("chart-buoy-select").value;
     updateCharts(selectedBuoy);
-    generateWaveHeightTable(chartData);
+    renderWaveHeightTable();
+    BuoyTrends.setTimeseries(chartData);
     updateTimeRangeLabels(); // Set initial labels to 24-Hour
   } catch (err) {
     logger.error("Charts", "Error loading chart data", err);
@@ -90,6 +76,7 @@ function initCharts() {
   windChart = echarts.init(document.getElementById("wind-chart"));
   tempChart = echarts.init(document.getElementById("temp-chart"));
   waveComparisonChart = echarts.init(document.getElementById("wave-comparison-chart"));
+  windRoseChart = echarts.init(document.getElementById("wind-rose-chart"));
 
   document
     .getElementById("chart-buoy-select")
@@ -104,11 +91,209 @@ function initCharts() {
   window.addEventListener("resize", () => {
     [waveChart, windChart, tempChart].forEach(chart => chart.resize());
     waveComparisonChart.resize();
+    windRoseChart.resize();
   });
 
+  echarts.connect(SYNCED_CHART_GROUP);
+
   renderComparisonChart(waveComparisonChart, chartData);
 }
 
+/**
+ * Charts that share the crosshair and zoom window
+ * (the period and direction charts only exist/show for spectral buoys)
+ */
+function getSyncedCharts() {
+  const charts = [waveChart, windChart, tempChart];
+  [
+    [window.wavePeriodChart, "wave-period-chart"],
+    [window.waveDirectionChart, "wave-direction-chart"]
+  ].forEach(([chart, containerId]) => {
+    if (chart && document.getElementById(containerId)?.style.display !== "none") {
+      charts.push(chart);
+    }
+  });
+  return charts.filter(Boolean);
+}
+
+/**
+ * Get the first/last timestamp across all of a buoy's metrics
+ * @param {Object} buoy - Filtered buoy data
+ * @returns {Object|null} { min, max } in ms
+ */
+function getTimeExtent(buoy) {
+  let min = Infinity;
+  let max = -Infinity;
+  Object.values(buoy.timeseries || {}).forEach(metric => {
+    (metric.data || []).forEach(point => {
+      const time = new Date(point.time).getTime();
+      if (time < min) min = time;
+      if (time > max) max = time;
+    });
+  });
+  return min < max ? { min, max } : null;
+}
+
+/**
+ * Add zoom controls and a shared x-axis extent to the synced charts
+ * Chart modules render with notMerge, so this runs after every render.
+ * A common extent keeps percentage-based zoom actions aligned across charts.
+ * @param {Object} buoy - Filtered buoy data the charts were rendered from
+ * @param {string} buoyId - Selected buoy
+ */
+function applyChartSync(buoy, buoyId) {
+  chartTimeExtent = getTimeExtent(buoy);
+
+  // Stretch the axis so an upcoming Neah Bay swell arrival stays in view
+  const swellArrival = SwellArrival.getArrival(buoyId);
+  if (chartTimeExtent && swellArrival && swellArrival.end > chartTimeExtent.min) {
+    chartTimeExtent.max = Math.max(chartTimeExtent.max, swellArrival.end);
+  }
+
+  // Drop a zoom window that no longer overlaps the data (e.g. after a refresh)
+  if (chartZoomWindow && chartTimeExtent &&
+      (chartZoomWindow.end <= chartTimeExtent.min || chartZoomWindow.start >= chartTimeExtent.max)) {
+    chartZoomWindow = null;
+  }
+
+  const zoomRange = chartZoomWindow
+    ? { startValue: chartZoomWindow.start, endValue: chartZoomWindow.end }
+    : { start: 0, end: 100 };
+
+  getSyncedCharts().forEach(chart => {
+    chart.group = SYNCED_CHART_GROUP;
+    chart.setOption({
+      xAxis: chartTimeExtent ? { min: chartTimeExtent.min, max: chartTimeExtent.max } : {},
+      toolbox: {
+        right: 10,
+        top: 0,
+        itemSize: 14,
+        feature: {
+          dataZoom: {
+            yAxisIndex: "none",
+            title: { zoom: "Drag to zoom", back: "Undo zoom" }
+          }
+        }
+      },
+      dataZoom: [{
+        type: "inside",
+        xAxisIndex: 0,
+        filterMode: "none",
+        zoomOnMouseWheel: "shift", // Leave plain scrolling to the page
+        moveOnMouseMove: true,
+        ...zoomRange
+      }]
+    });
+
+    chart.off("datazoom");
+    chart.on("datazoom", () => handleChartDataZoom(chart));
+
+    // Downstream buoys: shade the estimated swell arrival window on the wave chart
+    if (chart === waveChart) {
+      chart.setOption({
+        series: [{
+          id: SWELL_ARRIVAL_SERIES_ID,
+          type: "line",
+          data: [],
+          silent: true,
+          markArea: {
+            itemStyle: { color: "rgba(251, 140, 0, 0.15)" },
+            label: { color: "#c05621", fontSize: 10, position: "insideTop" },
+            data: swellArrival && swellArrival.end > (chartTimeExtent?.min ?? 0)
+              ? [[{ name: "Neah Bay swell ETA", xAxis: swellArrival.start }, { xAxis: swellArrival.end }]]
+              : []
+          }
+        }]
+      });
+    }
+
+    // Drag-to-zoom (brush) is on by default where there is a mouse
+    if (window.innerWidth >= 600) {
+      chart.dispatchAction({
+        type: "takeGlobalCursor",
+        key: "dataZoomSelect",
+        dataZoomSelectActive: true
+      });
+    }
+  });
+}
+
+/**
+ * Read the zoom window after a zoom on any synced chart
+ * echarts.connect already applies it to the other charts; this keeps the
+ * wave height table and reset control in step.
+ * @param {Object} chart - ECharts instance that was zoomed
+ */
+function handleChartDataZoom(chart) {
+  if (!chartTimeExtent) return;
+
+  const zoom = chart.getOption().dataZoom?.[0];
+  if (!zoom) return;
+
+  const span = chartTimeExtent.max - chartTimeExtent.min;
+  const zoomed = zoom.start > 0.5 || zoom.end < 99.5;
+  const nextWindow = zoomed
+    ? {
+        start: Math.round(chartTimeExtent.min + span * zoom.start / 100),
+        end: Math.round(chartTimeExtent.min + span * zoom.end / 100)
+      }
+    : null;
+
+  if (JSON.stringify(nextWindow) === JSON.stringify(chartZoomWindow)) return;
+  chartZoomWindow = nextWindow;
+
+  renderWaveHeightTable();
+  refreshStatsPanel();
+  updateTimeRangeLabels();
+}
+
+/**
+ * Clear the zoom window on every synced chart and the wave height table
+ */
+function resetChartZoom() {
+  chartZoomWindow = null;
+  getSyncedCharts().forEach(chart => {
+    chart.dispatchAction({ type: "dataZoom", start: 0, end: 100 });
+  });
+  renderWaveHeightTable();
+  refreshStatsPanel();
+  updateTimeRangeLabels();
+}
+
+/**
+ * Render the statistics panel for the selected buoy over the visible range
+ * (time range, narrowed to the zoom window when zoomed)
+ */
+function refreshStatsPanel() {
+  const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
+  if (!chartData || !chartData[selectedBuoy]) return;
+
+  const rangeData = filterTimeseriesData(chartData, currentTimeRange);
+  const range = chartZoomWindow
+    ? { ...chartZoomWindow }
+    : { start: Date.now() - currentTimeRange * 60 * 60 * 1000, end: chartTimeExtent?.max ?? Date.now() };
+  const visibleData = chartZoomWindow
+    ? filterTimeseriesWindow(rangeData, range.start, range.end)
+    : rangeData;
+
+  renderStatsPanel(
+    document.getElementById("chart-stats-panel"),
+    visibleData[selectedBuoy],
+    range,
+    chartZoomWindow ? formatZoomWindow(chartZoomWindow) : `${currentTimeRange}h`
+  );
+}
+
+/**
+ * Render the wave height table for the current time range and zoom window
+ */
+function renderWaveHeightTable() {
+  const rangeData = filterTimeseriesData(chartData, currentTimeRange);
+  generateWaveHeightTable(chartZoomWindow
+    ? filterTimeseriesWindow(rangeData, chartZoomWindow.start, chartZoomWindow.end)
+    : rangeData);
+}
+
 /**
  * Update active buoy indicator text
  */
@@ -134,15 +319,43 @@ function updateCharts(buoyId) {
 
   // Render each chart using the dedicated modules
   renderWaveChart(waveChart, buoy, buoyId);
-  renderWindChart(windChart, buoy);
+  renderWindChart(windChart, buoy, buoyId);
+  renderWindRoseChart(windRoseChart, chartData[buoyId]); // Own 24h/48h window
   renderTemperatureChart(tempChart, buoy);
   renderComparisonChart(waveComparisonChart, filteredData);
+  applyChartSync(buoy, buoyId);
+  refreshStatsPanel();
+  syncTideStationSelect(buoyId);
+}
+
+/**
+ * Fill the tide station picker for the selected buoy
+ * Only shown while the tide overlay is on and the buoy uses the standard wave chart.
+ * @param {string} buoyId - Selected buoy
+ */
+function syncTideStationSelect(buoyId) {
+  const select = document.getElementById("tide-station-select");
+  if (!select) return;
+
+  select.hidden = !isTideOverlayEnabled() || BuoyRegistry.isSpectral(buoyId);
+  if (select.hidden) return;
+
+  const nearest = TideLevels.getNearest(buoyId);
+  const nearestLabel = nearest
+    ? `Nearest: ${nearest.name} (${Math.round(nearest.distanceKm)} km)`
+    : "Nearest tide station";
+
+  select.innerHTML = `<option value="">${nearestLabel}</option>` +
+    TideLevels.getStations().map(station => `<option value="${station.key}">${station.name}</option>`).join("");
+  select.value = TideLevels.getOverride(buoyId) || "";
 }
 
 /**
  * Set time range and update all charts
  */
 function setTimeRange(hours) {
+  // A new range starts unzoomed (unit changes re-apply the same range and keep it)
+  if (hours !== currentTimeRange) chartZoomWindow = null;
   currentTimeRange = hours;
 
   // Update ALL button states (sync all toggle buttons on page)
@@ -157,17 +370,14 @@ function setTimeRange(hours) {
   // Update section headers to show current time range
   updateTimeRangeLabels();
 
-  // Filter data based on new time range
-  const filteredData = filterTimeseriesData(chartData, currentTimeRange);
-
   // Re-render current buoy charts
   const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
   if (selectedBuoy) {
     updateCharts(selectedBuoy);
   }
 
-  // Re-generate wave height table with filtered data
-  generateWaveHeightTable(filteredData);
+  // Re-generate wave height table for the new range
+  renderWaveHeightTable();
 }
 
 /**
@@ -182,10 +392,66 @@ function updateTimeRangeLabels() {
 
   const tableSectionH2 = document.querySelector('#wave-height-table-section h2');
   if (tableSectionH2) {
-    tableSectionH2.textContent = `${currentTimeRange}-Hour Wave Height Summary`;
+    const metricLabel = getWaveTableMetricLabel();
+    tableSectionH2.textContent = chartZoomWindow
+      ? `${metricLabel} Summary (${formatZoomWindow(chartZoomWindow)})`
+      : `${currentTimeRange}-Hour ${metricLabel} Summary`;
   }
+
+  // Reset controls only show while zoomed
+  document.querySelectorAll('.reset-zoom-btn').forEach(btn => {
+    btn.hidden = !chartZoomWindow;
+  });
+}
+
+/**
+ * Format a zoom window for headings, e.g. "Oct 19 06:00 – 14:00"
+ */
+function formatZoomWindow(zoomWindow) {
+  const options = { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", hour12: false, timeZone: "America/Vancouver" };
+  const start = new Date(zoomWindow.start).toLocaleString("en-US", options);
+  const end = new Date(zoomWindow.end).toLocaleString("en-US", options);
+  const [startDay] = start.split(", ");
+  const [endDay, endTime] = end.split(", ");
+  return `${start.replace(", ", " ")} – ${startDay === endDay ? endTime : end.replace(", ", " ")}`;
+}
+
+// Buoy selector options come from the station registry
+BuoyRegistry.populateSelect(document.getElementById("chart-buoy-select"));
+
+// Wave power overlay toggle (state lives in wave-chart-v4.js)
+const wavePowerToggle = document.getElementById("wave-power-toggle");
+if (wavePowerToggle) {
+  wavePowerToggle.checked = isWavePowerOverlayEnabled();
+  wavePowerToggle.addEventListener("change", (e) => {
+    setWavePowerOverlayEnabled(e.target.checked);
+    const selectedBuoy = document.getElementById("chart-buoy-select").value;
+    if (chartData) updateCharts(selectedBuoy);
+  });
+}
+
+// Tide overlay toggle and station picker (state lives in wave-chart-v4.js / tide-levels.js)
+const tideOverlayToggle = document.getElementById("tide-overlay-toggle");
+if (tideOverlayToggle) {
+  tideOverlayToggle.checked = isTideOverlayEnabled();
+  tideOverlayToggle.addEventListener("change", (e) => {
+    setTideOverlayEnabled(e.target.checked);
+    const selectedBuoy = document.getElementById("chart-buoy-select").value;
+    if (chartData) updateCharts(selectedBuoy);
+  });
 }
 
+document.getElementById("tide-station-select")?.addEventListener("change", (e) => {
+  const selectedBuoy = document.getElementById("chart-buoy-select").value;
+  TideLevels.setOverride(selectedBuoy, e.target.value || null);
+  if (chartData) updateCharts(selectedBuoy);
+});
+
+// Comparison picker re-renders only the comparison chart
+initComparisonPicker(document.getElementById("comparison-picker"), () => {
+  if (chartData) renderComparisonChart(waveComparisonChart, filterTimeseriesData(chartData, currentTimeRange));
+});
+
 // Wait for HTMX to load footer (which contains timestamp element) before initializing
 document.addEventListener('htmx:load', function() {
   loadChartsData();
@@ -193,3 +459,32 @@ document.addEventListener('htmx:load', function() {
 
 // Auto-refresh every 15 minutes
 setInterval(loadChartsData, 15 * 60 * 1000);
+
+// New Neah Bay reading - refresh the swell arrival marker on downstream charts
+SwellArrival.onChange(() => {
+  const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
+  if (chartData && SwellArrival.TARGET_IDS.includes(selectedBuoy)) updateCharts(selectedBuoy);
+});
+
+// New marine warnings - refresh the warning shading on the wave and wind charts
+MarineWarnings.onChange(() => {
+  const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
+  if (chartData && MarineWarnings.getZone(selectedBuoy)) updateCharts(selectedBuoy);
+});
+
+// Tide data arrived (or refreshed) - redraw the overlay
+TideLevels.onChange(() => {
+  const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
+  if (chartData && isTideOverlayEnabled()) updateCharts(selectedBuoy);
+});
+
+// Wind rose window changed - only the rose needs redrawing
+WindRose.onChange(() => {
+  const selectedBuoy = document.getElementById("chart-buoy-select")?.value;
+  if (chartData && chartData[selectedBuoy]) renderWindRoseChart(windRoseChart, chartData[selectedBuoy]);
+});
+
+// Re-render charts and wave table in the new units
+Units.onChange(() => {
+  if (chartData) setTimeRange(currentTimeRange);
+});
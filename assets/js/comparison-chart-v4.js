@@ -1,46 +1,180 @@
 /* -----------------------------
    Comparison Chart Module
-   Handles multi-buoy wave height comparison
+   Handles multi-buoy comparison of a chosen metric
    ----------------------------- */
 
 /**
- * Downsample high-frequency data to hourly intervals
- * Keeps the data point closest to the top of each hour
- * @param {Array} data - Array of {time, value} objects
- * @returns {Array} Downsampled array with one point per hour
+ * Metrics the comparison chart can plot
+ * keys  - timeseries keys in order of preference
+ * kind  - Units kind for conversion, or null to show values as-is in `unit`
  */
-function downsampleToHourly(data) {
-  if (!data || data.length === 0) return [];
+const COMPARISON_METRICS = {
+  hs: { label: "Sig Wave Height", axisName: "Wave Height", keys: ["wave_height_sig"], kind: "height", unit: "m" },
+  peak_period: { label: "Peak Period", axisName: "Period", keys: ["wave_period_peak"], kind: null, unit: "s" },
+  wind_speed: { label: "Wind Speed", axisName: "Wind Speed", keys: ["wind_speed"], kind: "speed", unit: "kt" },
+  water_temp: { label: "Water Temperature", axisName: "Water Temp", keys: ["sea_temp"], kind: "temperature", unit: "°C" }
+};
 
-  const hourlyBuckets = {};
+const COMPARISON_STORAGE_KEY = "comparison_chart_selection";
+const DEFAULT_COMPARISON_METRIC = "hs";
 
-  // Group points by hour
-  for (const point of data) {
-    const timestamp = new Date(point.time);
-    // Round down to the hour
-    const hourKey = new Date(timestamp.getFullYear(), timestamp.getMonth(),
-                             timestamp.getDate(), timestamp.getHours(), 0, 0, 0).getTime();
+// URL parameters for shareable comparisons, e.g. ?compare=4600146,46087&compareMetric=wind_speed
+const COMPARISON_URL_STATIONS = "compare";
+const COMPARISON_URL_METRIC = "compareMetric";
 
-    // Keep the point closest to the top of the hour
-    if (!hourlyBuckets[hourKey]) {
-      hourlyBuckets[hourKey] = point;
-    } else {
-      const existingTime = new Date(hourlyBuckets[hourKey].time);
-      const existingOffset = Math.abs(existingTime.getMinutes() * 60 + existingTime.getSeconds());
-      const newOffset = Math.abs(timestamp.getMinutes() * 60 + timestamp.getSeconds());
+let comparisonSelection = loadComparisonSelection();
 
-      if (newOffset < existingOffset) {
-        hourlyBuckets[hourKey] = point;
-      }
-    }
+/**
+ * Default selection - registry stations flagged for comparison
+ */
+function getDefaultComparisonSelection() {
+  return {
+    stations: BuoyRegistry.getComparisonStations().map(s => s.id),
+    metric: DEFAULT_COMPARISON_METRIC
+  };
+}
+
+/**
+ * Keep only known station IDs and metric keys
+ * @param {Object} selection - { stations, metric } from the URL or storage
+ * @returns {Object|null} Clean selection, or null if the metric is unknown
+ */
+function validateComparisonSelection(selection) {
+  if (!selection || !COMPARISON_METRICS[selection.metric] || !Array.isArray(selection.stations)) return null;
+  return {
+    stations: selection.stations.filter(id => BuoyRegistry.getStation(id)),
+    metric: selection.metric
+  };
+}
+
+/**
+ * Load the selection - a shared URL wins over the saved selection
+ * @returns {Object} { stations, metric }
+ */
+function loadComparisonSelection() {
+  const defaults = getDefaultComparisonSelection();
+  const urlParams = new URLSearchParams(window.location.search);
+
+  if (urlParams.has(COMPARISON_URL_STATIONS) || urlParams.has(COMPARISON_URL_METRIC)) {
+    const stationsParam = urlParams.get(COMPARISON_URL_STATIONS);
+    const fromUrl = validateComparisonSelection({
+      stations: stationsParam != null ? stationsParam.split(",").filter(Boolean) : defaults.stations,
+      metric: urlParams.get(COMPARISON_URL_METRIC) || DEFAULT_COMPARISON_METRIC
+    });
+    if (fromUrl) return fromUrl;
   }
 
-  // Convert back to array and sort by time
-  return Object.values(hourlyBuckets).sort((a, b) => new Date(a.time) - new Date(b.time));
+  try {
+    const stored = validateComparisonSelection(JSON.parse(localStorage.getItem(COMPARISON_STORAGE_KEY)));
+    if (stored) return stored;
+  } catch (e) {
+    // localStorage might not be available or hold bad JSON
+  }
+
+  return defaults;
 }
 
 /**
- * Render comparison chart showing all Canadian buoys
+ * Persist the selection and reflect it in the URL (omitted when it's the default)
+ */
+function saveComparisonSelection() {
+  try {
+    localStorage.setItem(COMPARISON_STORAGE_KEY, JSON.stringify(comparisonSelection));
+  } catch (e) {
+    // Ignore localStorage errors - selection still applies to this page
+  }
+
+  const defaults = getDefaultComparisonSelection();
+  const isDefault = comparisonSelection.metric === defaults.metric &&
+    comparisonSelection.stations.join(",") === defaults.stations.join(",");
+
+  const url = new URL(window.location.href);
+  if (isDefault) {
+    url.searchParams.delete(COMPARISON_URL_STATIONS);
+    url.searchParams.delete(COMPARISON_URL_METRIC);
+  } else {
+    url.searchParams.set(COMPARISON_URL_STATIONS, comparisonSelection.stations.join(","));
+    url.searchParams.set(COMPARISON_URL_METRIC, comparisonSelection.metric);
+  }
+  history.replaceState(null, "", url);
+}
+
+/**
+ * Render the metric and buoy picker above the comparison chart
+ * @param {HTMLElement} container - Picker container
+ * @param {Function} onChange - Called after the selection changes
+ */
+function initComparisonPicker(container, onChange) {
+  if (!container) return;
+
+  const selected = new Set(comparisonSelection.stations);
+  const agencyGroups = Object.entries(BuoyRegistry.AGENCIES)
+    .map(([key, agency]) => ({
+      label: agency.label,
+      stations: BuoyRegistry.STATIONS.filter(s => s.agency === key)
+    }))
+    .filter(group => group.stations.length > 0);
+
+  container.innerHTML = `
+    <label class="comparison-metric">
+      Compare:
+      <select id="comparison-metric-select">
+        ${Object.entries(COMPARISON_METRICS).map(([key, metric]) =>
+          `<option value="${key}"${key === comparisonSelection.metric ? " selected" : ""}>${metric.label}</option>`
+        ).join("")}
+      </select>
+    </label>
+    ${agencyGroups.map(group => `
+      <div class="comparison-station-group">
+        <span class="comparison-group-label">${group.label}</span>
+        ${group.stations.map(station => `
+          <label class="comparison-station">
+            <input type="checkbox" value="${station.id}"${selected.has(station.id) ? " checked" : ""}>
+            <span class="comparison-swatch" style="background: ${station.comparisonColor};"></span>
+            ${station.name}
+          </label>
+        `).join("")}
+      </div>
+    `).join("")}
+  `;
+
+  container.addEventListener("change", (e) => {
+    if (e.target.id === "comparison-metric-select") {
+      comparisonSelection = { ...comparisonSelection, metric: e.target.value };
+    } else if (e.target.type === "checkbox") {
+      const checked = new Set(
+        Array.from(container.querySelectorAll(".comparison-station input:checked")).map(input => input.value)
+      );
+      // Keep registry order so the legend and URL are stable
+      comparisonSelection = {
+        ...comparisonSelection,
+        stations: BuoyRegistry.STATIONS.map(s => s.id).filter(id => checked.has(id))
+      };
+    } else {
+      return;
+    }
+
+    saveComparisonSelection();
+    onChange();
+  });
+}
+
+/**
+ * Convert a metric series to the preferred display unit
+ */
+function convertComparisonSeries(metric, data) {
+  return metric.kind ? Units.convertSeries(metric.kind, data) : data;
+}
+
+/**
+ * Unit label for a metric in the preferred unit
+ */
+function getComparisonUnitLabel(metric) {
+  return metric.kind ? Units.getLabel(metric.kind) : metric.unit;
+}
+
+/**
+ * Render comparison chart for the selected buoys and metric
  * @param {Object} waveComparisonChart - ECharts instance for comparison chart
  * @param {Object} chartData - Full chart data object with all buoys
  */
@@ -51,60 +185,77 @@ function renderComparisonChart(waveComparisonChart, chartData) {
       return;
     }
 
-    const buoyOrder = ["4600146", "4600304", "4600303", "4600131", "CRPILE"];
-  const buoyColors = {
-    "4600146": "#1e88e5",
-    "4600304": "#43a047",
-    "4600303": "#fb8c00",
-    "4600131": "#e53935",
-    "CRPILE": "#9c27b0",
-  };
+    const metric = COMPARISON_METRICS[comparisonSelection.metric];
+    const unitLabel = getComparisonUnitLabel(metric);
+    const missing = [];
 
-  const series = buoyOrder
+  const series = comparisonSelection.stations
     .map((buoyId) => {
+      const station = BuoyRegistry.getStation(buoyId);
       const buoy = chartData[buoyId];
-      if (!buoy?.timeseries?.wave_height_sig) return null;
+      const key = metric.keys.find(k => buoy?.timeseries?.[k]?.data?.length);
+      if (!key) {
+        missing.push(station.name);
+        return null;
+      }
 
-      let data = buoy.timeseries.wave_height_sig.data || [];
+      let data = convertComparisonSeries(metric, buoy.timeseries[key].data);
 
       // Downsample high-frequency buoys to hourly for better chart performance
-      if (buoyId === "CRPILE") {
-        data = downsampleToHourly(data);
+      if (BuoyRegistry.isHighFrequency(buoyId)) {
+        data = Resampler.resample(data, { interval: "hourly", aggregate: "nearest" });
         logger.debug("ComparisonChart", `Downsampled ${buoy.name} from high-frequency to hourly (${data.length} points)`);
       }
 
-      return {
+      const entry = {
         name: buoy.name,
         type: "line",
         data: sanitizeSeriesData(data),
         smooth: true,
         connectNulls: false,
-        itemStyle: { color: buoyColors[buoyId] },
-        emphasis: { focus: "series" },
-        markLine: {
+        itemStyle: { color: station.comparisonColor },
+        emphasis: { focus: "series" }
+      };
+
+      // Breaking thresholds only apply to wave height
+      if (comparisonSelection.metric === "hs") {
+        entry.markLine = {
           symbol: "none",
           data: [
             {
-              yAxis: 0.7,
+              yAxis: Units.convert('height', 0.7),
               lineStyle: { type: "dashed", color: "orange", width: 1 },
-              label: { formatter: "0.7m" }
+              label: { formatter: Units.format('height', 0.7, 1, { compact: true }) }
             },
             {
-              yAxis: 1.2,
+              yAxis: Units.convert('height', 1.2),
               lineStyle: { type: "dashed", color: "red", width: 1 },
-              label: { formatter: "1.2m" }
+              label: { formatter: Units.format('height', 1.2, 1, { compact: true }) }
             }
           ]
-        }
-      };
+        };
+      }
+
+      return entry;
     })
     .filter(Boolean);
 
+  let subtext = "";
+  if (comparisonSelection.stations.length === 0) {
+    subtext = "Select buoys above to compare";
+  } else if (missing.length > 0) {
+    subtext = `No ${metric.label.toLowerCase()} data: ${missing.join(", ")}`;
+  }
+
+  const isTemperature = metric.kind === "temperature";
+
   waveComparisonChart.setOption({
     title: {
-      text: "Sig Wave Height (All)",
+      text: `${metric.label} Comparison`,
+      subtext: subtext,
       left: "center",
-      textStyle: { fontSize: window.innerWidth < 600 ? 12 : 14 }
+      textStyle: { fontSize: window.innerWidth < 600 ? 12 : 14 },
+      subtextStyle: { fontSize: window.innerWidth < 600 ? 10 : 11, color: "#888" }
     },
 
     tooltip: {
@@ -115,7 +266,7 @@ function renderComparisonChart(waveComparisonChart, chartData) {
         let res = `<b>${time}</b><br/>`;
         for (const p of params) {
           if (p.value[1] != null) {
-            res += `${p.marker} ${p.seriesName}: ${p.value[1]} m<br/>`;
+            res += `${p.marker} ${p.seriesName}: ${p.value[1]} ${unitLabel}<br/>`;
           }
         }
         return res;
@@ -123,7 +274,7 @@ function renderComparisonChart(waveComparisonChart, chartData) {
     },
 
     legend: {
-      data: buoyOrder.map((id) => chartData[id]?.name).filter(Boolean),
+      data: series.map(s => s.name),
       bottom: "3%",  // Fixed lower position for comparison chart (multi-row legend needs more space)
     },
 
@@ -144,9 +295,10 @@ function renderComparisonChart(waveComparisonChart, chartData) {
 
     yAxis: {
       type: "value",
-      name: "Wave Height (m)",
-      min: 0,
-      max: (value) => {
+      name: `${metric.axisName} (${unitLabel})`,
+      // Temperatures sit in a narrow band well above zero - let the axis fit the data
+      min: isTemperature ? (value) => Math.floor((value.min || 0) - 1) : 0,
+      max: isTemperature ? (value) => Math.ceil((value.max || 0) + 1) : (value) => {
         const rawMax = value.max || 1;
         const padded = Math.ceil(rawMax * 1.01 * 10) / 10;
         return Math.max(1, padded);
@@ -157,7 +309,7 @@ function renderComparisonChart(waveComparisonChart, chartData) {
     },
 
     series: series,
-  });
+  }, { replaceMerge: ["series"] });
   } catch (error) {
     showChartError('wave-comparison-chart', 'Wave Comparison Chart', error);
   }
@@ -0,0 +1,786 @@
+/* =====================================================
+   Condition Alerts
+   User-defined rules checked against live data while a tab is open
+   ===================================================== */
+
+/**
+ * Rules such as "Halibut Bank Hs > 1.5 m and period > 6 s" are stored in
+ * localStorage and evaluated against latest_buoy_v2.json, latest_wind.json
+ * and combined-water-level.json every few minutes. A matching rule raises an
+ * in-page toast and (if permitted) a browser notification. It then stays
+ * quiet until a check finds the conditions no longer met, so one event only
+ * alerts once; the cooldown is the minimum time between alerts when
+ * conditions flap around a threshold.
+ *
+ * Thresholds are stored in base units (kt, m, °C) and shown in the user's
+ * preferred units (units.js).
+ *
+ * Usage: include on a page with units.js; the nav 🔔 button opens the builder.
+ */
+(function() {
+  const RULES_KEY = 'condition_alert_rules';
+  const LAST_FIRED_KEY = 'condition_alert_last_fired';
+  const MATCHING_KEY = 'condition_alert_matching'; // Rules that alerted and still match
+  const CHECK_INTERVAL_MS = 5 * 60 * 1000; // Data files update every ~10 minutes
+  const TOAST_DURATION_MS = 20 * 1000;
+  const MAX_DATA_AGE_MS = 3 * 60 * 60 * 1000; // Don't alert on observations older than 3 hours
+  const MAX_FORECAST_OFFSET_MS = 60 * 60 * 1000; // Water level forecast step must be within 1 hour of now
+  const DEFAULT_COOLDOWN_MINUTES = 180;
+
+  const COOLDOWN_OPTIONS = [
+    { minutes: 60, label: '1 hour' },
+    { minutes: 180, label: '3 hours' },
+    { minutes: 360, label: '6 hours' },
+    { minutes: 720, label: '12 hours' },
+    { minutes: 1440, label: '24 hours' }
+  ];
+
+  const SOURCES = {
+    buoy: { label: 'Buoy', url: '/data/latest_buoy_v2.json' },
+    wind: { label: 'Wind station', url: '/data/latest_wind.json' },
+    water: { label: 'Water level forecast', url: '/data/combined-water-level.json' }
+  };
+
+  // kind: units.js kind ('speed', 'height', 'temperature'), or 'period' (s) / 'direction' (°)
+  const METRICS = {
+    buoy: [
+      { key: 'wave_height_sig', label: 'Significant wave height', short: 'Hs', kind: 'height', decimals: 1 },
+      { key: 'wave_height_max', label: 'Max wave height', short: 'Max', kind: 'height', decimals: 1 },
+      { key: 'swell_height', label: 'Swell height', short: 'Swell', kind: 'height', decimals: 1 },
+      { key: 'wave_period_avg', label: 'Wave period (avg)', short: 'period', kind: 'period', fallbackKey: 'wave_period_peak' },
+      { key: 'wave_period_peak', label: 'Wave period (peak)', short: 'peak period', kind: 'period' },
+      { key: 'wind_speed', label: 'Wind speed', short: 'wind', kind: 'speed', decimals: 0 },
+      { key: 'wind_gust', label: 'Wind gust', short: 'gust', kind: 'speed', decimals: 0 },
+      { key: 'wind_direction', label: 'Wind direction', short: 'wind', kind: 'direction', fallbackKey: 'wind_direction_deg' },
+      { key: 'sea_temp', label: 'Sea temperature', short: 'sea', kind: 'temperature', decimals: 1 }
+    ],
+    wind: [
+      { key: 'wind_speed_kt', label: 'Wind speed', short: 'wind', kind: 'speed', decimals: 0 },
+      { key: 'wind_gust_kt', label: 'Wind gust', short: 'gust', kind: 'speed', decimals: 0 },
+      { key: 'wind_direction_deg', label: 'Wind direction', short: 'wind', kind: 'direction', fallbackKey: 'wind_direction' },
+      { key: 'air_temp_c', label: 'Air temperature', short: 'air', kind: 'temperature', decimals: 1 }
+    ],
+    water: [
+      { key: 'total_water_level_m', label: 'Total water level', short: 'water level', kind: 'height', decimals: 2 },
+      { key: 'storm_surge_m', label: 'Storm surge', short: 'surge', kind: 'height', decimals: 2 }
+    ]
+  };
+
+  const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  const OPERATORS = { gt: '>', lt: '<' };
+
+  const stationCache = {}; // source → [{ id, name }]
+  let panel = null;
+  let editingRule = null;
+  let formError = '';
+
+  /* -----------------------------
+     Logging (logger.js is not loaded on every page)
+     ----------------------------- */
+
+  function logWarn(message, error) {
+    if (window.logger) {
+      window.logger.warn('Alerts', message, error);
+    } else {
+      console.warn(`[Alerts] ${message}`, error);
+    }
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /* -----------------------------
+     Storage
+     ----------------------------- */
+
+  function loadRules() {
+    try {
+      const rules = JSON.parse(localStorage.getItem(RULES_KEY) || '[]');
+      return Array.isArray(rules) ? rules : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveRules(rules) {
+    try {
+      localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+    } catch (e) {
+      logWarn('Could not save alert rules', e);
+    }
+  }
+
+  function loadLastFired() {
+    try {
+      return JSON.parse(localStorage.getItem(LAST_FIRED_KEY) || '{}');
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveLastFired(lastFired) {
+    try {
+      localStorage.setItem(LAST_FIRED_KEY, JSON.stringify(lastFired));
+    } catch (e) {
+      // Ignore - worst case a rule alerts again in another tab
+    }
+  }
+
+  function loadMatching() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MATCHING_KEY) || '[]');
+      return new Set(Array.isArray(stored) ? stored : []);
+    } catch (e) {
+      return new Set();
+    }
+  }
+
+  function saveMatching(matching) {
+    try {
+      localStorage.setItem(MATCHING_KEY, JSON.stringify([...matching]));
+    } catch (e) {
+      // Ignore - worst case a rule alerts again in another tab
+    }
+  }
+
+  /* -----------------------------
+     Data
+     ----------------------------- */
+
+  /**
+   * Fetch the JSON for each requested source
+   * @param {Array<string>} sourceKeys - SOURCES keys
+   * @returns {Promise<Object>} { source: json|null }
+   */
+  async function fetchSources(sourceKeys) {
+    const results = await Promise.all(sourceKeys.map(async (key) => {
+      try {
+        const response = await fetch(`${SOURCES[key].url}?t=${Date.now()}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return [key, await response.json()];
+      } catch (error) {
+        logWarn(`Failed to load ${SOURCES[key].url}`, error);
+        return [key, null];
+      }
+    }));
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * List selectable stations for a source
+   * @param {string} source - SOURCES key
+   * @param {Object} data - Source JSON
+   * @returns {Array} [{ id, name }] sorted by name
+   */
+  function getStationList(source, data) {
+    if (!data) return [];
+
+    const entries = source === 'water'
+      ? Object.entries(data.stations || {})
+      : Object.entries(data).filter(([key, station]) => key !== '_meta' && station && typeof station === 'object');
+
+    return entries
+      .map(([id, station]) => ({ id, name: station.station_name || station.name || id }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function ensureStationList(source) {
+    if (stationCache[source]) return;
+    const data = await fetchSources([source]);
+    stationCache[source] = getStationList(source, data[source]);
+  }
+
+  /**
+   * Get the current readings for a rule's station
+   * Returns null for stale or missing data so old observations never alert.
+   * @param {string} source - SOURCES key
+   * @param {string} stationId - Station ID / key
+   * @param {Object} data - Source JSON
+   * @returns {Object|null} Object holding metric fields
+   */
+  function getReadings(source, stationId, data) {
+    if (!data) return null;
+
+    if (source === 'water') {
+      // Forecast step closest to now
+      const forecast = data.stations?.[stationId]?.forecast || [];
+      const now = Date.now();
+      let closest = null;
+      let minDiff = Infinity;
+      forecast.forEach(entry => {
+        const diff = Math.abs(new Date(entry.time).getTime() - now);
+        if (diff < minDiff) {
+          minDiff = diff;
+          closest = entry;
+        }
+      });
+      return minDiff <= MAX_FORECAST_OFFSET_MS ? closest : null;
+    }
+
+    const station = data[stationId];
+    if (!station || station.stale) return null;
+    if (station.observation_time && Date.now() - new Date(station.observation_time).getTime() > MAX_DATA_AGE_MS) {
+      return null;
+    }
+    return station;
+  }
+
+  function getMetric(source, key) {
+    return (METRICS[source] || []).find(metric => metric.key === key) || null;
+  }
+
+  function readMetric(readings, metric) {
+    const value = readings[metric.key] ?? (metric.fallbackKey ? readings[metric.fallbackKey] : null);
+    return value == null || isNaN(value) ? null : Number(value);
+  }
+
+  /**
+   * Check if a direction lies within a compass point's 45° sector
+   * @param {number} degrees - Direction in degrees (coming from)
+   * @param {string} point - COMPASS_POINTS entry
+   * @returns {boolean} True if within ±22.5° of the point
+   */
+  function isFromDirection(degrees, point) {
+    const center = COMPASS_POINTS.indexOf(point) * 45;
+    const diff = Math.abs(((degrees - center) % 360 + 540) % 360 - 180);
+    return diff <= 22.5;
+  }
+
+  function checkCondition(condition, readings, source) {
+    const metric = getMetric(source, condition.metric);
+    const value = metric ? readMetric(readings, metric) : null;
+    if (value == null) return false;
+
+    if (metric.kind === 'direction') return isFromDirection(value, condition.value);
+    return condition.op === 'lt' ? value < condition.value : value > condition.value;
+  }
+
+  /* -----------------------------
+     Formatting
+     ----------------------------- */
+
+  function formatMetricValue(metric, value) {
+    if (metric.kind === 'period') return `${Number(value).toFixed(1)} s`;
+    if (metric.kind === 'direction') return `${Math.round(value)}°`;
+    return Units.format(metric.kind, value, metric.decimals);
+  }
+
+  function describeCondition(condition, source) {
+    const metric = getMetric(source, condition.metric);
+    if (!metric) return '';
+    if (metric.kind === 'direction') return `${metric.short} from ${condition.value}`;
+    return `${metric.short} ${OPERATORS[condition.op] || '>'} ${formatMetricValue(metric, condition.value)}`;
+  }
+
+  /**
+   * Describe a rule, e.g. "Halibut Bank: Hs > 1.5 m and period > 6.0 s"
+   * @param {Object} rule - Alert rule
+   * @returns {string} Description
+   */
+  function describeRule(rule) {
+    const conditions = rule.conditions.map(c => describeCondition(c, rule.source)).filter(Boolean);
+    return `${rule.stationName || rule.stationId}: ${conditions.join(' and ')}`;
+  }
+
+  function describeReadings(rule, readings) {
+    const seen = new Set();
+    return rule.conditions
+      .map(c => getMetric(rule.source, c.metric))
+      .filter(metric => metric && !seen.has(metric.key) && seen.add(metric.key))
+      .map(metric => `${metric.short} ${metric.kind === 'direction' ? 'from ' : ''}${formatMetricValue(metric, readMetric(readings, metric))}`)
+      .join(', ');
+  }
+
+  /* -----------------------------
+     Evaluation
+     ----------------------------- */
+
+  /**
+   * Evaluate all enabled rules and alert on new matches outside their cooldown
+   * A rule that alerted re-arms only once a check finds its conditions not met.
+   * @returns {Promise<void>}
+   */
+  async function checkRules() {
+    const rules = loadRules().filter(rule => rule.enabled !== false && rule.conditions?.length);
+    if (rules.length === 0) return;
+
+    const data = await fetchSources([...new Set(rules.map(rule => rule.source))]);
+    const lastFired = loadLastFired();
+    const matching = loadMatching();
+    const now = Date.now();
+
+    rules.forEach(rule => {
+      // Missing or stale data says nothing about whether the event is over
+      const readings = getReadings(rule.source, rule.stationId, data[rule.source]);
+      if (!readings) return;
+      if (!rule.conditions.every(condition => checkCondition(condition, readings, rule.source))) {
+        matching.delete(rule.id);
+        return;
+      }
+      if (matching.has(rule.id)) return;
+
+      const cooldownMs = (rule.cooldownMinutes || DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+      if (lastFired[rule.id] && now - lastFired[rule.id] < cooldownMs) return;
+
+      lastFired[rule.id] = now;
+      matching.add(rule.id);
+      fireAlert(rule, readings);
+    });
+
+    saveLastFired(lastFired);
+    saveMatching(matching);
+  }
+
+  function fireAlert(rule, readings) {
+    const title = rule.name || rule.stationName || 'Condition alert';
+    const description = describeRule(rule);
+    const current = describeReadings(rule, readings);
+
+    showToast(title, description, current);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+      try {
+        new Notification(`🔔 ${title}`, {
+          body: `${description}\nNow: ${current}`,
+          tag: `condition-alert-${rule.id}`
+        });
+      } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        logWarn('Browser notification failed', error);
+      }
+    }
+  }
+
+  function showToast(title, description, current) {
+    let container = document.getElementById('alert-toast-container');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'alert-toast-container';
+      container.className = 'alert-toast-container';
+      container.setAttribute('role', 'status');
+      container.setAttribute('aria-live', 'polite');
+      document.body.appendChild(container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'alert-toast';
+    toast.innerHTML = `
+      <div class="alert-toast-title">🔔 ${escapeHtml(title)}</div>
+      <div class="alert-toast-body">${escapeHtml(description)}</div>
+      <div class="alert-toast-current">Now: ${escapeHtml(current)}</div>
+      <button type="button" class="alert-toast-close" aria-label="Dismiss alert">×</button>
+    `;
+    container.appendChild(toast);
+
+    const dismiss = () => {
+      toast.style.opacity = '0';
+      setTimeout(() => toast.remove(), 500);
+    };
+    toast.querySelector('.alert-toast-close').addEventListener('click', dismiss);
+    setTimeout(dismiss, TOAST_DURATION_MS);
+  }
+
+  /* -----------------------------
+     Rules Builder Panel
+     ----------------------------- */
+
+  function createDefaultCondition(source) {
+    const metric = METRICS[source][0];
+    return { metric: metric.key, op: 'gt', value: null };
+  }
+
+  function createRule() {
+    return {
+      id: `rule-${Date.now().toString(36)}`,
+      name: '',
+      source: 'buoy',
+      stationId: '',
+      stationName: '',
+      conditions: [createDefaultCondition('buoy')],
+      cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+      enabled: true
+    };
+  }
+
+  function renderNotificationStatus() {
+    if (!('Notification' in window)) {
+      return '<p class="alerts-note">This browser does not support notifications - alerts show on the page only.</p>';
+    }
+    if (Notification.permission === 'granted') {
+      return '<p class="alerts-note">✓ Browser notifications enabled. Alerts are checked while a halibutbank.ca tab is open.</p>';
+    }
+    if (Notification.permission === 'denied') {
+      return '<p class="alerts-note">Browser notifications are blocked for this site - alerts show on the page only.</p>';
+    }
+    return `
+      <p class="alerts-note">
+        Alerts are checked while a halibutbank.ca tab is open.
+        <button type="button" class="alerts-link-btn" data-action="enable-notifications">Enable browser notifications</button>
+      </p>
+    `;
+  }
+
+  function renderRuleList() {
+    const rules = loadRules();
+    if (rules.length === 0) {
+      return '<p class="alerts-empty">No alerts yet.</p>';
+    }
+
+    return `
+      <ul class="alerts-rule-list">
+        ${rules.map(rule => `
+          <li class="alerts-rule${rule.enabled === false ? ' disabled' : ''}">
+            <label class="alerts-rule-toggle" title="Enable/disable">
+              <input type="checkbox" data-rule-toggle="${rule.id}"${rule.enabled === false ? '' : ' checked'}>
+            </label>
+            <div class="alerts-rule-text">
+              ${rule.name ? `<strong>${escapeHtml(rule.name)}</strong>` : ''}
+              <span>${escapeHtml(describeRule(rule))}</span>
+            </div>
+            <button type="button" class="alerts-link-btn" data-action="edit" data-rule-id="${rule.id}">Edit</button>
+            <button type="button" class="alerts-link-btn alerts-delete" data-action="delete" data-rule-id="${rule.id}">Delete</button>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  function renderConditionRow(condition, index, source) {
+    const metric = getMetric(source, condition.metric) || METRICS[source][0];
+
+    let valueHtml;
+    if (metric.kind === 'direction') {
+      valueHtml = `
+        <span class="alerts-condition-op">from</span>
+        <select data-condition-field="value" data-index="${index}">
+          ${COMPASS_POINTS.map(point => `<option value="${point}"${condition.value === point ? ' selected' : ''}>${point}</option>`).join('')}
+        </select>
+      `;
+    } else {
+      const unitLabel = metric.kind === 'period' ? 's' : Units.getLabel(metric.kind);
+      const shown = condition.value == null ? ''
+        : metric.kind === 'period' ? condition.value
+        : Number(Units.convert(metric.kind, condition.value).toFixed(2));
+      valueHtml = `
+        <select data-condition-field="op" data-index="${index}">
+          ${Object.entries(OPERATORS).map(([key, symbol]) => `<option value="${key}"${condition.op === key ? ' selected' : ''}>${symbol}</option>`).join('')}
+        </select>
+        <input type="number" step="any" inputmode="decimal" data-condition-field="value" data-index="${index}" value="${shown}">
+        <span class="alerts-condition-unit">${unitLabel}</span>
+      `;
+    }
+
+    return `
+      <div class="alerts-condition">
+        <select data-condition-field="metric" data-index="${index}">
+          ${METRICS[source].map(m => `<option value="${m.key}"${m.key === metric.key ? ' selected' : ''}>${m.label}</option>`).join('')}
+        </select>
+        ${valueHtml}
+        <button type="button" class="alerts-link-btn" data-action="remove-condition" data-index="${index}" aria-label="Remove condition">✕</button>
+      </div>
+    `;
+  }
+
+  function renderForm() {
+    const rule = editingRule;
+    const stations = stationCache[rule.source];
+    const stationOptions = stations
+      ? `<option value="">Select a station…</option>` + stations.map(s =>
+          `<option value="${escapeHtml(s.id)}"${s.id === rule.stationId ? ' selected' : ''}>${escapeHtml(s.name)}</option>`
+        ).join('')
+      : '<option value="">Loading…</option>';
+
+    return `
+      <div class="alerts-form">
+        <label class="alerts-field">
+          <span>Name (optional)</span>
+          <input type="text" data-field="name" maxlength="60" value="${escapeHtml(rule.name || '')}" placeholder="e.g. Halibut Bank swell">
+        </label>
+        <div class="alerts-field-row">
+          <label class="alerts-field">
+            <span>Source</span>
+            <select data-field="source">
+              ${Object.entries(SOURCES).map(([key, source]) => `<option value="${key}"${key === rule.source ? ' selected' : ''}>${source.label}</option>`).join('')}
+            </select>
+          </label>
+          <label class="alerts-field">
+            <span>Station</span>
+            <select data-field="stationId">${stationOptions}</select>
+          </label>
+        </div>
+        <div class="alerts-field">
+          <span>Conditions (all must match)</span>
+          ${rule.conditions.map((condition, index) => renderConditionRow(condition, index, rule.source)).join('')}
+          <button type="button" class="alerts-link-btn" data-action="add-condition">+ Add condition</button>
+        </div>
+        <label class="alerts-field">
+          <span>Minimum time between alerts</span>
+          <select data-field="cooldownMinutes">
+            ${COOLDOWN_OPTIONS.map(option => `<option value="${option.minutes}"${option.minutes === rule.cooldownMinutes ? ' selected' : ''}>${option.label}</option>`).join('')}
+          </select>
+        </label>
+        ${formError ? `<p class="alerts-form-error">${escapeHtml(formError)}</p>` : ''}
+        <div class="alerts-form-actions">
+          <button type="button" class="alerts-btn alerts-btn-primary" data-action="save">Save alert</button>
+          <button type="button" class="alerts-btn" data-action="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  function renderPanel() {
+    if (!panel) return;
+
+    panel.querySelector('.alerts-panel-body').innerHTML = `
+      ${renderNotificationStatus()}
+      ${editingRule ? renderForm() : `
+        ${renderRuleList()}
+        <button type="button" class="alerts-btn alerts-btn-primary" data-action="new">+ New alert</button>
+      `}
+    `;
+  }
+
+  function editRule(rule) {
+    editingRule = JSON.parse(JSON.stringify(rule));
+    formError = '';
+    renderPanel();
+    ensureStationList(editingRule.source).then(renderPanel);
+  }
+
+  function validateRule(rule) {
+    if (!rule.stationId) return 'Select a station.';
+    if (rule.conditions.length === 0) return 'Add at least one condition.';
+
+    const invalid = rule.conditions.some(condition => {
+      const metric = getMetric(rule.source, condition.metric);
+      if (!metric) return true;
+      if (metric.kind === 'direction') return !COMPASS_POINTS.includes(condition.value);
+      return condition.value == null || !isFinite(condition.value);
+    });
+    return invalid ? 'Enter a value for every condition.' : '';
+  }
+
+  function saveEditingRule() {
+    formError = validateRule(editingRule);
+    if (formError) {
+      renderPanel();
+      return;
+    }
+
+    const rules = loadRules();
+    const index = rules.findIndex(rule => rule.id === editingRule.id);
+    if (index >= 0) {
+      rules[index] = editingRule;
+    } else {
+      rules.push(editingRule);
+    }
+    saveRules(rules);
+
+    // Edited thresholds should be able to alert straight away
+    const lastFired = loadLastFired();
+    delete lastFired[editingRule.id];
+    saveLastFired(lastFired);
+    const matching = loadMatching();
+    matching.delete(editingRule.id);
+    saveMatching(matching);
+
+    editingRule = null;
+    renderPanel();
+    checkRules();
+  }
+
+  function handlePanelClick(e) {
+    if (e.target === panel) {
+      closePanel();
+      return;
+    }
+
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const ruleId = button.dataset.ruleId;
+    const index = Number(button.dataset.index);
+
+    switch (button.dataset.action) {
+      case 'close':
+        closePanel();
+        break;
+      case 'enable-notifications':
+        Notification.requestPermission().then(renderPanel);
+        break;
+      case 'new':
+        editRule(createRule());
+        break;
+      case 'edit': {
+        const rule = loadRules().find(r => r.id === ruleId);
+        if (rule) editRule(rule);
+        break;
+      }
+      case 'delete':
+        if (confirm('Delete this alert?')) {
+          saveRules(loadRules().filter(r => r.id !== ruleId));
+          renderPanel();
+        }
+        break;
+      case 'add-condition':
+        editingRule.conditions.push(createDefaultCondition(editingRule.source));
+        renderPanel();
+        break;
+      case 'remove-condition':
+        editingRule.conditions.splice(index, 1);
+        renderPanel();
+        break;
+      case 'save':
+        saveEditingRule();
+        break;
+      case 'cancel':
+        editingRule = null;
+        formError = '';
+        renderPanel();
+        break;
+    }
+  }
+
+  function handlePanelChange(e) {
+    const target = e.target;
+
+    if (target.dataset.ruleToggle) {
+      const rules = loadRules();
+      const rule = rules.find(r => r.id === target.dataset.ruleToggle);
+      if (rule) {
+        rule.enabled = target.checked;
+        saveRules(rules);
+        renderPanel();
+      }
+      return;
+    }
+
+    if (!editingRule) return;
+
+    const field = target.dataset.field;
+    if (field === 'name') {
+      editingRule.name = target.value.trim();
+    } else if (field === 'source') {
+      editingRule.source = target.value;
+      editingRule.stationId = '';
+      editingRule.stationName = '';
+      editingRule.conditions = [createDefaultCondition(target.value)];
+      renderPanel();
+      ensureStationList(target.value).then(renderPanel);
+    } else if (field === 'stationId') {
+      const station = (stationCache[editingRule.source] || []).find(s => s.id === target.value);
+      editingRule.stationId = target.value;
+      editingRule.stationName = station ? station.name : '';
+    } else if (field === 'cooldownMinutes') {
+      editingRule.cooldownMinutes = Number(target.value);
+    }
+
+    const conditionField = target.dataset.conditionField;
+    if (!conditionField) return;
+
+    const condition = editingRule.conditions[Number(target.dataset.index)];
+    const metric = getMetric(editingRule.source, condition.metric);
+
+    if (conditionField === 'metric') {
+      const newMetric = getMetric(editingRule.source, target.value);
+      condition.metric = target.value;
+      condition.op = newMetric.kind === 'direction' ? 'from' : 'gt';
+      condition.value = newMetric.kind === 'direction' ? 'W' : null;
+      renderPanel();
+    } else if (conditionField === 'op') {
+      condition.op = target.value;
+    } else if (conditionField === 'value') {
+      if (metric.kind === 'direction') {
+        condition.value = target.value;
+      } else if (target.value === '') {
+        condition.value = null;
+      } else {
+        // Thresholds are stored in base units so they survive unit changes
+        condition.value = metric.kind === 'period' ? Number(target.value) : Units.toBase(metric.kind, target.value);
+      }
+    }
+  }
+
+  function handleKeydown(e) {
+    if (e.key === 'Escape') closePanel();
+  }
+
+  function openPanel() {
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'alerts-panel-overlay';
+      panel.innerHTML = `
+        <div class="alerts-panel" role="dialog" aria-modal="true" aria-labelledby="alerts-panel-title">
+          <div class="alerts-panel-header">
+            <h2 id="alerts-panel-title">🔔 Condition Alerts</h2>
+            <button type="button" class="alerts-panel-close" data-action="close" aria-label="Close">×</button>
+          </div>
+          <div class="alerts-panel-body"></div>
+        </div>
+      `;
+      panel.addEventListener('click', handlePanelClick);
+      panel.addEventListener('change', handlePanelChange);
+      panel.addEventListener('input', (e) => {
+        if (e.target.dataset.field === 'name') handlePanelChange(e);
+      });
+      document.body.appendChild(panel);
+    }
+
+    editingRule = null;
+    formError = '';
+    panel.style.display = 'flex';
+    document.addEventListener('keydown', handleKeydown);
+    renderPanel();
+  }
+
+  function closePanel() {
+    if (!panel) return;
+    panel.style.display = 'none';
+    editingRule = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /* -----------------------------
+     Initialization
+     ----------------------------- */
+
+  // Nav is loaded by htmx, so listen on the document for the 🔔 button
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('.nav-alerts-btn')) openPanel();
+  });
+
+  // Thresholds in the rule list are shown in the preferred units
+  Units.onChange(() => {
+    if (panel && panel.style.display !== 'none') renderPanel();
+  });
+
+  // Rules edited in another tab
+  window.addEventListener('storage', (e) => {
+    if (e.key === RULES_KEY && panel && panel.style.display !== 'none' && !editingRule) renderPanel();
+  });
+
+  function init() {
+    checkRules();
+    setInterval(checkRules, CHECK_INTERVAL_MS);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // Public API
+  window.ConditionAlerts = {
+    METRICS: METRICS,
+
+    openPanel: openPanel,
+    closePanel: closePanel,
+    checkRules: checkRules,
+    getRules: loadRules,
+    describeRule: describeRule
+  };
+})();
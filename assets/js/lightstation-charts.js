@@ -285,13 +285,13 @@ function render24HourTable(stationName, station) {
     if (windData && windData.value !== null) {
       const direction = directionData ? directionData.value : '';
       const gusting = windData.gusting ? ' (gusting)' : '';
-      windText = `${direction} ${Math.round(windData.value)} kt${gusting}`;
+      windText = `${direction} ${Units.format('speed', windData.value)}${gusting}`;
     }
 
     // Build sea state text
     let seaText = '—';
     if (seaData && seaData.value !== null) {
-      seaText = `${seaData.value} ft`;
+      seaText = Units.format('height', seaData.value, { m: 1, ft: 0 }, { from: 'ft' });
     }
 
     // Build swell text
@@ -308,7 +308,7 @@ function render24HourTable(stationName, station) {
 
     // Combine sea state and condition if both exist
     if (seaData && seaData.value !== null && conditionData && conditionData.value) {
-      seaText = `${seaData.value} ft - ${conditionData.value}`;
+      seaText = `${Units.format('height', seaData.value, { m: 1, ft: 0 }, { from: 'ft' })} - ${conditionData.value}`;
       conditionsText = '—'; // Don't duplicate
     }
 
@@ -339,7 +339,7 @@ function renderWindSpeedChart(stationName, station) {
   }
 
   const timeseries = station.timeseries;
-  const windSpeedData = timeseries.wind_speed_kt || [];
+  const windSpeedData = Units.convertSeries('speed', timeseries.wind_speed_kt || [], { decimals: 1 });
 
   // Prepare data for ECharts
   const speedData = windSpeedData.map(p => [new Date(p.time).getTime(), p.value]);
@@ -380,7 +380,7 @@ function renderWindSpeedChart(stationName, station) {
         let tooltipText = `<strong>${time}</strong><br/>`;
         params.forEach(param => {
           if (param.value && param.value[1] != null) {
-            tooltipText += `${param.marker} ${param.seriesName}: ${Math.round(param.value[1])} kt<br/>`;
+            tooltipText += `${param.marker} ${param.seriesName}: ${Math.round(param.value[1])} ${Units.getLabel('speed')}<br/>`;
           }
         });
         return tooltipText;
@@ -427,7 +427,7 @@ function renderWindSpeedChart(stationName, station) {
     },
     yAxis: {
       type: 'value',
-      name: 'Wind Speed (kt)',
+      name: `Wind Speed (${Units.getLabel('speed')})`,
       nameLocation: 'middle',
       nameGap: 35,
       nameTextStyle: {
@@ -501,7 +501,8 @@ function renderWaveHeightChart(stationName, station) {
   }
 
   const timeseries = station.timeseries;
-  const waveData = timeseries.sea_height_ft || [];
+  // Lightstation sea heights are reported in feet
+  const waveData = Units.convertSeries('height', timeseries.sea_height_ft || [], { from: 'ft', decimals: 1 });
 
   if (waveData.length === 0) {
     // Show "no data" message
@@ -555,7 +556,7 @@ function renderWaveHeightChart(stationName, station) {
         let tooltipText = `<strong>${time}</strong><br/>`;
         params.forEach(param => {
           if (param.value && param.value[1] != null) {
-            tooltipText += `${param.marker} ${param.seriesName}: ${param.value[1]} ft<br/>`;
+            tooltipText += `${param.marker} ${param.seriesName}: ${param.value[1]} ${Units.getLabel('height')}<br/>`;
           }
         });
         return tooltipText;
@@ -602,7 +603,7 @@ function renderWaveHeightChart(stationName, station) {
     },
     yAxis: {
       type: 'value',
-      name: 'Wave Height (ft)',
+      name: `Wave Height (${Units.getLabel('height')})`,
       nameLocation: 'middle',
       nameGap: 35,
       nameTextStyle: {
@@ -673,3 +674,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (waveHeightChart) waveHeightChart.resize();
   });
 });
+
+// Re-render the selected station in the new units
+Units.onChange(() => {
+  const select = document.getElementById("lightstation-station-select");
+  if (select?.value) renderLightstationCharts(select.value);
+});
@@ -57,7 +57,7 @@ function createDirectionalMarker(direction, speed) {
         white-space: nowrap;
         box-shadow: 0 1px 2px rgba(0,0,0,0.3);
         margin-bottom: -3px;
-      ">${Math.round(speed)}kt</div>`
+      ">${Units.format('speed', speed, 0, { compact: true })}</div>`
     : '';
 
   return `
@@ -222,13 +222,13 @@ function addLightstationMapMarker(lightstation) {
     // Wave Height (prominent display)
     if (obs.sea_height_ft !== null) {
       popupContent += `<div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 6px 8px; border-radius: 4px; margin-bottom: 6px; text-align: center; font-weight: 600;">`;
-      popupContent += `🌊 Wave Height: ${obs.sea_height_ft} ft`;
+      popupContent += `🌊 Wave Height: ${Units.format('height', obs.sea_height_ft, { m: 1, ft: 0 }, { from: 'ft' })}`;
       popupContent += `</div>`;
     }
 
     // Wind
     if (!obs.wind_calm) {
-      const windText = `${obs.wind_direction || 'N/A'} ${obs.wind_speed_kt || 'N/A'} kt${obs.wind_gusting ? ' (gusting)' : ''}${obs.wind_estimated ? ' (est)' : ''}`;
+      const windText = `${obs.wind_direction || 'N/A'} ${obs.wind_speed_kt ? Units.format('speed', obs.wind_speed_kt) : 'N/A'}${obs.wind_gusting ? ' (gusting)' : ''}${obs.wind_estimated ? ' (est)' : ''}`;
       popupContent += `<div style="margin: 4px 0;"><strong>💨 Wind:</strong> ${windText}</div>`;
     } else {
       popupContent += `<div style="margin: 4px 0;"><strong>💨 Wind:</strong> CALM</div>`;
@@ -385,6 +385,13 @@ function viewLightstationData(lightstationId) {
 // Make function globally accessible
 window.viewLightstationData = viewLightstationData;
 
+// Rebuild markers and popups in the new units
+Units.onChange(() => {
+  if (!lightstationMarkersLayer) return;
+  lightstationMarkersLayer.clearLayers();
+  loadLightstationsAndMarkers();
+});
+
 // Initialize map when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -108,588 +108,814 @@ function createAngularSpreadVector(avgDirection, spread, size = 60) {
   `;
 }
 
-async function loadBuoyData() {
+// Auto-refresh interval for buoy cards (skipped while the tab is hidden)
+const BUOY_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Latest and previous reading per station - cards are only patched when
+// observation_time changes, and deltas compare against the previous reading
+const buoyReadings = {};
+let lastBuoyRefresh = 0;
+
+/**
+ * Load latest buoy data and render or patch the cards
+ * The first call builds the region groups; later calls only re-render cards
+ * whose observation changed, keeping expanded details/history open, insert
+ * cards for stations back in the feed and remove cards for stations missing
+ * from it. Region groups keep their collapsed state.
+ * @param {Object} [options] - { force: re-render every card (e.g. unit change) }
+ */
+async function loadBuoyData(options = {}) {
   const container = document.getElementById("buoy-container");
   const timestamp = document.getElementById("timestamp");
 
-  // Grouped by geographic region
-  const buoyGroups = [
-    {
-      region: "Strait of Georgia",
-      stations: [
-        "4600146", // Halibut Bank
-        "4600304", // English Bay
-        "4600303", // Southern Georgia Strait
-        "4600131", // Sentry Shoal
-      ]
-    },
-    {
-      region: "Boundary Bay",
-      stations: [
-        "CRPILE",  // Crescent Beach Ocean
-        "CRCHAN",  // Crescent Channel
-      ]
-    },
-    {
-      region: "Juan de Fuca Strait",
-      stations: [
-        "46087",   // Neah Bay
-        "46088",   // New Dungeness
-        "46267",   // Angeles Point
-      ]
-    },
-    {
-      region: "West Coast Vancouver Island",
-      stations: [
-        "4600206", // La Perouse Bank
-      ]
+  try {
+    const data = await fetchWithTimeout(`/data/latest_buoy_v2.json?t=${Date.now()}`);
+    lastBuoyRefresh = Date.now();
+    SwellArrival.setReadings(data);
+
+    // Regions, station order, agencies and source links come from buoy-registry.js
+    const stationIds = BuoyRegistry.getRegionGroups()
+      .flatMap(group => group.stations)
+      .filter(id => data[id]);
+
+    const isFirstRender = !container.querySelector(".region-group");
+
+    if (isFirstRender) {
+      stationIds.forEach(id => recordBuoyReading(id, data[id]));
+      renderBuoyRegions(container, data);
+    } else {
+      stationIds.forEach(id => {
+        if (document.getElementById(`buoy-${id}`)) {
+          patchBuoyCard(id, data[id], options.force);
+        } else {
+          // Station came back online - add just its card
+          recordBuoyReading(id, data[id]);
+          insertBuoyCard(id, data[id]);
+        }
+      });
+    }
+
+    // A station that dropped out of the feed would otherwise keep its last reading
+    container.querySelectorAll(".buoy-card").forEach(card => {
+      const id = card.id.replace(/^buoy-/, "");
+      if (data[id]) return;
+      card.remove();
+      delete buoyReadings[id];
+    });
+    updateRegionHeaders(container);
+
+    updateLastUpdatedHeader(container, data);
+
+    const now = new Date();
+    if (timestamp) {
+      timestamp.textContent = `Page refreshed at ${now.toLocaleString("en-US", {
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+        timeZone: "America/Vancouver",
+        timeZoneName: "short"
+      })}`;
     }
-  ];
-  // COLEB excluded - wind-only station, available in charts only
-
-  // Source links for each buoy
-  const sourceLinks = {
-    "4600146": "https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html?mapID=02&siteID=14305&stationID=46146",
-    "4600304": "https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html?mapID=03&siteID=06400&stationID=46304",
-    "4600303": "https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html?mapID=02&siteID=14305&stationID=46303",
-    "4600131": "https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html?mapID=03&siteID=06400&stationID=46131",
-    "4600206": "https://weather.gc.ca/marine/weatherConditions-currentConditions_e.html?mapID=03&siteID=06400&stationID=46206",
-    "46087": "https://www.ndbc.noaa.gov/station_page.php?station=46087",
-    "46088": "https://www.ndbc.noaa.gov/station_page.php?station=46088",
-    "46267": "https://www.ndbc.noaa.gov/station_page.php?station=46267",
-    "CRPILE": "https://developers.flowworks.com/",
-    "CRCHAN": "https://developers.flowworks.com/",
-    "COLEB": "https://developers.flowworks.com/"
+
+    // Handle hash navigation after cards are loaded (not on every refresh)
+    if (isFirstRender) {
+      handleHashNavigation();
+    }
+  } catch (err) {
+    logger.error("BuoyData", "Error loading buoy data", err);
+    // Keep existing cards on a failed refresh
+    if (!container.querySelector(".buoy-card")) {
+      container.innerHTML =
+        `<p class="error">⚠️ Error loading buoy data. Please try again later.</p>`;
+    }
+  }
+}
+
+/**
+ * Freshness bucket for a reading's age
+ * Up to 3 hours fresh, up to 12 hours stale, older than that the station is down.
+ * @param {number} ageMinutes - Minutes since the observation
+ * @returns {string} 'fresh', 'stale' or 'down'
+ */
+function getDataFreshness(ageMinutes) {
+  const ageHours = (ageMinutes || 0) / 60;
+  if (ageHours > 12) return "down";
+  if (ageHours > 3) return "stale";
+  return "fresh";
+}
+
+/**
+ * Freshness and age text as shown on a card - only stale and down cards show their age
+ * @param {Object} b - Latest buoy data
+ * @returns {string} Changes whenever the card's age display would
+ */
+function getDisplayedAge(b) {
+  const freshness = getDataFreshness(b.age_minutes);
+  return freshness === "fresh" ? freshness : `${freshness} ${formatDataAge(b.age_minutes || 0)}`;
+}
+
+/**
+ * Store a station's reading, keeping the previous one when the observation changed
+ * @param {string} id - Station ID
+ * @param {Object} b - Latest buoy data
+ * @returns {boolean} True if observation_time changed since the last reading
+ */
+function recordBuoyReading(id, b) {
+  const entry = buoyReadings[id];
+
+  if (!entry) {
+    buoyReadings[id] = { current: b, previous: null };
+    return false;
+  }
+
+  if (entry.current.observation_time === b.observation_time) {
+    entry.current = b; // age_minutes still moves on
+    return false;
+  }
+
+  buoyReadings[id] = { current: b, previous: entry.current };
+  return true;
+}
+
+/**
+ * Re-render a single card in place if its observation or shown age changed
+ * A station that stopped reporting keeps the same observation, but its card
+ * still has to turn stale and then down as the data ages.
+ * @param {string} id - Station ID
+ * @param {Object} b - Latest buoy data
+ * @param {boolean} force - Re-render even if unchanged (keeps deltas, no highlight)
+ */
+function patchBuoyCard(id, b, force) {
+  const shownAge = buoyReadings[id] ? getDisplayedAge(buoyReadings[id].current) : null;
+  const changed = recordBuoyReading(id, b);
+  const ageChanged = shownAge !== null && shownAge !== getDisplayedAge(b);
+  if (!changed && !ageChanged && !force) return;
+
+  const card = document.getElementById(`buoy-${id}`);
+  if (!card) return;
+
+  const state = captureCardState(id);
+  card.innerHTML = buildBuoyCardContent(id, b, buoyReadings[id].previous);
+  restoreCardState(id, state);
+
+  if (changed) {
+    highlightChangedValues(card);
+  }
+}
+
+/**
+ * Briefly highlight card metrics that carry a delta badge
+ * @param {HTMLElement} card - Buoy card element
+ */
+function highlightChangedValues(card) {
+  card.querySelectorAll(".value-delta").forEach(delta => {
+    const metric = delta.closest(".buoy-metric");
+    if (!metric) return;
+    metric.classList.add("value-changed");
+    setTimeout(() => metric.classList.remove("value-changed"), 4000);
+  });
+}
+
+/**
+ * Up/down delta badge versus the previous reading, in the preferred unit
+ * @param {string|null} kind - units.js kind, or null for unitless values (period, pressure)
+ * @param {number} current - Current value (source unit)
+ * @param {number} previous - Previous value (source unit)
+ * @param {number} [decimals=0] - Decimal places
+ * @param {string} [suffix=''] - Unit suffix for unitless kinds (e.g. 's')
+ * @returns {string} Badge HTML, or empty string if unchanged/missing
+ */
+function formatDelta(kind, current, previous, decimals = 0, suffix = '') {
+  if (current == null || previous == null) return "";
+
+  const toDisplay = value => kind ? Units.convert(kind, value) : Number(value);
+  const delta = Number((toDisplay(current) - toDisplay(previous)).toFixed(decimals));
+  if (!delta) return "";
+
+  const direction = delta > 0 ? "up" : "down";
+  const arrow = delta > 0 ? "▲" : "▼";
+  return ` <span class="value-delta ${direction}" title="Change since previous reading">${arrow}${Math.abs(delta).toFixed(decimals)}${suffix}</span>`;
+}
+
+/**
+ * Capture which sections of a card are expanded
+ * @param {string} id - Station ID
+ * @returns {Object} { detailsOpen, historyOpen, historyHtml, spreadInfoOpen }
+ */
+function captureCardState(id) {
+  const details = document.getElementById(`card-details-${id}`);
+  const history = document.getElementById(`card-history-${id}`);
+  const spreadInfo = document.getElementById(`spread-info-${id}`);
+
+  return {
+    detailsOpen: details?.style.display === "block",
+    historyOpen: history?.style.display === "block",
+    historyHtml: history?.innerHTML || "",
+    spreadInfoOpen: spreadInfo?.style.display === "block"
   };
+}
+
+/**
+ * Re-open card sections after a re-render
+ * An open history table is kept visible and reloaded in the background.
+ * @param {string} id - Station ID
+ * @param {Object} state - From captureCardState()
+ */
+function restoreCardState(id, state) {
+  if (!state) return;
+
+  if (state.detailsOpen) {
+    const details = document.getElementById(`card-details-${id}`);
+    const button = document.querySelector(`#buoy-${id} .toggle-details-btn`);
+    if (details) details.style.display = "block";
+    if (button) button.textContent = "▲ Hide Details";
+  }
+
+  if (state.spreadInfoOpen) {
+    const spreadInfo = document.getElementById(`spread-info-${id}`);
+    if (spreadInfo) spreadInfo.style.display = "block";
+  }
+
+  if (state.historyOpen) {
+    const history = document.getElementById(`card-history-${id}`);
+    const button = document.querySelector(`#buoy-${id} .toggle-history-btn`);
+    if (history) {
+      history.innerHTML = state.historyHtml;
+      history.style.display = "block";
+      loadCardHistory(id, history);
+    }
+    if (button) button.textContent = "▲ Hide History";
+  }
+}
+
+/**
+ * Add or update the "Last Updated" header (24-hour, shorter format: "11/11 19:58")
+ * @param {HTMLElement} container - Buoy container
+ * @param {Object} data - Latest buoy data
+ */
+function updateLastUpdatedHeader(container, data) {
+  // Find most recent observation time
+  let mostRecentTime = null;
+  Object.values(data).forEach(buoy => {
+    if (buoy.observation_time) {
+      const time = new Date(buoy.observation_time);
+      if (!mostRecentTime || time > mostRecentTime) {
+        mostRecentTime = time;
+      }
+    }
+  });
+
+  if (!mostRecentTime) return;
+
+  let updateHeader = container.querySelector(".last-updated-header");
+  if (!updateHeader) {
+    updateHeader = document.createElement("div");
+    updateHeader.className = "last-updated-header";
+    container.prepend(updateHeader);
+  }
+
+  updateHeader.textContent = `Last Updated: ${mostRecentTime.toLocaleString("en-US", {
+    month: "numeric",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+    timeZone: "America/Vancouver"
+  }).replace(',', '')}`;
+}
+
+/**
+ * Create a buoy card element
+ * @param {string} id - Station ID
+ * @param {Object} b - Latest buoy data
+ * @returns {HTMLElement} Card
+ */
+function createBuoyCard(id, b) {
+  const card = document.createElement("div");
+  card.className = "buoy-card";
+  card.id = `buoy-${id}`; // Add ID for anchor linking from map
+
+  // Agency accent (NOAA, Surrey FlowWorks)
+  const agency = BuoyRegistry.getAgency(id);
+  if (agency?.cardBorder) {
+    card.style.borderLeft = `4px solid ${agency.cardBorder}`;
+  }
 
+  card.innerHTML = buildBuoyCardContent(id, b, buoyReadings[id]?.previous);
+  return card;
+}
+
+/**
+ * Add one card to its region grid, in registry order
+ * @param {string} id - Station ID
+ * @param {Object} b - Latest buoy data
+ */
+function insertBuoyCard(id, b) {
+  const group = BuoyRegistry.getRegionGroups().find(g => g.stations.includes(id));
+  const regionGroup = group && document.getElementById(`region-${group.name.replace(/\s+/g, '-')}`);
+  const cardsGrid = regionGroup?.querySelector(".buoy-cards-grid");
+  if (!cardsGrid) return;
+
+  const nextCard = group.stations
+    .slice(group.stations.indexOf(id) + 1)
+    .map(nextId => document.getElementById(`buoy-${nextId}`))
+    .find(card => card);
+  cardsGrid.insertBefore(createBuoyCard(id, b), nextCard || null);
+}
+
+/**
+ * Whether a region starts collapsed: the user's last choice, else the registry default
+ * @param {Object} group - Region group from BuoyRegistry.getRegionGroups()
+ * @returns {boolean}
+ */
+function isRegionCollapsed(group) {
   try {
-    const data = await fetchWithTimeout(`/data/latest_buoy_v2.json?t=${Date.now()}`);
+    const stored = localStorage.getItem(`region-${group.name}-collapsed`);
+    if (stored !== null) return stored === 'true';
+  } catch (e) {
+    // localStorage might not be available
+  }
+  return Boolean(group.collapsedByDefault);
+}
 
-    container.innerHTML = "";
+/**
+ * Count the cards shown in each region and hide regions with none
+ * @param {HTMLElement} container - Buoy container
+ */
+function updateRegionHeaders(container) {
+  container.querySelectorAll(".region-group").forEach(regionGroup => {
+    const count = regionGroup.querySelectorAll(".buoy-card").length;
+    const label = regionGroup.querySelector(".region-station-count");
+    if (label) label.textContent = `(${count} station${count !== 1 ? 's' : ''})`;
+    regionGroup.style.display = count > 0 ? "" : "none";
+  });
+}
 
-    // Find most recent observation time
-    let mostRecentTime = null;
-    Object.values(data).forEach(buoy => {
-      if (buoy.observation_time) {
-        const time = new Date(buoy.observation_time);
-        if (!mostRecentTime || time > mostRecentTime) {
-          mostRecentTime = time;
-        }
+/**
+ * Build region groups and all cards from scratch
+ * @param {HTMLElement} container - Buoy container
+ * @param {Object} data - Latest buoy data
+ */
+function renderBuoyRegions(container, data) {
+  container.innerHTML = "";
+
+  // Render buoys grouped by region
+  BuoyRegistry.getRegionGroups().forEach(group => {
+    // Create region group container
+    const regionGroup = document.createElement("div");
+    regionGroup.className = "region-group";
+
+    // Add region header (clickable to collapse/expand)
+    const regionHeader = document.createElement("div");
+    regionHeader.className = "region-header";
+    regionHeader.style.cursor = "pointer";
+    regionHeader.style.userSelect = "none";
+    regionHeader.innerHTML = `<span class="region-toggle-btn">▼</span> ${group.name} <span class="region-station-count" style="font-size: 0.8em; font-weight: normal; opacity: 0.8;"></span>`;
+    regionHeader.onclick = () => toggleRegion(group.name);
+    regionGroup.appendChild(regionHeader);
+    regionGroup.id = `region-${group.name.replace(/\s+/g, '-')}`;
+
+    // Create grid container for this region's cards
+    const cardsGrid = document.createElement("div");
+    cardsGrid.className = "buoy-cards-grid";
+
+    // Render stations in this region
+    group.stations.forEach(id => {
+      if (data[id]) cardsGrid.appendChild(createBuoyCard(id, data[id]));
+    }); // end stations forEach
+
+    // Add grid to region group, then add region group to container
+    regionGroup.appendChild(cardsGrid);
+    container.appendChild(regionGroup);
+
+    // Collapse Boundary Bay and Juan de Fuca by default (keep Strait of Georgia
+    // expanded) unless the user has toggled the region before
+    if (isRegionCollapsed(group)) {
+      const toggleBtn = regionHeader.querySelector('.region-toggle-btn');
+      if (toggleBtn && cardsGrid) {
+        cardsGrid.style.display = 'none';
+        toggleBtn.textContent = '▶';
       }
-    });
+    }
+  }); // end buoyGroups forEach
+}
 
-    // Add "Last Updated" header (24-hour, shorter format: "11/11 19:58")
-    if (mostRecentTime) {
-      const updateHeader = document.createElement("div");
-      updateHeader.className = "last-updated-header";
-      updateHeader.textContent = `Last Updated: ${mostRecentTime.toLocaleString("en-US", {
+/**
+ * Build the inner HTML of a buoy card
+ * @param {string} id - Station ID
+ * @param {Object} b - Latest buoy data
+ * @param {Object|null} previous - Previous reading, for delta badges
+ * @returns {string} Card HTML
+ */
+function buildBuoyCardContent(id, b, previous) {
+  const agency = BuoyRegistry.getAgency(id);
+
+  // Format timestamp in Pacific Time (24-hour, shorter format: "11/11 19:58")
+  const updated = b.observation_time
+    ? new Date(b.observation_time).toLocaleString("en-US", {
         month: "numeric",
         day: "numeric",
         hour: "2-digit",
         minute: "2-digit",
         hour12: false,
-        timeZone: "America/Vancouver"
-      }).replace(',', '')}`;
-      container.appendChild(updateHeader);
+        timeZone: "America/Vancouver",
+      }).replace(',', '')
+    : "—";
+
+  // Data freshness handling:
+  // - Up to 3 hours: No warning
+  // - 3-12 hours: Show age warning, display data
+  // - >12 hours: Show "STATION DOWN", hide data
+  const ageMinutes = b.age_minutes || 0;
+  const freshness = getDataFreshness(ageMinutes);
+  const isDown = freshness === "down";
+  const isStale = freshness === "stale";
+
+  let ageWarning = "";
+  if (isDown) {
+    ageWarning = ` <span style="color: #e53935; font-weight: bold; background: #ffebee; padding: 0.2rem 0.5rem; border-radius: 3px;">🔴 STATION DOWN (${formatDataAge(ageMinutes)})</span>`;
+  } else if (isStale) {
+    ageWarning = ` <span style="color: #c62828; font-weight: bold;">⚠️ STALE (${formatDataAge(ageMinutes)})</span>`;
+  }
+
+  // Round wind speeds to integers (in the preferred speed unit)
+  const windSpeed = Units.formatValue('speed', b.wind_speed);
+  const windGust = Units.formatValue('speed', b.wind_gust);
+
+  // Build the card content based on buoy type
+  let cardContent = `<h2>${b.name || id}`;
+
+  // Add source badge
+  if (agency) {
+    cardContent += ` <span style="font-size: 0.7em; color: ${agency.color}; font-weight: normal;">${agency.badge}</span>`;
+  }
+
+  cardContent += `</h2>`;
+  cardContent += `<p style="font-size: 0.9em; color: #666; margin-top: -0.5rem;">Last Update: ${updated}${ageWarning}</p>`;
+
+  // === CONDENSED VIEW (Always visible) ===
+  cardContent += `<div class="card-compact-view">`;
+
+  // Decimal precision for wave height (Boundary Bay stations use 2 decimals)
+  // Declared here so it's available in both compact view and details section
+  const heightPrecision = BuoyRegistry.getHeightPrecision(id);
+
+  // If station is down (>12 hours), show station down message instead of data
+  if (isDown) {
+    cardContent += `
+      <p class="buoy-metric" style="margin: 1rem 0; padding: 1rem; background: #ffebee; border-left: 4px solid #e53935; border-radius: 4px; color: #c62828; font-weight: 600;">
+        🔴 Station Down - No recent data available
+      </p>
+      <p style="font-size: 0.85em; color: #666; text-align: center; margin-top: 0.5rem;">
+        Last data received ${formatDataAge(ageMinutes)}
+      </p>
+    `;
+  } else {
+    // Compact Wind Line - Format: "WNW 15 G 20 kt (350°)"
+    let windDisplay = "No data";
+    if (windSpeed !== "—") {
+      const windCardinal = b.wind_direction_cardinal ?? "—";
+      const windDir = b.wind_direction_deg || b.wind_direction;
+      const windDegrees = windDir != null ? ` (${Math.round(windDir)}°)` : "";
+      const gustPart = windGust !== "—" ? ` G ${windGust}` : "";
+      windDisplay = `${windCardinal} ${windSpeed}${gustPart} ${Units.getLabel('speed')}${windDegrees} ${getDirectionalArrow(windDir, 'wind')}${formatDelta('speed', b.wind_speed, previous?.wind_speed)}`;
+    }
+    cardContent += `<p class="buoy-metric" style="margin: 0.5rem 0;"><b>💨 Wind:</b> ${windDisplay}</p>`;
+
+    // Compact Wave Line - Format: "W 0.4m @ 3.3s (270°)"
+    // Uses the station's primary wave metric (e.g. swell for Neah Bay, which measures open ocean swell)
+    const metric = BuoyRegistry.getWaveMetric(id);
+    const waveLabel = `🌊 ${metric.label}:`;
+    let waveDisplay = "No data";
+
+    const heightValue = b[metric.heightKey];
+    const periodValue = b[metric.periodKey] ?? (metric.periodFallbackKey ? b[metric.periodFallbackKey] : null);
+    const directionValue = b[metric.directionKey] ?? (metric.directionFallbackKey ? b[metric.directionFallbackKey] : null);
+    const waveDir = b[`${metric.directionKey}_cardinal`] ?? (metric.directionFallbackKey ? b[`${metric.directionFallbackKey}_cardinal`] : null) ?? null;
+
+    if (heightValue != null) {
+      const dirDisplay = waveDir ? `${waveDir} ` : "";
+      const waveDegrees = directionValue != null ? ` (${Math.round(directionValue)}°)` : "";
+      const arrowDisplay = directionValue != null ? ` ${getDirectionalArrow(directionValue, 'wave')}` : "";
+      const periodDisplay = periodValue != null ? ` @ ${periodValue.toFixed(1)}s` : "";
+      const previousPeriod = previous ? previous[metric.periodKey] ?? (metric.periodFallbackKey ? previous[metric.periodFallbackKey] : null) : null;
+      const deltaDisplay = formatDelta('height', heightValue, previous?.[metric.heightKey], heightPrecision) + formatDelta(null, periodValue, previousPeriod, 1, 's');
+      waveDisplay = `${dirDisplay}${Units.format('height', heightValue, heightPrecision, { compact: true })}${periodDisplay}${waveDegrees}${arrowDisplay}${deltaDisplay}`;
     }
+    cardContent += `<p class="buoy-metric" style="margin: 0.5rem 0;"><b>${waveLabel}</b> ${waveDisplay}</p>`;
 
-    // Render buoys grouped by region
-    buoyGroups.forEach(group => {
-      // Create region group container
-      const regionGroup = document.createElement("div");
-      regionGroup.className = "region-group";
-
-      // Add region header (clickable to collapse/expand)
-      const regionHeader = document.createElement("div");
-      regionHeader.className = "region-header";
-      regionHeader.style.cursor = "pointer";
-      regionHeader.style.userSelect = "none";
-      regionHeader.innerHTML = `<span class="region-toggle-btn">▼</span> ${group.region} <span style="font-size: 0.8em; font-weight: normal; opacity: 0.8;">(${group.stations.length} stations)</span>`;
-      regionHeader.onclick = () => toggleRegion(group.region);
-      regionGroup.appendChild(regionHeader);
-      regionGroup.id = `region-${group.region.replace(/\s+/g, '-')}`;
-
-      // Create grid container for this region's cards
-      const cardsGrid = document.createElement("div");
-      cardsGrid.className = "buoy-cards-grid";
-
-      // Render stations in this region
-      group.stations.forEach(id => {
-        const b = data[id];
-        if (!b) return;
-
-        const card = document.createElement("div");
-        card.className = "buoy-card";
-        card.id = `buoy-${id}`; // Add ID for anchor linking from map
-
-        // Special styling for NOAA buoys
-        if (id === "46087" || id === "46088" || id === "46267") {
-          card.style.borderLeft = "4px solid #003087";
-        }
+    // Derived wave power / steepness (wave-physics.js) - energy density in the hover title
+    const physics = WavePhysics.fromReading(id, b);
+    if (physics) {
+      cardContent += `<p class="buoy-metric" style="margin: 0.5rem 0;" title="Energy density ${WavePhysics.formatEnergy(physics.energy)} · estimated from ${metric.label.toLowerCase()} height and period"><b>⚡ Power:</b> ${WavePhysics.formatPower(physics.power)} · steepness ${WavePhysics.formatSteepness(physics.steepness)}</p>`;
+    }
 
-        // Special styling for Surrey FlowWorks stations
-        if (id === "CRPILE" || id === "CRCHAN" || id === "COLEB") {
-          card.style.borderLeft = "4px solid #006837";
-        }
+    // Trend arrows + sparklines, filled once charts-v4.js has loaded the 48h timeseries
+    cardContent += `<div class="card-trends" data-buoy-id="${id}">${BuoyTrends.buildTrendsHtml(id)}</div>`;
 
-      // Format timestamp in Pacific Time (24-hour, shorter format: "11/11 19:58")
-      const updated = b.observation_time
-        ? new Date(b.observation_time).toLocaleString("en-US", {
-            month: "numeric",
-            day: "numeric",
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: false,
-            timeZone: "America/Vancouver",
-          }).replace(',', '')
-        : "—";
-
-      // Data freshness handling:
-      // - Up to 3 hours: No warning
-      // - 3-12 hours: Show age warning, display data
-      // - >12 hours: Show "STATION DOWN", hide data
-      const ageMinutes = b.age_minutes || 0;
-      const ageHours = ageMinutes / 60;
-      const isDown = ageHours > 12;
-      const isStale = ageHours > 3 && !isDown;
-
-      let ageWarning = "";
-      if (isDown) {
-        ageWarning = ` <span style="color: #e53935; font-weight: bold; background: #ffebee; padding: 0.2rem 0.5rem; border-radius: 3px;">🔴 STATION DOWN (${formatDataAge(ageMinutes)})</span>`;
-      } else if (isStale) {
-        ageWarning = ` <span style="color: #c62828; font-weight: bold;">⚠️ STALE (${formatDataAge(ageMinutes)})</span>`;
-      }
+    // Swell arrival estimate for downstream buoys (Neah Bay card only)
+    if (id === SwellArrival.SOURCE_ID) {
+      cardContent += `<div class="card-swell-arrival" data-buoy-id="${id}">${SwellArrival.buildCardHtml(id)}</div>`;
+    }
+  } // End of if (isDown) else block
+
+  cardContent += `</div>`; // End compact view
+
+  // === EXPANDABLE BUTTONS ===
+  cardContent += `
+    <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
+      <button class="toggle-details-btn" onclick="toggleCardDetails('${id}')" style="
+        flex: 1;
+        padding: 0.5rem;
+        background: #f0f4f8;
+        border: 1px solid #d0d7de;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85em;
+        color: #004b7c;
+        font-weight: 600;
+        transition: background 0.2s;
+      " onmouseover="this.style.background='#e1e8ed'" onmouseout="this.style.background='#f0f4f8'">
+        ▼ Show Details
+      </button>
+      <button class="toggle-history-btn" onclick="toggleCardHistory('${id}')" style="
+        flex: 1;
+        padding: 0.5rem;
+        background: #f0f4f8;
+        border: 1px solid #d0d7de;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85em;
+        color: #004b7c;
+        font-weight: 600;
+        transition: background 0.2s;
+      " onmouseover="this.style.background='#e1e8ed'" onmouseout="this.style.background='#f0f4f8'">
+        📈 Show History (12h)
+      </button>
+    </div>
+  `;
 
-      // Round wind speeds to integers
-      const windSpeed = b.wind_speed != null ? Math.round(b.wind_speed) : "—";
-      const windGust = b.wind_gust != null ? Math.round(b.wind_gust) : "—";
+  // === EXPANDABLE DETAILS SECTION (Hidden by default) ===
+  cardContent += `<div id="card-details-${id}" style="display: none; margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #e0e0e0;">`;
+
+  // Show warning banner if station is down
+  if (isDown) {
+    cardContent += `
+      <div style="margin-bottom: 1rem; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ff9800; border-radius: 4px;">
+        <p style="margin: 0; color: #856404; font-weight: 600;">⚠️ Station Down - Showing Last Known Data</p>
+        <p style="margin: 0.25rem 0 0 0; font-size: 0.85em; color: #856404;">
+          This data is from ${formatDataAge(ageMinutes)} and does not reflect current conditions.
+        </p>
+      </div>
+    `;
+  } else if (isStale) {
+    cardContent += `
+      <div style="margin-bottom: 1rem; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffa726; border-radius: 4px;">
+        <p style="margin: 0; color: #856404; font-weight: 600;">⚠️ Stale Data Warning</p>
+        <p style="margin: 0.25rem 0 0 0; font-size: 0.85em; color: #856404;">
+          This data is ${formatDataAge(ageMinutes)} old. Newer data may not be available.
+        </p>
+      </div>
+    `;
+  }
 
-      // Build the card content based on buoy type
-      let cardContent = `<h2>${b.name || id}`;
+  // NOAA buoys report spectral wind-wave/swell breakdown
+  if (BuoyRegistry.isAgency(id, 'noaa')) {
+    // NOAA Spectral Wave Breakdown
+    cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">Detailed Wave Metrics</p>`;
 
-      // Add source badge
-      if (id === "46087" || id === "46088" || id === "46267") {
-        cardContent += ` <span style="font-size: 0.7em; color: #003087; font-weight: normal;">🇺🇸 NOAA</span>`;
-      } else if (id === "CRPILE" || id === "CRCHAN" || id === "COLEB") {
-        cardContent += ` <span style="font-size: 0.7em; color: #006837; font-weight: normal;">🏛️ Surrey (FlowWorks)</span>`;
-      } else {
-        cardContent += ` <span style="font-size: 0.7em; color: #006400; font-weight: normal;">🇨🇦 Env Canada</span>`;
-      }
-      
-      cardContent += `</h2>`;
-      cardContent += `<p style="font-size: 0.9em; color: #666; margin-top: -0.5rem;">Last Update: ${updated}${ageWarning}</p>`;
+    // Significant/Combined Wave Metrics
+    cardContent += `
+      <p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📊 Significant Wave (Combined)</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Sig Height:</b> ${Units.format('height', b.wave_height_sig, heightPrecision)}</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Avg Period:</b> ${b.wave_period_avg ?? "—"} s</p>
+    `;
 
-      // === CONDENSED VIEW (Always visible) ===
-      cardContent += `<div class="card-compact-view">`;
+    // Spectral wave breakdown
+    cardContent += `
+      <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">💨 Wind Waves (Local Chop)</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Height:</b> ${Units.format('height', b.wind_wave_height, heightPrecision)}</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Period:</b> ${b.wind_wave_period ?? "—"} s</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Direction:</b> ${b.wind_wave_direction_cardinal ?? "—"} (${b.wind_wave_direction ?? "—"}°) ${getDirectionalArrow(b.wind_wave_direction, 'wave')}</p>
+
+      <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">🌊 Ocean Swell (Long Period)</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Height:</b> ${Units.format('height', b.swell_height, heightPrecision)}</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Period:</b> ${b.swell_period ?? "—"} s</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Direction:</b> ${b.swell_direction_cardinal ?? "—"} (${b.swell_direction ?? "—"}°) ${getDirectionalArrow(b.swell_direction, 'wave')}</p>
+
+      <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📈 Peak Metrics</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Period:</b> ${b.wave_period_peak ?? "—"} s</p>
+      <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Direction:</b> ${b.wave_direction_peak_cardinal ?? "—"} (${b.wave_direction_peak ?? "—"}°) ${getDirectionalArrow(b.wave_direction_peak, 'wave')}</p>
+    `;
+  } else {
+    // EC Buoys and other stations - show only additional peak values not already displayed
+    const hasPeakData = b.wave_period_peak != null || b.wave_height_peak != null || b.wave_height_max != null;
 
-      // Determine decimal precision for wave height (Boundary Bay stations use 2 decimals)
-      // Declared here so it's available in both compact view and details section
-      const isBoundaryBay = (id === "CRPILE" || id === "CRCHAN");
-      const heightPrecision = isBoundaryBay ? 2 : 1;
+    if (hasPeakData) {
+      cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📊 Additional Metrics</p>`;
 
-      // If station is down (>12 hours), show station down message instead of data
-      if (isDown) {
-        cardContent += `
-          <p class="buoy-metric" style="margin: 1rem 0; padding: 1rem; background: #ffebee; border-left: 4px solid #e53935; border-radius: 4px; color: #c62828; font-weight: 600;">
-            🔴 Station Down - No recent data available
-          </p>
-          <p style="font-size: 0.85em; color: #666; text-align: center; margin-top: 0.5rem;">
-            Last data received ${formatDataAge(ageMinutes)}
-          </p>
-        `;
-      } else {
-        // Compact Wind Line - Format: "WNW 15 G 20 kn (350°)"
-        let windDisplay = "No data";
-        if (windSpeed !== "—") {
-          const windCardinal = b.wind_direction_cardinal ?? "—";
-          const windDir = b.wind_direction_deg || b.wind_direction;
-          const windDegrees = windDir != null ? ` (${Math.round(windDir)}°)` : "";
-          const gustPart = windGust !== "—" ? ` G ${windGust}` : "";
-          windDisplay = `${windCardinal} ${windSpeed}${gustPart} kn${windDegrees} ${getDirectionalArrow(windDir, 'wind')}`;
-        }
-        cardContent += `<p class="buoy-metric" style="margin: 0.5rem 0;"><b>💨 Wind:</b> ${windDisplay}</p>`;
-
-        // Compact Wave Line - Format: "W 0.4m @ 3.3s (270°)"
-        // For Neah Bay (46087), prioritize swell data as it measures continuous open swells
-        let waveDisplay = "No data";
-        let waveLabel = "🌊 Wave:";
-
-        if (id === "46087") {
-          // Neah Bay - show swell info
-          waveLabel = "🌊 Swell:";
-          const swellHeight = b.swell_height != null ? b.swell_height.toFixed(heightPrecision) : "—";
-          const swellPeriod = b.swell_period != null ? b.swell_period.toFixed(1) : null;
-          const swellDir = b.swell_direction_cardinal ?? null;
-          const swellDegrees = b.swell_direction != null ? ` (${Math.round(b.swell_direction)}°)` : "";
-          if (swellHeight !== "—") {
-            const dirDisplay = swellDir ? `${swellDir} ` : "";
-            const arrowDisplay = b.swell_direction != null ? ` ${getDirectionalArrow(b.swell_direction, 'wave')}` : "";
-            const periodDisplay = swellPeriod != null ? ` @ ${swellPeriod}s` : "";
-            waveDisplay = `${dirDisplay}${swellHeight}m${periodDisplay}${swellDegrees}${arrowDisplay}`;
-          }
-        } else if (id === "46088") {
-          // New Dungeness - show significant wave height and average period
-          const waveHeight = b.wave_height_sig != null ? b.wave_height_sig.toFixed(heightPrecision) : "—";
-          const wavePeriod = b.wave_period_avg != null ? b.wave_period_avg.toFixed(1) : null;
-          const waveDir = b.wave_direction_peak_cardinal ?? null;
-          const waveDegrees = b.wave_direction_peak != null ? ` (${Math.round(b.wave_direction_peak)}°)` : "";
-          if (waveHeight !== "—") {
-            const dirDisplay = waveDir ? `${waveDir} ` : "";
-            const arrowDisplay = b.wave_direction_peak != null ? ` ${getDirectionalArrow(b.wave_direction_peak, 'wave')}` : "";
-            const periodDisplay = wavePeriod != null ? ` @ ${wavePeriod}s` : "";
-            waveDisplay = `${dirDisplay}${waveHeight}m${periodDisplay}${waveDegrees}${arrowDisplay}`;
-          }
-        } else {
-          // Other buoys - show combined wave data
-          const waveHeight = b.wave_height_sig != null ? b.wave_height_sig.toFixed(heightPrecision) : "—";
-          const wavePeriod = b.wave_period_avg != null ? b.wave_period_avg.toFixed(1) : b.wave_period_peak != null ? b.wave_period_peak.toFixed(1) : null;
-          const waveDir = b.wave_direction_peak_cardinal ?? b.swell_direction_cardinal ?? null;
-          const waveDirectionValue = b.wave_direction_peak ?? b.swell_direction;
-          const waveDegrees = waveDirectionValue != null ? ` (${Math.round(waveDirectionValue)}°)` : "";
-
-          if (waveHeight !== "—") {
-            const dirDisplay = waveDir ? `${waveDir} ` : "";
-            const arrowDisplay = waveDirectionValue != null ? ` ${getDirectionalArrow(waveDirectionValue, 'wave')}` : "";
-            const periodDisplay = wavePeriod != null ? ` @ ${wavePeriod}s` : "";
-            waveDisplay = `${dirDisplay}${waveHeight}m${periodDisplay}${waveDegrees}${arrowDisplay}`;
-          }
-        }
-        cardContent += `<p class="buoy-metric" style="margin: 0.5rem 0;"><b>${waveLabel}</b> ${waveDisplay}</p>`;
-      } // End of if (isDown) else block
-
-      cardContent += `</div>`; // End compact view
-
-      // === EXPANDABLE BUTTONS ===
-      cardContent += `
-        <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
-          <button class="toggle-details-btn" onclick="toggleCardDetails('${id}')" style="
-            flex: 1;
-            padding: 0.5rem;
-            background: #f0f4f8;
-            border: 1px solid #d0d7de;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 0.85em;
-            color: #004b7c;
-            font-weight: 600;
-            transition: background 0.2s;
-          " onmouseover="this.style.background='#e1e8ed'" onmouseout="this.style.background='#f0f4f8'">
-            ▼ Show Details
-          </button>
-          <button class="toggle-history-btn" onclick="toggleCardHistory('${id}')" style="
-            flex: 1;
-            padding: 0.5rem;
-            background: #f0f4f8;
-            border: 1px solid #d0d7de;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 0.85em;
-            color: #004b7c;
-            font-weight: 600;
-            transition: background 0.2s;
-          " onmouseover="this.style.background='#e1e8ed'" onmouseout="this.style.background='#f0f4f8'">
-            📈 Show History (12h)
-          </button>
-        </div>
-      `;
-
-      // === EXPANDABLE DETAILS SECTION (Hidden by default) ===
-      cardContent += `<div id="card-details-${id}" style="display: none; margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #e0e0e0;">`;
-
-      // Show warning banner if station is down
-      if (isDown) {
-        cardContent += `
-          <div style="margin-bottom: 1rem; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ff9800; border-radius: 4px;">
-            <p style="margin: 0; color: #856404; font-weight: 600;">⚠️ Station Down - Showing Last Known Data</p>
-            <p style="margin: 0.25rem 0 0 0; font-size: 0.85em; color: #856404;">
-              This data is from ${formatDataAge(ageMinutes)} and does not reflect current conditions.
-            </p>
-          </div>
-        `;
-      } else if (isStale) {
-        cardContent += `
-          <div style="margin-bottom: 1rem; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffa726; border-radius: 4px;">
-            <p style="margin: 0; color: #856404; font-weight: 600;">⚠️ Stale Data Warning</p>
-            <p style="margin: 0.25rem 0 0 0; font-size: 0.85em; color: #856404;">
-              This data is ${formatDataAge(ageMinutes)} old. Newer data may not be available.
-            </p>
-          </div>
-        `;
+      // Show peak wave height (English Bay, Southern Strait)
+      if (b.wave_height_peak != null) {
+        cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Wave Height:</b> ${Units.format('height', b.wave_height_peak, heightPrecision)}</p>`;
       }
 
-      // Check if NOAA buoy with spectral data
-      const isNOAA = (id === "46087" || id === "46088" || id === "46267");
+      // Show maximum wave height (Halibut Bank, Sentry Shoal)
+      if (b.wave_height_max != null) {
+        const sigHeight = b.wave_height_sig || 0;
+        const ratio = sigHeight > 0 ? (b.wave_height_max / sigHeight).toFixed(1) : '';
+        const ratioText = ratio ? ` <span style="color: #666; font-size: 0.9em;">(${ratio}× sig)</span>` : '';
+        cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Max Wave Height:</b> ${Units.format('height', b.wave_height_max, heightPrecision)}${ratioText}</p>`;
+      }
 
-      if (isNOAA) {
-        // NOAA Spectral Wave Breakdown
-        cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">Detailed Wave Metrics</p>`;
+      // Show peak period (right after peak/max wave height)
+      if (b.wave_period_peak != null) {
+        cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Period:</b> ${b.wave_period_peak.toFixed(1)} s</p>`;
+      }
 
-        // Significant/Combined Wave Metrics
-        cardContent += `
-          <p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📊 Significant Wave (Combined)</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Sig Height:</b> ${b.wave_height_sig ?? "—"} m</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Avg Period:</b> ${b.wave_period_avg ?? "—"} s</p>
-        `;
+      // Show wave direction angular spread
+      if (b.wave_direction_spread_peak != null || b.wave_direction_spread_avg != null) {
+        const peakSpread = b.wave_direction_spread_peak;
+        const avgSpread = b.wave_direction_spread_avg;
 
-        // Spectral wave breakdown
         cardContent += `
-          <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">💨 Wind Waves (Local Chop)</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Height:</b> ${b.wind_wave_height ?? "—"} m</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Period:</b> ${b.wind_wave_period ?? "—"} s</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Direction:</b> ${b.wind_wave_direction_cardinal ?? "—"} (${b.wind_wave_direction ?? "—"}°) ${getDirectionalArrow(b.wind_wave_direction, 'wave')}</p>
-
-          <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">🌊 Ocean Swell (Long Period)</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Height:</b> ${b.swell_height ?? "—"} m</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Period:</b> ${b.swell_period ?? "—"} s</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Direction:</b> ${b.swell_direction_cardinal ?? "—"} (${b.swell_direction ?? "—"}°) ${getDirectionalArrow(b.swell_direction, 'wave')}</p>
-
-          <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📈 Peak Metrics</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Period:</b> ${b.wave_period_peak ?? "—"} s</p>
-          <p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Direction:</b> ${b.wave_direction_peak_cardinal ?? "—"} (${b.wave_direction_peak ?? "—"}°) ${getDirectionalArrow(b.wave_direction_peak, 'wave')}</p>
+          <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c;">
+            🧭 Wave Direction Angular Spread
+            <span onclick="toggleSpreadInfo('${id}')" style="cursor: pointer; font-size: 0.9em; margin-left: 0.3rem; color: #0077be; user-select: none;" title="Click for explanation">ℹ️</span>
+          </p>
         `;
-      } else {
-        // EC Buoys and other stations - show only additional peak values not already displayed
-        const hasPeakData = b.wave_period_peak != null || b.wave_height_peak != null || b.wave_height_max != null;
-
-        if (hasPeakData) {
-          cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">📊 Additional Metrics</p>`;
 
-          // Show peak wave height (English Bay, Southern Strait)
-          if (b.wave_height_peak != null) {
-            cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Wave Height:</b> ${b.wave_height_peak.toFixed(heightPrecision)} m</p>`;
+        // Show Peak Spread (dominant frequency) with labels
+        if (peakSpread != null) {
+          let peakDesc = '';
+          let peakColor = '#666';
+
+          if (peakSpread < 25) {
+            peakDesc = 'very organized';
+            peakColor = '#38a169';
+          } else if (peakSpread < 35) {
+            peakDesc = 'organized';
+            peakColor = '#48bb78';
+          } else if (peakSpread < 45) {
+            peakDesc = 'moderate';
+            peakColor = '#d69e2e';
+          } else {
+            peakDesc = 'confused';
+            peakColor = '#e53e3e';
           }
 
-          // Show maximum wave height (Halibut Bank, Sentry Shoal)
-          if (b.wave_height_max != null) {
-            const sigHeight = b.wave_height_sig || 0;
-            const ratio = sigHeight > 0 ? (b.wave_height_max / sigHeight).toFixed(1) : '';
-            const ratioText = ratio ? ` <span style="color: #666; font-size: 0.9em;">(${ratio}× sig)</span>` : '';
-            cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Max Wave Height:</b> ${b.wave_height_max.toFixed(heightPrecision)} m${ratioText}</p>`;
-          }
+          cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Spread:</b> ${peakSpread}° <span style="color: ${peakColor}; font-weight: 600;">(${peakDesc})</span> <span style="font-size: 0.85em; color: #666;">— dominant swell</span></p>`;
+        }
 
-          // Show peak period (right after peak/max wave height)
-          if (b.wave_period_peak != null) {
-            cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Period:</b> ${b.wave_period_peak.toFixed(1)} s</p>`;
+        // Show Average Spread (all frequencies) with labels
+        if (avgSpread != null) {
+          let avgDesc = '';
+          let avgColor = '#666';
+
+          if (avgSpread < 30) {
+            avgDesc = 'very clean';
+            avgColor = '#38a169';
+          } else if (avgSpread < 45) {
+            avgDesc = 'clean';
+            avgColor = '#48bb78';
+          } else if (avgSpread < 60) {
+            avgDesc = 'mixed';
+            avgColor = '#d69e2e';
+          } else {
+            avgDesc = 'messy';
+            avgColor = '#e53e3e';
           }
 
-          // Show wave direction angular spread
-          if (b.wave_direction_spread_peak != null || b.wave_direction_spread_avg != null) {
-            const peakSpread = b.wave_direction_spread_peak;
-            const avgSpread = b.wave_direction_spread_avg;
+          cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Average Spread:</b> ${avgSpread}° <span style="color: ${avgColor}; font-weight: 600;">(${avgDesc})</span> <span style="font-size: 0.85em; color: #666;">— all frequencies</span></p>`;
+        }
 
+        // Add visual angular spread vectors
+        const peakDir = b.wave_direction_peak;
+        const avgDir = b.wave_direction_avg;
+
+        if ((peakDir != null && peakSpread != null) || (avgDir != null && avgSpread != null)) {
+          cardContent += `<div style="margin-top: 0.75rem; padding: 0.75rem; background: #f8fafc; border-radius: 4px; border: 1px solid #e2e8f0;">`;
+          cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">Visual Direction & Spread</p>`;
+
+          // Peak direction + spread vector
+          if (peakDir != null && peakSpread != null) {
             cardContent += `
-              <p class="buoy-metric" style="margin-top: 0.75rem; font-weight: 600; color: #004b7c;">
-                🧭 Wave Direction Angular Spread
-                <span onclick="toggleSpreadInfo('${id}')" style="cursor: pointer; font-size: 0.9em; margin-left: 0.3rem; color: #0077be; user-select: none;" title="Click for explanation">ℹ️</span>
-              </p>
+              <div style="margin: 0.5rem 0;">
+                <span style="font-size: 0.85em; color: #666; font-weight: 600;">Peak:</span>
+                ${createAngularSpreadVector(peakDir, peakSpread, 70)}
+                <span style="font-size: 0.75em; color: #666; margin-left: 0.5rem;">${b.wave_direction_peak_cardinal ?? degreesToCardinal(peakDir)} ${Math.round(peakDir)}° ± ${Math.round(peakSpread/2)}°</span>
+              </div>
             `;
+          }
 
-            // Show Peak Spread (dominant frequency) with labels
-            if (peakSpread != null) {
-              let peakDesc = '';
-              let peakColor = '#666';
-
-              if (peakSpread < 25) {
-                peakDesc = 'very organized';
-                peakColor = '#38a169';
-              } else if (peakSpread < 35) {
-                peakDesc = 'organized';
-                peakColor = '#48bb78';
-              } else if (peakSpread < 45) {
-                peakDesc = 'moderate';
-                peakColor = '#d69e2e';
-              } else {
-                peakDesc = 'confused';
-                peakColor = '#e53e3e';
-              }
-
-              cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Peak Spread:</b> ${peakSpread}° <span style="color: ${peakColor}; font-weight: 600;">(${peakDesc})</span> <span style="font-size: 0.85em; color: #666;">— dominant swell</span></p>`;
-            }
-
-            // Show Average Spread (all frequencies) with labels
-            if (avgSpread != null) {
-              let avgDesc = '';
-              let avgColor = '#666';
-
-              if (avgSpread < 30) {
-                avgDesc = 'very clean';
-                avgColor = '#38a169';
-              } else if (avgSpread < 45) {
-                avgDesc = 'clean';
-                avgColor = '#48bb78';
-              } else if (avgSpread < 60) {
-                avgDesc = 'mixed';
-                avgColor = '#d69e2e';
-              } else {
-                avgDesc = 'messy';
-                avgColor = '#e53e3e';
-              }
-
-              cardContent += `<p class="buoy-metric"><b>&nbsp;&nbsp;&nbsp;&nbsp;Average Spread:</b> ${avgSpread}° <span style="color: ${avgColor}; font-weight: 600;">(${avgDesc})</span> <span style="font-size: 0.85em; color: #666;">— all frequencies</span></p>`;
-            }
-
-            // Add visual angular spread vectors
-            const peakDir = b.wave_direction_peak;
-            const avgDir = b.wave_direction_avg;
-
-            if ((peakDir != null && peakSpread != null) || (avgDir != null && avgSpread != null)) {
-              cardContent += `<div style="margin-top: 0.75rem; padding: 0.75rem; background: #f8fafc; border-radius: 4px; border: 1px solid #e2e8f0;">`;
-              cardContent += `<p class="buoy-metric" style="font-weight: 600; color: #004b7c; margin-bottom: 0.5rem;">Visual Direction & Spread</p>`;
-
-              // Peak direction + spread vector
-              if (peakDir != null && peakSpread != null) {
-                cardContent += `
-                  <div style="margin: 0.5rem 0;">
-                    <span style="font-size: 0.85em; color: #666; font-weight: 600;">Peak:</span>
-                    ${createAngularSpreadVector(peakDir, peakSpread, 70)}
-                    <span style="font-size: 0.75em; color: #666; margin-left: 0.5rem;">${b.wave_direction_peak_cardinal ?? degreesToCardinal(peakDir)} ${Math.round(peakDir)}° ± ${Math.round(peakSpread/2)}°</span>
-                  </div>
-                `;
-              }
-
-              // Average direction + spread vector
-              if (avgDir != null && avgSpread != null) {
-                cardContent += `
-                  <div style="margin: 0.5rem 0;">
-                    <span style="font-size: 0.85em; color: #666; font-weight: 600;">Average:</span>
-                    ${createAngularSpreadVector(avgDir, avgSpread, 70)}
-                    <span style="font-size: 0.75em; color: #666; margin-left: 0.5rem;">${b.wave_direction_avg_cardinal ?? degreesToCardinal(avgDir)} ${Math.round(avgDir)}° ± ${Math.round(avgSpread/2)}°</span>
-                  </div>
-                `;
-              }
-
-              cardContent += `<p style="font-size: 0.75em; color: #999; margin-top: 0.5rem; margin-bottom: 0;">Arrows show wave travel direction. Sector shows angular spread.</p>`;
-              cardContent += `</div>`;
-            }
-
-            // Add collapsible explanatory footnote (hidden by default)
-            if (peakSpread != null && avgSpread != null) {
-              cardContent += `
-                <div id="spread-info-${id}" style="display: none; font-size: 0.85em; color: #555; margin-top: 0.5rem; padding: 0.75rem; background: #f0f8ff; border-left: 3px solid #0077be; border-radius: 4px; line-height: 1.5;">
-                  <strong style="color: #2c5282;">Angular Spread</strong> measures how organized the waves are:<br>
-                  <br>
-                  <strong>Lower numbers</strong> = waves coming from one direction (clean swell)<br>
-                  <strong>Higher numbers</strong> = waves from multiple directions (choppy/messy)<br>
-                  <br>
-                  • <strong>Peak:</strong> The main swell direction<br>
-                  • <strong>Average:</strong> Overall surface (includes wind chop)<br>
-                  <br>
-                  <span style="font-size: 0.9em; color: #718096;">Beach conditions may differ from open-ocean buoy readings.</span>
-                </div>
-              `;
-            }
+          // Average direction + spread vector
+          if (avgDir != null && avgSpread != null) {
+            cardContent += `
+              <div style="margin: 0.5rem 0;">
+                <span style="font-size: 0.85em; color: #666; font-weight: 600;">Average:</span>
+                ${createAngularSpreadVector(avgDir, avgSpread, 70)}
+                <span style="font-size: 0.75em; color: #666; margin-left: 0.5rem;">${b.wave_direction_avg_cardinal ?? degreesToCardinal(avgDir)} ${Math.round(avgDir)}° ± ${Math.round(avgSpread/2)}°</span>
+              </div>
+            `;
           }
-        }
-      }
 
-      // Temperatures and pressure (all stations)
-      const isSurrey = (id === "CRPILE" || id === "CRCHAN");
-      const seaTemp = b.sea_temp != null ? (isSurrey ? b.sea_temp.toFixed(1) : b.sea_temp) : "—";
-      const airTemp = b.air_temp != null ? (isSurrey ? b.air_temp.toFixed(1) : b.air_temp) : "—";
-
-      cardContent += `
-        <p class="buoy-metric" style="margin-top: 0.75rem;"><b>🌡️ Sea:</b> ${seaTemp} °C | <b>Air:</b> ${airTemp} °C</p>
-        <p class="buoy-metric"><b>⏱️ Pressure:</b> ${b.pressure ?? "—"} hPa</p>
-      `;
-
-      cardContent += `</div>`; // Close expandable details section
-
-      // === EXPANDABLE HISTORY SECTION (Hidden by default) ===
-      cardContent += `<div id="card-history-${id}" style="display: none; margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #e0e0e0;"></div>`;
-
-      // === NAVIGATION LINKS ===
-      const hasChartData = b.wave_height_sig != null || b.wind_speed != null;
-      const chartButtonDisabled = !hasChartData ? 'disabled style="opacity: 0.5; cursor: not-allowed;"' : '';
-
-      cardContent += `
-        <div class="buoy-nav-links" style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
-          <button class="buoy-nav-link" onclick="scrollToMap('${id}')" style="
-            flex: 1;
-            padding: 0.5rem;
-            background: #004b7c;
-            color: white;
-            border: none;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 0.85em;
-            font-weight: 600;
-            transition: background 0.2s;
-          " onmouseover="this.style.background='#003a5d'" onmouseout="this.style.background='#004b7c'">
-            📍 View Location
-          </button>
-          <button class="buoy-nav-link" onclick="scrollToCharts('${id}')" ${chartButtonDisabled} style="
-            flex: 1;
-            padding: 0.5rem;
-            background: #004b7c;
-            color: white;
-            border: none;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 0.85em;
-            font-weight: 600;
-            transition: background 0.2s;
-          " onmouseover="this.style.background='#003a5d'" onmouseout="this.style.background='#004b7c'">
-            📊 View Charts
-          </button>
-        </div>
-      `;
-
-      // Add source link at the bottom of the card
-      if (sourceLinks[id]) {
-        cardContent += `
-          <p style="margin-top: 0.75rem; margin-bottom: 0; padding-top: 0.5rem; border-top: 1px solid #e0e0e0; text-align: center;">
-            <a href="${sourceLinks[id]}" target="_blank" rel="noopener noreferrer" style="
-              font-size: 0.85em;
-              color: #004b7c;
-              text-decoration: none;
-              font-weight: 500;
-            " onmouseover="this.style.textDecoration='underline'" onmouseout="this.style.textDecoration='none'">
-              🔗 View Source Data
-            </a>
-          </p>
-        `;
-      }
+          cardContent += `<p style="font-size: 0.75em; color: #999; margin-top: 0.5rem; margin-bottom: 0;">Arrows show wave travel direction. Sector shows angular spread.</p>`;
+          cardContent += `</div>`;
+        }
 
-        cardContent += `</div>`;
-        card.innerHTML = cardContent;
-        cardsGrid.appendChild(card);
-      }); // end stations forEach
-
-      // Add grid to region group, then add region group to container
-      regionGroup.appendChild(cardsGrid);
-      container.appendChild(regionGroup);
-
-      // Collapse Boundary Bay and Juan de Fuca by default (keep Strait of Georgia expanded)
-      if (group.region !== "Strait of Georgia") {
-        const toggleBtn = regionHeader.querySelector('.region-toggle-btn');
-        if (toggleBtn && cardsGrid) {
-          cardsGrid.style.display = 'none';
-          toggleBtn.textContent = '▶';
+        // Add collapsible explanatory footnote (hidden by default)
+        if (peakSpread != null && avgSpread != null) {
+          cardContent += `
+            <div id="spread-info-${id}" style="display: none; font-size: 0.85em; color: #555; margin-top: 0.5rem; padding: 0.75rem; background: #f0f8ff; border-left: 3px solid #0077be; border-radius: 4px; line-height: 1.5;">
+              <strong style="color: #2c5282;">Angular Spread</strong> measures how organized the waves are:<br>
+              <br>
+              <strong>Lower numbers</strong> = waves coming from one direction (clean swell)<br>
+              <strong>Higher numbers</strong> = waves from multiple directions (choppy/messy)<br>
+              <br>
+              • <strong>Peak:</strong> The main swell direction<br>
+              • <strong>Average:</strong> Overall surface (includes wind chop)<br>
+              <br>
+              <span style="font-size: 0.9em; color: #718096;">Beach conditions may differ from open-ocean buoy readings.</span>
+            </div>
+          `;
         }
       }
-    }); // end buoyGroups forEach
-
-    const now = new Date();
-    if (timestamp) {
-      timestamp.textContent = `Page refreshed at ${now.toLocaleString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false,
-        timeZone: "America/Vancouver",
-        timeZoneName: "short"
-      })}`;
     }
+  }
 
-    // Handle hash navigation after cards are loaded
-    handleHashNavigation();
-  } catch (err) {
-    logger.error("BuoyData", "Error loading buoy data", err);
-    container.innerHTML =
-      `<p class="error">⚠️ Error loading buoy data. Please try again later.</p>`;
+  // Temperatures and pressure (all stations)
+  const seaTemp = Units.format('temperature', b.sea_temp, 1);
+  const airTemp = Units.format('temperature', b.air_temp, 1);
+
+  cardContent += `
+    <p class="buoy-metric" style="margin-top: 0.75rem;"><b>🌡️ Sea:</b> ${seaTemp}${formatDelta('temperature', b.sea_temp, previous?.sea_temp, 1)} | <b>Air:</b> ${airTemp}${formatDelta('temperature', b.air_temp, previous?.air_temp, 1)}</p>
+    <p class="buoy-metric"><b>⏱️ Pressure:</b> ${b.pressure ?? "—"} hPa${formatDelta(null, b.pressure, previous?.pressure, 1)}</p>
+  `;
+
+  cardContent += `</div>`; // Close expandable details section
+
+  // === EXPANDABLE HISTORY SECTION (Hidden by default) ===
+  cardContent += `<div id="card-history-${id}" style="display: none; margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #e0e0e0;"></div>`;
+
+  // === NAVIGATION LINKS ===
+  const hasChartData = b.wave_height_sig != null || b.wind_speed != null;
+  const chartButtonDisabled = !hasChartData ? 'disabled style="opacity: 0.5; cursor: not-allowed;"' : '';
+
+  cardContent += `
+    <div class="buoy-nav-links" style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
+      <button class="buoy-nav-link" onclick="scrollToMap('${id}')" style="
+        flex: 1;
+        padding: 0.5rem;
+        background: #004b7c;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85em;
+        font-weight: 600;
+        transition: background 0.2s;
+      " onmouseover="this.style.background='#003a5d'" onmouseout="this.style.background='#004b7c'">
+        📍 View Location
+      </button>
+      <button class="buoy-nav-link" onclick="scrollToCharts('${id}')" ${chartButtonDisabled} style="
+        flex: 1;
+        padding: 0.5rem;
+        background: #004b7c;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 0.85em;
+        font-weight: 600;
+        transition: background 0.2s;
+      " onmouseover="this.style.background='#003a5d'" onmouseout="this.style.background='#004b7c'">
+        📊 View Charts
+      </button>
+    </div>
+  `;
+
+  // Add source link at the bottom of the card
+  const sourceUrl = BuoyRegistry.getSourceUrl(id);
+  if (sourceUrl) {
+    cardContent += `
+      <p style="margin-top: 0.75rem; margin-bottom: 0; padding-top: 0.5rem; border-top: 1px solid #e0e0e0; text-align: center;">
+        <a href="${sourceUrl}" target="_blank" rel="noopener noreferrer" style="
+          font-size: 0.85em;
+          color: #004b7c;
+          text-decoration: none;
+          font-weight: 500;
+        " onmouseover="this.style.textDecoration='underline'" onmouseout="this.style.textDecoration='none'">
+          🔗 View Source Data
+        </a>
+      </p>
+    `;
   }
+
+  cardContent += `</div>`;
+  return cardContent;
 }
 
+
 // Scroll to charts section and select buoy
 function scrollToCharts(buoyId) {
   const buoySelector = document.getElementById('buoy-selector');
@@ -800,34 +1026,34 @@ async function toggleCardHistory(buoyId) {
     button.textContent = 'Loading...';
     button.disabled = true;
 
-    try {
-      const timeseriesData = await fetchWithTimeout(`/data/buoy_timeseries_48h.json?t=${Date.now()}`);
-      const buoyData = timeseriesData[buoyId];
-
-      if (buoyData && buoyData.timeseries) {
-        historyDiv.innerHTML = renderHistoryTable(buoyId, buoyData.timeseries);
-        historyDiv.style.display = 'block';
-        button.textContent = '▲ Hide History';
-        button.disabled = false;
-      } else {
-        historyDiv.innerHTML = '<p style="color: #999; text-align: center; padding: 1rem;">No historical data available</p>';
-        historyDiv.style.display = 'block';
-        button.textContent = '▲ Hide History';
-        button.disabled = false;
-      }
-    } catch (error) {
-      logger.error("BuoyData", "Error loading history", error);
-      historyDiv.innerHTML = '<p style="color: #e53935; text-align: center; padding: 1rem;">Error loading historical data</p>';
-      historyDiv.style.display = 'block';
-      button.textContent = '▲ Hide History';
-      button.disabled = false;
-    }
+    await loadCardHistory(buoyId, historyDiv);
+
+    historyDiv.style.display = 'block';
+    button.textContent = '▲ Hide History';
+    button.disabled = false;
   } else {
     historyDiv.style.display = 'none';
     button.textContent = '▼ Show History (12h)';
   }
 }
 
+// Fetch the 48h timeseries and render a card's history table
+async function loadCardHistory(buoyId, historyDiv) {
+  try {
+    const timeseriesData = await fetchWithTimeout(`/data/buoy_timeseries_48h.json?t=${Date.now()}`);
+    const buoyData = timeseriesData[buoyId];
+
+    if (buoyData && buoyData.timeseries) {
+      historyDiv.innerHTML = renderHistoryTable(buoyId, buoyData.timeseries);
+    } else {
+      historyDiv.innerHTML = '<p style="color: #999; text-align: center; padding: 1rem;">No historical data available</p>';
+    }
+  } catch (error) {
+    logger.error("BuoyData", "Error loading history", error);
+    historyDiv.innerHTML = '<p style="color: #e53935; text-align: center; padding: 1rem;">Error loading historical data</p>';
+  }
+}
+
 // Render history table
 function renderHistoryTable(buoyId, timeseries) {
   // Get the most recent 12 hourly observations
@@ -835,15 +1061,11 @@ function renderHistoryTable(buoyId, timeseries) {
   const windDir = timeseries.wind_direction?.data || [];
   const windGust = timeseries.wind_gust?.data || [];
 
-  // For Neah Bay, use swell data (long-period ocean waves)
-  // For other buoys, use combined wave metrics
-  const isNeahBay = (buoyId === "46087");
-  const waveHeight = isNeahBay
-    ? (timeseries.swell_height?.data || [])
-    : (timeseries.wave_height_sig?.data || []);
-  const wavePeriod = isNeahBay
-    ? (timeseries.swell_period?.data || [])
-    : (timeseries.wave_period_avg?.data || []);
+  // Use the station's primary wave metric (swell for Neah Bay, combined wave metrics elsewhere)
+  const metric = BuoyRegistry.getWaveMetric(buoyId);
+  const isSwellStation = metric.heightKey === 'swell_height';
+  const waveHeight = timeseries[metric.heightKey]?.data || [];
+  const wavePeriod = timeseries[metric.periodKey]?.data || [];
 
   const airTemp = timeseries.air_temp?.data || [];
   const seaTemp = timeseries.sea_temp?.data || [];
@@ -853,9 +1075,8 @@ function renderHistoryTable(buoyId, timeseries) {
   // Show all rows where wave data exists (wind may have gaps)
   let allTimes = waveHeight.map(d => d.time);
 
-  // For Crescent stations, filter to hourly intervals only (on the hour)
-  const isCrescentStation = (buoyId === "CRPILE" || buoyId === "CRCHAN");
-  if (isCrescentStation) {
+  // For high-frequency stations (Crescent), filter to hourly intervals only (on the hour)
+  if (BuoyRegistry.isHighFrequency(buoyId)) {
     allTimes = allTimes.filter(time => {
       const date = new Date(time);
       return date.getMinutes() === 0; // Only include times on the hour
@@ -883,19 +1104,17 @@ function renderHistoryTable(buoyId, timeseries) {
         <thead>
           <tr style="background: #f5f5f5;">
             <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: left; white-space: nowrap; min-width: 55px;">Time</th>
-            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 95px;">Wind [kn]</th>
-            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 50px;">Wave Ht [m]</th>
+            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 95px;">Wind [${Units.getLabel('speed')}]</th>
+            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 50px;">Wave Ht [${Units.getLabel('height')}]</th>
             <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 60px;">Period [s]</th>
-            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 55px;">Sea [°C]</th>
-            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 55px;">Air [°C]</th>
+            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; border-right: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 55px;">Sea [${Units.getLabel('temperature')}]</th>
+            <th style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #ddd; text-align: center; white-space: nowrap; min-width: 55px;">Air [${Units.getLabel('temperature')}]</th>
           </tr>
         </thead>
         <tbody>
   `;
 
-  // Determine wave height precision based on buoy type
-  const isBoundaryBay = (buoyId === "CRPILE" || buoyId === "CRCHAN");
-  const waveHeightDecimals = isBoundaryBay ? 2 : 1;
+  const waveHeightDecimals = BuoyRegistry.getHeightPrecision(buoyId);
 
   // Track previous date for conditional date display
   let previousDate = null;
@@ -935,8 +1154,8 @@ function renderHistoryTable(buoyId, timeseries) {
     if (windSpeedVal != null) {
       const cardinal = degreesToCardinal(windDirVal);
       const cardinalStr = cardinal ? `${cardinal} ` : '';
-      const gustStr = windGustVal != null ? ` gust ${Math.round(windGustVal)}` : '';
-      windDisplay = `${cardinalStr}${Math.round(windSpeedVal)}${gustStr}`;
+      const gustStr = windGustVal != null ? ` gust ${Units.formatValue('speed', windGustVal)}` : '';
+      windDisplay = `${cardinalStr}${Units.formatValue('speed', windSpeedVal)}${gustStr}`;
     }
 
     // Alternating row background color
@@ -946,10 +1165,10 @@ function renderHistoryTable(buoyId, timeseries) {
       <tr style="${rowBg}">
         <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; white-space: nowrap;">${timeStr}</td>
         <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center; white-space: nowrap;">${windDisplay}</td>
-        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center;">${waveHeightVal != null ? waveHeightVal.toFixed(waveHeightDecimals) : '—'}</td>
+        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center;">${Units.formatValue('height', waveHeightVal, waveHeightDecimals)}</td>
         <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center;">${wavePeriodVal != null ? wavePeriodVal.toFixed(1) : '—'}</td>
-        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center;">${seaTempVal != null ? seaTempVal.toFixed(1) : '—'}</td>
-        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; text-align: center;">${airTempVal != null ? airTempVal.toFixed(1) : '—'}</td>
+        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; border-right: 1px solid #eee; text-align: center;">${Units.formatValue('temperature', seaTempVal, 1)}</td>
+        <td style="padding: 0.4rem 0.3rem; border-bottom: 1px solid #eee; text-align: center;">${Units.formatValue('temperature', airTempVal, 1)}</td>
       </tr>
     `;
   });
@@ -969,11 +1188,11 @@ function renderHistoryTable(buoyId, timeseries) {
     </div>
   `;
 
-  // Add note for Neah Bay explaining swell data
-  if (isNeahBay) {
+  // Add note for swell stations (Neah Bay) explaining swell data
+  if (isSwellStation) {
     tableHTML += `
       <div style="margin-top: 0.5rem; padding: 0.5rem; background: #f0f8ff; border-left: 3px solid #003087; font-size: 0.75rem; color: #555; line-height: 1.4;">
-        <strong>Note:</strong> Neah Bay displays <strong>swell data</strong> (long-period ocean waves from distant storms) rather than combined wave metrics. Wind waves are typically much smaller at this location.
+        <strong>Note:</strong> ${BuoyRegistry.getStation(buoyId)?.name || buoyId} displays <strong>swell data</strong> (long-period ocean waves from distant storms) rather than combined wave metrics. Wind waves are typically much smaller at this location.
       </div>
     `;
   }
@@ -1018,7 +1237,20 @@ document.addEventListener('htmx:load', function() {
   loadBuoyData();
 }, { once: true });
 
-setInterval(loadBuoyData, 5 * 60 * 1000);
+// Refresh if the last load is older than the interval and the tab is visible
+function refreshBuoyDataIfDue() {
+  if (document.hidden) return;
+  if (Date.now() - lastBuoyRefresh >= BUOY_REFRESH_INTERVAL_MS) {
+    loadBuoyData();
+  }
+}
+
+// Check once a minute; hidden tabs skip refreshes and catch up when shown again
+setInterval(refreshBuoyDataIfDue, 60 * 1000);
+document.addEventListener('visibilitychange', refreshBuoyDataIfDue);
+
+// Re-render cards when the unit preference changes
+Units.onChange(() => loadBuoyData({ force: true }));
 
 // Handle hash navigation when hash changes (clicking map links)
 window.addEventListener('hashchange', handleHashNavigation);
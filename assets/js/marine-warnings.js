@@ -0,0 +1,238 @@
+/* =====================================================
+   Marine Warning Periods
+   Shades gale / strong wind / storm warnings on station charts
+   ===================================================== */
+
+/**
+ * Reads marine_forecast.json (the same feed as the warning banner) and turns
+ * each in-effect warning into a time span for the stations inside its
+ * forecast zone. A station's zone is its BuoyRegistry `forecastZone`, or the
+ * `forecast_zone` of its stations.json entry (wind stations); stations
+ * without one get no shading. Chart modules add buildMarkAreaSeries() to their
+ * series so observations can be read against the warnings that covered them.
+ *
+ * The feed only lists warnings in effect right now, and each re-issue moves
+ * `issued_utc` forward. Every poll is therefore recorded in a warning history
+ * in localStorage, one period per zone and warning type: a period starts at
+ * the issue time of the first bulletin seen and is extended on each poll
+ * that still lists it. Once the warning leaves the feed the period is closed
+ * at the last poll that saw it, and stays shaded for HISTORY_DAYS.
+ *
+ * Depends on collectActiveWarnings() and getWarningSeverityClass() from
+ * warning-banner.js, which every page with charts already loads.
+ */
+(function() {
+  const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+  const HISTORY_STORAGE_KEY = 'marine_warning_history';
+  const HISTORY_DAYS = 14;
+  // A warning seen again after a longer gap (page closed) continues its
+  // period only if the bulletin was issued before the period's last sighting
+  const MAX_POLL_GAP_MS = 2 * REFRESH_INTERVAL_MS;
+
+  // Shading per severity class (classes from getWarningSeverityClass)
+  const WARNING_STYLES = {
+    'warning-storm': { color: 'rgba(198, 40, 40, 0.16)', textColor: '#b71c1c' },
+    'warning-gale': { color: 'rgba(239, 108, 0, 0.14)', textColor: '#e65100' },
+    'warning-strong-wind': { color: 'rgba(249, 168, 37, 0.14)', textColor: '#8d6e00' }
+  };
+
+  const SERIES_ID = 'marine-warning-periods';
+
+  let periods = loadHistory(); // [{ zone, zoneName, type, start, end, active }] - times in ms
+  let metadataZones = {}; // station ID → stations.json forecast_zone
+  const listeners = [];
+
+  /**
+   * Read the warning history from localStorage
+   * @returns {Array} Recorded periods
+   */
+  function loadHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      // localStorage might not be available
+      return [];
+    }
+  }
+
+  function saveHistory() {
+    try {
+      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(periods));
+    } catch (e) {
+      // Ignore localStorage errors - the history still applies until reload
+    }
+  }
+
+  /**
+   * Record one poll of the in-effect warnings
+   * @param {Array} active - Warnings from collectActiveWarnings()
+   * @param {number} now - Poll time in ms
+   */
+  function recordWarnings(active, now) {
+    const seen = new Set();
+
+    active.forEach(warning => {
+      const issued = new Date(warning.issued_utc).getTime();
+      const key = `${warning.zone_key}|${warning.type}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const latest = periods
+        .filter(period => period.zone === warning.zone_key && period.type === warning.type)
+        .sort((a, b) => b.end - a.end)[0];
+      const continues = latest && latest.active &&
+        (now - latest.end <= MAX_POLL_GAP_MS || (!isNaN(issued) && issued <= latest.end));
+
+      if (continues) {
+        latest.end = now;
+        latest.zoneName = warning.zone_name;
+        if (!isNaN(issued) && issued < latest.start) latest.start = issued;
+      } else {
+        periods.push({
+          zone: warning.zone_key,
+          zoneName: warning.zone_name,
+          type: warning.type,
+          start: isNaN(issued) ? now : Math.min(issued, now),
+          end: now,
+          active: true
+        });
+      }
+    });
+
+    // Warnings no longer in the feed ended after the last poll that saw them
+    periods.forEach(period => {
+      if (!seen.has(`${period.zone}|${period.type}`)) period.active = false;
+    });
+
+    const cutoff = now - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    periods = periods.filter(period => period.end >= cutoff);
+    saveHistory();
+  }
+
+  /**
+   * Read forecast zones from stations.json (buoys and wind stations)
+   */
+  async function loadZones() {
+    try {
+      const stations = await BuoyRegistry.loadStationsMetadata();
+      const zones = {};
+      [stations.buoys, stations.wind].forEach(group => {
+        Object.values(group || {}).forEach(station => {
+          if (station.id && station.forecast_zone) zones[station.id] = station.forecast_zone;
+        });
+      });
+      metadataZones = zones;
+    } catch (error) {
+      logger.warn('MarineWarnings', 'Could not load station forecast zones', error);
+    }
+  }
+
+  /**
+   * Forecast zone of a station
+   * @param {string} stationId - Buoy or wind station ID
+   * @returns {string|null} marine_forecast.json `locations` key
+   */
+  function getZone(stationId) {
+    return BuoyRegistry.getForecastZone(stationId) || metadataZones[stationId] || null;
+  }
+
+  /**
+   * Fetch marine_forecast.json and record the shaded warning types
+   */
+  async function load() {
+    try {
+      const [data] = await Promise.all([
+        fetchWithTimeout(`/data/marine_forecast.json?t=${Date.now()}`),
+        loadZones()
+      ]);
+      const active = collectActiveWarnings(data)
+        .filter(warning => WARNING_STYLES[getWarningSeverityClass(warning.type || '')]);
+
+      // Extending an active period doesn't need a redraw - it already runs to now
+      const signature = () => periods.map(period => `${period.zone}|${period.type}|${period.start}|${period.active}`).join(',');
+      const before = signature();
+      recordWarnings(active, Date.now());
+      if (signature() !== before) listeners.forEach(callback => callback());
+    } catch (error) {
+      logger.warn('MarineWarnings', 'Could not load marine warnings for chart shading', error);
+    }
+  }
+
+  /**
+   * Warning periods covering a station, past and current
+   * @param {string} stationId - Buoy or wind station ID
+   * @returns {Array} [{ type, zoneName, style, start, end }] - times in ms;
+   *   warnings still in effect run to now
+   */
+  function getPeriods(stationId) {
+    const zone = getZone(stationId);
+    if (!zone) return [];
+
+    const now = Date.now();
+    return periods
+      .filter(period => period.zone === zone && WARNING_STYLES[getWarningSeverityClass(period.type)])
+      .map(period => ({
+        type: period.type,
+        zoneName: period.zoneName,
+        style: WARNING_STYLES[getWarningSeverityClass(period.type)],
+        start: period.start,
+        end: period.active ? now : period.end
+      }))
+      .filter(period => period.end > period.start);
+  }
+
+  /**
+   * Series that shades a station's warning periods (markArea on an empty line)
+   * @param {string} stationId - Buoy or wind station ID
+   * @param {number} [yAxisIndex=0] - Axis the shading is attached to
+   * @returns {Object|null} ECharts series, or null when no warnings apply
+   */
+  function buildMarkAreaSeries(stationId, yAxisIndex = 0) {
+    const periods = getPeriods(stationId);
+    if (periods.length === 0) return null;
+
+    return {
+      id: SERIES_ID,
+      name: 'Marine Warnings',
+      type: 'line',
+      data: [],
+      yAxisIndex: yAxisIndex,
+      silent: true,
+      clip: true,
+      z: 0,
+      markArea: {
+        silent: true,
+        data: periods.map(period => [
+          {
+            name: period.type,
+            xAxis: period.start,
+            itemStyle: { color: period.style.color },
+            label: { color: period.style.textColor, fontSize: 10, position: 'insideTopLeft' }
+          },
+          { xAxis: period.end }
+        ])
+      }
+    };
+  }
+
+  /**
+   * Register a callback for when the warnings change
+   * @param {Function} callback - Called after a load that changed the warnings
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  load();
+  setInterval(load, REFRESH_INTERVAL_MS);
+
+  // Public API
+  window.MarineWarnings = {
+    load: load,
+    getZone: getZone,
+    getPeriods: getPeriods,
+    buildMarkAreaSeries: buildMarkAreaSeries,
+    onChange: onChange
+  };
+})();
@@ -110,7 +110,7 @@ async function loadStationsAndMarkers() {
     }
 
     // Fetch stations metadata
-    const stations = await fetchWithTimeout('/data/stations.json');
+    const stations = await BuoyRegistry.loadStationsMetadata();
 
     // Add buoy markers
     if (stations.buoys) {
@@ -333,7 +333,7 @@ function createDirectionalMarker(direction, height, type, stale = false) {
         white-space: nowrap;
         text-shadow: 1px 1px 2px rgba(255,255,255,0.9), -1px -1px 2px rgba(255,255,255,0.9), 1px -1px 2px rgba(255,255,255,0.9), -1px 1px 2px rgba(255,255,255,0.9);
         margin-bottom: -3px;
-      ">${Math.round(height)}kt</div>`;
+      ">${Units.format('speed', height, 0, { compact: true })}</div>`;
     } else {
       // Wave height in meters
       valueLabel = `<div style="
@@ -346,7 +346,7 @@ function createDirectionalMarker(direction, height, type, stale = false) {
         white-space: nowrap;
         text-shadow: 1px 1px 2px rgba(255,255,255,0.9), -1px -1px 2px rgba(255,255,255,0.9), 1px -1px 2px rgba(255,255,255,0.9), -1px 1px 2px rgba(255,255,255,0.9);
         margin-bottom: -3px;
-      ">${height.toFixed(1)}m</div>`;
+      ">${Units.format('height', height, 1, { compact: true })}</div>`;
     }
   }
 
@@ -493,26 +493,26 @@ function addBuoyMarker(buoy) {
     // Show wind data (handle both buoy and wind station formats)
     const windSpeed = data.wind_speed_kt !== undefined ? data.wind_speed_kt : data.wind_speed;
     if (windSpeed !== null && windSpeed !== undefined) {
-      const windSpeedRounded = Math.round(windSpeed);
+      const windSpeedRounded = Units.formatValue('speed', windSpeed);
       const windGust = data.wind_gust_kt !== undefined ? data.wind_gust_kt : data.wind_gust;
-      const windGustRounded = windGust !== null && windGust !== undefined ? Math.round(windGust) : null;
+      const windGustRounded = windGust !== null && windGust !== undefined ? Units.formatValue('speed', windGust) : null;
       const windCardinal = data.wind_direction_cardinal || '—';
       const windDir = data.wind_direction_deg || data.wind_direction;
       const windDegrees = windDir !== null && windDir !== undefined ? ` (${Math.round(windDir)}°)` : '';
       const windArrow = getDirectionalArrow(windDir, 'wind');
       const gustPart = windGustRounded !== null ? ` G ${windGustRounded}` : '';
 
-      popupContent += `<div><strong>💨 Wind:</strong> ${windCardinal} ${windSpeedRounded}${gustPart} kt${windDegrees} ${windArrow}</div>`;
+      popupContent += `<div><strong>💨 Wind:</strong> ${windCardinal} ${windSpeedRounded}${gustPart} ${Units.getLabel('speed')}${windDegrees} ${windArrow}</div>`;
     }
 
     // Show wave data with direction
     if (data.wave_height_sig !== null && data.wave_height_sig !== undefined) {
-      const waveHeight = data.wave_height_sig.toFixed(1);
+      const waveHeight = Units.format('height', data.wave_height_sig, 1, { compact: true });
       const period = data.wave_period_avg || data.wave_period_peak || null;
       const periodStr = period !== null ? ` @ ${typeof period === 'number' ? period.toFixed(1) + 's' : period}` : '';
 
       // Check if this is a NOAA buoy with spectral wave data
-      const hasSpectralData = (buoy.id === '46087' || buoy.id === '46088' || buoy.id === '46267') &&
+      const hasSpectralData = window.BuoyRegistry?.isAgency(buoy.id, 'noaa') &&
                                (data.swell_height !== null || data.wind_wave_height !== null);
 
       if (hasSpectralData) {
@@ -521,30 +521,30 @@ function addBuoyMarker(buoy) {
         popupContent += `<div style="margin-left: 8px; font-size: 0.9em;">`;
 
         // Significant wave (combined)
-        popupContent += `<div style="margin: 2px 0;"><em>Combined:</em> ${waveHeight}m${periodStr}</div>`;
+        popupContent += `<div style="margin: 2px 0;"><em>Combined:</em> ${waveHeight}${periodStr}</div>`;
 
         // Wind waves (local chop)
         if (data.wind_wave_height !== null && data.wind_wave_height !== undefined) {
-          const windWaveHeight = data.wind_wave_height.toFixed(1);
+          const windWaveHeight = Units.format('height', data.wind_wave_height, 1, { compact: true });
           const windWavePeriod = data.wind_wave_period !== null ? ` @ ${data.wind_wave_period.toFixed(1)}s` : '';
           const windWaveCardinal = data.wind_wave_direction_cardinal || '';
           const windWaveDeg = data.wind_wave_direction !== null ? ` (${Math.round(data.wind_wave_direction)}°)` : '';
           const windWaveArrow = data.wind_wave_direction !== null ? getDirectionalArrow(data.wind_wave_direction, 'wave') : '';
           const windWaveDir = windWaveCardinal ? `${windWaveCardinal} ` : '';
 
-          popupContent += `<div style="margin: 2px 0;"><em>Wind Wave:</em> ${windWaveDir}${windWaveHeight}m${windWavePeriod}${windWaveDeg} ${windWaveArrow}</div>`;
+          popupContent += `<div style="margin: 2px 0;"><em>Wind Wave:</em> ${windWaveDir}${windWaveHeight}${windWavePeriod}${windWaveDeg} ${windWaveArrow}</div>`;
         }
 
         // Ocean swell
         if (data.swell_height !== null && data.swell_height !== undefined) {
-          const swellHeight = data.swell_height.toFixed(1);
+          const swellHeight = Units.format('height', data.swell_height, 1, { compact: true });
           const swellPeriod = data.swell_period !== null ? ` @ ${data.swell_period.toFixed(1)}s` : '';
           const swellCardinal = data.swell_direction_cardinal || '';
           const swellDeg = data.swell_direction !== null ? ` (${Math.round(data.swell_direction)}°)` : '';
           const swellArrow = data.swell_direction !== null ? getDirectionalArrow(data.swell_direction, 'wave') : '';
           const swellDir = swellCardinal ? `${swellCardinal} ` : '';
 
-          popupContent += `<div style="margin: 2px 0;"><em>Swell:</em> ${swellDir}${swellHeight}m${swellPeriod}${swellDeg} ${swellArrow}</div>`;
+          popupContent += `<div style="margin: 2px 0;"><em>Swell:</em> ${swellDir}${swellHeight}${swellPeriod}${swellDeg} ${swellArrow}</div>`;
         }
 
         popupContent += `</div>`;
@@ -568,19 +568,19 @@ function addBuoyMarker(buoy) {
           const waveArrow = getDirectionalArrow(waveDir, 'wave');
           const dirDisplay = waveCardinal ? `${waveCardinal} ` : '';
 
-          popupContent += `<div><strong>🌊 Wave:</strong> ${dirDisplay}${waveHeight}m${periodStr}${waveDegrees} ${waveArrow}</div>`;
+          popupContent += `<div><strong>🌊 Wave:</strong> ${dirDisplay}${waveHeight}${periodStr}${waveDegrees} ${waveArrow}</div>`;
         } else {
           // No direction data available
-          popupContent += `<div><strong>🌊 Wave:</strong> ${waveHeight}m${periodStr}</div>`;
+          popupContent += `<div><strong>🌊 Wave:</strong> ${waveHeight}${periodStr}</div>`;
         }
       }
     }
 
     // Show temperatures
     if (data.sea_temp !== null && data.sea_temp !== undefined || data.air_temp !== null && data.air_temp !== undefined) {
-      const seaTemp = data.sea_temp !== null && data.sea_temp !== undefined ? data.sea_temp.toFixed(1) : '—';
-      const airTemp = data.air_temp !== null && data.air_temp !== undefined ? data.air_temp.toFixed(1) : '—';
-      popupContent += `<div><strong>🌡️ Temp:</strong> Sea ${seaTemp}°C | Air ${airTemp}°C</div>`;
+      const seaTemp = Units.format('temperature', data.sea_temp, 1, { compact: true });
+      const airTemp = Units.format('temperature', data.air_temp, 1, { compact: true });
+      popupContent += `<div><strong>🌡️ Temp:</strong> Sea ${seaTemp} | Air ${airTemp}</div>`;
     }
 
     // Show timestamp
@@ -708,7 +708,6 @@ function addTideMarker(tide, stationKey) {
   // Add storm surge forecast if available (priority data at top)
   const surgeForecast = getCurrentSurgeForecast(stationKey);
   if (surgeForecast && surgeForecast.value !== null && surgeForecast.value !== undefined) {
-    const surgeSign = surgeForecast.value >= 0 ? '+' : '';
     const timeStr = surgeForecast.time.toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
@@ -719,7 +718,7 @@ function addTideMarker(tide, stationKey) {
 
     popupContent += `<div style="background: #fff3e0; padding: 8px; margin: 8px 0; border-radius: 4px; border-left: 3px solid #ff9800;">`;
     popupContent += `<div style="font-weight: 600; margin-bottom: 4px;">Storm Surge Forecast:</div>`;
-    popupContent += `<div><strong>${surgeSign}${surgeForecast.value.toFixed(2)}m</strong></div>`;
+    popupContent += `<div><strong>${Units.format('height', surgeForecast.value, 2, { signed: true, compact: true })}</strong></div>`;
     popupContent += `<div style="font-size: 0.85em; color: #666; margin-top: 4px;">Next: ${timeStr}</div>`;
     popupContent += `</div>`;
   }
@@ -777,13 +776,13 @@ function addLightstationMarker(lightstation) {
     // Wave Height (prominent display)
     if (obs.sea_height_ft !== null) {
       popupContent += `<div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 6px 8px; border-radius: 4px; margin-bottom: 6px; text-align: center; font-weight: 600;">`;
-      popupContent += `🌊 Wave Height: ${obs.sea_height_ft} ft`;
+      popupContent += `🌊 Wave Height: ${Units.format('height', obs.sea_height_ft, { m: 1, ft: 0 }, { from: 'ft' })}`;
       popupContent += `</div>`;
     }
 
     // Wind
     if (!obs.wind_calm) {
-      const windText = `${obs.wind_direction || 'N/A'} ${obs.wind_speed_kt || 'N/A'} kt${obs.wind_gusting ? ' (gusting)' : ''}${obs.wind_estimated ? ' (est)' : ''}`;
+      const windText = `${obs.wind_direction || 'N/A'} ${obs.wind_speed_kt ? Units.format('speed', obs.wind_speed_kt) : 'N/A'}${obs.wind_gusting ? ' (gusting)' : ''}${obs.wind_estimated ? ' (est)' : ''}`;
       popupContent += `<div style="margin: 4px 0;"><strong>💨 Wind:</strong> ${windText}</div>`;
     } else {
       popupContent += `<div style="margin: 4px 0;"><strong>💨 Wind:</strong> CALM</div>`;
@@ -1108,6 +1107,13 @@ function checkHashForStation() {
   }
 }
 
+// Rebuild markers and popups in the new units
+Units.onChange(() => {
+  if (!markersLayer) return;
+  markersLayer.clearLayers();
+  loadStationsAndMarkers();
+});
+
 // Initialize map when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
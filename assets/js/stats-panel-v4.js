@@ -0,0 +1,182 @@
+/* -----------------------------
+   Statistics Panel Module
+   Summary statistics for the selected buoy over the visible chart range
+   ----------------------------- */
+
+// Metrics converted to the preferred display unit; anything else shows its source unit
+const STATS_METRIC_KINDS = {
+  wave_height_sig: "height",
+  wave_height_max: "height",
+  wind_wave_height: "height",
+  swell_height: "height",
+  wind_speed: "speed",
+  wind_gust: "speed",
+  air_temp: "temperature",
+  sea_temp: "temperature"
+};
+
+// Display order - metrics not listed follow alphabetically
+const STATS_METRIC_ORDER = [
+  "wave_height_sig", "swell_height", "wind_wave_height", "wave_height_max",
+  "wave_period_avg", "wave_period_peak", "swell_period", "wind_wave_period",
+  "wind_speed", "wind_gust", "pressure", "air_temp", "sea_temp"
+];
+
+/**
+ * Linear-interpolated percentile of a sorted array
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Typical sampling interval of a series (median spacing, so gaps don't skew it)
+ * @param {Array<number>} times - Timestamps in ms, sorted ascending
+ * @returns {number} Interval in ms (defaults to hourly)
+ */
+function getSamplingInterval(times) {
+  if (times.length < 2) return 60 * 60 * 1000;
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) gaps.push(times[i] - times[i - 1]);
+  }
+  return gaps.length ? percentile(gaps.sort((a, b) => a - b), 50) : 60 * 60 * 1000;
+}
+
+/**
+ * Compute statistics for one metric over a time window
+ * @param {Array} data - Array of {time, value} points (already limited to the window)
+ * @param {Object} range - { start, end } in ms, used for completeness
+ * @returns {Object|null} { min, max, mean, median, p90, maxTime, completeness } or null if no valid data
+ */
+function computeSeriesStats(data, range) {
+  const times = data.map(d => new Date(d.time).getTime()).sort((a, b) => a - b);
+  const valid = data
+    .map(d => ({ time: d.time, value: parseFloat(d.value) }))
+    .filter(d => d.value != null && !isNaN(d.value));
+
+  if (valid.length === 0) return null;
+
+  const values = valid.map(d => d.value).sort((a, b) => a - b);
+  const maxPoint = valid.reduce((best, d) => (d.value > best.value ? d : best), valid[0]);
+
+  const interval = getSamplingInterval(times);
+  const expected = Math.max(1, Math.floor((range.end - range.start) / interval));
+
+  return {
+    min: values[0],
+    max: values[values.length - 1],
+    mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+    median: percentile(values, 50),
+    p90: percentile(values, 90),
+    maxTime: maxPoint.time,
+    completeness: Math.min(100, Math.round((valid.length / expected) * 100))
+  };
+}
+
+/**
+ * Format a statistic in the metric's display unit (no label - it's in the row header)
+ */
+function formatStatValue(key, value) {
+  const kind = STATS_METRIC_KINDS[key];
+  if (kind) {
+    const decimals = kind === "height" ? { m: 2, ft: 1 } : 1;
+    return Units.formatValue(kind, value, decimals);
+  }
+  return value.toFixed(1);
+}
+
+/**
+ * Unit label for a metric row
+ */
+function getStatUnitLabel(key, metric) {
+  const kind = STATS_METRIC_KINDS[key];
+  return kind ? Units.getLabel(kind) : (metric.unit || "");
+}
+
+/**
+ * Render the statistics panel for the selected buoy
+ * @param {HTMLElement} container - Panel container
+ * @param {Object} buoy - Buoy data limited to the visible range
+ * @param {Object} range - { start, end } visible range in ms
+ * @param {string} rangeLabel - Heading text for the range (e.g. "24h")
+ */
+function renderStatsPanel(container, buoy, range, rangeLabel) {
+  if (!container) return;
+
+  try {
+    const ts = buoy?.timeseries || {};
+    const keys = Object.keys(ts)
+      .filter(key => !key.includes("direction") && (ts[key].data || []).length > 0)
+      .sort((a, b) => {
+        const ia = STATS_METRIC_ORDER.indexOf(a);
+        const ib = STATS_METRIC_ORDER.indexOf(b);
+        if (ia !== -1 || ib !== -1) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+        return a.localeCompare(b);
+      });
+
+    const rows = keys.map(key => {
+      const metric = ts[key];
+      const stats = computeSeriesStats(metric.data, range);
+      if (!stats) return "";
+
+      const unit = getStatUnitLabel(key, metric);
+      const maxTime = new Date(stats.maxTime).toLocaleString("en-US", {
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: false,
+        timeZone: "America/Vancouver"
+      });
+      const completenessColor = stats.completeness >= 90 ? "#2e7d32" : stats.completeness >= 60 ? "#ef6c00" : "#c62828";
+
+      return `
+        <tr>
+          <td>${metric.name || key}${unit ? ` <span style="color: #666; font-weight: normal;">(${unit})</span>` : ""}</td>
+          <td>${formatStatValue(key, stats.min)}</td>
+          <td>${formatStatValue(key, stats.max)}</td>
+          <td>${formatStatValue(key, stats.mean)}</td>
+          <td>${formatStatValue(key, stats.median)}</td>
+          <td>${formatStatValue(key, stats.p90)}</td>
+          <td>${maxTime}</td>
+          <td style="color: ${completenessColor}; font-weight: 600;">${stats.completeness}%</td>
+        </tr>
+      `;
+    }).join("");
+
+    container.innerHTML = `
+      <h3 style="margin: 1.5rem 0 0.75rem; color: #004b7c; text-align: center;">
+        ${buoy?.name || "Buoy"} Statistics (${rangeLabel})
+      </h3>
+      <div class="data-table">
+        <table id="chart-stats-table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th>Min</th>
+              <th>Max</th>
+              <th>Mean</th>
+              <th>Median</th>
+              <th>90th %</th>
+              <th>Time of Max</th>
+              <th title="Valid readings as a share of the readings expected at this station's sampling rate">Complete</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows || `<tr><td colspan="8" style="text-align: center; color: #999; padding: 1.5rem;">No data in the selected range</td></tr>`}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    logger.error("StatsPanel", "Error rendering statistics panel", error);
+    container.innerHTML = `<p style="text-align: center; color: #e53935;">Error calculating statistics</p>`;
+  }
+}
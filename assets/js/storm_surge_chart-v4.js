@@ -131,15 +131,16 @@ function updateSurgeChart(stationId) {
     return;
   }
 
-  // Prepare data
+  // Prepare data (surge values in the preferred height unit)
   const times = [];
   const values = [];
+  const heightUnit = Units.getLabel("height");
   
   Object.entries(station.forecast)
     .sort(([a], [b]) => new Date(a) - new Date(b))
     .forEach(([timeStr, value]) => {
       times.push(timeStr);
-      values.push(value);
+      values.push(Units.convert("height", value));
     });
 
   // Initialize chart if needed
@@ -177,7 +178,7 @@ function updateSurgeChart(stationId) {
         });
         const value = params[0].value;
         const sign = value >= 0 ? "+" : "";
-        return `<b>${time}</b><br/>Storm Surge: ${sign}${value.toFixed(2)} m`;
+        return `<b>${time}</b><br/>Storm Surge: ${sign}${value.toFixed(2)} ${heightUnit}`;
       }
     },
     grid: {
@@ -222,7 +223,7 @@ function updateSurgeChart(stationId) {
     },
     yAxis: {
       type: "value",
-      name: "Surge (m)",
+      name: `Surge (${heightUnit})`,
       min: yMin,
       max: yMax,
       axisLabel: {
@@ -322,3 +323,10 @@ loadStormSurgeData();
 // Refresh every 2 hours
 setInterval(loadStormSurgeData, 2 * 60 * 60 * 1000);
 
+// Redraw in the new units (no refetch needed)
+Units.onChange(() => {
+  if (!surgeData) return;
+  const selectedStation = document.getElementById("surge-station-select")?.value || "Point_Atkinson";
+  updateSurgeChart(selectedStation);
+});
+
@@ -198,8 +198,7 @@ function updatePeakToday(stationId) {
 
     // Display peak if found
     if (peakSurge !== null && peakTimeStr && range.valueEl && range.timeEl) {
-      const sign = peakSurge >= 0 ? "+" : "";
-      range.valueEl.textContent = `${sign}${peakSurge.toFixed(2)} m`;
+      range.valueEl.textContent = Units.format("height", peakSurge, 2, { signed: true });
 
       const peakDate = new Date(peakTimeStr);
       const timeFormatted = peakDate.toLocaleString("en-US", {
@@ -267,7 +266,7 @@ function updateForecastChart(stationId) {
   Object.entries(station.forecast)
     .sort(([a], [b]) => new Date(a) - new Date(b))
     .forEach(([timeStr, value]) => {
-      forecastData_series.push([timeStr, value]);
+      forecastData_series.push([timeStr, Units.convert("height", value)]);
     });
 
   // Initialize chart if needed
@@ -281,7 +280,7 @@ function updateForecastChart(stationId) {
   const maxVal = Math.max(...values);
   const minVal = Math.min(...values);
   const range = maxVal - minVal;
-  const padding = Math.max(range * 0.2, 0.1); // At least 0.1m padding
+  const padding = Math.max(range * 0.2, 0.1); // At least 0.1 (m or ft) padding
   const yMin = Math.floor((minVal - padding) * 10) / 10;
   const yMax = Math.ceil((maxVal + padding) * 10) / 10;
 
@@ -347,7 +346,7 @@ function updateForecastChart(stationId) {
     peakData.forEach((peak) => {
       if (peak.time && peak.value !== null) {
         markPointData.push({
-          coord: [peak.time, peak.value],
+          coord: [peak.time, Units.convert("height", peak.value)],
           itemStyle: {
             color: '#ff4444',
             borderColor: '#fff',
@@ -355,8 +354,7 @@ function updateForecastChart(stationId) {
           }
         });
         // Collect labels for legend
-        const sign = peak.value >= 0 ? '+' : '';
-        peakLabels.push(`${peak.label}: ${sign}${peak.value.toFixed(2)}m`);
+        peakLabels.push(`${peak.label}: ${Units.format('height', peak.value, 2, { signed: true, compact: true })}`);
       }
     });
   }
@@ -440,7 +438,7 @@ function updateForecastChart(stationId) {
         params.forEach(param => {
           const value = param.data[1];
           const sign = value >= 0 ? "+" : "";
-          tooltip += `${param.marker} ${param.seriesName}: ${sign}${value.toFixed(3)} m<br/>`;
+          tooltip += `${param.marker} ${param.seriesName}: ${sign}${value.toFixed(3)} ${Units.getLabel("height")}<br/>`;
         });
         return tooltip;
       }
@@ -472,7 +470,7 @@ function updateForecastChart(stationId) {
     },
     yAxis: {
       type: "value",
-      name: "Surge (m)",
+      name: `Surge (${Units.getLabel("height")})`,
       min: yMin,
       max: yMax,
       axisLabel: {
@@ -556,8 +554,8 @@ function updateForecastMetadata(station, times, values) {
     <strong>Data Retrieved:</strong> ${formatDate(generatedTime)}<br/>
     <strong>Forecast Period:</strong> ${formatDate(firstForecast)} to ${formatDate(lastForecast)}<br/>
     <strong>Resolution:</strong> ${values.length} hours (1-hour intervals)<br/>
-    <strong>Peak High:</strong> +${maxSurge.toFixed(3)} m at ${formatDate(new Date(maxTime))}<br/>
-    <strong>Peak Low:</strong> ${minSurge.toFixed(3)} m at ${formatDate(new Date(minTime))}
+    <strong>Peak High:</strong> +${maxSurge.toFixed(3)} ${Units.getLabel("height")} at ${formatDate(new Date(maxTime))}<br/>
+    <strong>Peak Low:</strong> ${minSurge.toFixed(3)} ${Units.getLabel("height")} at ${formatDate(new Date(minTime))}
   `;
 }
 
@@ -704,7 +702,7 @@ function updateHindcastChart(stationId) {
       };
     }
     forecastDates[date].times.push(point.time);
-    forecastDates[date].values.push(point.value);
+    forecastDates[date].values.push(Units.convert("height", point.value));
   });
 
   // Sort dates
@@ -739,7 +737,7 @@ function updateHindcastChart(stationId) {
   // Add observed surge data if available for this station
   if (observedSurgeData?.stations?.[stationId]) {
     const obsStation = observedSurgeData.stations[stationId];
-    const obsData = obsStation.data.map(d => [d.time, d.observed_surge_m]);
+    const obsData = obsStation.data.map(d => [d.time, Units.convert("height", d.observed_surge_m)]);
 
     series.push({
       name: "Observed Surge (Actual)",
@@ -857,7 +855,7 @@ function updateHindcastChart(stationId) {
         params.forEach(param => {
           const value = param.data[1];
           const sign = value >= 0 ? "+" : "";
-          tooltip += `${param.marker} ${param.seriesName}: ${sign}${value.toFixed(3)} m<br/>`;
+          tooltip += `${param.marker} ${param.seriesName}: ${sign}${value.toFixed(3)} ${Units.getLabel("height")}<br/>`;
         });
 
         return tooltip;
@@ -895,7 +893,7 @@ function updateHindcastChart(stationId) {
     },
     yAxis: {
       type: "value",
-      name: "Surge (m)",
+      name: `Surge (${Units.getLabel("height")})`,
       axisLabel: {
         formatter: (value) => {
           const sign = value >= 0 ? "+" : "";
@@ -1021,6 +1019,16 @@ setInterval(() => {
   });
 }, 2 * 60 * 60 * 1000);
 
+// Redraw both charts in the new units (cached data, no refetch)
+Units.onChange(() => {
+  if (forecastData) {
+    updateForecastChart(document.getElementById("forecast-station-select")?.value || "Point_Atkinson");
+  }
+  if (hindcastData) {
+    updateHindcastChart(document.getElementById("hindcast-station-select")?.value || "Point_Atkinson");
+  }
+});
+
 /* ======================================
    Show on Map Navigation Functions
    ====================================== */
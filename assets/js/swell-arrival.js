@@ -0,0 +1,219 @@
+/* =====================================================
+   Swell Arrival Estimator
+   Predicts when swell seen at Neah Bay reaches inner-strait buoys
+   ===================================================== */
+
+/**
+ * Swell energy travels at the group velocity, which in deep water depends
+ * only on period: cg = g T / 4π (≈ 0.78 T m/s). Travel time to each
+ * downstream buoy is the straight-line distance between the stations
+ * (coordinates from stations.json) divided by cg. The arrival window spans
+ * ±10% of the reported swell period, since the swell peak period itself is
+ * only resolved to a frequency bin.
+ *
+ * Only swell from the SW–NW sector can run up Juan de Fuca Strait; other
+ * directions get no estimate. Heights aren't predicted - the strait
+ * attenuates swell well before Angeles Point / New Dungeness.
+ *
+ * main.js passes each latest_buoy_v2.json load to setReadings(); cards render
+ * an empty `.card-swell-arrival` container that fills once stations.json is in.
+ */
+(function() {
+  const SOURCE_ID = '46087'; // Neah Bay
+  const TARGET_IDS = ['46267', '46088']; // Angeles Point, New Dungeness
+
+  const G = 9.81;
+  const PERIOD_SPREAD = 0.1;
+  const STRAIT_DIRECTION_RANGE = [200, 320]; // Swell coming FROM SW to NW
+  const MIN_SWELL_HEIGHT = 0.2; // metres - below this there's nothing to track
+  const MAX_READING_AGE_HOURS = 6;
+
+  let stationCoords = null;
+  let sourceReading = null;
+  let stationsRequested = false;
+  const listeners = [];
+
+  /**
+   * Load station coordinates from stations.json (once)
+   */
+  async function loadStations() {
+    if (stationsRequested) return;
+    stationsRequested = true;
+
+    try {
+      const stations = await BuoyRegistry.loadStationsMetadata();
+      stationCoords = {};
+      Object.values(stations.buoys || {}).forEach(buoy => {
+        if (buoy.id && buoy.lat != null && buoy.lon != null) {
+          stationCoords[buoy.id] = { lat: buoy.lat, lon: buoy.lon };
+        }
+      });
+      notify();
+    } catch (err) {
+      logger.warn('SwellArrival', 'Could not load stations.json for swell arrival estimates', err);
+      stationsRequested = false; // Try again on the next reading
+    }
+  }
+
+  /**
+   * Deep-water group velocity
+   * @param {number} period - Wave period in seconds
+   * @returns {number} m/s
+   */
+  function groupVelocity(period) {
+    return G * period / (4 * Math.PI);
+  }
+
+  /**
+   * Estimate arrival windows at every downstream buoy
+   * @returns {Object} { status, reason?, targets: [{ id, name, distanceKm, start, end }] }
+   *   status is 'ok', 'none' (no swell / wrong direction / stale) or 'pending' (waiting on data)
+   */
+  function estimate() {
+    if (!sourceReading || !stationCoords) return { status: 'pending', targets: [] };
+
+    const height = sourceReading.swell_height;
+    const period = sourceReading.swell_period;
+    const direction = sourceReading.swell_direction;
+    const observed = new Date(sourceReading.observation_time).getTime();
+
+    if (height == null || period == null || isNaN(observed)) {
+      return { status: 'none', reason: 'No swell reading', targets: [] };
+    }
+    if ((Date.now() - observed) / 3600000 > MAX_READING_AGE_HOURS) {
+      return { status: 'none', reason: 'Neah Bay reading is too old', targets: [] };
+    }
+    if (height < MIN_SWELL_HEIGHT) {
+      return { status: 'none', reason: 'No significant swell', targets: [] };
+    }
+    if (direction != null && (direction < STRAIT_DIRECTION_RANGE[0] || direction > STRAIT_DIRECTION_RANGE[1])) {
+      return { status: 'none', reason: 'Swell not aimed up the strait', targets: [] };
+    }
+
+    const origin = stationCoords[SOURCE_ID];
+    if (!origin) return { status: 'none', reason: 'Neah Bay location unknown', targets: [] };
+
+    // Longer periods travel faster, so the long end of the spread arrives first
+    const fastSpeed = groupVelocity(period * (1 + PERIOD_SPREAD));
+    const slowSpeed = groupVelocity(period * (1 - PERIOD_SPREAD));
+
+    const targets = TARGET_IDS
+      .filter(id => stationCoords[id])
+      .map(id => {
+        const km = BuoyRegistry.distanceKm(origin, stationCoords[id]);
+        return {
+          id: id,
+          name: BuoyRegistry.getStation(id)?.name || id,
+          distanceKm: km,
+          start: observed + (km * 1000 / fastSpeed) * 1000,
+          end: observed + (km * 1000 / slowSpeed) * 1000
+        };
+      });
+
+    return { status: 'ok', period: period, targets: targets };
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false,
+      timeZone: 'America/Vancouver'
+    });
+  }
+
+  function formatRelative(target) {
+    const now = Date.now();
+    if (now > target.end) return 'arrived';
+    if (now >= target.start) return 'arriving now';
+    const minutes = Math.round((target.start - now) / 60000);
+    return minutes < 60 ? `in ${minutes} min` : `in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  /**
+   * Build the arrival panel for the source (Neah Bay) card
+   * @param {string} id - Station ID
+   * @returns {string} HTML, or '' for other stations / before data loads
+   */
+  function buildCardHtml(id) {
+    if (id !== SOURCE_ID) return '';
+
+    const result = estimate();
+    if (result.status === 'pending') return '';
+
+    const header = `<div class="swell-arrival-header">🕒 Swell arrival estimate</div>`;
+    if (result.status === 'none') {
+      return `${header}<div class="swell-arrival-note">${result.reason}</div>`;
+    }
+
+    const rows = result.targets.map(target => `
+      <div class="swell-arrival-row" title="${Math.round(target.distanceKm)} km at ${(groupVelocity(result.period) * 3.6).toFixed(0)} km/h group speed">
+        <span class="swell-arrival-name">${target.name}</span>
+        <span>${formatTime(target.start)}–${formatTime(target.end)}</span>
+        <span class="swell-arrival-relative">${formatRelative(target)}</span>
+      </div>
+    `).join('');
+
+    return `${header}${rows}<div class="swell-arrival-note">Deep-water group velocity for ${result.period.toFixed(1)}s swell; heights drop through the strait.</div>`;
+  }
+
+  /**
+   * Arrival window at a downstream buoy (for chart markers)
+   * @param {string} id - Downstream station ID
+   * @returns {Object|null} { start, end } in ms
+   */
+  function getArrival(id) {
+    const result = estimate();
+    const target = result.targets.find(t => t.id === id);
+    return target ? { start: target.start, end: target.end } : null;
+  }
+
+  function renderAll() {
+    document.querySelectorAll('.card-swell-arrival[data-buoy-id]').forEach(container => {
+      container.innerHTML = buildCardHtml(container.dataset.buoyId);
+    });
+  }
+
+  function notify() {
+    renderAll();
+    listeners.forEach(callback => callback());
+  }
+
+  /**
+   * Provide the latest buoy readings (called by main.js after each load)
+   * @param {Object} data - latest_buoy_v2.json content
+   */
+  function setReadings(data) {
+    const reading = data?.[SOURCE_ID] || null;
+    const changed = reading?.observation_time !== sourceReading?.observation_time;
+    sourceReading = reading;
+
+    if (!stationCoords) {
+      loadStations();
+      return;
+    }
+    if (changed) notify();
+  }
+
+  /**
+   * Register a callback for new estimates
+   * @param {Function} callback - Called after the estimate changes
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  // Keep "in 40 min" / "arriving now" current between data refreshes
+  setInterval(renderAll, 60 * 1000);
+
+  // Public API
+  window.SwellArrival = {
+    SOURCE_ID: SOURCE_ID,
+    TARGET_IDS: TARGET_IDS,
+
+    setReadings: setReadings,
+    buildCardHtml: buildCardHtml,
+    getArrival: getArrival,
+    onChange: onChange
+  };
+})();
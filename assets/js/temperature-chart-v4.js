@@ -11,10 +11,11 @@
 function renderTemperatureChart(tempChart, buoy) {
   try {
     const ts = buoy.timeseries;
-    const airTempData = ts.air_temp?.data || [];
-    const seaTempData = ts.sea_temp?.data || [];
+    const airTempData = Units.convertSeries('temperature', ts.air_temp?.data || [], { decimals: 1 });
+    const seaTempData = Units.convertSeries('temperature', ts.sea_temp?.data || [], { decimals: 1 });
+    const tempUnit = Units.getLabel('temperature');
 
-    // Calculate y-axis range with 1°C padding
+    // Calculate y-axis range with 1 degree padding
     const allTemps = [...airTempData, ...seaTempData]
       .map(d => d?.value)
       .filter(v => v != null && !isNaN(v));
@@ -42,7 +43,7 @@ function renderTemperatureChart(tempChart, buoy) {
         let res = `<b>${time}</b><br/>`;
         params.forEach((p) => {
           if (p.value[1] != null) {
-            res += `${p.marker} ${p.seriesName}: ${p.value[1]} °C<br/>`;
+            res += `${p.marker} ${p.seriesName}: ${p.value[1]} ${tempUnit}<br/>`;
           }
         });
         return res;
@@ -64,10 +65,10 @@ function renderTemperatureChart(tempChart, buoy) {
     },
     yAxis: {
       type: "value",
-      name: "Temperature (°C)",
+      name: `Temperature (${tempUnit})`,
       min: yMin,
       max: yMax,
-      axisLabel: { formatter: "{value} °C" },
+      axisLabel: { formatter: `{value} ${tempUnit}` },
     },
     series: [
       {
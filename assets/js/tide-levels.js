@@ -0,0 +1,190 @@
+/* =====================================================
+   Tide Levels for Buoy Charts
+   Nearest tide station and its water levels for a buoy
+   ===================================================== */
+
+/**
+ * Loads tide-timeseries.json and the station coordinates in stations.json
+ * so the buoy wave chart can overlay water level from a nearby tide
+ * station. Each buoy defaults to the closest tide station with data; the
+ * user can pick another one, remembered per buoy in localStorage.
+ *
+ * Levels are in metres above each station's own datum (chart datum for DFO
+ * stations, geodetic for the Surrey Crescent Beach stations), so only the
+ * shape and timing compare across stations - not the absolute numbers.
+ *
+ * Nothing is fetched until the overlay first asks for data, so the buoy
+ * page only pays for tide-timeseries.json when the overlay is switched on.
+ */
+(function() {
+  const OVERRIDE_STORAGE_KEY = 'tide_overlay_stations';
+  const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+  let tideStations = {}; // key → { name, lat, lon }
+  let buoyCoords = {}; // buoy id → { lat, lon }
+  let timeseries = {}; // key → { predictions, observations }
+  let loaded = false;
+  let requested = false;
+  const listeners = [];
+
+  /**
+   * Fetch tide timeseries and station coordinates
+   */
+  async function load() {
+    try {
+      const [tideData, stations] = await Promise.all([
+        fetchWithTimeout(`/data/tide-timeseries.json?t=${Date.now()}`),
+        BuoyRegistry.loadStationsMetadata()
+      ]);
+
+      timeseries = tideData?.stations || {};
+
+      buoyCoords = {};
+      Object.values(stations.buoys || {}).forEach(buoy => {
+        if (buoy.id && buoy.lat != null && buoy.lon != null) {
+          buoyCoords[buoy.id] = { lat: buoy.lat, lon: buoy.lon };
+        }
+      });
+
+      tideStations = {};
+      Object.entries(stations.tides || {}).forEach(([key, tide]) => {
+        if (timeseries[key] && tide.lat != null && tide.lon != null) {
+          tideStations[key] = { name: tide.name || key, lat: tide.lat, lon: tide.lon };
+        }
+      });
+
+      loaded = true;
+      listeners.forEach(callback => callback());
+    } catch (error) {
+      logger.warn('TideLevels', 'Could not load tide data for the wave chart overlay', error);
+    }
+  }
+
+  /**
+   * Start loading (and refreshing) on first use
+   */
+  function ensureLoaded() {
+    if (requested) return;
+    requested = true;
+    load();
+    setInterval(load, REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Tide stations with data, sorted by name
+   * @returns {Array} [{ key, name }]
+   */
+  function getStations() {
+    ensureLoaded();
+    return Object.entries(tideStations)
+      .map(([key, station]) => ({ key: key, name: station.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Closest tide station to a buoy
+   * @param {string} buoyId - Buoy ID
+   * @returns {Object|null} { key, name, distanceKm }
+   */
+  function getNearest(buoyId) {
+    ensureLoaded();
+    const origin = buoyCoords[buoyId];
+    if (!origin) return null;
+
+    let nearest = null;
+    Object.entries(tideStations).forEach(([key, station]) => {
+      const km = BuoyRegistry.distanceKm(origin, station);
+      if (!nearest || km < nearest.distanceKm) {
+        nearest = { key: key, name: station.name, distanceKm: km };
+      }
+    });
+    return nearest;
+  }
+
+  function loadOverrides() {
+    try {
+      return JSON.parse(localStorage.getItem(OVERRIDE_STORAGE_KEY) || '{}');
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * User's tide station choice for a buoy
+   * @param {string} buoyId - Buoy ID
+   * @returns {string|null} Tide station key, or null for "nearest"
+   */
+  function getOverride(buoyId) {
+    const key = loadOverrides()[buoyId];
+    return key && (!loaded || tideStations[key]) ? key : null;
+  }
+
+  /**
+   * Choose a tide station for a buoy (caller re-renders the charts)
+   * @param {string} buoyId - Buoy ID
+   * @param {string|null} key - Tide station key, or null to go back to the nearest
+   */
+  function setOverride(buoyId, key) {
+    const overrides = loadOverrides();
+    if (key) {
+      overrides[buoyId] = key;
+    } else {
+      delete overrides[buoyId];
+    }
+    try {
+      localStorage.setItem(OVERRIDE_STORAGE_KEY, JSON.stringify(overrides));
+    } catch (e) {
+      // Ignore localStorage errors - the choice still applies until reload
+    }
+  }
+
+  /**
+   * Tide station used for a buoy (override, else nearest)
+   * @param {string} buoyId - Buoy ID
+   * @returns {string|null} Tide station key
+   */
+  function getStationFor(buoyId) {
+    const override = getOverride(buoyId);
+    if (override && tideStations[override]) return override;
+    return getNearest(buoyId)?.key || null;
+  }
+
+  /**
+   * Predicted and observed water level for a buoy's tide station
+   * @param {string} buoyId - Buoy ID
+   * @param {number} start - Window start in ms
+   * @param {number} end - Window end in ms
+   * @returns {Object|null} { key, name, predictions, observations } - {time, value} in metres
+   */
+  function getLevels(buoyId, start, end) {
+    ensureLoaded();
+    const key = getStationFor(buoyId);
+    if (!key) return null;
+
+    const station = timeseries[key];
+    return {
+      key: key,
+      name: tideStations[key].name,
+      predictions: Resampler.filterSeries(station.predictions, start, end),
+      observations: Resampler.filterSeries(station.observations, start, end)
+    };
+  }
+
+  /**
+   * Register a callback for when tide data (re)loads
+   * @param {Function} callback - Called after each successful load
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  // Public API
+  window.TideLevels = {
+    getStations: getStations,
+    getNearest: getNearest,
+    getOverride: getOverride,
+    setOverride: setOverride,
+    getLevels: getLevels,
+    onChange: onChange
+  };
+})();
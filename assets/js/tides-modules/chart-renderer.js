@@ -10,10 +10,13 @@
  * - High/low event markers
  * - Current time indicator
  * - Sunlight time markers
+ * - Moonrise/moonset markers with the moon phase
+ * - Spring/neap day band
  * - Day filtering and windowing
  */
 
 import { PACIFIC_TZ } from './constants.js';
+import { formatHeight } from './utils.js';
 
 let tideChart = null;
 let currentGeodeticResiduals = []; // Global storage for residuals
@@ -48,6 +51,13 @@ function filterByDay(dataArray, timeKey, dayStart, dayEnd) {
   });
 }
 
+/**
+ * Convert [time, metres] chart points to the preferred height unit
+ */
+function toDisplayHeight(points) {
+  return points.map(([time, value]) => [time, window.Units.convert('height', value)]);
+}
+
 /**
  * Get responsive legend bottom position based on screen size
  */
@@ -88,6 +98,7 @@ function buildChartSeries(data) {
     combinedData,
     dayOffset,
     sunlightTimes,
+    moonTimes,
     targetDateStr,
     dayStart,
     dayEnd,
@@ -104,7 +115,7 @@ function buildChartSeries(data) {
   series.push({
     name: tidePredictionName,
     type: 'line',
-    data: times.map((t, i) => [t, values[i]]),
+    data: toDisplayHeight(times.map((t, i) => [t, values[i]])),
     smooth: true,
     lineStyle: { color: tidePredictionColor, width: 2 },
     itemStyle: { color: tidePredictionColor },
@@ -160,12 +171,68 @@ function buildChartSeries(data) {
     });
   }
 
+  // 2b. Moonrise/moonset as vertical lines, labelled with the phase icon
+  if (moonTimes) {
+    const markLineData = [];
+    [[moonTimes.rise, '↑'], [moonTimes.set, '↓']].forEach(([time, arrow]) => {
+      if (time != null && time >= dayStart && time <= dayEnd) {
+        markLineData.push({
+          xAxis: new Date(time),
+          lineStyle: { color: '#5c6bc0', type: 'dotted', width: 1.5 },
+          label: { show: true, position: 'end', formatter: `${moonTimes.illumination.icon}${arrow}`, fontSize: 11 }
+        });
+      }
+    });
+
+    if (markLineData.length > 0) {
+      series.push({
+        name: 'Moonrise / Moonset',
+        type: 'line',
+        data: [],
+        markLine: {
+          silent: true,
+          symbol: 'none',
+          data: markLineData
+        },
+        showSymbol: false,
+        lineStyle: { opacity: 0 },
+        itemStyle: { opacity: 0 },
+        tooltip: { show: false }
+      });
+    }
+  }
+
+  // 2c. Spring/neap days tinted and labelled like the calendar's S/N badges
+  const springNeapStatus = moonTimes?.springNeap?.status;
+  if (springNeapStatus) {
+    const style = springNeapStatus === 'spring'
+      ? { label: 'Spring tides', color: '#f57c00', tint: '#fff8e1' }
+      : { label: 'Neap tides', color: '#78909c', tint: '#f3f6f9' };
+
+    series.push({
+      name: style.label,
+      type: 'line',
+      data: [],
+      markArea: {
+        silent: true,
+        itemStyle: { color: style.tint, opacity: 0.6 },
+        label: { show: true, position: 'insideTopLeft', color: style.color, fontWeight: 'bold', fontSize: 11 },
+        data: [[{ name: style.label, xAxis: dayStart }, { xAxis: dayEnd }]]
+      },
+      showSymbol: false,
+      lineStyle: { opacity: 0 },
+      itemStyle: { opacity: 0 },
+      tooltip: { show: false },
+      z: 0
+    });
+  }
+
   // 3. Raw observations (show for all stations except Crescent Channel)
   if (observations.length > 0 && dayOffset === 0 && !isCrescentChannel) {
     series.push({
       name: 'Observation',
       type: 'scatter',
-      data: obsTimes.map((t, i) => [t, obsValues[i]]),
+      data: toDisplayHeight(obsTimes.map((t, i) => [t, obsValues[i]])),
       itemStyle: { color: '#43a047' },
       symbolSize: 6,
       z: 10
@@ -177,7 +244,7 @@ function buildChartSeries(data) {
     series.push({
       name: 'Tidal Residual (Surrey)',
       type: 'line',
-      data: residuals,
+      data: toDisplayHeight(residuals),
       smooth: false,
       lineStyle: { color: '#e53935', width: 2, type: 'dashed' },
       itemStyle: { color: '#e53935' },
@@ -203,7 +270,7 @@ function buildChartSeries(data) {
     series.push({
       name: 'Storm Surge (Forecast)',
       type: 'line',
-      data: surgeData,
+      data: toDisplayHeight(surgeData),
       smooth: true,
       lineStyle: { color: '#9c27b0', width: 2 },
       itemStyle: { color: '#9c27b0' },
@@ -216,7 +283,7 @@ function buildChartSeries(data) {
     series.push({
       name: 'Total Water Level (Forecast)',
       type: 'line',
-      data: combinedData,
+      data: toDisplayHeight(combinedData),
       smooth: true,
       lineStyle: { color: '#00897b', width: 3 },
       itemStyle: { color: '#00897b' },
@@ -251,7 +318,7 @@ function buildChartSeries(data) {
       series.push({
         name: nearestResidual !== null ? 'Now (Predicted + Residual)' : 'Now (Predicted)',
         type: 'scatter',
-        data: [[now, currentEstimatedTide]],
+        data: toDisplayHeight([[now, currentEstimatedTide]]),
         itemStyle: {
           color: nearestResidual !== null ? '#e53935' : '#ff9800',
           borderColor: '#fff',
@@ -270,10 +337,10 @@ function buildChartSeries(data) {
               timeZone: PACIFIC_TZ
             });
             let tooltip = `<strong>Now</strong><br/>${timeStr}<br/>`;
-            tooltip += `Tide: ${currentEstimatedTide.toFixed(3)} m<br/>`;
+            tooltip += `Tide: ${formatHeight(currentEstimatedTide, { m: 3, ft: 2 })}<br/>`;
             if (nearestResidual !== null) {
-              tooltip += `<span style="color: #666; font-size: 0.9em;">Predicted: ${currentPredictedTide.toFixed(3)} m<br/>`;
-              tooltip += `Residual: ${nearestResidual >= 0 ? '+' : ''}${nearestResidual.toFixed(3)} m</span>`;
+              tooltip += `<span style="color: #666; font-size: 0.9em;">Predicted: ${formatHeight(currentPredictedTide, { m: 3, ft: 2 })}<br/>`;
+              tooltip += `Residual: ${formatHeight(nearestResidual, { m: 3, ft: 2 }, { signed: true })}</span>`;
             }
             return tooltip;
           }
@@ -337,8 +404,10 @@ function buildLegendData(data) {
  * @param {object} tideTimeseriesData - Tide timeseries data
  * @param {object} combinedWaterLevelData - Combined water level data
  * @param {function} getSunlightTimesForDate - Callback to get sunlight times
+ * @param {function} [getMoonForDate] - Callback to get moonrise/moonset and phase
+ * @param {object} [activeDatum] - Datum the heights are in (datum.js), for the axis label
  */
-export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, combinedWaterLevelData, getSunlightTimesForDate) {
+export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, combinedWaterLevelData, getSunlightTimesForDate, getMoonForDate, activeDatum) {
   const chartContainer = document.getElementById('tide-chart');
 
   if (!chartContainer) return;
@@ -459,6 +528,7 @@ export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, comb
 
   // Get sunlight times
   const sunlightTimes = getSunlightTimesForDate(stationKey, targetDateStr);
+  const moonTimes = getMoonForDate ? getMoonForDate(stationKey, targetDateStr) : null;
 
   // Prepare data object for series building
   const chartData = {
@@ -474,6 +544,7 @@ export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, comb
     combinedData,
     dayOffset,
     sunlightTimes,
+    moonTimes,
     targetDateStr,
     dayStart,
     dayEnd,
@@ -494,11 +565,12 @@ export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, comb
           hour12: false,
           timeZone: PACIFIC_TZ
         });
+        const decimals = window.Units.getUnit('height') === 'ft' ? 2 : 3;
         let result = `${timeStr}<br/>`;
         params.forEach(param => {
           const value = param.value[1];
           if (value !== null && value !== undefined) {
-            result += `${param.marker} ${param.seriesName}: ${value.toFixed(3)} m<br/>`;
+            result += `${param.marker} ${param.seriesName}: ${value.toFixed(decimals)} ${window.Units.getLabel('height')}<br/>`;
           }
         });
         return result;
@@ -547,7 +619,7 @@ export function displayTideChart(stationKey, dayOffset, tideTimeseriesData, comb
     },
     yAxis: {
       type: 'value',
-      name: window.innerWidth < 600 ? 'height (meters)' : 'Height (m)',
+      name: `${window.innerWidth < 600 ? 'height' : 'Height'} (${window.Units.getLabel('height')}${activeDatum ? `, ${activeDatum.short}` : ''})`,
       nameLocation: 'middle',
       nameGap: window.innerWidth < 600 ? 25 : 45,
       nameTextStyle: {
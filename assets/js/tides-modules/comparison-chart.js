@@ -0,0 +1,353 @@
+/**
+ * Station Comparison Module
+ * Overlays 2-4 stations' water levels for the selected day and shows how
+ * each high/low arrives at the other stations relative to the current one
+ *
+ * The station shown on the page is the reference. For each of its highs and
+ * lows, the same kind of event at each compared station (the nearest within
+ * MAX_PAIR_HOURS) gives:
+ * - Time offset: compared time minus reference time (positive = later)
+ * - Range difference: the rise/fall into that event, compared minus reference
+ *
+ * Heights are in the selected vertical datum (datum.js); a station without
+ * offsets for it stays in its own datum and its series is tagged. Geodetic
+ * stations are left out - their data isn't on chart datum.
+ */
+
+import { STATION_DISPLAY_NAMES, PACIFIC_TZ } from './constants.js';
+import { getDateStringForOffset, getDayOffsetForDate, getPacificDayBounds, formatHeight } from './utils.js';
+import { isGeodeticStation } from './geodetic.js';
+import { toActiveDatum } from './datum.js';
+
+const MAX_STATIONS = 4;
+const MAX_PAIR_HOURS = 3;
+const DEFAULT_COMPARE_STATIONS = ['point_atkinson', 'whiterock', 'tsawwassen'];
+const STATION_COLORS = ['#0077be', '#f57c00', '#43a047', '#8e24aa'];
+
+let compareChart = null;
+let compareStations = null; // Stations compared with the reference, in the order picked
+
+/**
+ * Time of day in Pacific (HH:MM)
+ */
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: PACIFIC_TZ
+  });
+}
+
+/**
+ * Highs/lows for a day and its neighbours, with the range into each event
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {Array} [{ time (ms), type, value, range }] sorted by time; range
+ *   is null for the first event (no previous one to measure from)
+ */
+function getEventsAround(stationKey, tideDataStore, dateStr) {
+  const offset = getDayOffsetForDate(dateStr);
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+  const events = [-1, 0, 1]
+    .flatMap(step => tideDataStore.getEventsForDate(stationKey, getDateStringForOffset(offset + step)).events)
+    .filter(event => event.value != null)
+    .map(event => ({ time: new Date(event.time).getTime(), type: event.type, value: toActiveDatum(event.value, activeDatum) }))
+    .sort((a, b) => a.time - b.time);
+
+  return events.map((event, i) => ({
+    ...event,
+    range: i > 0 && events[i - 1].type !== event.type ? Math.abs(event.value - events[i - 1].value) : null
+  }));
+}
+
+/**
+ * Pair each reference event with the nearest event of the same type
+ *
+ * @param {Array} referenceEvents - Events at the reference station
+ * @param {Array} events - Events at the compared station
+ * @returns {Array} Matched event (or null) for each reference event
+ */
+export function pairEvents(referenceEvents, events) {
+  const maxGap = MAX_PAIR_HOURS * 60 * 60 * 1000;
+  return referenceEvents.map(reference => {
+    let best = null;
+    events.forEach(event => {
+      const gap = Math.abs(event.time - reference.time);
+      if (event.type === reference.type && gap <= maxGap && (!best || gap < Math.abs(best.time - reference.time))) {
+        best = event;
+      }
+    });
+    return best;
+  });
+}
+
+/**
+ * Stations that can be compared (non-geodetic, with predictions)
+ */
+function getComparableStations(tideDataStore) {
+  return tideDataStore.getAvailableStations().filter(key => !isGeodeticStation(key) && tideDataStore.getTimeseries(key));
+}
+
+/**
+ * Build the station checkboxes
+ */
+function buildControls(referenceKey, stations) {
+  const full = compareStations.length >= MAX_STATIONS - 1;
+  return stations.map(key => {
+    const isReference = key === referenceKey;
+    const checked = isReference || compareStations.includes(key);
+    const disabled = isReference || (!checked && full);
+    return `
+      <label class="tide-compare-station${checked ? ' checked' : ''}">
+        <input type="checkbox" value="${key}" ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+        ${STATION_DISPLAY_NAMES[key] || key}${isReference ? ' (reference)' : ''}
+      </label>
+    `;
+  }).join('');
+}
+
+/**
+ * Build the high/low offset table
+ */
+function buildOffsetTable(referenceKey, referenceEvents, compared) {
+  if (referenceEvents.length === 0) {
+    return '<p style="color: #666;">No highs/lows at the reference station for this day.</p>';
+  }
+
+  const headers = compared.map(({ key }) => `<th>${STATION_DISPLAY_NAMES[key] || key}</th>`).join('');
+
+  const rows = referenceEvents.map((reference, i) => {
+    const isHigh = reference.type === 'high';
+    const cells = compared.map(({ pairs }) => {
+      const match = pairs[i];
+      if (!match) return '<td style="color: #999;">—</td>';
+
+      const minutes = Math.round((match.time - reference.time) / 60000);
+      const offset = minutes === 0 ? 'same time' : `${minutes > 0 ? '+' : '−'}${Math.abs(minutes)} min`;
+      let rangeText = '';
+      if (match.range != null && reference.range != null) {
+        const percent = reference.range > 0 ? Math.round((match.range / reference.range - 1) * 100) : null;
+        rangeText = `<br><span style="color: #666; font-size: 0.85em;">range ${formatHeight(match.range - reference.range, 2, { signed: true })}${percent != null ? ` (${percent > 0 ? '+' : ''}${percent}%)` : ''}</span>`;
+      }
+      return `<td><strong>${offset}</strong> · ${formatClock(match.time)} ${formatHeight(match.value, 2)}${rangeText}</td>`;
+    }).join('');
+
+    return `
+      <tr>
+        <td class="${isHigh ? 'tide-calendar-high' : 'tide-calendar-low'}">${isHigh ? '▲ High' : '▼ Low'}</td>
+        <td>${formatClock(reference.time)} ${formatHeight(reference.value, 2)}${reference.range != null ? `<br><span style="color: #666; font-size: 0.85em;">range ${formatHeight(reference.range, 2)}</span>` : ''}</td>
+        ${cells}
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="data-table">
+      <table class="tide-compare-table">
+        <thead>
+          <tr>
+            <th>Event</th>
+            <th>${STATION_DISPLAY_NAMES[referenceKey] || referenceKey}</th>
+            ${headers}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <p style="margin: 0.5rem 0 0; font-size: 0.85em; color: #666;">
+      Offsets are relative to the reference station: + means the high/low arrives later.
+      Range is the rise or fall into each event.
+    </p>
+  `;
+}
+
+/**
+ * Build the chart series for each station
+ */
+function buildSeries(stations, tideDataStore, dateStr, dayOffset, dayStart, dayEnd) {
+  const series = [];
+  stations.forEach((key, i) => {
+    const color = STATION_COLORS[i % STATION_COLORS.length];
+    const activeDatum = tideDataStore.getActiveDatum(key);
+    const toDisplay = value => window.Units.convert('height', toActiveDatum(value, activeDatum));
+    const name = `${STATION_DISPLAY_NAMES[key] || key}${activeDatum.fallback ? ` (${activeDatum.short})` : ''}`;
+    const { predictions } = tideDataStore.getPredictionsForDay(key, dateStr);
+
+    series.push({
+      name: name,
+      type: 'line',
+      data: predictions.map(p => [new Date(p.time), toDisplay(p.value)]),
+      smooth: true,
+      lineStyle: { color: color, width: i === 0 ? 3 : 2 },
+      itemStyle: { color: color },
+      showSymbol: false
+    });
+
+    // Observations only for today, as on the main chart
+    const observations = dayOffset === 0
+      ? (tideDataStore.getTimeseries(key)?.observations || []).filter(o => {
+        const time = new Date(o.time).getTime();
+        return o.value != null && time >= dayStart && time < dayEnd;
+      })
+      : [];
+    if (observations.length > 0) {
+      series.push({
+        name: `${name} (observed)`,
+        type: 'scatter',
+        data: observations.map(o => [new Date(o.time), toDisplay(o.value)]),
+        itemStyle: { color: color, opacity: 0.6 },
+        symbolSize: 4,
+        z: 10
+      });
+    }
+  });
+  return series;
+}
+
+/**
+ * Display the comparison chart and offset table
+ * The reference is the selected station; the day follows the day navigation.
+ *
+ * @param {string} referenceKey - Station shown on the page
+ * @param {Object} tideDataStore - Tide data store instance
+ * @returns {void}
+ */
+export function displayStationComparison(referenceKey, tideDataStore) {
+  const controls = document.getElementById('tide-compare-controls');
+  const chartContainer = document.getElementById('tide-compare-chart');
+  const tableContainer = document.getElementById('tide-compare-table');
+  if (!controls || !chartContainer || !tableContainer) return;
+
+  const stations = getComparableStations(tideDataStore);
+  if (isGeodeticStation(referenceKey) || !stations.includes(referenceKey)) {
+    controls.innerHTML = '<p style="color: #666;">Comparison is available for stations on chart datum - pick a non-geodetic station.</p>';
+    disposeComparisonChart();
+    chartContainer.style.display = 'none';
+    tableContainer.innerHTML = '';
+    return;
+  }
+
+  if (!compareStations) {
+    compareStations = DEFAULT_COMPARE_STATIONS.filter(key => key !== referenceKey && stations.includes(key)).slice(0, 2);
+  }
+  compareStations = compareStations.filter(key => key !== referenceKey && stations.includes(key));
+
+  controls.innerHTML = buildControls(referenceKey, stations);
+  controls.querySelectorAll('input[type="checkbox"]:not([disabled])').forEach(input => {
+    input.addEventListener('change', () => {
+      compareStations = input.checked
+        ? [...compareStations, input.value]
+        : compareStations.filter(key => key !== input.value);
+      displayStationComparison(referenceKey, tideDataStore);
+    });
+  });
+
+  if (compareStations.length === 0) {
+    disposeComparisonChart();
+    chartContainer.style.display = 'none';
+    tableContainer.innerHTML = '<p style="color: #666;">Pick at least one station to compare with.</p>';
+    return;
+  }
+
+  const dayOffset = tideDataStore.getDayOffset();
+  const dateStr = getDateStringForOffset(dayOffset);
+  const { start: dayStart, end: dayEnd } = getPacificDayBounds(dateStr);
+  const allStations = [referenceKey, ...compareStations];
+
+  // Offsets and ranges for the reference station's highs/lows on this day
+  const referenceAround = getEventsAround(referenceKey, tideDataStore, dateStr);
+  const referenceEvents = referenceAround.filter(event => event.time >= dayStart && event.time < dayEnd);
+  const compared = compareStations.map(key => ({
+    key: key,
+    pairs: pairEvents(referenceEvents, getEventsAround(key, tideDataStore, dateStr))
+  }));
+  tableContainer.innerHTML = buildOffsetTable(referenceKey, referenceEvents, compared);
+
+  chartContainer.style.display = 'block';
+  if (tideDataStore.getPredictionsForDay(referenceKey, dateStr).predictions.length === 0) {
+    disposeComparisonChart();
+    chartContainer.innerHTML = '<p style="text-align: center; color: #999; padding: 2rem;">No prediction data available for this day</p>';
+    return;
+  }
+
+  if (!compareChart) {
+    chartContainer.innerHTML = '';
+    compareChart = echarts.init(chartContainer);
+  }
+
+  const isMobile = window.innerWidth < 600;
+  const decimals = window.Units.getUnit('height') === 'ft' ? 2 : 3;
+
+  compareChart.clear();
+  compareChart.setOption({
+    color: STATION_COLORS,
+    tooltip: {
+      ...getMobileOptimizedTooltipConfig(),
+      formatter: function(params) {
+        const timeStr = new Date(params[0].value[0]).toLocaleString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          hourCycle: 'h23',
+          timeZone: PACIFIC_TZ
+        });
+        let result = `${timeStr}<br/>`;
+        params.forEach(param => {
+          const value = param.value[1];
+          if (value !== null && value !== undefined) {
+            result += `${param.marker} ${param.seriesName}: ${value.toFixed(decimals)} ${window.Units.getLabel('height')}<br/>`;
+          }
+        });
+        return result;
+      }
+    },
+    legend: {
+      bottom: isMobile ? 0 : 5,
+      textStyle: { fontSize: 10 }
+    },
+    grid: {
+      left: '8%',
+      right: isMobile ? '4%' : '6%',
+      top: '8%',
+      bottom: '20%',
+      containLabel: true
+    },
+    xAxis: {
+      type: 'time',
+      min: dayStart,
+      max: dayEnd,
+      axisLabel: {
+        formatter: value => `${new Date(value).toLocaleString('en-US', { hour: '2-digit', hourCycle: 'h23', timeZone: PACIFIC_TZ })}h`,
+        hideOverlap: true,
+        fontSize: isMobile ? 9 : 10
+      },
+      splitLine: { show: true, lineStyle: { color: '#eee' } }
+    },
+    yAxis: {
+      type: 'value',
+      name: `Height (${window.Units.getLabel('height')}, ${tideDataStore.getActiveDatum(referenceKey).short})`,
+      nameLocation: 'middle',
+      nameGap: isMobile ? 25 : 45,
+      nameTextStyle: { fontSize: isMobile ? 9 : 12 }
+    },
+    series: buildSeries(allStations, tideDataStore, dateStr, dayOffset, dayStart, dayEnd)
+  });
+
+  setTimeout(() => {
+    if (compareChart) compareChart.resize();
+  }, 100);
+}
+
+/**
+ * Dispose the comparison chart
+ */
+export function disposeComparisonChart() {
+  if (compareChart) {
+    compareChart.dispose();
+    compareChart = null;
+  }
+}
@@ -28,3 +28,16 @@ export const GEODETIC_METHODOLOGIES = {
   'crescent_beach_ocean': 'calibrate_prediction',
   'crescent_channel_ocean': 'calibrate_observation'
 };
+
+// Day navigation range in days from today (date picker, calendar, ◀ ▶ buttons).
+// Days outside the exported predictions show a "no prediction data" message.
+export const DAY_OFFSET_RANGE = { min: -30, max: 365 };
+
+// Harmonic predictions (harmonics.js) are only used for a station when they
+// match its exported DFO predictions to within this RMS error on shared dates
+export const HARMONIC_MAX_RMS_M = 0.1;
+
+// Residual (observed - predicted) levels for the storm surge card colours and
+// the residual panel's flags. Above `watch` is unusual; above `warning` is a
+// significant surge or set-down.
+export const RESIDUAL_THRESHOLDS_M = { watch: 0.15, warning: 0.3 };
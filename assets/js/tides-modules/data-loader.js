@@ -3,6 +3,11 @@
  * Handles fetching and caching of tide data from JSON endpoints
  */
 
+import { HARMONIC_MAX_RMS_M } from './constants.js';
+import { getPacificDayBounds } from './utils.js';
+import { hasConstituents, predictSeries, findExtremes, compareWithExport } from './harmonics.js';
+import { getActiveDatum } from './datum.js';
+
 /**
  * Data store - holds all loaded tide data
  */
@@ -12,9 +17,12 @@ export class TideDataStore {
     this.tideTimeseriesData = null;
     this.tideHighLowData = null;
     this.combinedWaterLevelData = null;
+    this.tideConstituentsData = null;
+    this.harmonicChecks = {}; // stationKey → compareWithExport() result
+    this.logger = null;
     this.stationsMetadata = null;
     this.currentStationKey = null;
-    this.currentDayOffset = 0; // 0 = today, 1 = tomorrow, 2 = day after
+    this.currentDayOffset = 0; // Days from today (0 = today, 1 = tomorrow, -1 = yesterday)
     this.currentGeodeticResiduals = []; // Stores residuals for geodetic stations
   }
 
@@ -26,6 +34,7 @@ export class TideDataStore {
    * @returns {Promise<void>}
    */
   async loadAll(logger, fetchWithTimeout) {
+    this.logger = logger;
     try {
       // Load all tide JSON files plus stations metadata and combined water level
       const [
@@ -33,13 +42,15 @@ export class TideDataStore {
         tideTimeseriesData_temp,
         tideHighLowData_temp,
         combinedWaterLevelData_temp,
-        stationsMetadata_temp
+        stationsMetadata_temp,
+        tideConstituentsData_temp
       ] = await Promise.all([
         fetchWithTimeout(`/data/tide-latest.json?t=${Date.now()}`),
         fetchWithTimeout(`/data/tide-timeseries.json?t=${Date.now()}`),
         fetchWithTimeout(`/data/tide-hi-low.json?t=${Date.now()}`),
         fetchWithTimeout(`/data/combined-water-level.json?t=${Date.now()}`).catch(() => null),
-        fetchWithTimeout(`/data/stations.json?t=${Date.now()}`).catch(() => null)
+        fetchWithTimeout(`/data/stations.json?t=${Date.now()}`).catch(() => null),
+        fetchWithTimeout(`/data/tide-constituents.json?t=${Date.now()}`).catch(() => null)
       ]);
 
       this.tideCurrentData = tideCurrentData_temp;
@@ -57,6 +68,13 @@ export class TideDataStore {
         this.stationsMetadata = stationsMetadata_temp.tides || {};
       }
 
+      // Harmonic constituents are optional - without them predictions stop where the exports do
+      this.tideConstituentsData = tideConstituentsData_temp;
+      this.harmonicChecks = {};
+      if (!tideConstituentsData_temp) {
+        logger.warn('Tides', 'Tide constituents not available - no harmonic predictions');
+      }
+
     } catch (error) {
       logger.error('Tides', 'Error loading tide data', error);
       throw error;
@@ -132,6 +150,105 @@ export class TideDataStore {
     return this.combinedWaterLevelData;
   }
 
+  /**
+   * Get harmonic constituents for a station
+   *
+   * @param {string} stationKey - Station identifier
+   * @returns {Object|null} { z0_m, constituents } (tide-constituents.json)
+   */
+  getConstituents(stationKey) {
+    const station = this.tideConstituentsData?.stations?.[stationKey];
+    return hasConstituents(station) ? station : null;
+  }
+
+  /**
+   * Check a station's harmonic predictions against its exported ones
+   * Compares over the dates both cover; cached until the next load. Only
+   * stations with an overlap to check and an RMS error within
+   * HARMONIC_MAX_RMS_M are usable.
+   *
+   * @param {string} stationKey - Station identifier
+   * @returns {Object|null} compareWithExport() result, or null without constituents
+   */
+  getHarmonicCheck(stationKey) {
+    const constituents = this.getConstituents(stationKey);
+    if (!constituents) return null;
+
+    if (!this.harmonicChecks[stationKey]) {
+      const check = compareWithExport(
+        constituents,
+        this.getTimeseries(stationKey)?.predictions || [],
+        this.getHighLow(stationKey)?.events || []
+      );
+      check.usable = check.rmsError != null && check.rmsError <= HARMONIC_MAX_RMS_M;
+      this.harmonicChecks[stationKey] = check;
+
+      const summary = check.rmsError != null
+        ? `RMS ${(check.rmsError * 100).toFixed(1)} cm over ${check.points} points`
+        : 'no overlapping predictions';
+      this.logger?.info('Tides', `Harmonic check for ${stationKey}: ${summary}${check.usable ? '' : ' - not used'}`);
+    }
+    return this.harmonicChecks[stationKey];
+  }
+
+  /**
+   * Get predictions covering a Pacific day
+   * Uses the exported predictions when they span the day, otherwise harmonic
+   * predictions if the station has constituents that passed the export check.
+   *
+   * @param {string} stationKey - Station identifier
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {Object} { predictions: [{time, value}], source: 'export'|'harmonic'|null }
+   */
+  getPredictionsForDay(stationKey, dateStr) {
+    const { start, end } = getPacificDayBounds(dateStr);
+    const exported = (this.getTimeseries(stationKey)?.predictions || []).filter(p => {
+      const time = new Date(p.time).getTime();
+      return time >= start && time < end;
+    });
+
+    const hourMs = 60 * 60 * 1000;
+    const spansDay = exported.length > 0 &&
+      new Date(exported[0].time).getTime() <= start + hourMs &&
+      new Date(exported[exported.length - 1].time).getTime() >= end - hourMs;
+    if (spansDay) return { predictions: exported, source: 'export' };
+
+    if (this.getHarmonicCheck(stationKey)?.usable) {
+      return { predictions: predictSeries(this.getConstituents(stationKey), start, end), source: 'harmonic' };
+    }
+    return { predictions: exported, source: exported.length > 0 ? 'export' : null };
+  }
+
+  /**
+   * Get high/low events for a Pacific day
+   * Exported events when tide-hi-low.json has the date, otherwise harmonic.
+   *
+   * @param {string} stationKey - Station identifier
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {Object} { events: [{time, date, time_display, type, value}], source: 'export'|'harmonic'|null }
+   */
+  getEventsForDate(stationKey, dateStr) {
+    const exported = (this.getHighLow(stationKey)?.events || []).filter(e => e.date === dateStr);
+    if (exported.length > 0) return { events: exported, source: 'export' };
+
+    if (!this.getHarmonicCheck(stationKey)?.usable) return { events: [], source: null };
+
+    const { start, end } = getPacificDayBounds(dateStr);
+    const events = findExtremes(this.getConstituents(stationKey), start, end - 1).map(extreme => ({
+      time: new Date(extreme.time).toISOString(),
+      date: dateStr,
+      time_display: new Date(extreme.time).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZone: 'America/Vancouver'
+      }),
+      type: extreme.type,
+      value: Math.round(extreme.value * 1000) / 1000
+    }));
+    return { events: events, source: 'harmonic' };
+  }
+
   /**
    * Get station metadata
    *
@@ -142,6 +259,17 @@ export class TideDataStore {
     return this.stationsMetadata?.[stationKey] || null;
   }
 
+  /**
+   * Get the vertical datum a station's heights are shown in
+   * Stored data stays in the native datum; renderers shift with toActiveDatum().
+   *
+   * @param {string} stationKey - Station identifier
+   * @returns {Object} { key, label, short, description, shift, fallback } (datum.js)
+   */
+  getActiveDatum(stationKey) {
+    return getActiveDatum(stationKey, this.getStationMetadata(stationKey));
+  }
+
   /**
    * Get all available station keys
    *
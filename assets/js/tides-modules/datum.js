@@ -0,0 +1,248 @@
+/**
+ * Vertical Datum Module
+ * Shows water levels against a chosen vertical datum instead of each station's own
+ *
+ * Data files give heights in each station's native datum - chart datum for
+ * DFO stations, CGVD28 for the Surrey geodetic stations. Per-station offsets
+ * come from stations.json:
+ *
+ *   "tides": {
+ *     "point_atkinson": {
+ *       "native_datum": "chart_datum",          // optional, see getNativeDatum()
+ *       "datum_offsets_m": { "cgvd28": 3.09, "cgvd2013": 3.18, "msl": 3.10 }
+ *     }
+ *   }
+ *
+ * Each offset is the height of that datum's zero above the station's chart
+ * datum, in metres. A level converts between datums by adding
+ * elevation(native) - elevation(target). Differences (residuals, storm surge,
+ * geodetic calibration offsets) are datum-independent and never shifted.
+ *
+ * When a station has no offset for the selected datum its heights stay in the
+ * native datum and are labelled as such.
+ */
+
+import { isGeodeticStation } from './geodetic.js';
+
+export const DATUMS = {
+  chart_datum: {
+    label: 'Chart Datum',
+    short: 'CD',
+    description: 'Lowest normal tide - the zero of DFO charts and tide tables'
+  },
+  cgvd28: {
+    label: 'CGVD28',
+    short: 'CGVD28',
+    description: 'Canadian Geodetic Vertical Datum of 1928 - older survey and municipal datum'
+  },
+  cgvd2013: {
+    label: 'CGVD2013',
+    short: 'CGVD2013',
+    description: 'Canadian Geodetic Vertical Datum of 2013 - current national geodetic datum'
+  },
+  msl: {
+    label: 'Mean Sea Level',
+    short: 'MSL',
+    description: 'Average water level at the station'
+  }
+};
+
+const STORAGE_KEY = 'tide_datum';
+
+let selectedDatum = loadSelectedDatum();
+const listeners = [];
+
+/**
+ * Read the selected datum from localStorage, falling back to chart datum
+ * @returns {string} Datum key
+ */
+function loadSelectedDatum() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && DATUMS[stored]) return stored;
+  } catch (e) {
+    // localStorage might not be available
+  }
+  return 'chart_datum';
+}
+
+/**
+ * Get the selected datum key
+ *
+ * @returns {string} Datum key
+ */
+export function getSelectedDatum() {
+  return selectedDatum;
+}
+
+/**
+ * Select a datum, persist it and notify listeners
+ *
+ * @param {string} datum - Datum key
+ * @returns {void}
+ */
+export function setSelectedDatum(datum) {
+  if (!DATUMS[datum] || datum === selectedDatum) return;
+
+  selectedDatum = datum;
+  try {
+    localStorage.setItem(STORAGE_KEY, datum);
+  } catch (e) {
+    // Ignore localStorage errors
+  }
+  listeners.forEach(callback => callback(datum));
+}
+
+/**
+ * Register a callback for datum changes
+ *
+ * @param {Function} callback - Called with the new datum key
+ * @returns {void}
+ */
+export function onDatumChange(callback) {
+  listeners.push(callback);
+}
+
+/**
+ * Get the datum a station's data files use
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} metadata - Station metadata from stations.json
+ * @returns {string} Datum key
+ */
+export function getNativeDatum(stationKey, metadata) {
+  if (metadata?.native_datum && DATUMS[metadata.native_datum]) {
+    return metadata.native_datum;
+  }
+  return isGeodeticStation(stationKey) ? 'cgvd28' : 'chart_datum';
+}
+
+/**
+ * Height of a datum's zero above the station's chart datum
+ *
+ * @param {Object} metadata - Station metadata from stations.json
+ * @param {string} datum - Datum key
+ * @returns {number|null} Metres, or null when the station has no offset
+ */
+function getDatumElevation(metadata, datum) {
+  if (datum === 'chart_datum') return 0;
+  const offset = metadata?.datum_offsets_m?.[datum];
+  return typeof offset === 'number' ? offset : null;
+}
+
+/**
+ * Get the shift that converts a station's native heights to a datum
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} metadata - Station metadata from stations.json
+ * @param {string} datum - Target datum key
+ * @returns {number|null} Metres to add, or null when the offsets are missing
+ */
+export function getDatumShift(stationKey, metadata, datum) {
+  const nativeDatum = getNativeDatum(stationKey, metadata);
+  if (datum === nativeDatum) return 0;
+
+  const nativeElevation = getDatumElevation(metadata, nativeDatum);
+  const targetElevation = getDatumElevation(metadata, datum);
+  if (nativeElevation === null || targetElevation === null) return null;
+
+  return nativeElevation - targetElevation;
+}
+
+/**
+ * Get the datum a station's heights are shown in
+ * The selected datum when the station has offsets for it, otherwise native.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} metadata - Station metadata from stations.json
+ * @returns {Object} { key, label, short, description, shift, fallback }
+ */
+export function getActiveDatum(stationKey, metadata) {
+  const shift = getDatumShift(stationKey, metadata, selectedDatum);
+  if (shift !== null) {
+    return { key: selectedDatum, ...DATUMS[selectedDatum], shift: shift, fallback: false };
+  }
+
+  const nativeDatum = getNativeDatum(stationKey, metadata);
+  return { key: nativeDatum, ...DATUMS[nativeDatum], shift: 0, fallback: true };
+}
+
+/**
+ * Convert a native height to the active datum
+ *
+ * @param {number|null} value - Height in the station's native datum (m)
+ * @param {Object} activeDatum - Result of getActiveDatum()
+ * @returns {number|null} Height in the active datum (m)
+ */
+export function toActiveDatum(value, activeDatum) {
+  if (value === null || value === undefined) return value;
+  return value + activeDatum.shift;
+}
+
+/**
+ * Convert a series of {time, value} (or any height field) to the active datum
+ *
+ * @param {Array} points - Points in the station's native datum
+ * @param {Object} activeDatum - Result of getActiveDatum()
+ * @param {string} [field='value'] - Height field to shift
+ * @returns {Array} New points; the input is returned as-is when there is no shift
+ */
+export function shiftToActiveDatum(points, activeDatum, field = 'value') {
+  if (!points || activeDatum.shift === 0) return points;
+  return points.map(point => ({ ...point, [field]: toActiveDatum(point[field], activeDatum) }));
+}
+
+/**
+ * Small datum tag shown after heights
+ *
+ * @param {Object} activeDatum - Result of getActiveDatum()
+ * @returns {string} HTML
+ */
+export function datumTag(activeDatum) {
+  return `<span class="tide-datum-tag" title="${activeDatum.label}: ${activeDatum.description}">${activeDatum.short}</span>`;
+}
+
+/**
+ * Display the datum selector for a station and label the static headings
+ * Datums without offsets for the station are disabled.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @returns {void}
+ */
+export function displayDatumSelector(stationKey, tideDataStore) {
+  const metadata = tideDataStore.getStationMetadata(stationKey);
+  const activeDatum = getActiveDatum(stationKey, metadata);
+
+  document.querySelectorAll('.tide-datum-label').forEach(el => {
+    el.textContent = activeDatum.short;
+    el.title = activeDatum.label;
+  });
+
+  const container = document.getElementById('tide-datum-selector');
+  if (!container) return;
+
+  const nativeDatum = getNativeDatum(stationKey, metadata);
+  const options = Object.entries(DATUMS).map(([key, datum]) => {
+    const available = getDatumShift(stationKey, metadata, key) !== null;
+    return `<option value="${key}" ${key === selectedDatum ? 'selected' : ''} ${available ? '' : 'disabled'}>
+      ${datum.label}${key === nativeDatum ? ' (station datum)' : ''}${available ? '' : ' - no offset for this station'}
+    </option>`;
+  }).join('');
+
+  const note = activeDatum.fallback
+    ? `<span style="color: #f57c00;">⚠ No ${DATUMS[selectedDatum].label} offset for this station - heights shown in ${activeDatum.label}</span>`
+    : `<span style="color: #666;">${activeDatum.description}</span>`;
+
+  container.innerHTML = `
+    <label>
+      <strong>📏 Vertical datum:</strong>
+      <select data-datum-select>${options}</select>
+    </label>
+    ${note}
+  `;
+
+  container.querySelector('[data-datum-select]').addEventListener('change', event => {
+    setSelectedDatum(event.target.value);
+  });
+}
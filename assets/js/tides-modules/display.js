@@ -3,9 +3,10 @@
  * Handles rendering of station information, observations, predictions, storm surge, and high/low tables
  */
 
-import { STATION_DISPLAY_NAMES } from './constants.js';
+import { STATION_DISPLAY_NAMES, RESIDUAL_THRESHOLDS_M } from './constants.js';
 import { isGeodeticStation, getGeodeticMethodology, getCurrentGeodeticOffset } from './geodetic.js';
-import { formatTime, getAgeString } from './utils.js';
+import { formatTime, getAgeString, formatHeight } from './utils.js';
+import { toActiveDatum, datumTag } from './datum.js';
 
 /**
  * Main station display coordinator
@@ -67,7 +68,7 @@ export function displayStation(
   displayCurrentPrediction(fullStation, stationKey, tideDataStore);
 
   // Display high/low table (for current day)
-  displayHighLowTable(highlowStation, 0);
+  displayHighLowTable(highlowStation, 0, tideDataStore.getActiveDatum(stationKey));
 
   // Show the section first (so chart can measure properly)
   section.style.display = 'block';
@@ -170,14 +171,16 @@ export function displayCurrentObservation(station, stationKey, tideDataStore) {
     observedLevel = obs.value + geodeticOffset;
     calibrationNote = `
       <div style="color: #1976d2; margin-top: 0.5rem; font-size: 0.85rem; font-style: italic;">
-        📏 Calibrated (offset: ${geodeticOffset >= 0 ? '+' : ''}${geodeticOffset.toFixed(3)}m)
+        📏 Calibrated (offset: ${formatHeight(geodeticOffset, { m: 3, ft: 2 }, { signed: true, compact: true })})
       </div>
     `;
   }
 
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+
   container.innerHTML = `
     <div style="font-size: 1.5rem; font-weight: bold; color: ${isStale ? '#e53935' : '#43a047'};">
-      ${observedLevel.toFixed(2)} m
+      ${formatHeight(toActiveDatum(observedLevel, activeDatum))} ${datumTag(activeDatum)}
     </div>
     <div style="color: #666; margin-top: 0.25rem; font-size: 0.9rem;">
       at ${timeStr}
@@ -218,11 +221,13 @@ export function displayCurrentPrediction(station, stationKey, tideDataStore) {
     tideLevel = pred.value + geodeticOffset;
     calibrationNote = `
       <div style="color: #1976d2; margin-top: 0.5rem; font-size: 0.85rem; font-style: italic;">
-        📏 Calibrated (offset: ${geodeticOffset >= 0 ? '+' : ''}${geodeticOffset.toFixed(3)}m)
+        📏 Calibrated (offset: ${formatHeight(geodeticOffset, { m: 3, ft: 2 }, { signed: true, compact: true })})
       </div>
     `;
   }
 
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+
   // Determine tide direction (rising, falling, slack)
   let tideDirection = '';
   let tideArrow = '';
@@ -258,7 +263,7 @@ export function displayCurrentPrediction(station, stationKey, tideDataStore) {
           timeZone: 'America/Vancouver'
         });
         const eventType = nextEvent.type === 'high' ? 'High' : 'Low';
-        const eventHeight = nextEvent.value.toFixed(2);
+        const eventHeight = formatHeight(toActiveDatum(nextEvent.value, activeDatum));
 
         // Calculate time remaining
         const msUntil = eventTime.getTime() - Date.now();
@@ -294,15 +299,15 @@ export function displayCurrentPrediction(station, stationKey, tideDataStore) {
           });
 
           if (closestForecast && closestForecast.total_water_level_m != null) {
-            combinedWaterLevel = closestForecast.total_water_level_m.toFixed(2);
+            combinedWaterLevel = formatHeight(toActiveDatum(closestForecast.total_water_level_m, activeDatum));
           }
         }
 
         nextEventHtml = `
           <div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #eee; font-size: 0.85rem;">
             <div style="color: #666;">
-              Next ${eventType} Tide: <strong style="color: #0077be;">${eventHeight} m</strong>
-              ${combinedWaterLevel ? `<span style="color: #00897b; font-weight: 600;">(${combinedWaterLevel} m total)</span>` : ''}
+              Next ${eventType} Tide: <strong style="color: #0077be;">${eventHeight}</strong> ${datumTag(activeDatum)}
+              ${combinedWaterLevel ? `<span style="color: #00897b; font-weight: 600;">(${combinedWaterLevel} total)</span>` : ''}
               <span style="color: #43a047; font-weight: 600;">${timeUntilStr}</span>
               <span style="color: #999;">(${eventTimeStr})</span>
             </div>
@@ -315,7 +320,7 @@ export function displayCurrentPrediction(station, stationKey, tideDataStore) {
   container.innerHTML = `
     <div>
       <div style="font-size: 1.5rem; font-weight: bold; color: #0077be;">
-        ${tideLevel.toFixed(2)} m ${tideArrow}
+        ${formatHeight(toActiveDatum(tideLevel, activeDatum))} ${datumTag(activeDatum)} ${tideArrow}
       </div>
       <div style="color: #666; margin-top: 0.25rem; font-size: 0.9rem;">
         at ${timeStr}${tideDirection ? ` <span style="color: #0077be;">(${tideDirection})</span>` : ''}
@@ -364,6 +369,7 @@ function generatePeakForecastHtml(tideDataStore, stationKey) {
     return '';
   }
 
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
   const peakTime = new Date(todayPeak.time);
   const peakTimeStr = peakTime.toLocaleTimeString('en-US', {
     hour: '2-digit',
@@ -379,9 +385,9 @@ function generatePeakForecastHtml(tideDataStore, stationKey) {
       </div>
       <div style="font-size: 0.95rem; line-height: 1.6;">
         Today's forecasted peak water level is
-        <strong style="color: #00897b; font-size: 1.1rem;">${todayPeak.total_water_level_m.toFixed(2)} m</strong>
+        <strong style="color: #00897b; font-size: 1.1rem;">${formatHeight(toActiveDatum(todayPeak.total_water_level_m, activeDatum))}</strong> ${datumTag(activeDatum)}
         with a storm surge of
-        <strong style="color: #9c27b0;">${todayPeak.storm_surge_m >= 0 ? '+' : ''}${todayPeak.storm_surge_m.toFixed(3)} m</strong>
+        <strong style="color: #9c27b0;">${formatHeight(todayPeak.storm_surge_m, { m: 3, ft: 2 }, { signed: true })}</strong>
         at <strong style="color: #0077be;">${peakTimeStr}</strong>.
       </div>
     </div>
@@ -412,18 +418,18 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
       const lastResidual = geodeticResiduals[geodeticResiduals.length - 1];
       const [residualTime, residualValue] = lastResidual;
 
-      const residualStr = residualValue >= 0 ? `+${residualValue.toFixed(3)}` : residualValue.toFixed(3);
-      const color = Math.abs(residualValue) > 0.3 ? '#e53935' : (Math.abs(residualValue) > 0.15 ? '#ff9800' : '#43a047');
+      const residualStr = formatHeight(residualValue, { m: 3, ft: 2 }, { signed: true });
+      const color = Math.abs(residualValue) > RESIDUAL_THRESHOLDS_M.warning ? '#e53935' : (Math.abs(residualValue) > RESIDUAL_THRESHOLDS_M.watch ? '#ff9800' : '#43a047');
       const residualTimeStr = formatTime(residualTime);
 
       // Get ECCC forecast for comparison (optional)
       const forecastSurge = station?.prediction_now?.surge;
       let forecastHtml = '';
       if (forecastSurge !== null && forecastSurge !== undefined) {
-        const forecastStr = forecastSurge >= 0 ? `+${forecastSurge.toFixed(3)}` : forecastSurge.toFixed(3);
+        const forecastStr = formatHeight(forecastSurge, { m: 3, ft: 2 }, { signed: true });
         forecastHtml = `
           <div style="color: #666; margin-top: 0.75rem; font-size: 0.9rem; padding-top: 0.75rem; border-top: 1px solid #eee;">
-            <strong>ECCC Storm Surge:</strong> <span style="color: #9c27b0; font-weight: 600;">${forecastStr} m</span>
+            <strong>ECCC Storm Surge:</strong> <span style="color: #9c27b0; font-weight: 600;">${forecastStr}</span>
           </div>
         `;
       }
@@ -433,7 +439,7 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
 
       container.innerHTML = `
         <div style="font-size: 1.5rem; font-weight: bold; color: ${color};">
-          ${residualStr} m
+          ${residualStr}
         </div>
         <div style="color: #666; margin-top: 0.25rem; font-size: 0.9rem;">
           Residual
@@ -468,8 +474,8 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
   // Check if we have tide_offset (observed - predicted with matched timestamps)
   if (station && station.tide_offset && station.tide_offset.value !== null) {
     const offset = station.tide_offset.value;
-    const offsetStr = offset >= 0 ? `+${offset.toFixed(2)}` : offset.toFixed(2);
-    const color = Math.abs(offset) > 0.3 ? '#e53935' : (Math.abs(offset) > 0.15 ? '#ff9800' : '#43a047');
+    const offsetStr = formatHeight(offset, 2, { signed: true });
+    const color = Math.abs(offset) > RESIDUAL_THRESHOLDS_M.warning ? '#e53935' : (Math.abs(offset) > RESIDUAL_THRESHOLDS_M.watch ? '#ff9800' : '#43a047');
 
     // Format the calculation time
     const calcTime = new Date(station.tide_offset.observation_time);
@@ -479,10 +485,10 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
     const forecastSurge = station.observation?.surge || station.prediction_now?.surge;
     let forecastHtml = '';
     if (forecastSurge !== null && forecastSurge !== undefined) {
-      const forecastStr = forecastSurge >= 0 ? `+${forecastSurge.toFixed(3)}` : forecastSurge.toFixed(3);
+      const forecastStr = formatHeight(forecastSurge, { m: 3, ft: 2 }, { signed: true });
       forecastHtml = `
         <div style="color: #666; margin-top: 0.5rem; font-size: 0.85rem;">
-          ECCC Forecast: <strong style="color: #ff9800;">${forecastStr} m</strong>
+          ECCC Forecast: <strong style="color: #ff9800;">${forecastStr}</strong>
         </div>
       `;
     }
@@ -492,7 +498,7 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
 
     container.innerHTML = `
       <div style="font-size: 1.5rem; font-weight: bold; color: ${color};">
-        ${offsetStr} m
+        ${offsetStr}
       </div>
       <div style="color: #666; margin-top: 0.25rem; font-size: 0.9rem;">
         Observed - Predicted
@@ -555,7 +561,7 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
   container.innerHTML = `
     <div>
       <div style="font-size: 1.5rem; font-weight: bold; color: #ff9800;">
-        ${surge >= 0 ? '+' : ''}${surge.toFixed(3)} m
+        ${formatHeight(surge, { m: 3, ft: 2 }, { signed: true })}
       </div>
       <div style="color: #666; margin-top: 0.25rem; font-size: 0.9rem;">
         Current (at ${timeStr})
@@ -569,10 +575,11 @@ export function displayStormSurge(station, stationKey, tideDataStore) {
  * Display high/low tide table
  *
  * @param {Object} station - High/low station data
- * @param {number} dayOffset - Day offset (0=today, 1=tomorrow, 2=day after)
+ * @param {number} dayOffset - Day offset (0=today, 1=tomorrow, -1=yesterday...)
+ * @param {Object} [activeDatum] - Datum to show heights in (TideDataStore.getActiveDatum), native if omitted
  * @returns {void}
  */
-export function displayHighLowTable(station, dayOffset = 0) {
+export function displayHighLowTable(station, dayOffset = 0, activeDatum = null) {
   const tbody = document.querySelector('#highlow-table tbody');
 
   if (!station || !station.events || station.events.length === 0) {
@@ -625,14 +632,14 @@ export function displayHighLowTable(station, dayOffset = 0) {
   // Build table rows
   tbody.innerHTML = events.map(event => {
     const timeStr = event.time_display; // Use pre-formatted time from JSON
-    const height = event.value.toFixed(2);
+    const height = activeDatum ? formatHeight(toActiveDatum(event.value, activeDatum)) : formatHeight(event.value);
     const type = event.type.charAt(0).toUpperCase() + event.type.slice(1);
     const typeColor = event.type === 'high' ? '#0077be' : '#e53935';
 
     return `
       <tr>
         <td style="font-weight: bold;">${timeStr}</td>
-        <td>${height} m</td>
+        <td>${height}</td>
         <td style="color: ${typeColor}; font-weight: bold;">${type}</td>
       </tr>
     `;
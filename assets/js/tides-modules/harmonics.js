@@ -0,0 +1,329 @@
+/**
+ * Harmonic Tide Prediction Module
+ * Water level from tidal constituents for any date, highs/lows by root-finding
+ *
+ * Each station's constituents (tide-constituents.json) give an amplitude and
+ * a Greenwich phase lag g for each tidal frequency. The level at time t is
+ *
+ *   h(t) = Z0 + Σ f·A·cos(V(t) + u − g)
+ *
+ * where V is the equilibrium argument from the mean lunar/solar elements
+ * (Doodson numbers below), and f/u are the nodal corrections for the 18.6-year
+ * lunar node cycle (Schureman's approximations). Constituents without a nodal
+ * formula here use f = 1, u = 0.
+ *
+ * Highs and lows are where dh/dt = 0: the derivative is sampled every
+ * EXTREME_SCAN_MINUTES to bracket each sign change, then bisected to
+ * EXTREME_TOLERANCE_MS.
+ *
+ * Times are UTC. The ~70 s difference between UTC and the dynamical time
+ * the mean elements use moves M2 by well under a minute, so it's ignored.
+ */
+
+const DEG = Math.PI / 180;
+const HOUR_MS = 60 * 60 * 1000;
+const J2000 = Date.UTC(2000, 0, 1, 12); // 2000-01-01 12:00 UTC
+const JULIAN_CENTURY_MS = 36525 * 24 * HOUR_MS;
+
+const EXTREME_SCAN_MINUTES = 15;
+const EXTREME_TOLERANCE_MS = 10 * 1000;
+
+// Doodson numbers [τ, s, h, p, N', p1] and extra phase (degrees).
+// τ = mean lunar time, s/h = moon/sun mean longitude, p = lunar perigee,
+// N' = −N (moon's ascending node), p1 = solar perigee.
+const CONSTITUENTS = {
+  SA: { doodson: [0, 0, 1, 0, 0, 0], phase: 0 },
+  SSA: { doodson: [0, 0, 2, 0, 0, 0], phase: 0 },
+  MM: { doodson: [0, 1, 0, -1, 0, 0], phase: 0, nodal: 'MM' },
+  MF: { doodson: [0, 2, 0, 0, 0, 0], phase: 0, nodal: 'MF' },
+  Q1: { doodson: [1, -2, 0, 1, 0, 0], phase: 90, nodal: 'O1' },
+  O1: { doodson: [1, -1, 0, 0, 0, 0], phase: 90, nodal: 'O1' },
+  P1: { doodson: [1, 1, -2, 0, 0, 0], phase: 90 },
+  K1: { doodson: [1, 1, 0, 0, 0, 0], phase: -90, nodal: 'K1' },
+  J1: { doodson: [1, 2, 0, -1, 0, 0], phase: -90, nodal: 'J1' },
+  OO1: { doodson: [1, 3, 0, 0, 0, 0], phase: -90, nodal: 'OO1' },
+  '2N2': { doodson: [2, -2, 0, 2, 0, 0], phase: 0, nodal: 'M2' },
+  MU2: { doodson: [2, -2, 2, 0, 0, 0], phase: 0, nodal: 'M2' },
+  N2: { doodson: [2, -1, 0, 1, 0, 0], phase: 0, nodal: 'M2' },
+  NU2: { doodson: [2, -1, 2, -1, 0, 0], phase: 0, nodal: 'M2' },
+  M2: { doodson: [2, 0, 0, 0, 0, 0], phase: 0, nodal: 'M2' },
+  L2: { doodson: [2, 1, 0, -1, 0, 0], phase: 180, nodal: 'M2' },
+  T2: { doodson: [2, 2, -3, 0, 0, 1], phase: 0 },
+  S2: { doodson: [2, 2, -2, 0, 0, 0], phase: 0 },
+  K2: { doodson: [2, 2, 0, 0, 0, 0], phase: 0, nodal: 'K2' },
+  M3: { doodson: [3, 0, 0, 0, 0, 0], phase: 0, nodal: 'M3' },
+  MN4: { doodson: [4, -1, 0, 1, 0, 0], phase: 0, nodal: 'M4' },
+  M4: { doodson: [4, 0, 0, 0, 0, 0], phase: 0, nodal: 'M4' },
+  MS4: { doodson: [4, 2, -2, 0, 0, 0], phase: 0, nodal: 'M2' },
+  S4: { doodson: [4, 4, -4, 0, 0, 0], phase: 0 },
+  M6: { doodson: [6, 0, 0, 0, 0, 0], phase: 0, nodal: 'M6' }
+};
+
+// Rates of the Doodson arguments, degrees per hour
+const ARGUMENT_SPEEDS = [14.49205212, 0.54901653, 0.04106864, 0.00464183, 0.00220641, 0.00000196];
+
+/**
+ * Mean astronomical arguments at a time
+ *
+ * @param {number} time - Timestamp in ms (UTC)
+ * @returns {Object} { args: [τ, s, h, p, N', p1], N } in degrees
+ */
+function getAstronomicalArguments(time) {
+  const T = (time - J2000) / JULIAN_CENTURY_MS;
+  const s = 218.3164477 + 481267.88123421 * T;
+  const h = 280.46646 + 36000.76983 * T;
+  const p = 83.3532465 + 4069.0137287 * T;
+  const N = 125.04452 - 1934.136261 * T;
+  const p1 = 282.93735 + 1.71946 * T;
+
+  // Hour angle of the mean sun: 180° at 00:00 UTC
+  const dayFraction = (((time % (24 * HOUR_MS)) + 24 * HOUR_MS) % (24 * HOUR_MS)) / (24 * HOUR_MS);
+  const tau = 360 * dayFraction + 180 + h - s;
+
+  return { args: [tau, s, h, p, -N, p1], N: N };
+}
+
+/**
+ * Nodal corrections for the lunar node longitude
+ *
+ * @param {string} type - Nodal group (see CONSTITUENTS)
+ * @param {number} N - Longitude of the moon's ascending node, degrees
+ * @returns {Object} { f, u } - amplitude factor and phase correction (degrees)
+ */
+function getNodalCorrection(type, N) {
+  const n = N * DEG;
+  const m2 = { f: 1.0 - 0.037 * Math.cos(n), u: -2.1 * Math.sin(n) };
+
+  switch (type) {
+    case 'MM':
+      return { f: 1.0 - 0.130 * Math.cos(n), u: 0 };
+    case 'MF':
+      return { f: 1.043 + 0.414 * Math.cos(n), u: -23.7 * Math.sin(n) + 2.7 * Math.sin(2 * n) - 0.4 * Math.sin(3 * n) };
+    case 'O1':
+      return { f: 1.009 + 0.187 * Math.cos(n) - 0.015 * Math.cos(2 * n), u: 10.8 * Math.sin(n) - 1.3 * Math.sin(2 * n) + 0.2 * Math.sin(3 * n) };
+    case 'K1':
+      return { f: 1.006 + 0.115 * Math.cos(n) - 0.009 * Math.cos(2 * n), u: -8.9 * Math.sin(n) + 0.7 * Math.sin(2 * n) };
+    case 'J1':
+      return { f: 1.013 + 0.168 * Math.cos(n) - 0.017 * Math.cos(2 * n), u: -12.9 * Math.sin(n) + 1.3 * Math.sin(2 * n) };
+    case 'OO1':
+      return { f: 1.160 + 0.664 * Math.cos(n) + 0.089 * Math.cos(2 * n), u: -36.7 * Math.sin(n) + 4.0 * Math.sin(2 * n) };
+    case 'M2':
+      return m2;
+    case 'K2':
+      return { f: 1.024 + 0.286 * Math.cos(n) + 0.008 * Math.cos(2 * n), u: -17.7 * Math.sin(n) + 0.7 * Math.sin(2 * n) };
+    case 'M3':
+      return { f: Math.pow(m2.f, 1.5), u: 1.5 * m2.u };
+    case 'M4':
+      return { f: m2.f * m2.f, u: 2 * m2.u };
+    case 'M6':
+      return { f: Math.pow(m2.f, 3), u: 3 * m2.u };
+    default:
+      return { f: 1, u: 0 };
+  }
+}
+
+// Parsed constituent terms per station object
+const termCache = new WeakMap();
+
+/**
+ * Constituent terms for a station, skipping names this module doesn't know
+ *
+ * @param {Object} station - { z0_m, constituents: { M2: { amplitude_m, phase_deg }, ... } }
+ * @returns {Array} [{ name, amplitude, phase, definition, speed }] - speed in degrees/hour
+ */
+function getTerms(station) {
+  if (termCache.has(station)) return termCache.get(station);
+
+  const terms = Object.entries(station.constituents || {})
+    .filter(([name, c]) => CONSTITUENTS[name.toUpperCase()] && c.amplitude_m != null && c.phase_deg != null)
+    .map(([name, c]) => {
+      const definition = CONSTITUENTS[name.toUpperCase()];
+      return {
+        name: name.toUpperCase(),
+        amplitude: c.amplitude_m,
+        phase: c.phase_deg,
+        definition: definition,
+        speed: definition.doodson.reduce((sum, k, i) => sum + k * ARGUMENT_SPEEDS[i], 0)
+      };
+    });
+
+  termCache.set(station, terms);
+  return terms;
+}
+
+/**
+ * Level and rate of change at a time
+ *
+ * @param {Object} station - Station constituents
+ * @param {number} time - Timestamp in ms
+ * @returns {Object} { value (m), rate (m/hour) }
+ */
+function evaluate(station, time) {
+  const { args, N } = getAstronomicalArguments(time);
+  let value = station.z0_m || 0;
+  let rate = 0;
+
+  getTerms(station).forEach(term => {
+    const { doodson, phase, nodal } = term.definition;
+    const { f, u } = getNodalCorrection(nodal, N);
+    const V = doodson.reduce((sum, k, i) => sum + k * args[i], phase);
+    const angle = (V + u - term.phase) * DEG;
+
+    value += f * term.amplitude * Math.cos(angle);
+    rate -= f * term.amplitude * term.speed * DEG * Math.sin(angle);
+  });
+
+  return { value: value, rate: rate };
+}
+
+/**
+ * Check that a station has constituents this module can use
+ *
+ * @param {Object} station - Station constituents
+ * @returns {boolean} True if at least one known constituent is present
+ */
+export function hasConstituents(station) {
+  return !!station && getTerms(station).length > 0;
+}
+
+/**
+ * Predicted water level at a time
+ *
+ * @param {Object} station - Station constituents
+ * @param {Date|number} time - Date or timestamp in ms
+ * @returns {number} Level in metres above the station's datum
+ */
+export function predictLevel(station, time) {
+  return evaluate(station, new Date(time).getTime()).value;
+}
+
+/**
+ * Predicted water level series
+ *
+ * @param {Object} station - Station constituents
+ * @param {number} start - Start in ms
+ * @param {number} end - End in ms (inclusive)
+ * @param {number} [stepMinutes=10] - Spacing between points
+ * @returns {Array} [{ time (ISO), value }] in metres
+ */
+export function predictSeries(station, start, end, stepMinutes = 10) {
+  const stepMs = stepMinutes * 60 * 1000;
+  const series = [];
+  for (let time = start; time <= end; time += stepMs) {
+    series.push({
+      time: new Date(time).toISOString(),
+      value: Math.round(predictLevel(station, time) * 1000) / 1000
+    });
+  }
+  return series;
+}
+
+/**
+ * Find highs and lows between two times
+ *
+ * @param {Object} station - Station constituents
+ * @param {number} start - Start in ms
+ * @param {number} end - End in ms
+ * @returns {Array} [{ time (ms), type ('high'|'low'), value (m) }] ascending
+ */
+export function findExtremes(station, start, end) {
+  const stepMs = EXTREME_SCAN_MINUTES * 60 * 1000;
+  const extremes = [];
+
+  let prevTime = start;
+  let prevRate = evaluate(station, start).rate;
+
+  for (let time = start + stepMs; time <= end + stepMs; time += stepMs) {
+    const rate = evaluate(station, time).rate;
+
+    if (prevRate === 0 || Math.sign(rate) !== Math.sign(prevRate)) {
+      // Bisect the bracket on the sign of dh/dt
+      let low = prevTime;
+      let high = time;
+      const rising = prevRate > 0;
+      while (high - low > EXTREME_TOLERANCE_MS) {
+        const mid = (low + high) / 2;
+        const midRate = evaluate(station, mid).rate;
+        if ((midRate > 0) === rising) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      const extremeTime = Math.round((low + high) / 2);
+      if (extremeTime >= start && extremeTime <= end) {
+        extremes.push({
+          time: extremeTime,
+          type: rising ? 'high' : 'low',
+          value: evaluate(station, extremeTime).value
+        });
+      }
+    }
+
+    prevTime = time;
+    prevRate = rate;
+  }
+
+  return extremes;
+}
+
+/**
+ * Compare harmonic predictions with exported ones over the dates they share
+ *
+ * @param {Object} station - Station constituents
+ * @param {Array} predictions - Exported [{ time, value }] (tide-timeseries.json)
+ * @param {Array} events - Exported high/low events [{ time, type, value }] (tide-hi-low.json)
+ * @returns {Object} { points, rmsError, maxError, meanError, events, meanTimeErrorMinutes,
+ *   maxTimeErrorMinutes, maxHeightError } - errors in metres; nulls where nothing overlaps
+ */
+export function compareWithExport(station, predictions = [], events = []) {
+  const residuals = predictions
+    .filter(p => p.value != null)
+    .map(p => predictLevel(station, new Date(p.time).getTime()) - p.value);
+
+  const result = {
+    points: residuals.length,
+    rmsError: null,
+    maxError: null,
+    meanError: null,
+    events: 0,
+    meanTimeErrorMinutes: null,
+    maxTimeErrorMinutes: null,
+    maxHeightError: null
+  };
+
+  if (residuals.length > 0) {
+    result.meanError = residuals.reduce((sum, r) => sum + r, 0) / residuals.length;
+    result.rmsError = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+    result.maxError = Math.max(...residuals.map(Math.abs));
+  }
+
+  const exported = events.filter(e => e.time && e.value != null);
+  if (exported.length > 0) {
+    const times = exported.map(e => new Date(e.time).getTime());
+    const computed = findExtremes(station, Math.min(...times) - 2 * HOUR_MS, Math.max(...times) + 2 * HOUR_MS);
+
+    const timeErrors = [];
+    const heightErrors = [];
+    exported.forEach((event, i) => {
+      const match = computed
+        .filter(c => c.type === event.type && Math.abs(c.time - times[i]) <= 2 * HOUR_MS)
+        .sort((a, b) => Math.abs(a.time - times[i]) - Math.abs(b.time - times[i]))[0];
+      if (!match) return;
+      timeErrors.push(Math.abs(match.time - times[i]) / 60000);
+      heightErrors.push(Math.abs(match.value - event.value));
+    });
+
+    result.events = timeErrors.length;
+    if (timeErrors.length > 0) {
+      result.meanTimeErrorMinutes = timeErrors.reduce((sum, e) => sum + e, 0) / timeErrors.length;
+      result.maxTimeErrorMinutes = Math.max(...timeErrors);
+      result.maxHeightError = Math.max(...heightErrors);
+    }
+  }
+
+  return result;
+}
+
+export { CONSTITUENTS };
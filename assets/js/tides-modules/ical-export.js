@@ -0,0 +1,298 @@
+/**
+ * Calendar Export Module
+ * Downloads a station's highs/lows (and optionally sunrise/sunset) as an .ics file
+ *
+ * Events use local America/Vancouver times with a VTIMEZONE, so phone
+ * calendars keep them at the right wall-clock time across DST changes and
+ * show them correctly when travelling. Tide events come from
+ * TideDataStore.getEventsForDate() - the DFO export, or harmonic
+ * predictions past it. Heights are written in the selected unit and
+ * vertical datum.
+ */
+
+import { STATION_DISPLAY_NAMES, DAY_OFFSET_RANGE } from './constants.js';
+import { getDateStringForOffset, getDayOffsetForDate, formatHeight } from './utils.js';
+import { shiftToActiveDatum } from './datum.js';
+
+const TIMEZONE = 'America/Vancouver';
+const DAY_OPTIONS = [7, 14, 30, 90];
+const UID_DOMAIN = 'halibutbank.ca';
+
+// RFC 5545 definition of the current Pacific DST rules
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const SOURCE_DESCRIPTIONS = {
+  export: 'Predicted by Fisheries and Oceans Canada.',
+  harmonic: 'Computed from harmonic constituents - astronomical tide only, no weather effects.'
+};
+
+const exportSettings = {
+  days: 30,
+  includeSunlight: true
+};
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Format a time as iCalendar local time in Pacific (YYYYMMDDTHHMMSS)
+ */
+function toLocalStamp(date) {
+  const parts = Object.fromEntries(localFormatter.formatToParts(date).map(p => [p.type, p.value]));
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Format a time as iCalendar UTC (YYYYMMDDTHHMMSSZ)
+ */
+function toUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let chunkBytes = 0;
+  for (const char of line) {
+    const charBytes = new TextEncoder().encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (chunkBytes + charBytes > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkBytes = 0;
+    }
+    chunk += char;
+    chunkBytes += charBytes;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Build one instant VEVENT
+ * A DATE-TIME DTSTART with no DTEND or DURATION ends at its start (RFC 5545 3.6.1).
+ */
+function buildEvent({ uid, time, summary, description, location, geo }, dtstamp) {
+  const start = toLocalStamp(time);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;TZID=${TIMEZONE}:${start}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (geo) lines.push(`GEO:${geo.lat.toFixed(6)};${geo.lon.toFixed(6)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build the .ics file for a station and date range
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {SunlightDataStore} sunlightDataStore - Sunlight data store instance
+ * @param {Object} options - { startDate (YYYY-MM-DD), days, includeSunlight }
+ * @returns {Object} { ics, tideEvents, sunlightEvents }
+ */
+export function buildTideIcs(stationKey, tideDataStore, sunlightDataStore, { startDate, days, includeSunlight }) {
+  const stationName = STATION_DISPLAY_NAMES[stationKey] || stationKey;
+  const metadata = tideDataStore.getStationMetadata(stationKey);
+  const place = {
+    location: metadata?.location ? `${stationName}, ${metadata.location}` : stationName,
+    geo: metadata?.lat != null && metadata?.lon != null ? { lat: metadata.lat, lon: metadata.lon } : null
+  };
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+  const dtstamp = toUtcStamp(new Date());
+  const startOffset = getDayOffsetForDate(startDate);
+
+  let lines = [];
+  let tideEvents = 0;
+  let sunlightEvents = 0;
+
+  for (let i = 0; i < days; i++) {
+    const dateStr = getDateStringForOffset(startOffset + i);
+    const { events, source } = tideDataStore.getEventsForDate(stationKey, dateStr);
+
+    shiftToActiveDatum(events, activeDatum).filter(event => event.value != null).forEach(event => {
+      const time = new Date(event.time);
+      const label = event.type === 'high' ? 'High tide' : 'Low tide';
+      lines = lines.concat(buildEvent({
+        uid: `${stationKey}-${event.type}-${toUtcStamp(time)}@${UID_DOMAIN}`,
+        time: time,
+        summary: `${event.type === 'high' ? '▲' : '▼'} ${label} ${formatHeight(event.value, { m: 2, ft: 1 })}`,
+        description: `${label} at ${stationName}, ${formatHeight(event.value, { m: 2, ft: 1 })} above ${activeDatum.label}. ${SOURCE_DESCRIPTIONS[source] || ''}`.trim(),
+        ...place
+      }, dtstamp));
+      tideEvents++;
+    });
+
+    if (!includeSunlight) continue;
+
+    const sunlight = sunlightDataStore.getForDate(stationKey, dateStr);
+    if (!sunlight || sunlight.error) continue;
+
+    [['sunrise', '🌅', 'Sunrise'], ['sunset', '🌇', 'Sunset']].forEach(([field, icon, label]) => {
+      if (!sunlight[field]) return;
+      const time = new Date(sunlight[field]);
+      lines = lines.concat(buildEvent({
+        uid: `${stationKey}-${field}-${dateStr}@${UID_DOMAIN}`,
+        time: time,
+        summary: `${icon} ${label}`,
+        description: `${label} at ${stationName}.`,
+        ...place
+      }, dtstamp));
+      sunlightEvents++;
+    });
+  }
+
+  const calendar = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Tides//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Tides - ${stationName}`)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...VTIMEZONE,
+    ...lines,
+    'END:VCALENDAR'
+  ];
+
+  return {
+    ics: calendar.map(foldLine).join('\r\n') + '\r\n',
+    tideEvents: tideEvents,
+    sunlightEvents: sunlightEvents
+  };
+}
+
+/**
+ * Save text as a file download
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Display the calendar export controls for a station
+ * The range starts at the selected day.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {SunlightDataStore} sunlightDataStore - Sunlight data store instance
+ * @returns {void}
+ */
+export function displayCalendarExport(stationKey, tideDataStore, sunlightDataStore) {
+  const container = document.getElementById('tide-ical-export');
+  if (!container) return;
+
+  const startDate = getDateStringForOffset(tideDataStore.getDayOffset());
+
+  container.innerHTML = `
+    <strong>📆 Export to calendar:</strong>
+    <label>
+      from
+      <input type="date" data-export-field="startDate" value="${startDate}"
+        min="${getDateStringForOffset(DAY_OFFSET_RANGE.min)}" max="${getDateStringForOffset(DAY_OFFSET_RANGE.max)}">
+    </label>
+    <label>
+      for
+      <select data-export-field="days">
+        ${DAY_OPTIONS.map(days => `<option value="${days}" ${exportSettings.days === days ? 'selected' : ''}>${days} days</option>`).join('')}
+      </select>
+    </label>
+    <label>
+      <input type="checkbox" data-export-field="includeSunlight" ${exportSettings.includeSunlight ? 'checked' : ''}>
+      Sunrise &amp; sunset
+    </label>
+    <button type="button" class="tide-ical-export-btn">Download .ics</button>
+    <span class="tide-ical-export-status" style="color: #666; font-size: 0.85em;"></span>
+  `;
+
+  const startInput = container.querySelector('[data-export-field="startDate"]');
+  const daysSelect = container.querySelector('[data-export-field="days"]');
+  const sunlightCheckbox = container.querySelector('[data-export-field="includeSunlight"]');
+  const status = container.querySelector('.tide-ical-export-status');
+
+  daysSelect.addEventListener('change', () => {
+    exportSettings.days = Number(daysSelect.value);
+  });
+  sunlightCheckbox.addEventListener('change', () => {
+    exportSettings.includeSunlight = sunlightCheckbox.checked;
+  });
+
+  container.querySelector('.tide-ical-export-btn').addEventListener('click', () => {
+    const from = startInput.value || startDate;
+    const result = buildTideIcs(stationKey, tideDataStore, sunlightDataStore, {
+      startDate: from,
+      days: exportSettings.days,
+      includeSunlight: exportSettings.includeSunlight
+    });
+
+    if (result.tideEvents === 0 && result.sunlightEvents === 0) {
+      status.textContent = 'No tide predictions for these dates.';
+      return;
+    }
+
+    downloadFile(`tides-${stationKey}-${from}.ics`, result.ics, 'text/calendar;charset=utf-8');
+    status.textContent = `${result.tideEvents} highs/lows${result.sunlightEvents ? `, ${result.sunlightEvents} sunrise/sunset` : ''} exported`;
+
+    if (window.logger) {
+      window.logger.info('Tides', `Calendar export for ${stationKey}: ${result.tideEvents} tide events from ${from}`);
+    }
+  });
+}
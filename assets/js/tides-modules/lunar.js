@@ -0,0 +1,245 @@
+/**
+ * Lunar Cycle Module
+ * Moon age, spring/neap tide status, moon phase and moonrise/moonset
+ *
+ * Spring/neap uses the mean synodic month from a reference new moon, which
+ * places new and full moon to within about half a day - close enough to
+ * label spring and neap days, which are defined to ±SPRING_NEAP_WINDOW_DAYS
+ * anyway.
+ *
+ * Phase, illumination and rise/set use low-precision positions of the sun
+ * and moon (Astronomical Almanac / Meeus series, good to a few arcminutes for
+ * the sun and ~0.3° for the moon). Rise/set times land within a few minutes,
+ * which is plenty for planning around a moonlit evening.
+ */
+
+import { getPacificDayBounds } from './utils.js';
+
+const SYNODIC_MONTH_DAYS = 29.530588853;
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14); // New moon, 2000-01-06 18:14 UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RAD = Math.PI / 180;
+const J2000 = Date.UTC(2000, 0, 1, 12); // Epoch of the position series
+const OBLIQUITY = 23.4397 * RAD;
+const EARTH_RADIUS_KM = 6378.14;
+const SUN_DISTANCE_KM = 149598000;
+const RISE_SET_STEP_MINUTES = 10;
+
+// Phase (0 = new, 0.5 = full) → name; the four principal phases get a ±1 day window
+const PRINCIPAL_PHASE_WINDOW = 1 / SYNODIC_MONTH_DAYS;
+const MOON_PHASES = [
+  { phase: 0, name: 'New Moon', icon: '🌑' },
+  { phase: 0.125, name: 'Waxing Crescent', icon: '🌒' },
+  { phase: 0.25, name: 'First Quarter', icon: '🌓' },
+  { phase: 0.375, name: 'Waxing Gibbous', icon: '🌔' },
+  { phase: 0.5, name: 'Full Moon', icon: '🌕' },
+  { phase: 0.625, name: 'Waning Gibbous', icon: '🌖' },
+  { phase: 0.75, name: 'Last Quarter', icon: '🌗' },
+  { phase: 0.875, name: 'Waning Crescent', icon: '🌘' }
+];
+
+// Spring tides trail new/full moon by about a day on this coast ("age of the tide")
+const TIDE_AGE_DAYS = 1;
+const SPRING_NEAP_WINDOW_DAYS = 2;
+
+/**
+ * Get the moon's age (days since the last new moon)
+ *
+ * @param {Date|number} date - Date or timestamp in ms
+ * @returns {number} Age in days, 0 to SYNODIC_MONTH_DAYS
+ */
+export function getMoonAge(date) {
+  const days = (new Date(date).getTime() - REFERENCE_NEW_MOON) / DAY_MS;
+  return ((days % SYNODIC_MONTH_DAYS) + SYNODIC_MONTH_DAYS) % SYNODIC_MONTH_DAYS;
+}
+
+/**
+ * Get the spring/neap status for a time
+ * Spring: within the window of new or full moon (plus the tide's age).
+ * Neap: within the window of first or last quarter.
+ *
+ * @param {Date|number} date - Date or timestamp in ms
+ * @returns {string|null} 'spring', 'neap', or null in between
+ */
+export function getSpringNeapStatus(date) {
+  const tideAge = (getMoonAge(date) - TIDE_AGE_DAYS + SYNODIC_MONTH_DAYS) % SYNODIC_MONTH_DAYS;
+  const halfMonth = SYNODIC_MONTH_DAYS / 2;
+
+  // Distance to the nearest syzygy (new/full) and to the nearest quarter
+  const fromSyzygy = Math.min(tideAge % halfMonth, halfMonth - (tideAge % halfMonth));
+  const fromQuarter = Math.abs(fromSyzygy - halfMonth / 2);
+
+  if (fromSyzygy <= SPRING_NEAP_WINDOW_DAYS) return 'spring';
+  if (fromQuarter <= SPRING_NEAP_WINDOW_DAYS) return 'neap';
+  return null;
+}
+
+/**
+ * Days until the next spring and neap tides, and which way the range is heading
+ *
+ * @param {Date|number} date - Date or timestamp in ms
+ * @returns {Object} { status, daysToSpring, daysToNeap, trend } - trend is
+ *   'building' (toward springs) or 'easing' (toward neaps)
+ */
+export function getSpringNeapCycle(date) {
+  const halfMonth = SYNODIC_MONTH_DAYS / 2;
+  const tideAge = (getMoonAge(date) - TIDE_AGE_DAYS + SYNODIC_MONTH_DAYS) % SYNODIC_MONTH_DAYS;
+  const intoHalf = tideAge % halfMonth; // 0 at springs, halfMonth / 2 at neaps
+
+  return {
+    status: getSpringNeapStatus(date),
+    daysToSpring: (halfMonth - intoHalf) % halfMonth,
+    daysToNeap: (halfMonth / 2 - intoHalf + halfMonth) % halfMonth,
+    trend: intoHalf < halfMonth / 2 ? 'easing' : 'building'
+  };
+}
+
+function toDays(ms) {
+  return (ms - J2000) / DAY_MS;
+}
+
+function toEquatorial(longitude, latitude) {
+  return {
+    ra: Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude)),
+    dec: Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude))
+  };
+}
+
+/**
+ * Sun's right ascension and declination (radians)
+ */
+function getSunCoords(days) {
+  const anomaly = RAD * (357.5291 + 0.98560028 * days);
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const longitude = anomaly + center + RAD * 102.9372 + Math.PI;
+  return toEquatorial(longitude, 0);
+}
+
+/**
+ * Moon's right ascension, declination (radians) and distance (km)
+ */
+function getMoonCoords(days) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const anomaly = RAD * (134.963 + 13.064993 * days);
+  const argumentOfLatitude = RAD * (93.272 + 13.229350 * days);
+
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(anomaly);
+  const latitude = RAD * 5.128 * Math.sin(argumentOfLatitude);
+  return {
+    ...toEquatorial(longitude, latitude),
+    distance: 385001 - 20905 * Math.cos(anomaly)
+  };
+}
+
+/**
+ * Moon phase and illuminated fraction
+ *
+ * @param {Date|number} date - Date or timestamp in ms
+ * @returns {Object} { fraction (0-1 lit), phase (0 new, 0.25 first quarter,
+ *   0.5 full, 0.75 last quarter), name, icon }
+ */
+export function getMoonIllumination(date) {
+  const days = toDays(new Date(date).getTime());
+  const sun = getSunCoords(days);
+  const moon = getMoonCoords(days);
+
+  // Sun-moon elongation, then the phase angle seen from the moon
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const phaseAngle = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+  const brightLimb = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  const phase = 0.5 + 0.5 * phaseAngle * (brightLimb < 0 ? -1 : 1) / Math.PI;
+  return {
+    fraction: (1 + Math.cos(phaseAngle)) / 2,
+    phase: phase,
+    ...getPhaseName(phase)
+  };
+}
+
+/**
+ * Name and icon for a phase (0-1)
+ */
+function getPhaseName(phase) {
+  const principal = MOON_PHASES.filter((_, i) => i % 2 === 0).find(p => {
+    const gap = Math.abs(phase - p.phase);
+    return Math.min(gap, 1 - gap) <= PRINCIPAL_PHASE_WINDOW;
+  });
+  if (principal) return { name: principal.name, icon: principal.icon };
+
+  const between = MOON_PHASES[Math.floor(phase * 4) * 2 + 1];
+  return { name: between.name, icon: between.icon };
+}
+
+/**
+ * Moon altitude above the horizon, less the altitude at rise/set (radians)
+ * Positive while the moon is up. The rise/set altitude allows for parallax,
+ * refraction and the moon's semi-diameter (Meeus h0 = 0.7275π − 34').
+ */
+function getMoonAltitudeAboveHorizon(ms, latitude, longitude) {
+  const days = toDays(ms);
+  const moon = getMoonCoords(days);
+  const siderealTime = RAD * (280.16 + 360.9856235 * days) + RAD * longitude;
+  const hourAngle = siderealTime - moon.ra;
+  const phi = RAD * latitude;
+
+  const altitude = Math.asin(Math.sin(phi) * Math.sin(moon.dec) + Math.cos(phi) * Math.cos(moon.dec) * Math.cos(hourAngle));
+  const parallax = Math.asin(EARTH_RADIUS_KM / moon.distance);
+  return altitude - (0.7275 * parallax - RAD * 34 / 60);
+}
+
+/**
+ * Moonrise and moonset within a time range
+ *
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east (negative for west)
+ * @returns {Object} { rise, set } in ms (null if it doesn't happen in the
+ *   range - the moon skips one rise and one set each month), plus alwaysUp
+ */
+export function getMoonTimes(start, end, latitude, longitude) {
+  const step = RISE_SET_STEP_MINUTES * 60 * 1000;
+  let rise = null;
+  let set = null;
+  let previous = getMoonAltitudeAboveHorizon(start, latitude, longitude);
+  const startsUp = previous > 0;
+
+  for (let time = start + step; time <= end && (rise == null || set == null); time += step) {
+    const current = getMoonAltitudeAboveHorizon(time, latitude, longitude);
+    if ((previous <= 0) !== (current <= 0)) {
+      const crossing = time - step + step * previous / (previous - current);
+      if (current > 0 && rise == null) rise = crossing;
+      if (current <= 0 && set == null) set = crossing;
+    }
+    previous = current;
+  }
+
+  return { rise: rise, set: set, alwaysUp: rise == null && set == null && startsUp };
+}
+
+/**
+ * Moon details for a Pacific day at a station
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object|null} location - { lat, lon } (station metadata); without it
+ *   rise/set are null
+ * @returns {Object} { rise, set, alwaysUp, illumination, springNeap } - phase
+ *   and spring/neap are for local midday
+ */
+export function getMoonForDay(dateStr, location) {
+  const { start, end } = getPacificDayBounds(dateStr);
+  const midday = start + (end - start) / 2;
+  const hasLocation = location?.lat != null && location?.lon != null;
+  const times = hasLocation
+    ? getMoonTimes(start, end, location.lat, location.lon)
+    : { rise: null, set: null, alwaysUp: false };
+
+  return {
+    ...times,
+    illumination: getMoonIllumination(midday),
+    springNeap: getSpringNeapCycle(midday)
+  };
+}
@@ -0,0 +1,477 @@
+/**
+ * Residual Analysis Module
+ * Observed minus predicted water level over the whole loaded period
+ *
+ * The residual is what the weather adds to the astronomical tide - storm
+ * surge from low pressure and onshore wind, or set-down from high pressure.
+ * Sources, kept apart as in displayStormSurge():
+ * - DFO stations: observations minus predictions interpolated to each
+ *   observation time
+ * - Geodetic stations: Surrey's pre-calculated residuals, taken at face value
+ *
+ * Episodes where |residual| passes RESIDUAL_THRESHOLDS_M are flagged, and the
+ * residual is checked against the ECCC storm surge forecast from
+ * combined-water-level.json where the two overlap. Residuals are differences,
+ * so they don't depend on the vertical datum.
+ */
+
+import { PACIFIC_TZ, RESIDUAL_THRESHOLDS_M } from './constants.js';
+import { isGeodeticStation } from './geodetic.js';
+import { formatHeight } from './utils.js';
+import { findTideWindows } from './tide-windows.js';
+
+const MAX_INTERPOLATION_GAP_MS = 60 * 60 * 1000; // Don't interpolate predictions across gaps longer than this
+const SURGE_MATCH_MS = 15 * 60 * 1000; // Same matching window as the next-tide total water level
+
+const LEVEL_STYLES = {
+  normal: { color: '#43a047', label: 'Normal' },
+  watch: { color: '#ff9800', label: 'Notable' },
+  warning: { color: '#e53935', label: 'Significant' }
+};
+
+let residualChart = null;
+
+/**
+ * Date and time in Pacific (e.g. "Oct 19, 14:30")
+ */
+function formatStamp(ms) {
+  return new Date(ms).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: PACIFIC_TZ
+  });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatResidual(value) {
+  return formatHeight(value, { m: 3, ft: 2 }, { signed: true });
+}
+
+/**
+ * Threshold level of a residual
+ *
+ * @param {number} value - Residual in metres
+ * @returns {string} 'normal', 'watch' or 'warning'
+ */
+function getResidualLevel(value) {
+  const size = Math.abs(value);
+  if (size > RESIDUAL_THRESHOLDS_M.warning) return 'warning';
+  if (size > RESIDUAL_THRESHOLDS_M.watch) return 'watch';
+  return 'normal';
+}
+
+/**
+ * Observed minus predicted at each observation time
+ * Predictions are interpolated linearly; observations outside the predictions
+ * or across a gap longer than MAX_INTERPOLATION_GAP_MS are skipped.
+ *
+ * @param {Array} observations - [{time, value}] in metres
+ * @param {Array} predictions - [{time, value}] in metres, same datum
+ * @returns {Array} [{ time (ms), value (m) }] sorted by time
+ */
+export function computeResiduals(observations, predictions) {
+  const preds = predictions
+    .filter(p => p.value != null)
+    .map(p => ({ time: new Date(p.time).getTime(), value: p.value }))
+    .sort((a, b) => a.time - b.time);
+  const obs = observations
+    .filter(o => o.value != null)
+    .map(o => ({ time: new Date(o.time).getTime(), value: o.value }))
+    .sort((a, b) => a.time - b.time);
+
+  const residuals = [];
+  let i = 0;
+  obs.forEach(o => {
+    while (i < preds.length - 2 && preds[i + 1].time < o.time) i++;
+    const a = preds[i];
+    const b = preds[i + 1];
+    if (!a || !b || o.time < a.time || o.time > b.time || b.time - a.time > MAX_INTERPOLATION_GAP_MS) return;
+
+    const predicted = b.time === a.time ? a.value : a.value + (b.value - a.value) * (o.time - a.time) / (b.time - a.time);
+    residuals.push({ time: o.time, value: o.value - predicted });
+  });
+  return residuals;
+}
+
+/**
+ * Residual series for a station
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @returns {Object} { points: [{time, value}], source: 'surrey'|'observed'|null }
+ */
+function getResidualSeries(stationKey, tideDataStore) {
+  const timeseries = tideDataStore.getTimeseries(stationKey);
+  if (!timeseries) return { points: [], source: null };
+
+  if (isGeodeticStation(stationKey)) {
+    const points = (timeseries.residuals || [])
+      .filter(r => r.value != null)
+      .map(r => ({ time: new Date(r.time).getTime(), value: r.value }))
+      .sort((a, b) => a.time - b.time);
+    return { points: points, source: points.length > 0 ? 'surrey' : null };
+  }
+
+  const points = computeResiduals(timeseries.observations || [], timeseries.predictions || []);
+  return { points: points, source: points.length > 0 ? 'observed' : null };
+}
+
+/**
+ * Mean, max and min of a residual series
+ *
+ * @param {Array} points - [{time, value}] sorted by time
+ * @returns {Object|null} { count, mean, max: {time, value}, min: {time, value}, latest: {time, value} }
+ */
+export function summarizeResiduals(points) {
+  if (points.length === 0) return null;
+
+  let max = points[0];
+  let min = points[0];
+  let sum = 0;
+  points.forEach(p => {
+    if (p.value > max.value) max = p;
+    if (p.value < min.value) min = p;
+    sum += p.value;
+  });
+
+  return {
+    count: points.length,
+    mean: sum / points.length,
+    max: max,
+    min: min,
+    latest: points[points.length - 1]
+  };
+}
+
+/**
+ * Episodes where the residual is beyond the watch threshold either way
+ * Runs of residuals separated by more than MAX_INTERPOLATION_GAP_MS are
+ * searched separately, so an episode never spans missing data.
+ *
+ * @param {Array} points - [{time, value}] sorted by time
+ * @returns {Array} [{ start, end, openStart, openEnd, ongoing, peak: {time, value}, level }]
+ *   newest first; open ends run into a data gap or the edge of the data,
+ *   ongoing ones into the latest residual; level is 'watch' or 'warning' from the episode's peak
+ */
+export function flagResidualEpisodes(points) {
+  if (points.length < 2) return [];
+
+  const runs = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].time - points[i - 1].time > MAX_INTERPOLATION_GAP_MS) runs.push([]);
+    runs[runs.length - 1].push(points[i]);
+  }
+
+  // Strict, like getResidualLevel(): a residual exactly at the threshold is normal
+  const threshold = RESIDUAL_THRESHOLDS_M.watch;
+  const episodes = runs.flatMap((run, index) => findTideWindows(run, threshold, 'above', true)
+    .concat(findTideWindows(run, -threshold, 'below', true))
+    .map(episode => {
+      const inside = run.filter(p => p.time >= episode.start && p.time <= episode.end);
+      const peak = inside.reduce((best, p) => (!best || Math.abs(p.value) > Math.abs(best.value) ? p : best), null);
+      return {
+        ...episode,
+        ongoing: episode.openEnd && index === runs.length - 1,
+        peak: peak,
+        level: peak && getResidualLevel(peak.value) === 'warning' ? 'warning' : 'watch'
+      };
+    }));
+
+  return episodes
+    .filter(episode => episode.peak)
+    .sort((a, b) => b.start - a.start);
+}
+
+/**
+ * ECCC storm surge forecast for a station
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @returns {Array} [{ time (ms), value (m) }] sorted by time
+ */
+function getSurgeForecast(stationKey, tideDataStore) {
+  return (tideDataStore.getCombinedWaterLevel(stationKey)?.forecast || [])
+    .filter(item => item.storm_surge_m != null)
+    .map(item => ({ time: new Date(item.time).getTime(), value: item.storm_surge_m }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Compare residuals with the ECCC surge forecast where they overlap
+ * Each residual is matched to the nearest forecast within SURGE_MATCH_MS.
+ *
+ * @param {Array} points - Residuals [{time, value}] sorted by time
+ * @param {Array} surge - Surge forecast [{time, value}] sorted by time
+ * @returns {Object|null} { count, meanDifference, rmsDifference, latest: {time, residual, surge} };
+ *   differences are residual minus forecast
+ */
+export function compareWithSurge(points, surge) {
+  if (surge.length === 0) return null;
+
+  const pairs = [];
+  let i = 0;
+  points.forEach(p => {
+    while (i < surge.length - 1 && Math.abs(surge[i + 1].time - p.time) <= Math.abs(surge[i].time - p.time)) i++;
+    if (Math.abs(surge[i].time - p.time) <= SURGE_MATCH_MS) {
+      pairs.push({ time: p.time, residual: p.value, surge: surge[i].value });
+    }
+  });
+  if (pairs.length === 0) return null;
+
+  const differences = pairs.map(pair => pair.residual - pair.surge);
+  return {
+    count: pairs.length,
+    meanDifference: differences.reduce((sum, d) => sum + d, 0) / differences.length,
+    rmsDifference: Math.sqrt(differences.reduce((sum, d) => sum + d * d, 0) / differences.length),
+    latest: pairs[pairs.length - 1]
+  };
+}
+
+/**
+ * Build the summary cards
+ */
+function buildSummaryHtml(summary, surgeComparison) {
+  const latestLevel = LEVEL_STYLES[getResidualLevel(summary.latest.value)];
+  const card = (label, valueHtml, detail) => `
+    <div class="tide-metric-card">
+      <div class="tide-metric-label">${label}</div>
+      <div class="tide-metric-value">
+        <div style="font-size: 1.3rem; font-weight: bold;">${valueHtml}</div>
+        <div style="color: #666; margin-top: 0.25rem; font-size: 0.85rem;">${detail}</div>
+      </div>
+    </div>
+  `;
+
+  let surgeCard;
+  if (surgeComparison) {
+    const bias = surgeComparison.meanDifference;
+    surgeCard = card(
+      'vs ECCC Surge Forecast',
+      `<span style="color: #9c27b0;">${formatResidual(bias)}</span>`,
+      `Mean observed − forecast over ${surgeComparison.count} matched times (RMS ${formatHeight(surgeComparison.rmsDifference, { m: 3, ft: 2 })}).
+      Latest: ${formatResidual(surgeComparison.latest.residual)} observed vs ${formatResidual(surgeComparison.latest.surge)} forecast at ${formatStamp(surgeComparison.latest.time)}`
+    );
+  } else {
+    surgeCard = card(
+      'vs ECCC Surge Forecast',
+      '<span style="color: #999;">—</span>',
+      'No ECCC surge forecast overlaps the observed period'
+    );
+  }
+
+  return `
+    <div class="tide-metrics-grid">
+      ${card('Latest', `<span style="color: ${latestLevel.color};">${formatResidual(summary.latest.value)}</span>`, `${latestLevel.label} · ${formatStamp(summary.latest.time)}`)}
+      ${card('Mean', formatResidual(summary.mean), `${summary.count} observations`)}
+      ${card('Max', `<span style="color: ${LEVEL_STYLES[getResidualLevel(summary.max.value)].color};">${formatResidual(summary.max.value)}</span>`, formatStamp(summary.max.time))}
+      ${card('Min', `<span style="color: ${LEVEL_STYLES[getResidualLevel(summary.min.value)].color};">${formatResidual(summary.min.value)}</span>`, formatStamp(summary.min.time))}
+      ${surgeCard}
+    </div>
+  `;
+}
+
+/**
+ * Build the flagged episodes table
+ */
+function buildFlagsHtml(episodes) {
+  const thresholds = `±${formatHeight(RESIDUAL_THRESHOLDS_M.watch)} notable, ±${formatHeight(RESIDUAL_THRESHOLDS_M.warning)} significant`;
+  if (episodes.length === 0) {
+    return `<p style="color: #666;">✓ No residuals beyond the thresholds (${thresholds}) in the loaded period.</p>`;
+  }
+
+  const rows = episodes.map(episode => {
+    const style = LEVEL_STYLES[episode.level];
+    return `
+      <tr>
+        <td style="color: ${style.color}; font-weight: bold;">⚠ ${style.label}</td>
+        <td>${episode.peak.value > 0 ? 'Surge' : 'Set-down'}</td>
+        <td>${episode.openStart ? 'before ' : ''}${formatStamp(episode.start)} – ${episode.ongoing ? 'ongoing' : `${episode.openEnd ? 'after ' : ''}${formatStamp(episode.end)}`}</td>
+        <td>${episode.openStart || episode.openEnd ? '≥ ' : ''}${formatDuration(episode.end - episode.start)}</td>
+        <td>${formatResidual(episode.peak.value)} at ${formatStamp(episode.peak.time)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="data-table">
+      <table class="tide-residual-table">
+        <thead>
+          <tr>
+            <th>Level</th>
+            <th>Type</th>
+            <th>Time (Pacific)</th>
+            <th>Duration</th>
+            <th>Peak</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <p style="margin: 0.5rem 0 0; font-size: 0.85em; color: #666;">Thresholds: ${thresholds}.</p>
+  `;
+}
+
+/**
+ * Threshold lines for the chart
+ */
+function buildThresholdLines() {
+  const line = (value, color) => ({
+    yAxis: window.Units.convert('height', value),
+    lineStyle: { color: color, type: 'dashed', width: 1 },
+    label: { show: false }
+  });
+  return [
+    { yAxis: 0, lineStyle: { color: '#999', type: 'dotted', width: 1 }, label: { show: false } },
+    line(RESIDUAL_THRESHOLDS_M.watch, LEVEL_STYLES.watch.color),
+    line(-RESIDUAL_THRESHOLDS_M.watch, LEVEL_STYLES.watch.color),
+    line(RESIDUAL_THRESHOLDS_M.warning, LEVEL_STYLES.warning.color),
+    line(-RESIDUAL_THRESHOLDS_M.warning, LEVEL_STYLES.warning.color)
+  ];
+}
+
+/**
+ * Display the residual panel for a station
+ * Covers all observations in the loaded data, so it doesn't follow the day navigation.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @returns {void}
+ */
+export function displayResidualPanel(stationKey, tideDataStore) {
+  const summaryContainer = document.getElementById('tide-residual-summary');
+  const chartContainer = document.getElementById('tide-residual-chart');
+  const flagsContainer = document.getElementById('tide-residual-flags');
+  if (!summaryContainer || !chartContainer || !flagsContainer) return;
+
+  const { points, source } = getResidualSeries(stationKey, tideDataStore);
+
+  if (!source) {
+    const hasObservations = tideDataStore.getTimeseries(stationKey)?.has_observations || false;
+    summaryContainer.innerHTML = hasObservations || isGeodeticStation(stationKey)
+      ? '<p style="color: #999;">No residuals available - observations don\'t overlap the predictions.</p>'
+      : '<p style="color: #666;">📊 Predictions-only station - there are no observations to compare with.</p>';
+    disposeResidualChart();
+    chartContainer.style.display = 'none';
+    flagsContainer.innerHTML = '';
+    return;
+  }
+
+  const summary = summarizeResiduals(points);
+  const surge = getSurgeForecast(stationKey, tideDataStore);
+  const surgeComparison = compareWithSurge(points, surge);
+
+  const sourceNote = source === 'surrey'
+    ? 'Residuals calculated by Surrey (FlowWorks).'
+    : 'Observed minus DFO predicted water level.';
+  summaryContainer.innerHTML = `
+    <p style="margin: 0 0 0.75rem; color: #666; font-size: 0.9rem;">
+      ${sourceNote} ${formatStamp(points[0].time)} – ${formatStamp(summary.latest.time)}.
+    </p>
+    ${buildSummaryHtml(summary, surgeComparison)}
+  `;
+  flagsContainer.innerHTML = buildFlagsHtml(flagResidualEpisodes(points));
+
+  chartContainer.style.display = 'block';
+  if (!residualChart) {
+    chartContainer.innerHTML = '';
+    residualChart = echarts.init(chartContainer);
+  }
+
+  const isMobile = window.innerWidth < 600;
+  const decimals = window.Units.getUnit('height') === 'ft' ? 2 : 3;
+
+  // Forecast from the start of the residuals on, so the chart shows what's coming
+  const surgeShown = surge.filter(p => p.time >= points[0].time);
+
+  residualChart.clear();
+  residualChart.setOption({
+    tooltip: {
+      ...getMobileOptimizedTooltipConfig(),
+      formatter: function(params) {
+        let result = `${formatStamp(params[0].value[0])}<br/>`;
+        params.forEach(param => {
+          const value = param.value[1];
+          if (value !== null && value !== undefined) {
+            result += `${param.marker} ${param.seriesName}: ${value > 0 ? '+' : ''}${value.toFixed(decimals)} ${window.Units.getLabel('height')}<br/>`;
+          }
+        });
+        return result;
+      }
+    },
+    legend: {
+      bottom: isMobile ? 0 : 5,
+      textStyle: { fontSize: 10 }
+    },
+    grid: {
+      left: '8%',
+      right: isMobile ? '4%' : '6%',
+      top: '8%',
+      bottom: '20%',
+      containLabel: true
+    },
+    xAxis: {
+      type: 'time',
+      axisLabel: {
+        formatter: value => new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', timeZone: PACIFIC_TZ }),
+        hideOverlap: true,
+        fontSize: isMobile ? 9 : 10
+      },
+      splitLine: { show: true, lineStyle: { color: '#eee' } }
+    },
+    yAxis: {
+      type: 'value',
+      name: `Residual (${window.Units.getLabel('height')})`,
+      nameLocation: 'middle',
+      nameGap: isMobile ? 25 : 45,
+      nameTextStyle: { fontSize: isMobile ? 9 : 12 }
+    },
+    series: [
+      {
+        name: source === 'surrey' ? 'Residual (Surrey)' : 'Observed − Predicted',
+        type: 'line',
+        data: points.map(p => [p.time, window.Units.convert('height', p.value)]),
+        lineStyle: { color: '#e53935', width: 2 },
+        itemStyle: { color: '#e53935' },
+        showSymbol: false,
+        markLine: {
+          silent: true,
+          symbol: 'none',
+          data: buildThresholdLines()
+        },
+        z: 5
+      },
+      ...(surgeShown.length > 0 ? [{
+        name: 'Storm Surge (ECCC Forecast)',
+        type: 'line',
+        data: surgeShown.map(p => [p.time, window.Units.convert('height', p.value)]),
+        smooth: true,
+        lineStyle: { color: '#9c27b0', width: 2 },
+        itemStyle: { color: '#9c27b0' },
+        showSymbol: false
+      }] : [])
+    ]
+  });
+
+  setTimeout(() => {
+    if (residualChart) residualChart.resize();
+  }, 100);
+}
+
+/**
+ * Dispose the residual chart
+ */
+export function disposeResidualChart() {
+  if (residualChart) {
+    residualChart.dispose();
+    residualChart = null;
+  }
+}
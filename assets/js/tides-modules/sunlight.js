@@ -1,8 +1,12 @@
 /**
  * Sunlight Times Module
- * Handles loading and displaying sunrise/sunset data
+ * Handles loading and displaying sunrise/sunset data, plus the moon
+ * (phase, moonrise/moonset, spring/neap) computed in lunar.js
  */
 
+import { DAY_OFFSET_RANGE } from './constants.js';
+import { getMoonForDay } from './lunar.js';
+
 /**
  * Sunlight data store
  */
@@ -43,11 +47,161 @@ class SunlightDataStore {
   }
 }
 
+/**
+ * Build the sun cards and daylight duration
+ *
+ * @param {Object|null} sunlight - Sunlight times for the day
+ * @param {Object} timeOptions - toLocaleTimeString options
+ * @returns {string} HTML, or a note when there is no sunlight data
+ */
+function buildSunHtml(sunlight, timeOptions) {
+  const unavailable = '<p style="margin: 0 0 0.75rem; color: #999; font-size: 0.9em;">No sunrise/sunset data for this day.</p>';
+
+  // Check if we have valid sunlight data for this station (not missing or error)
+  if (!sunlight || sunlight.error || !sunlight.first_light) {
+    return unavailable;
+  }
+
+  // Parse times
+  const firstLight = new Date(sunlight.first_light);
+  const sunrise = new Date(sunlight.sunrise);
+  const sunset = new Date(sunlight.sunset);
+  const lastLight = new Date(sunlight.last_light);
+
+  // Validate parsed dates
+  if (isNaN(firstLight) || isNaN(sunrise) || isNaN(sunset) || isNaN(lastLight)) {
+    return unavailable;
+  }
+
+  const firstLightStr = firstLight.toLocaleTimeString('en-US', timeOptions);
+  const sunriseStr = sunrise.toLocaleTimeString('en-US', timeOptions);
+  const sunsetStr = sunset.toLocaleTimeString('en-US', timeOptions);
+  const lastLightStr = lastLight.toLocaleTimeString('en-US', timeOptions);
+
+  // Calculate daylight duration
+  const daylightDurationMs = sunset - sunrise;
+  const hours = Math.floor(daylightDurationMs / (1000 * 60 * 60));
+  const minutes = Math.floor((daylightDurationMs % (1000 * 60 * 60)) / (1000 * 60));
+  const daylightDuration = `${hours}h ${minutes}m`;
+
+  return `
+    <div class="sunlight-cards-grid">
+
+      <!-- First Light Card -->
+      <div class="sunlight-card sunlight-card-first-light">
+        <div class="sunlight-card-icon">🌅</div>
+        <div class="sunlight-card-label">First Light</div>
+        <div class="sunlight-card-time">${firstLightStr}</div>
+        <div class="sunlight-card-sublabel">Civil Dawn</div>
+      </div>
+
+      <!-- Sunrise Card -->
+      <div class="sunlight-card sunlight-card-sunrise">
+        <div class="sunlight-card-icon">🌄</div>
+        <div class="sunlight-card-label">Sunrise</div>
+        <div class="sunlight-card-time">${sunriseStr}</div>
+        <div class="sunlight-card-sublabel">Sun Above Horizon</div>
+      </div>
+
+      <!-- Sunset Card -->
+      <div class="sunlight-card sunlight-card-sunset">
+        <div class="sunlight-card-icon">🌇</div>
+        <div class="sunlight-card-label">Sunset</div>
+        <div class="sunlight-card-time">${sunsetStr}</div>
+        <div class="sunlight-card-sublabel">Sun Below Horizon</div>
+      </div>
+
+      <!-- Last Light Card -->
+      <div class="sunlight-card sunlight-card-last-light">
+        <div class="sunlight-card-icon">🌆</div>
+        <div class="sunlight-card-label">Last Light</div>
+        <div class="sunlight-card-time">${lastLightStr}</div>
+        <div class="sunlight-card-sublabel">Civil Dusk</div>
+      </div>
+
+    </div>
+
+    <!-- Daylight Duration Summary -->
+    <div class="sunlight-duration">
+      <div class="sunlight-duration-icon">☀️</div>
+      <div>
+        <div class="sunlight-duration-label">Daylight Duration</div>
+        <div class="sunlight-duration-value">${daylightDuration}</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build the moon cards and spring/neap summary
+ *
+ * @param {Object} moon - From getMoonForDay()
+ * @param {Object} timeOptions - toLocaleTimeString options
+ * @returns {string} HTML
+ */
+function buildMoonHtml(moon, timeOptions) {
+  const { illumination, springNeap } = moon;
+  const formatMoonTime = time => {
+    if (time != null) return new Date(time).toLocaleTimeString('en-US', timeOptions);
+    return moon.alwaysUp ? 'Up all day' : 'Not today';
+  };
+
+  let cycleText;
+  if (springNeap.status === 'spring') {
+    cycleText = 'Spring tides - largest range of the cycle';
+  } else if (springNeap.status === 'neap') {
+    cycleText = 'Neap tides - smallest range of the cycle';
+  } else if (springNeap.trend === 'building') {
+    cycleText = `Range building - spring tides in ${Math.round(springNeap.daysToSpring)} days`;
+  } else {
+    cycleText = `Range easing - neap tides in ${Math.round(springNeap.daysToNeap)} days`;
+  }
+
+  return `
+    <div class="sunlight-cards-grid moon-cards-grid">
+
+      <!-- Moon Phase Card -->
+      <div class="sunlight-card moon-card-phase">
+        <div class="sunlight-card-icon">${illumination.icon}</div>
+        <div class="sunlight-card-label">${illumination.name}</div>
+        <div class="sunlight-card-time">${Math.round(illumination.fraction * 100)}%</div>
+        <div class="sunlight-card-sublabel">Illuminated</div>
+      </div>
+
+      <!-- Moonrise Card -->
+      <div class="sunlight-card moon-card-rise">
+        <div class="sunlight-card-icon">🌙</div>
+        <div class="sunlight-card-label">Moonrise</div>
+        <div class="sunlight-card-time">${formatMoonTime(moon.rise)}</div>
+        <div class="sunlight-card-sublabel">Moon Above Horizon</div>
+      </div>
+
+      <!-- Moonset Card -->
+      <div class="sunlight-card moon-card-set">
+        <div class="sunlight-card-icon">🌘</div>
+        <div class="sunlight-card-label">Moonset</div>
+        <div class="sunlight-card-time">${formatMoonTime(moon.set)}</div>
+        <div class="sunlight-card-sublabel">Moon Below Horizon</div>
+      </div>
+
+    </div>
+
+    <!-- Spring/Neap Summary -->
+    <div class="sunlight-duration moon-cycle">
+      <div class="sunlight-duration-icon">🌊</div>
+      <div>
+        <div class="sunlight-duration-label">Spring/Neap Cycle</div>
+        <div class="sunlight-duration-value">${cycleText}</div>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Display sunlight times for a station
  *
  * @param {string} stationKey - Station identifier
- * @param {number} dayOffset - Day offset (0=today, 1=tomorrow, 2=day after)
+ * @param {number} dayOffset - Day offset (0=today, 1=tomorrow, -1=yesterday...)
  * @param {SunlightDataStore} sunlightStore - Sunlight data store
  * @param {Object} tideDataStore - Tide data store (for updating day offset)
  * @param {Function} updateChartCallback - Callback to update chart when day changes
@@ -83,36 +237,13 @@ export function displaySunlightTimes(stationKey, dayOffset, sunlightStore, tideD
   // Get sunlight times for the target date
   const sunlight = sunlightStore.getForDate(stationKey, targetDateStr);
 
-  // Check if we have valid sunlight data for this station (not missing or error)
-  if (!sunlight || sunlight.error || !sunlight.first_light) {
-    container.style.display = 'none';
-    return;
-  }
-
-  // Parse times
-  const firstLight = new Date(sunlight.first_light);
-  const sunrise = new Date(sunlight.sunrise);
-  const sunset = new Date(sunlight.sunset);
-  const lastLight = new Date(sunlight.last_light);
-
-  // Validate parsed dates
-  if (isNaN(firstLight) || isNaN(sunrise) || isNaN(sunset) || isNaN(lastLight)) {
-    container.style.display = 'none';
-    return;
-  }
+  // Moon is computed locally, so it shows even on days past the sunlight data
+  const moon = getMoonForDay(targetDateStr, tideDataStore.getStationMetadata(stationKey));
 
   // Format to local time (24-hour)
-  const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'America/Vancouver' };
-  const firstLightStr = firstLight.toLocaleTimeString('en-US', timeOptions);
-  const sunriseStr = sunrise.toLocaleTimeString('en-US', timeOptions);
-  const sunsetStr = sunset.toLocaleTimeString('en-US', timeOptions);
-  const lastLightStr = lastLight.toLocaleTimeString('en-US', timeOptions);
-
-  // Calculate daylight duration
-  const daylightDurationMs = sunset - sunrise;
-  const hours = Math.floor(daylightDurationMs / (1000 * 60 * 60));
-  const minutes = Math.floor((daylightDurationMs % (1000 * 60 * 60)) / (1000 * 60));
-  const daylightDuration = `${hours}h ${minutes}m`;
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: 'America/Vancouver' };
+  const sunHtml = buildSunHtml(sunlight, timeOptions);
+  const moonHtml = buildMoonHtml(moon, timeOptions);
 
   // Format date label for heading
   const dateStr = targetDate.toLocaleDateString('en-US', {
@@ -132,56 +263,14 @@ export function displaySunlightTimes(stationKey, dayOffset, sunlightStore, tideD
   container.innerHTML = `
     <div class="tide-data-group">
       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
-        <h3 style="margin: 0;">Sunlight Times for ${dayLabel}</h3>
+        <h3 style="margin: 0;">Sun &amp; Moon for ${dayLabel}</h3>
         <div class="chart-nav-buttons" style="display: flex; gap: 0.5rem;">
           <button id="sunlight-prev-day-btn" title="Previous day" style="padding: 0.5rem 1rem; background: #0077be; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 1rem;">◀</button>
           <button id="sunlight-next-day-btn" title="Next day" style="padding: 0.5rem 1rem; background: #0077be; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 1rem;">▶</button>
         </div>
       </div>
-      <div class="sunlight-cards-grid">
-
-        <!-- First Light Card -->
-        <div class="sunlight-card sunlight-card-first-light">
-          <div class="sunlight-card-icon">🌅</div>
-          <div class="sunlight-card-label">First Light</div>
-          <div class="sunlight-card-time">${firstLightStr}</div>
-          <div class="sunlight-card-sublabel">Civil Dawn</div>
-        </div>
-
-        <!-- Sunrise Card -->
-        <div class="sunlight-card sunlight-card-sunrise">
-          <div class="sunlight-card-icon">🌄</div>
-          <div class="sunlight-card-label">Sunrise</div>
-          <div class="sunlight-card-time">${sunriseStr}</div>
-          <div class="sunlight-card-sublabel">Sun Above Horizon</div>
-        </div>
-
-        <!-- Sunset Card -->
-        <div class="sunlight-card sunlight-card-sunset">
-          <div class="sunlight-card-icon">🌇</div>
-          <div class="sunlight-card-label">Sunset</div>
-          <div class="sunlight-card-time">${sunsetStr}</div>
-          <div class="sunlight-card-sublabel">Sun Below Horizon</div>
-        </div>
-
-        <!-- Last Light Card -->
-        <div class="sunlight-card sunlight-card-last-light">
-          <div class="sunlight-card-icon">🌆</div>
-          <div class="sunlight-card-label">Last Light</div>
-          <div class="sunlight-card-time">${lastLightStr}</div>
-          <div class="sunlight-card-sublabel">Civil Dusk</div>
-        </div>
-
-      </div>
-
-      <!-- Daylight Duration Summary -->
-      <div class="sunlight-duration">
-        <div class="sunlight-duration-icon">☀️</div>
-        <div>
-          <div class="sunlight-duration-label">Daylight Duration</div>
-          <div class="sunlight-duration-value">${daylightDuration}</div>
-        </div>
-      </div>
+      ${sunHtml}
+      ${moonHtml}
     </div>
   `;
 
@@ -193,18 +282,21 @@ export function displaySunlightTimes(stationKey, dayOffset, sunlightStore, tideD
 
   if (sunlightPrevBtn && sunlightNextBtn) {
     // Update button states
-    sunlightPrevBtn.disabled = dayOffset === 0;
-    sunlightNextBtn.disabled = dayOffset === 2; // We have 3 days of data (0-2)
+    const atStart = dayOffset <= DAY_OFFSET_RANGE.min;
+    const atEnd = dayOffset >= DAY_OFFSET_RANGE.max;
+
+    sunlightPrevBtn.disabled = atStart;
+    sunlightNextBtn.disabled = atEnd;
 
-    sunlightPrevBtn.style.opacity = dayOffset === 0 ? '0.3' : '1';
-    sunlightNextBtn.style.opacity = dayOffset === 2 ? '0.3' : '1';
-    sunlightPrevBtn.style.cursor = dayOffset === 0 ? 'not-allowed' : 'pointer';
-    sunlightNextBtn.style.cursor = dayOffset === 2 ? 'not-allowed' : 'pointer';
+    sunlightPrevBtn.style.opacity = atStart ? '0.3' : '1';
+    sunlightNextBtn.style.opacity = atEnd ? '0.3' : '1';
+    sunlightPrevBtn.style.cursor = atStart ? 'not-allowed' : 'pointer';
+    sunlightNextBtn.style.cursor = atEnd ? 'not-allowed' : 'pointer';
 
     // Add click handlers
     sunlightPrevBtn.addEventListener('click', () => {
       const currentOffset = tideDataStore.getDayOffset();
-      if (currentOffset > 0) {
+      if (currentOffset > DAY_OFFSET_RANGE.min) {
         tideDataStore.setDayOffset(currentOffset - 1);
         updateChartCallback();
       }
@@ -212,7 +304,7 @@ export function displaySunlightTimes(stationKey, dayOffset, sunlightStore, tideD
 
     sunlightNextBtn.addEventListener('click', () => {
       const currentOffset = tideDataStore.getDayOffset();
-      if (currentOffset < 2) {
+      if (currentOffset < DAY_OFFSET_RANGE.max) {
         tideDataStore.setDayOffset(currentOffset + 1);
         updateChartCallback();
       }
@@ -0,0 +1,155 @@
+/**
+ * Tide Calendar Module
+ * Month view of daily highs/lows and spring/neap status for trip planning
+ */
+
+import { DAY_OFFSET_RANGE } from './constants.js';
+import { getDateStringForOffset, getDayOffsetForDate, formatHeight } from './utils.js';
+import { getSpringNeapStatus } from './lunar.js';
+import { shiftToActiveDatum } from './datum.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SPRING_NEAP_BADGES = {
+  spring: { text: 'S', title: 'Spring tides - largest range' },
+  neap: { text: 'N', title: 'Neap tides - smallest range' }
+};
+
+let calendarMonth = null; // { year, month } currently shown, month is 1-12
+let lastSelectedDate = null;
+
+/**
+ * Build one day cell
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Array} events - High/low events for the day
+ * @param {Object} flags - { selected, today }
+ * @returns {string} HTML
+ */
+function buildDayCell(dateStr, events, { selected, today }) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const offset = getDayOffsetForDate(dateStr);
+  const inRange = offset >= DAY_OFFSET_RANGE.min && offset <= DAY_OFFSET_RANGE.max;
+
+  // Status at local midday (20:00 UTC is 12:00-13:00 Pacific)
+  const status = getSpringNeapStatus(Date.UTC(year, month - 1, day, 20));
+  const badge = status
+    ? `<span class="tide-calendar-badge tide-calendar-badge-${status}" title="${SPRING_NEAP_BADGES[status].title}">${SPRING_NEAP_BADGES[status].text}</span>`
+    : '';
+
+  const eventsHtml = events.map(event => {
+    const isHigh = event.type === 'high';
+    return `<span class="tide-calendar-event ${isHigh ? 'tide-calendar-high' : 'tide-calendar-low'}">${isHigh ? '▲' : '▼'} ${event.time_display} ${formatHeight(event.value, 1, { compact: true })}</span>`;
+  }).join('');
+
+  const classes = [
+    'tide-calendar-day',
+    selected ? 'selected' : '',
+    today ? 'today' : '',
+    status ? `tide-calendar-${status}` : ''
+  ].filter(Boolean).join(' ');
+
+  return `
+    <button type="button" class="${classes}" data-date="${dateStr}" ${inRange ? '' : 'disabled'}>
+      <span class="tide-calendar-date">${day}${badge}</span>
+      <span class="tide-calendar-events">${eventsHtml}</span>
+    </button>
+  `;
+}
+
+/**
+ * Display the month calendar for a station
+ * Follows the selected day into its month; the ◀ ▶ month buttons browse
+ * without changing the selected day.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {Function} selectDayCallback - Callback after a day is picked (day offset already set)
+ * @returns {void}
+ */
+export function displayTideCalendar(stationKey, tideDataStore, selectDayCallback) {
+  const container = document.getElementById('tide-calendar');
+  if (!container) return;
+
+  const selectedDate = getDateStringForOffset(tideDataStore.getDayOffset());
+  const todayDate = getDateStringForOffset(0);
+
+  if (!calendarMonth || selectedDate !== lastSelectedDate) {
+    const [year, month] = selectedDate.split('-').map(Number);
+    calendarMonth = { year, month };
+    lastSelectedDate = selectedDate;
+  }
+
+  const { year, month } = calendarMonth;
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthLabel = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+
+  let cellsHtml = WEEKDAYS.map(name => `<div class="tide-calendar-weekday">${name}</div>`).join('');
+  cellsHtml += '<div class="tide-calendar-blank"></div>'.repeat(firstWeekday);
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    // Exported highs/lows, or harmonic ones past the export (data-loader.js)
+    const events = shiftToActiveDatum(tideDataStore.getEventsForDate(stationKey, dateStr).events, activeDatum)
+      .filter(event => event.value != null)
+      .sort((a, b) => new Date(a.time) - new Date(b.time));
+    cellsHtml += buildDayCell(dateStr, events, {
+      selected: dateStr === selectedDate,
+      today: dateStr === todayDate
+    });
+  }
+
+  container.innerHTML = `
+    <div class="tide-calendar-header">
+      <button type="button" class="tide-calendar-nav" data-month-step="-1" title="Previous month">◀</button>
+      <strong>${monthLabel}</strong>
+      <button type="button" class="tide-calendar-nav" data-month-step="1" title="Next month">▶</button>
+    </div>
+    <div class="tide-calendar-grid">${cellsHtml}</div>
+    <div class="tide-calendar-legend">
+      <span><span class="tide-calendar-badge tide-calendar-badge-spring">S</span> Spring tides</span>
+      <span><span class="tide-calendar-badge tide-calendar-badge-neap">N</span> Neap tides</span>
+      <span class="tide-calendar-high">▲ High</span>
+      <span class="tide-calendar-low">▼ Low</span>
+      <span>Heights above ${activeDatum.label}</span>
+      <span style="color: #999;">Highs/lows past the DFO export are computed from harmonic constituents where available</span>
+    </div>
+  `;
+
+  container.querySelectorAll('.tide-calendar-nav').forEach(button => {
+    button.addEventListener('click', () => {
+      const next = new Date(Date.UTC(year, month - 1 + Number(button.dataset.monthStep), 1));
+      calendarMonth = { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1 };
+      displayTideCalendar(stationKey, tideDataStore, selectDayCallback);
+    });
+  });
+
+  container.querySelectorAll('.tide-calendar-day:not([disabled])').forEach(button => {
+    button.addEventListener('click', () => {
+      tideDataStore.setDayOffset(getDayOffsetForDate(button.dataset.date));
+      selectDayCallback();
+    });
+  });
+}
+
+/**
+ * Show or hide the calendar
+ *
+ * @returns {void}
+ */
+export function toggleTideCalendar() {
+  const container = document.getElementById('tide-calendar');
+  const button = document.getElementById('tide-calendar-btn');
+  if (!container) return;
+
+  const show = container.style.display === 'none';
+  container.style.display = show ? 'block' : 'none';
+  if (button) button.classList.toggle('active', show);
+}
@@ -0,0 +1,350 @@
+/**
+ * Tide Window Finder Module
+ * Finds when the water is above or below a level - launches, beach walks, clam digs
+ *
+ * Scans the water level over the next few days from the selected day:
+ * - ECCC total water level forecasts (tide + surge) where combined-water-level.json
+ *   covers the time, except at geodetic stations where it isn't on chart datum
+ * - DFO predictions otherwise, or harmonic predictions past the export
+ *   (TideDataStore.getPredictionsForDay)
+ *
+ * Levels are searched in the selected vertical datum (datum.js).
+ *
+ * Threshold crossings are interpolated linearly between points. With
+ * "daylight only" each window is clipped to sunrise-sunset from the
+ * SunlightDataStore.
+ */
+
+import { getDateStringForOffset, getPacificDayBounds, formatHeight } from './utils.js';
+import { isGeodeticStation } from './geodetic.js';
+import { toActiveDatum } from './datum.js';
+
+const DAY_OPTIONS = [1, 3, 7, 14];
+const MIN_WINDOW_MINUTES = 10; // Drop slivers from clipping or noisy forecasts
+
+const SOURCE_LABELS = {
+  forecast: 'Forecast',
+  export: 'DFO',
+  harmonic: 'Harmonic'
+};
+
+// Search settings - threshold in metres, suggested afresh for each station and datum
+const settings = {
+  threshold: null,
+  direction: 'below',
+  days: 7,
+  daylightOnly: false
+};
+let thresholdKey = null;
+
+/**
+ * Build the water level series to search
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {string[]} dates - Pacific dates (YYYY-MM-DD), consecutive
+ * @param {Object} activeDatum - Datum to return levels in (TideDataStore.getActiveDatum)
+ * @returns {Array} [{ time (ms), value (m), source }] sorted by time
+ */
+function buildWaterLevelSeries(stationKey, tideDataStore, dates, activeDatum) {
+  let points = [];
+  dates.forEach(dateStr => {
+    const { predictions, source } = tideDataStore.getPredictionsForDay(stationKey, dateStr);
+    predictions.forEach(p => {
+      if (p.value != null) {
+        points.push({ time: new Date(p.time).getTime(), value: toActiveDatum(p.value, activeDatum), source: source });
+      }
+    });
+  });
+
+  const forecast = isGeodeticStation(stationKey)
+    ? []
+    : (tideDataStore.getAllCombinedWaterLevel()?.stations?.[stationKey]?.forecast || [])
+      .filter(item => item.total_water_level_m != null)
+      .map(item => ({
+        time: new Date(item.time).getTime(),
+        value: toActiveDatum(item.total_water_level_m, activeDatum),
+        source: 'forecast'
+      }));
+
+  if (forecast.length > 1) {
+    // The forecast replaces predictions over the span it covers
+    const forecastStart = Math.min(...forecast.map(p => p.time));
+    const forecastEnd = Math.max(...forecast.map(p => p.time));
+    const { start } = getPacificDayBounds(dates[0]);
+    const { end } = getPacificDayBounds(dates[dates.length - 1]);
+    points = points
+      .filter(p => p.time < forecastStart || p.time > forecastEnd)
+      .concat(forecast.filter(p => p.time >= start && p.time <= end));
+  }
+
+  return points.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Find intervals where the series is above or below a threshold
+ *
+ * @param {Array} points - [{ time, value, source }] sorted by time
+ * @param {number} threshold - Level in metres
+ * @param {string} direction - 'above' or 'below'
+ * @param {boolean} [strict=false] - Exclude the threshold itself
+ * @returns {Array} [{ start, end, openStart, openEnd }] times in ms; open ends
+ *   mean the window runs past the searched range
+ */
+export function findTideWindows(points, threshold, direction, strict = false) {
+  const meets = value => {
+    if (strict && value === threshold) return false;
+    return direction === 'above' ? value >= threshold : value <= threshold;
+  };
+  const crossing = (a, b) => a.time + (b.time - a.time) * (threshold - a.value) / (b.value - a.value);
+
+  const windows = [];
+  let current = null;
+
+  points.forEach((point, i) => {
+    const inside = meets(point.value);
+    if (inside && !current) {
+      current = i === 0
+        ? { start: point.time, openStart: true }
+        : { start: crossing(points[i - 1], point), openStart: false };
+    } else if (!inside && current) {
+      windows.push({ ...current, end: crossing(points[i - 1], point), openEnd: false });
+      current = null;
+    }
+  });
+
+  if (current) {
+    windows.push({ ...current, end: points[points.length - 1].time, openEnd: true });
+  }
+  return windows;
+}
+
+/**
+ * Clip windows to daylight (sunrise-sunset)
+ *
+ * @param {Array} windows - Windows from findTideWindows()
+ * @param {Function} getDaylight - (dateStr) => { start, end } in ms, or null if unknown
+ * @param {string[]} dates - Pacific dates covered by the search
+ * @returns {Array} Clipped windows (a window spanning two days can split in two)
+ */
+function clipToDaylight(windows, getDaylight, dates) {
+  const clipped = [];
+  dates.forEach(dateStr => {
+    const daylight = getDaylight(dateStr);
+    if (!daylight) return;
+
+    windows.forEach(tideWindow => {
+      const start = Math.max(tideWindow.start, daylight.start);
+      const end = Math.min(tideWindow.end, daylight.end);
+      if (end > start) {
+        clipped.push({
+          start: start,
+          end: end,
+          openStart: tideWindow.openStart && start === tideWindow.start,
+          openEnd: tideWindow.openEnd && end === tideWindow.end
+        });
+      }
+    });
+  });
+  return clipped.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Add the peak/lowest level and the data sources inside each window
+ *
+ * @param {Array} windows - Windows to describe
+ * @param {Array} points - Series the windows came from
+ * @param {number} threshold - Level in metres (the extreme when no point falls inside)
+ * @param {string} direction - 'above' or 'below'
+ * @returns {Array} Windows with { extreme, sources }
+ */
+function describeWindows(windows, points, threshold, direction) {
+  return windows.map(tideWindow => {
+    const inside = points.filter(p => p.time >= tideWindow.start && p.time <= tideWindow.end);
+    const values = inside.map(p => p.value);
+    const extreme = values.length === 0
+      ? threshold
+      : (direction === 'above' ? Math.max(...values) : Math.min(...values));
+    return { ...tideWindow, extreme: extreme, sources: [...new Set(inside.map(p => p.source))] };
+  });
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: 'America/Vancouver'
+  });
+}
+
+function formatDay(ms) {
+  return new Date(ms).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'America/Vancouver'
+  });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Suggest a starting threshold: the mean level, to the nearest half metre
+ */
+function suggestThreshold(points) {
+  if (points.length === 0) return null;
+  const mean = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+  return Math.round(mean * 2) / 2;
+}
+
+/**
+ * Build the results table
+ */
+function buildResults(windows, { direction, daylightOnly, missingDaylight }) {
+  if (windows.length === 0) {
+    return `<p style="color: #666;">No windows found - try a different level${daylightOnly ? ' or include darkness' : ''}.</p>`;
+  }
+
+  const rows = windows.map(tideWindow => {
+    const startLabel = tideWindow.openStart ? `before ${formatClock(tideWindow.start)}` : formatClock(tideWindow.start);
+    const endLabel = tideWindow.openEnd ? `after ${formatClock(tideWindow.end)}` : formatClock(tideWindow.end);
+    const sameDay = formatDay(tideWindow.start) === formatDay(tideWindow.end);
+    const sources = tideWindow.sources.map(source => SOURCE_LABELS[source] || source).join(', ');
+    return `
+      <tr>
+        <td>${formatDay(tideWindow.start)}</td>
+        <td>${startLabel} – ${sameDay ? '' : `${formatDay(tideWindow.end)} `}${endLabel}</td>
+        <td>${tideWindow.openStart || tideWindow.openEnd ? '≥ ' : ''}${formatDuration(tideWindow.end - tideWindow.start)}</td>
+        <td>${formatHeight(tideWindow.extreme, 2)}</td>
+        <td style="color: #666;">${sources || '—'}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const daylightNote = missingDaylight > 0
+    ? `<p style="margin: 0.5rem 0 0; font-size: 0.85em; color: #999;">No sunrise/sunset data for ${missingDaylight} day${missingDaylight === 1 ? '' : 's'} - those days are left out.</p>`
+    : '';
+
+  return `
+    <div class="data-table">
+      <table class="tide-window-table">
+        <thead>
+          <tr>
+            <th>Day</th>
+            <th>Time (Pacific)</th>
+            <th>Duration</th>
+            <th>${direction === 'above' ? 'Highest' : 'Lowest'}</th>
+            <th>Source</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${daylightNote}
+  `;
+}
+
+/**
+ * Display the window finder for a station
+ * Searches settings.days days from the selected day.
+ *
+ * @param {string} stationKey - Station identifier
+ * @param {Object} tideDataStore - Tide data store instance
+ * @param {SunlightDataStore} sunlightDataStore - Sunlight data store instance
+ * @returns {void}
+ */
+export function displayTideWindowFinder(stationKey, tideDataStore, sunlightDataStore) {
+  const container = document.getElementById('tide-window-finder');
+  if (!container) return;
+
+  const dayOffset = tideDataStore.getDayOffset();
+  const dates = Array.from({ length: settings.days }, (_, i) => getDateStringForOffset(dayOffset + i));
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+  const points = buildWaterLevelSeries(stationKey, tideDataStore, dates, activeDatum);
+
+  if (thresholdKey !== `${stationKey}:${activeDatum.key}`) {
+    settings.threshold = suggestThreshold(points);
+    thresholdKey = `${stationKey}:${activeDatum.key}`;
+  }
+
+  let resultsHtml;
+  if (points.length < 2) {
+    resultsHtml = '<p style="color: #666;">No water level predictions for these days.</p>';
+  } else if (settings.threshold == null) {
+    resultsHtml = '<p style="color: #666;">Enter a water level to search for.</p>';
+  } else {
+    let windows = findTideWindows(points, settings.threshold, settings.direction);
+    let missingDaylight = 0;
+
+    if (settings.daylightOnly) {
+      const getDaylight = dateStr => {
+        const sunlight = sunlightDataStore.getForDate(stationKey, dateStr);
+        if (!sunlight || sunlight.error || !sunlight.sunrise || !sunlight.sunset) {
+          missingDaylight++;
+          return null;
+        }
+        return { start: new Date(sunlight.sunrise).getTime(), end: new Date(sunlight.sunset).getTime() };
+      };
+      windows = clipToDaylight(windows, getDaylight, dates);
+    }
+
+    windows = describeWindows(windows, points, settings.threshold, settings.direction)
+      .filter(tideWindow => tideWindow.end - tideWindow.start >= MIN_WINDOW_MINUTES * 60000);
+    resultsHtml = buildResults(windows, { ...settings, missingDaylight: missingDaylight });
+  }
+
+  const thresholdValue = settings.threshold != null
+    ? Math.round(window.Units.convert('height', settings.threshold) * 100) / 100
+    : '';
+
+  container.innerHTML = `
+    <div class="tide-window-controls">
+      <label>
+        Water
+        <select data-window-field="direction">
+          <option value="above" ${settings.direction === 'above' ? 'selected' : ''}>above</option>
+          <option value="below" ${settings.direction === 'below' ? 'selected' : ''}>below</option>
+        </select>
+      </label>
+      <label>
+        <input type="number" step="0.1" data-window-field="threshold" value="${thresholdValue}" aria-label="Water level">
+        ${window.Units.getLabel('height')} <span title="${activeDatum.label}">${activeDatum.short}</span>
+      </label>
+      <label>
+        over
+        <select data-window-field="days">
+          ${DAY_OPTIONS.map(days => `<option value="${days}" ${settings.days === days ? 'selected' : ''}>${days} day${days === 1 ? '' : 's'}</option>`).join('')}
+        </select>
+        from ${formatDay(getPacificDayBounds(dates[0]).start)}
+      </label>
+      <label>
+        <input type="checkbox" data-window-field="daylightOnly" ${settings.daylightOnly ? 'checked' : ''}>
+        Daylight only (sunrise–sunset)
+      </label>
+    </div>
+    <div class="tide-window-results">${resultsHtml}</div>
+  `;
+
+  container.querySelectorAll('[data-window-field]').forEach(input => {
+    input.addEventListener('change', () => {
+      const field = input.dataset.windowField;
+      if (field === 'threshold') {
+        // Stored in metres so it survives unit changes
+        settings.threshold = input.value === '' ? null : window.Units.toBase('height', input.value);
+      } else if (field === 'days') {
+        settings.days = Number(input.value);
+      } else if (field === 'daylightOnly') {
+        settings.daylightOnly = input.checked;
+      } else {
+        settings[field] = input.value;
+      }
+      displayTideWindowFinder(stationKey, tideDataStore, sunlightDataStore);
+    });
+  });
+}
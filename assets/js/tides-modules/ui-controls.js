@@ -1,9 +1,11 @@
 /**
  * UI Controls Module
- * Handles station dropdowns, navigation buttons, and day selection
+ * Handles station dropdowns, navigation buttons, date picker and day selection
  */
 
-import { STATION_DISPLAY_NAMES } from './constants.js';
+import { STATION_DISPLAY_NAMES, DAY_OFFSET_RANGE } from './constants.js';
+import { getDateStringForOffset, getDayOffsetForDate } from './utils.js';
+import { toggleTideCalendar } from './tide-calendar.js';
 
 /**
  * Populate the station dropdown with available stations
@@ -133,7 +135,7 @@ export function populateStationDropdown(tideDataStore, displayStationCallback, h
 }
 
 /**
- * Setup day navigation buttons
+ * Setup day navigation buttons, date picker and calendar toggle
  *
  * @param {Object} tideDataStore - Tide data store instance
  * @param {Function} updateChartCallback - Callback to update chart when day changes
@@ -142,6 +144,8 @@ export function populateStationDropdown(tideDataStore, displayStationCallback, h
 export function setupDayNavigation(tideDataStore, updateChartCallback) {
   const prevBtn = document.getElementById('prev-day-btn');
   const nextBtn = document.getElementById('next-day-btn');
+  const datePicker = document.getElementById('tide-date-picker');
+  const calendarBtn = document.getElementById('tide-calendar-btn');
 
   // Remove existing listeners by cloning
   const newPrevBtn = prevBtn.cloneNode(true);
@@ -152,7 +156,7 @@ export function setupDayNavigation(tideDataStore, updateChartCallback) {
   // Add new listeners
   newPrevBtn.addEventListener('click', () => {
     const currentOffset = tideDataStore.getDayOffset();
-    if (currentOffset > 0) {
+    if (currentOffset > DAY_OFFSET_RANGE.min) {
       tideDataStore.setDayOffset(currentOffset - 1);
       updateChartCallback();
     }
@@ -160,74 +164,101 @@ export function setupDayNavigation(tideDataStore, updateChartCallback) {
 
   newNextBtn.addEventListener('click', () => {
     const currentOffset = tideDataStore.getDayOffset();
-    if (currentOffset < 2) {  // We have 3 days of data (0-2)
+    if (currentOffset < DAY_OFFSET_RANGE.max) {
       tideDataStore.setDayOffset(currentOffset + 1);
       updateChartCallback();
     }
   });
 
+  // Jump to any date in range
+  if (datePicker) {
+    const newDatePicker = datePicker.cloneNode(true);
+    datePicker.replaceWith(newDatePicker);
+    newDatePicker.min = getDateStringForOffset(DAY_OFFSET_RANGE.min);
+    newDatePicker.max = getDateStringForOffset(DAY_OFFSET_RANGE.max);
+
+    newDatePicker.addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      const offset = getDayOffsetForDate(e.target.value);
+      if (offset >= DAY_OFFSET_RANGE.min && offset <= DAY_OFFSET_RANGE.max) {
+        tideDataStore.setDayOffset(offset);
+        updateChartCallback();
+      } else {
+        // Out of range (typed in) - snap back to the selected day
+        updateDayLabel(tideDataStore.getDayOffset());
+      }
+    });
+  }
+
+  // Month calendar toggle
+  if (calendarBtn) {
+    const newCalendarBtn = calendarBtn.cloneNode(true);
+    calendarBtn.replaceWith(newCalendarBtn);
+    newCalendarBtn.addEventListener('click', () => toggleTideCalendar());
+  }
+
   updateDayLabel(tideDataStore.getDayOffset());
   updateNavigationButtons(tideDataStore.getDayOffset());
 }
 
 /**
- * Update the day label display
+ * Update the day label display and date picker
  *
- * @param {number} dayOffset - Current day offset (0=today, 1=tomorrow, 2=day after)
+ * @param {number} dayOffset - Current day offset (0=today, 1=tomorrow, -1=yesterday...)
  * @returns {void}
  */
 export function updateDayLabel(dayOffset) {
   const label = document.getElementById('chart-date-label');
-  const pacific = 'America/Vancouver';
-  const now = new Date();
-
-  // Get current year/month/day in Pacific timezone
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: pacific,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  const parts = formatter.formatToParts(now);
-  const year = parseInt(parts.find(p => p.type === 'year').value);
-  const month = parseInt(parts.find(p => p.type === 'month').value);
-  const day = parseInt(parts.find(p => p.type === 'day').value);
-
-  // Create date and add offset
-  const targetDate = new Date(year, month - 1, day);
-  targetDate.setDate(targetDate.getDate() + dayOffset);
+  const highlowLabel = document.getElementById('highlow-day-label');
+  const datePicker = document.getElementById('tide-date-picker');
 
-  const dateStr = targetDate.toLocaleDateString('en-US', {
+  const targetDateStr = getDateStringForOffset(dayOffset);
+  const dateStr = new Date(`${targetDateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
     month: 'short',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: 'UTC'
   });
 
   if (dayOffset === 0) {
     label.textContent = `Today (${dateStr})`;
   } else if (dayOffset === 1) {
     label.textContent = `Tomorrow (${dateStr})`;
+  } else if (dayOffset === -1) {
+    label.textContent = `Yesterday (${dateStr})`;
   } else {
     label.textContent = dateStr;
   }
+
+  if (highlowLabel) {
+    highlowLabel.textContent = dayOffset === 0 ? "Today's" : (dayOffset === 1 ? "Tomorrow's" : dateStr);
+  }
+
+  if (datePicker) {
+    datePicker.value = targetDateStr;
+  }
 }
 
 /**
  * Update navigation button states (enabled/disabled)
  *
- * @param {number} dayOffset - Current day offset (0=today, 1=tomorrow, 2=day after)
+ * @param {number} dayOffset - Current day offset (0=today, 1=tomorrow, -1=yesterday...)
  * @returns {void}
  */
 export function updateNavigationButtons(dayOffset) {
   const prevBtn = document.getElementById('prev-day-btn');
   const nextBtn = document.getElementById('next-day-btn');
 
-  prevBtn.disabled = dayOffset === 0;
-  nextBtn.disabled = dayOffset === 2;  // We have 3 days of data (0-2)
+  const atStart = dayOffset <= DAY_OFFSET_RANGE.min;
+  const atEnd = dayOffset >= DAY_OFFSET_RANGE.max;
+
+  prevBtn.disabled = atStart;
+  nextBtn.disabled = atEnd;
 
-  prevBtn.style.opacity = dayOffset === 0 ? '0.3' : '1';
-  nextBtn.style.opacity = dayOffset === 2 ? '0.3' : '1';
-  prevBtn.style.cursor = dayOffset === 0 ? 'not-allowed' : 'pointer';
-  nextBtn.style.cursor = dayOffset === 2 ? 'not-allowed' : 'pointer';
+  prevBtn.style.opacity = atStart ? '0.3' : '1';
+  nextBtn.style.opacity = atEnd ? '0.3' : '1';
+  prevBtn.style.cursor = atStart ? 'not-allowed' : 'pointer';
+  nextBtn.style.cursor = atEnd ? 'not-allowed' : 'pointer';
 }
 
 /**
@@ -44,6 +44,89 @@ export function getAgeString(date) {
   return `${diffDays} days ago`;
 }
 
+/**
+ * Get today's date in Pacific time
+ *
+ * @returns {Object} { year, month, day } - month is 1-12
+ */
+export function getPacificToday() {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Vancouver',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  const parts = formatter.formatToParts(new Date());
+  return {
+    year: parseInt(parts.find(p => p.type === 'year').value),
+    month: parseInt(parts.find(p => p.type === 'month').value),
+    day: parseInt(parts.find(p => p.type === 'day').value)
+  };
+}
+
+/**
+ * Get the Pacific calendar date for a day offset from today
+ *
+ * @param {number} dayOffset - Days from today (negative = past)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getDateStringForOffset(dayOffset) {
+  const today = getPacificToday();
+  // Calendar arithmetic in UTC so the browser's own timezone can't shift the day
+  const target = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day offset from today for a Pacific calendar date
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {number} Days from today (negative = past)
+ */
+export function getDayOffsetForDate(dateStr) {
+  const today = getPacificToday();
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+}
+
+/**
+ * Get the start and end of a Pacific calendar day
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {Object} { start, end } in ms - end is the next midnight
+ */
+export function getPacificDayBounds(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const hourFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Vancouver',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  // Pacific midnight is 08:00 UTC (PST) or 07:00 UTC (PDT)
+  const midnight = (y, m, d) => {
+    const pst = Date.UTC(y, m - 1, d, 8);
+    return parseInt(hourFormatter.format(new Date(pst))) === 0 ? pst : Date.UTC(y, m - 1, d, 7);
+  };
+
+  return {
+    start: midnight(year, month, day),
+    end: midnight(year, month, day + 1)
+  };
+}
+
+/**
+ * Format a water level in the user's preferred height unit (see units.js)
+ *
+ * @param {number} value - Height in metres
+ * @param {number|Object} [decimals=2] - Decimal places, or per-unit map (e.g. { m: 3, ft: 2 })
+ * @param {Object} [options] - { signed } - prefix positive values with '+'
+ * @returns {string} Formatted height (e.g., "3.42 m", "+0.4 ft")
+ */
+export function formatHeight(value, decimals = 2, options = {}) {
+  return window.Units.format('height', value, decimals, options);
+}
+
 /**
  * Update the page timestamp display
  *
@@ -10,7 +10,15 @@
  * - geodetic.js: Geodetic station handling
  * - utils.js: Time formatting and helper functions
  * - sunlight.js: Sunrise/sunset display (SunlightDataStore)
- * - ui-controls.js: Station dropdowns and day navigation
+ * - ui-controls.js: Station dropdowns, day navigation and date picker
+ * - tide-calendar.js: Month calendar of highs/lows and spring/neap days
+ * - lunar.js: Moon age, spring/neap status, moon phase and moonrise/moonset
+ * - harmonics.js: Harmonic tide predictions beyond the exported data
+ * - tide-windows.js: Finder for times the water is above/below a level
+ * - ical-export.js: .ics download of highs/lows and sunrise/sunset
+ * - comparison-chart.js: Multi-station overlay with high/low time and range offsets
+ * - datum.js: Vertical datum selection and per-station datum offsets
+ * - residual-analysis.js: Observed - predicted series, threshold flags and ECCC surge comparison
  * - display.js: Station info, observations, predictions, storm surge, high/low tables
  * - chart-renderer.js: ECharts tide chart visualization
  */
@@ -34,7 +42,14 @@ import {
   getCurrentGeodeticResiduals
 } from './tides-modules/chart-renderer.js';
 import { displaySunlightTimes } from './tides-modules/sunlight.js';
-import { updateTimestamp, showError, showSelectedTideOnMap } from './tides-modules/utils.js';
+import { displayTideCalendar } from './tides-modules/tide-calendar.js';
+import { getMoonForDay } from './tides-modules/lunar.js';
+import { displayTideWindowFinder } from './tides-modules/tide-windows.js';
+import { displayCalendarExport } from './tides-modules/ical-export.js';
+import { displayStationComparison } from './tides-modules/comparison-chart.js';
+import { displayDatumSelector, shiftToActiveDatum, onDatumChange } from './tides-modules/datum.js';
+import { displayResidualPanel } from './tides-modules/residual-analysis.js';
+import { updateTimestamp, showError, showSelectedTideOnMap, getDateStringForOffset, formatHeight } from './tides-modules/utils.js';
 
 /* =====================================================
    Global State
@@ -97,6 +112,12 @@ function displayStationWrapper(stationKey) {
     (key, offset) => displayTideChartWrapper(key, offset),
     (key, offset) => displaySunlightWrapper(key, offset)
   );
+  displayDatumSelector(stationKey, tideDataStore);
+  displayTideCalendarWrapper(stationKey);
+  displayTideWindowFinderWrapper(stationKey);
+  displayCalendarExportWrapper(stationKey);
+  displayStationComparisonWrapper(stationKey);
+  displayResidualPanelWrapper(stationKey);
 }
 
 /**
@@ -123,12 +144,50 @@ function displayTideChartWrapper(stationKey, dayOffset) {
     tideTimeseriesData.stations[stationKey] = stationData;
   }
 
+  // Past the exported predictions, fill the day from harmonic constituents
+  const dayPredictions = tideDataStore.getPredictionsForDay(stationKey, getDateStringForOffset(dayOffset));
+  if (dayPredictions.source === 'harmonic') {
+    tideTimeseriesData.stations[stationKey] = {
+      ...(stationData || {}),
+      predictions: dayPredictions.predictions
+    };
+  }
+  displayPredictionSource(stationKey, dayPredictions.source);
+
+  // Levels in the selected datum - residuals and surge are differences and stay as-is
+  const activeDatum = tideDataStore.getActiveDatum(stationKey);
+  const chartStation = tideTimeseriesData.stations[stationKey];
+  if (chartStation) {
+    tideTimeseriesData.stations[stationKey] = {
+      ...chartStation,
+      predictions: shiftToActiveDatum(chartStation.predictions, activeDatum),
+      observations: shiftToActiveDatum(chartStation.observations, activeDatum)
+    };
+  }
+
+  const combinedWaterLevelData = tideDataStore.getAllCombinedWaterLevel();
+  const combinedStation = combinedWaterLevelData?.stations?.[stationKey];
+  const chartCombinedData = combinedStation
+    ? {
+      ...combinedWaterLevelData,
+      stations: {
+        ...combinedWaterLevelData.stations,
+        [stationKey]: {
+          ...combinedStation,
+          forecast: shiftToActiveDatum(combinedStation.forecast, activeDatum, 'total_water_level_m')
+        }
+      }
+    }
+    : combinedWaterLevelData;
+
   displayTideChart(
     stationKey,
     dayOffset,
     tideTimeseriesData,
-    tideDataStore.getAllCombinedWaterLevel(),
-    (key, dateStr) => sunlightDataStore.getForDate(key, dateStr)
+    chartCombinedData,
+    (key, dateStr) => sunlightDataStore.getForDate(key, dateStr),
+    (key, dateStr) => getMoonForDay(dateStr, tideDataStore.getStationMetadata(key)),
+    activeDatum
   );
 
   // After chart display, get geodetic residuals and store them for storm surge card
@@ -138,6 +197,37 @@ function displayTideChartWrapper(stationKey, dayOffset) {
   }
 }
 
+/**
+ * Note under the chart when predictions come from harmonic constituents
+ */
+function displayPredictionSource(stationKey, source) {
+  const note = document.getElementById('tide-prediction-source');
+  if (!note) return;
+
+  const check = tideDataStore.getHarmonicCheck(stationKey);
+  if (source !== 'harmonic' || !check) {
+    note.style.display = 'none';
+    return;
+  }
+
+  // Harmonic predictions are only used after passing the check, so there is always an RMS error
+  let checkText = `matches DFO predictions to ${formatHeight(check.rmsError, { m: 3, ft: 2 })} RMS`;
+  if (check.meanTimeErrorMinutes != null) {
+    checkText += `, highs/lows within ${Math.round(check.maxTimeErrorMinutes)} min`;
+  }
+
+  note.textContent = `🔭 Computed from harmonic constituents beyond the DFO prediction export (${checkText}). Astronomical tide only - no weather effects.`;
+  note.style.display = 'block';
+}
+
+/**
+ * High/low station data for a day, with harmonic events past the export
+ */
+function getHighLowForDay(stationKey, dayOffset) {
+  const { events } = tideDataStore.getEventsForDate(stationKey, getDateStringForOffset(dayOffset));
+  return { ...(tideDataStore.getHighLow(stationKey) || {}), events: events };
+}
+
 /**
  * Display sunlight times with callback
  */
@@ -151,6 +241,45 @@ function displaySunlightWrapper(stationKey, dayOffset) {
   );
 }
 
+/**
+ * Display the month calendar - picking a day updates everything for that date
+ */
+function displayTideCalendarWrapper(stationKey) {
+  displayTideCalendar(
+    stationKey,
+    tideDataStore,
+    () => updateChartForDay()
+  );
+}
+
+/**
+ * Display the tide window finder - searches from the selected day
+ */
+function displayTideWindowFinderWrapper(stationKey) {
+  displayTideWindowFinder(stationKey, tideDataStore, sunlightDataStore);
+}
+
+/**
+ * Display the calendar export controls - the range starts at the selected day
+ */
+function displayCalendarExportWrapper(stationKey) {
+  displayCalendarExport(stationKey, tideDataStore, sunlightDataStore);
+}
+
+/**
+ * Display the multi-station comparison with the selected station as reference
+ */
+function displayStationComparisonWrapper(stationKey) {
+  displayStationComparison(stationKey, tideDataStore);
+}
+
+/**
+ * Display the residual panel - covers the whole loaded period, not the selected day
+ */
+function displayResidualPanelWrapper(stationKey) {
+  displayResidualPanel(stationKey, tideDataStore);
+}
+
 /**
  * Update chart and related elements when day changes
  */
@@ -169,13 +298,22 @@ function updateChartForDay() {
     updateNavigationButtons(dayOffset);
 
     // Update high/low table
-    const highlowStation = tideDataStore.getHighLow(stationKey);
-    if (highlowStation) {
-      displayHighLowTable(highlowStation, dayOffset);
-    }
+    displayHighLowTable(getHighLowForDay(stationKey, dayOffset), dayOffset, tideDataStore.getActiveDatum(stationKey));
 
     // Update sunlight widget
     displaySunlightWrapper(stationKey, dayOffset);
+
+    // Move the calendar's selection (and month) to the new day
+    displayTideCalendarWrapper(stationKey);
+
+    // Search for tide windows from the new day
+    displayTideWindowFinderWrapper(stationKey);
+
+    // Start the calendar export at the new day
+    displayCalendarExportWrapper(stationKey);
+
+    // Compare stations on the new day
+    displayStationComparisonWrapper(stationKey);
   }
 }
 
@@ -197,6 +335,22 @@ function startAutoRefresh() {
   setInterval(loadTideData, 5 * 60 * 1000);
 }
 
+/**
+ * Re-render the selected station in the new units or datum, keeping the selected day
+ */
+function refreshSelectedStation() {
+  const stationKey = tideDataStore?.getCurrentStation();
+  if (!stationKey) return;
+
+  const dayOffset = tideDataStore.getDayOffset();
+  displayStationWrapper(stationKey);
+
+  if (dayOffset !== 0) {
+    tideDataStore.setDayOffset(dayOffset);
+    updateChartForDay();
+  }
+}
+
 /**
  * Handle window resize for chart
  */
@@ -220,6 +374,12 @@ startAutoRefresh();
 // Window resize
 window.addEventListener('resize', handleResize);
 
+// Unit preference changes (units.js)
+window.Units.onChange(refreshSelectedStation);
+
+// Vertical datum changes (datum.js)
+onDatumChange(refreshSelectedStation);
+
 /* =====================================================
    Global Exports (for HTML onclick handlers)
    ===================================================== */
@@ -0,0 +1,197 @@
+/* =====================================================
+   Timeseries Resampler
+   Shared range filtering and time-bucketed aggregation
+   ===================================================== */
+
+/**
+ * One place for the {time, value} series handling that the buoy and wind
+ * pages used to do separately:
+ *
+ * - filterDataset() / filterSeries() limit data to a time window. Handles
+ *   both the buoy format ({ data: [...], name, unit }) and the wind station
+ *   format (plain arrays).
+ * - resample() buckets a series into 10-min, hourly or 3-hourly intervals
+ *   aligned to America/Vancouver (default) or UTC, aggregating each bucket
+ *   by mean, max, min or the sample nearest the bucket start.
+ *
+ * Bucket boundaries use the zone's UTC offset at each sample, so 3-hourly
+ * buckets start at 00/03/06... local time on both sides of a DST change.
+ */
+(function() {
+  const DEFAULT_TIME_ZONE = 'America/Vancouver';
+
+  const INTERVALS = {
+    '10min': 10 * 60 * 1000,
+    hourly: 60 * 60 * 1000,
+    '3hourly': 3 * 60 * 60 * 1000
+  };
+
+  const AGGREGATIONS = ['mean', 'max', 'min', 'nearest'];
+
+  const offsetFormatters = {};
+  const offsetCache = {};
+
+  /**
+   * UTC offset of a time zone at an instant
+   * Cached per zone and hour - offsets only change on the hour.
+   * @param {number} time - Timestamp in ms
+   * @param {string} timeZone - IANA zone or 'UTC'
+   * @returns {number} Offset in ms (local - UTC)
+   */
+  function getZoneOffset(time, timeZone) {
+    if (timeZone === 'UTC') return 0;
+
+    const hourKey = `${timeZone}|${Math.floor(time / INTERVALS.hourly)}`;
+    if (offsetCache[hourKey] != null) return offsetCache[hourKey];
+
+    if (!offsetFormatters[timeZone]) {
+      offsetFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      });
+    }
+
+    const parts = {};
+    offsetFormatters[timeZone].formatToParts(new Date(time)).forEach(p => { parts[p.type] = p.value; });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offset = asUtc - Math.floor(time / 1000) * 1000;
+
+    offsetCache[hourKey] = offset;
+    return offset;
+  }
+
+  /**
+   * Start of the bucket containing a time
+   * @param {number} time - Timestamp in ms
+   * @param {number} intervalMs - Bucket length
+   * @param {string} timeZone - Zone the buckets align to
+   * @returns {number} Bucket start in ms (UTC instant)
+   */
+  function getBucketStart(time, intervalMs, timeZone) {
+    const offset = getZoneOffset(time, timeZone);
+    return Math.floor((time + offset) / intervalMs) * intervalMs - offset;
+  }
+
+  /**
+   * Limit a series to points within [start, end]
+   * @param {Array} data - Array of {time, value}
+   * @param {number} start - Window start in ms
+   * @param {number} [end=Infinity] - Window end in ms
+   * @returns {Array} Filtered array
+   */
+  function filterSeries(data, start, end = Infinity) {
+    if (!Array.isArray(data)) return [];
+    return data.filter(point => {
+      const time = new Date(point.time).getTime();
+      return time >= start && time <= end;
+    });
+  }
+
+  /**
+   * Limit every series of a multi-station dataset to a window
+   * Station fields other than `timeseries` (name, location, isBuoy...) are kept.
+   * @param {Object} dataset - { stationId: { timeseries: {...} }, _meta }
+   * @param {number} start - Window start in ms
+   * @param {number} [end=Infinity] - Window end in ms
+   * @returns {Object} Filtered copy with the same shape
+   */
+  function filterDataset(dataset, start, end = Infinity) {
+    if (!dataset) return dataset;
+
+    const filtered = {};
+    Object.keys(dataset).forEach(stationId => {
+      if (stationId === '_meta') {
+        filtered[stationId] = dataset[stationId];
+        return;
+      }
+
+      const { timeseries, ...station } = dataset[stationId];
+      filtered[stationId] = { ...station, timeseries: {} };
+
+      Object.keys(timeseries || {}).forEach(metricKey => {
+        const metric = timeseries[metricKey];
+        if (Array.isArray(metric)) {
+          // Wind station format: direct array
+          filtered[stationId].timeseries[metricKey] = filterSeries(metric, start, end);
+        } else if (metric && Array.isArray(metric.data)) {
+          // Buoy format: { data, name, unit }
+          filtered[stationId].timeseries[metricKey] = { ...metric, data: filterSeries(metric.data, start, end) };
+        }
+      });
+    });
+
+    return filtered;
+  }
+
+  /**
+   * Resample a series into fixed time buckets
+   * @param {Array} data - Array of {time, value}
+   * @param {Object} [options]
+   * @param {string} [options.interval='hourly'] - INTERVALS key
+   * @param {string} [options.aggregate='mean'] - 'mean', 'max', 'min' or 'nearest'
+   * @param {string} [options.timeZone='America/Vancouver'] - Bucket alignment ('UTC' or IANA zone)
+   * @returns {Array} [{ time, value }] ascending - time is the bucket start (ISO),
+   *   value is null when a bucket only has missing readings
+   */
+  function resample(data, options = {}) {
+    if (!Array.isArray(data) || data.length === 0) return [];
+
+    const intervalMs = INTERVALS[options.interval || 'hourly'];
+    const aggregate = options.aggregate || 'mean';
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+
+    if (!intervalMs) throw new Error(`Unknown resample interval: ${options.interval}`);
+    if (!AGGREGATIONS.includes(aggregate)) throw new Error(`Unknown resample aggregation: ${aggregate}`);
+
+    const buckets = new Map();
+    data.forEach(point => {
+      const time = new Date(point.time).getTime();
+      if (isNaN(time)) return;
+
+      const bucket = getBucketStart(time, intervalMs, timeZone);
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+
+      const value = parseFloat(point.value);
+      if (point.value != null && !isNaN(value)) {
+        buckets.get(bucket).push({ time, value });
+      }
+    });
+
+    return Array.from(buckets.keys())
+      .sort((a, b) => a - b)
+      .map(bucket => ({
+        time: new Date(bucket).toISOString(),
+        value: aggregateBucket(buckets.get(bucket), aggregate, bucket)
+      }));
+  }
+
+  function aggregateBucket(points, aggregate, bucketStart) {
+    if (points.length === 0) return null;
+
+    switch (aggregate) {
+      case 'max':
+        return Math.max(...points.map(p => p.value));
+      case 'min':
+        return Math.min(...points.map(p => p.value));
+      case 'nearest':
+        return points.reduce((best, p) =>
+          (Math.abs(p.time - bucketStart) < Math.abs(best.time - bucketStart) ? p : best)
+        ).value;
+      default:
+        return points.reduce((sum, p) => sum + p.value, 0) / points.length;
+    }
+  }
+
+  // Public API
+  window.Resampler = {
+    INTERVALS: INTERVALS,
+    AGGREGATIONS: AGGREGATIONS,
+
+    resample: resample,
+    filterSeries: filterSeries,
+    filterDataset: filterDataset,
+    getBucketStart: getBucketStart
+  };
+})();
@@ -0,0 +1,236 @@
+/* =====================================================
+   Unit Preferences
+   Site-wide display units for speed, height and temperature
+   ===================================================== */
+
+/**
+ * All data files use knots, metres and °C (lightstation sea heights are
+ * reported in feet). Renderers pass values in their source unit and this
+ * module converts/labels them in the user's preferred unit.
+ *
+ * Preferences persist in localStorage and a `unitschange` event is
+ * dispatched on window when they change so pages can re-render.
+ */
+(function() {
+  const STORAGE_KEY = 'unit_preferences';
+  const CHANGE_EVENT = 'unitschange';
+
+  // Unit definitions per kind - toBase/fromBase convert against the base unit
+  const UNITS = {
+    speed: {
+      kt: { label: 'kt', name: 'Knots', toBase: v => v, fromBase: v => v },
+      kmh: { label: 'km/h', name: 'km/h', toBase: v => v / 1.852, fromBase: v => v * 1.852 },
+      mph: { label: 'mph', name: 'mph', toBase: v => v / 1.150779, fromBase: v => v * 1.150779 }
+    },
+    height: {
+      m: { label: 'm', name: 'Metres', toBase: v => v, fromBase: v => v },
+      ft: { label: 'ft', name: 'Feet', toBase: v => v / 3.28084, fromBase: v => v * 3.28084 }
+    },
+    temperature: {
+      c: { label: '°C', name: '°C', toBase: v => v, fromBase: v => v },
+      f: { label: '°F', name: '°F', toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 }
+    }
+  };
+
+  // Base unit of each kind (what the backend JSON uses)
+  const DEFAULTS = { speed: 'kt', height: 'm', temperature: 'c' };
+
+  let preferences = loadPreferences();
+
+  /**
+   * Read preferences from localStorage, falling back to defaults
+   * @returns {Object} { speed, height, temperature }
+   */
+  function loadPreferences() {
+    const prefs = { ...DEFAULTS };
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      Object.keys(DEFAULTS).forEach(kind => {
+        if (stored[kind] && UNITS[kind][stored[kind]]) {
+          prefs[kind] = stored[kind];
+        }
+      });
+    } catch (e) {
+      // localStorage might not be available
+    }
+    return prefs;
+  }
+
+  /**
+   * Set the preferred unit for a kind and notify listeners
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {string} unit - Unit key (e.g. 'mph', 'ft', 'f')
+   */
+  function setUnit(kind, unit) {
+    if (!UNITS[kind] || !UNITS[kind][unit] || preferences[kind] === unit) return;
+
+    preferences = { ...preferences, [kind]: unit };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (e) {
+      // Ignore localStorage errors - preference still applies to this page
+    }
+
+    syncControls();
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { ...preferences } }));
+  }
+
+  /**
+   * Convert a value to the preferred unit
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {number} value - Value in the source unit
+   * @param {string} [from] - Source unit key (defaults to the base unit)
+   * @returns {number|null} Converted value, or null if missing
+   */
+  function convert(kind, value, from = DEFAULTS[kind]) {
+    if (value == null || isNaN(value)) return null;
+    const base = UNITS[kind][from].toBase(Number(value));
+    return UNITS[kind][preferences[kind]].fromBase(base);
+  }
+
+  /**
+   * Convert a value in the preferred unit back to the base unit
+   * (e.g. a threshold typed into a form)
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {number} value - Value in the preferred unit
+   * @returns {number|null} Value in the base unit, or null if missing
+   */
+  function toBase(kind, value) {
+    if (value == null || isNaN(value)) return null;
+    return UNITS[kind][preferences[kind]].toBase(Number(value));
+  }
+
+  /**
+   * Convert and round a value without the unit label
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {number} value - Value in the source unit
+   * @param {number|Object} [decimals=0] - Decimal places, or per-unit map (e.g. { m: 1, ft: 0 })
+   * @param {Object} [options] - { from, signed }
+   * @returns {string} Formatted number, or '—' if missing
+   */
+  function formatValue(kind, value, decimals = 0, options = {}) {
+    const converted = convert(kind, value, options.from);
+    if (converted == null) return '—';
+    const places = typeof decimals === 'object' ? (decimals[preferences[kind]] ?? 0) : decimals;
+    const sign = options.signed && converted >= 0 ? '+' : '';
+    return `${sign}${converted.toFixed(places)}`;
+  }
+
+  /**
+   * Convert, round and label a value (e.g. "12 kt", "3.9 ft", "+0.12 m")
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {number} value - Value in the source unit
+   * @param {number|Object} [decimals=0] - Decimal places, or per-unit map
+   * @param {Object} [options] - { from, signed, compact } - compact omits the space
+   * @returns {string} Formatted value with unit, or '—' if missing
+   */
+  function format(kind, value, decimals = 0, options = {}) {
+    const text = formatValue(kind, value, decimals, options);
+    if (text === '—') return text;
+    return `${text}${options.compact ? '' : ' '}${getLabel(kind)}`;
+  }
+
+  /**
+   * Convert a {time, value} timeseries to the preferred unit
+   * Converted values are rounded so tooltips can print them directly.
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @param {Array} data - Array of {time, value} points
+   * @param {Object} [options] - { from, decimals (default 2) }
+   * @returns {Array} New array of {time, value} points (same array if no conversion)
+   */
+  function convertSeries(kind, data, options = {}) {
+    if (!Array.isArray(data)) return [];
+    const from = options.from || DEFAULTS[kind];
+    if (preferences[kind] === from) return data;
+
+    const factor = Math.pow(10, options.decimals ?? 2);
+    return data.map(d => {
+      const value = convert(kind, d.value, from);
+      return { ...d, value: value == null ? null : Math.round(value * factor) / factor };
+    });
+  }
+
+  /**
+   * Get the display label for the preferred unit (e.g. 'kt', 'ft', '°F')
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @returns {string} Unit label
+   */
+  function getLabel(kind) {
+    return UNITS[kind][preferences[kind]].label;
+  }
+
+  /**
+   * Check whether the preferred unit is the base (data) unit
+   * @param {string} kind - 'speed', 'height' or 'temperature'
+   * @returns {boolean} True if no conversion is applied
+   */
+  function isBase(kind) {
+    return preferences[kind] === DEFAULTS[kind];
+  }
+
+  /**
+   * Render unit selectors into a container (e.g. the nav bar)
+   * @param {HTMLElement} container - Element to render into
+   */
+  function renderControls(container) {
+    if (!container) return;
+
+    const titles = { speed: 'Wind speed units', height: 'Height units', temperature: 'Temperature units' };
+    container.innerHTML = Object.keys(UNITS).map(kind => `
+      <select class="unit-select" data-unit-kind="${kind}" title="${titles[kind]}" aria-label="${titles[kind]}">
+        ${Object.entries(UNITS[kind]).map(([key, unit]) =>
+          `<option value="${key}"${preferences[kind] === key ? ' selected' : ''}>${unit.label}</option>`
+        ).join('')}
+      </select>
+    `).join('');
+
+    container.querySelectorAll('.unit-select').forEach(select => {
+      select.addEventListener('change', (e) => setUnit(e.target.dataset.unitKind, e.target.value));
+    });
+  }
+
+  /**
+   * Keep every rendered selector in sync (nav appears at top and bottom of pages)
+   */
+  function syncControls() {
+    document.querySelectorAll('.unit-select').forEach(select => {
+      select.value = preferences[select.dataset.unitKind];
+    });
+  }
+
+  /**
+   * Register a callback for unit changes
+   * @param {Function} callback - Called with the new preferences
+   */
+  function onChange(callback) {
+    window.addEventListener(CHANGE_EVENT, (e) => callback(e.detail));
+  }
+
+  // Another tab changed the preference - apply it here too
+  window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    preferences = loadPreferences();
+    syncControls();
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { ...preferences } }));
+  });
+
+  // Public API
+  window.Units = {
+    UNITS: UNITS,
+
+    getPreferences: () => ({ ...preferences }),
+    getUnit: (kind) => preferences[kind],
+    setUnit: setUnit,
+    getLabel: getLabel,
+    isBase: isBase,
+
+    convert: convert,
+    toBase: toBase,
+    convertSeries: convertSeries,
+    formatValue: formatValue,
+    format: format,
+
+    renderControls: renderControls,
+    onChange: onChange
+  };
+})();
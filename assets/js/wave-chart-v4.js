@@ -51,6 +51,189 @@ function createWaveDirectionArrowData(waveDirectionData, waveHeightData) {
   return { arrowData, maxValue: arrowYPosition };
 }
 
+const WAVE_POWER_OVERLAY_KEY = "wave_power_overlay";
+const WAVE_POWER_SERIES_NAME = "Wave Power";
+
+/**
+ * Check whether the wave power overlay is switched on (persisted in localStorage)
+ */
+function isWavePowerOverlayEnabled() {
+  try {
+    return localStorage.getItem(WAVE_POWER_OVERLAY_KEY) === "1";
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Switch the wave power overlay on or off (caller re-renders the charts)
+ * @param {boolean} enabled - Show the overlay
+ */
+function setWavePowerOverlayEnabled(enabled) {
+  try {
+    localStorage.setItem(WAVE_POWER_OVERLAY_KEY, enabled ? "1" : "0");
+  } catch (e) {
+    // Ignore localStorage errors
+  }
+}
+
+/**
+ * Build the optional wave power overlay for a wave height chart
+ * Power gets its own right-hand axis; energy density and steepness go in the tooltip.
+ * @param {string} buoyId - Buoy identifier
+ * @param {Object} ts - Buoy timeseries (source units)
+ * @param {number} yAxisIndex - Index the power axis will have in the chart's yAxis array
+ * @returns {Object|null} { yAxis, series, tooltipHtml(timestamp) }, or null when off or no data
+ */
+function buildWavePowerOverlay(buoyId, ts, yAxisIndex) {
+  if (!isWavePowerOverlayEnabled()) return null;
+
+  const derived = WavePhysics.deriveSeries(buoyId, ts);
+  if (!derived.power.some(d => d.value != null)) return null;
+
+  const findNear = (data, timestamp) =>
+    data.find(d => d.value != null && Math.abs(new Date(d.time).getTime() - timestamp) < 1800000); // Within 30 min
+
+  return {
+    yAxis: {
+      type: "value",
+      name: "Power (kW/m)",
+      position: "right",
+      offset: yAxisIndex > 1 ? 50 : 0,
+      min: 0,
+      splitLine: { show: false },
+      nameTextStyle: { color: "#8e24aa" },
+      axisLine: { show: true, lineStyle: { color: "#8e24aa" } }
+    },
+    series: {
+      name: WAVE_POWER_SERIES_NAME,
+      type: "line",
+      data: sanitizeSeriesData(derived.power.map(d => ({
+        time: d.time,
+        value: d.value != null ? Math.round(d.value * 10) / 10 : null
+      }))),
+      smooth: true,
+      connectNulls: false,
+      showSymbol: false,
+      yAxisIndex: yAxisIndex,
+      itemStyle: { color: "#8e24aa" },
+      lineStyle: { width: 1.5, type: "dotted" },
+      z: 1
+    },
+    tooltipHtml: (timestamp) => {
+      const power = findNear(derived.power, timestamp);
+      if (!power) return "";
+      const energy = findNear(derived.energy, timestamp);
+      const steepness = findNear(derived.steepness, timestamp);
+      return `⚡ Power: ${WavePhysics.formatPower(power.value)}<br/>` +
+        `&nbsp;&nbsp;&nbsp;Energy: ${WavePhysics.formatEnergy(energy?.value)} · Steepness ${WavePhysics.formatSteepness(steepness?.value)}<br/>`;
+    }
+  };
+}
+
+const TIDE_OVERLAY_KEY = "tide_overlay";
+const TIDE_PREDICTED_SERIES_NAME = "Tide (predicted)";
+const TIDE_OBSERVED_SERIES_NAME = "Tide (observed)";
+
+/**
+ * Check whether the tide level overlay is switched on (persisted in localStorage)
+ */
+function isTideOverlayEnabled() {
+  try {
+    return localStorage.getItem(TIDE_OVERLAY_KEY) === "1";
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Switch the tide level overlay on or off (caller re-renders the charts)
+ * @param {boolean} enabled - Show the overlay
+ */
+function setTideOverlayEnabled(enabled) {
+  try {
+    localStorage.setItem(TIDE_OVERLAY_KEY, enabled ? "1" : "0");
+  } catch (e) {
+    // Ignore localStorage errors
+  }
+}
+
+/**
+ * Build the optional tide level overlay for the standard wave chart
+ * Water level from the buoy's tide station (nearest, or the user's pick) on its own left-hand axis.
+ * @param {string} buoyId - Buoy identifier
+ * @param {Array} heightData - Wave height series, used for the time window
+ * @param {number} yAxisIndex - Index the tide axis will have in the chart's yAxis array
+ * @returns {Object|null} { yAxis, series: [...], legend: [...], tooltipHtml(timestamp) }, or null when off or no data
+ */
+function buildTideOverlay(buoyId, heightData, yAxisIndex) {
+  if (!isTideOverlayEnabled() || heightData.length === 0) return null;
+
+  const times = heightData.map(d => new Date(d.time).getTime());
+  const levels = TideLevels.getLevels(buoyId, Math.min(...times), Math.max(...times));
+  if (!levels || (levels.predictions.length === 0 && levels.observations.length === 0)) return null;
+
+  const predicted = Units.convertSeries("height", levels.predictions, { decimals: 2 });
+  const observed = Units.convertSeries("height", levels.observations, { decimals: 2 });
+
+  const findNear = (data, timestamp) =>
+    data.find(d => d.value != null && Math.abs(new Date(d.time).getTime() - timestamp) < 900000); // Within 15 min
+
+  const series = [];
+  const legend = [];
+  if (predicted.length > 0) {
+    legend.push(TIDE_PREDICTED_SERIES_NAME);
+    series.push({
+      name: TIDE_PREDICTED_SERIES_NAME,
+      type: "line",
+      data: sanitizeSeriesData(predicted),
+      smooth: true,
+      showSymbol: false,
+      yAxisIndex: yAxisIndex,
+      itemStyle: { color: "#00838f" },
+      lineStyle: { width: 1.5, type: "dashed" },
+      z: 1
+    });
+  }
+  if (observed.length > 0) {
+    legend.push(TIDE_OBSERVED_SERIES_NAME);
+    series.push({
+      name: TIDE_OBSERVED_SERIES_NAME,
+      type: "line",
+      data: sanitizeSeriesData(observed),
+      smooth: true,
+      connectNulls: false,
+      showSymbol: false,
+      yAxisIndex: yAxisIndex,
+      itemStyle: { color: "#006064" },
+      lineStyle: { width: 1.5 },
+      z: 1
+    });
+  }
+
+  return {
+    yAxis: {
+      type: "value",
+      name: `Tide (${Units.getLabel("height")})`,
+      position: "left",
+      offset: 50,
+      scale: true,
+      splitLine: { show: false },
+      nameTextStyle: { color: "#00838f" },
+      axisLine: { show: true, lineStyle: { color: "#00838f" } }
+    },
+    series: series,
+    legend: legend,
+    tooltipHtml: (timestamp) => {
+      const prediction = findNear(predicted, timestamp);
+      const observation = findNear(observed, timestamp);
+      if (!prediction && !observation) return "";
+      const format = (point) => point ? `${point.value} ${Units.getLabel("height")}` : "—";
+      return `🌊 Tide at ${levels.name}: ${format(observation)} obs · ${format(prediction)} pred<br/>`;
+    }
+  };
+}
+
 /**
  * Render wave chart for the selected buoy
  * Special handling for NOAA buoys (46087 Neah Bay, 46088 New Dungeness) with dual charts
@@ -62,9 +245,9 @@ function renderWaveChart(waveChart, buoy, buoyId) {
   try {
     const ts = buoy.timeseries;
 
-    if (buoyId === "46087" || buoyId === "46088") {
+    if (BuoyRegistry.isSpectral(buoyId)) {
       // NOAA BUOYS (Neah Bay & New Dungeness) - Dual charts with spectral wave separation
-      renderSpectralCharts(waveChart, buoy, ts);
+      renderSpectralCharts(waveChart, buoy, buoyId, ts);
     } else {
       // ALL OTHER BUOYS - Standard single wave chart
       renderStandardWaveChart(waveChart, buoy, buoyId, ts);
@@ -120,11 +303,11 @@ function createSpectralDirectionArrows(directionData, heightData, color) {
  * Render NOAA spectral dual-chart display (wave heights + periods)
  * Used for Neah Bay (46087) and New Dungeness (46088)
  */
-function renderSpectralCharts(waveChart, buoy, ts) {
+function renderSpectralCharts(waveChart, buoy, buoyId, ts) {
   // Chart 1: Wave Heights (All three components with fallbacks)
-  const sigWaveHeight = ts.wave_height_sig?.data || [];
-  const windWaveHeight = ts.wind_wave_height?.data || [];
-  const swellHeight = ts.swell_height?.data || [];
+  const sigWaveHeight = Units.convertSeries('height', ts.wave_height_sig?.data || []);
+  const windWaveHeight = Units.convertSeries('height', ts.wind_wave_height?.data || []);
+  const swellHeight = Units.convertSeries('height', ts.swell_height?.data || []);
 
   // Get direction data for arrows
   const windWaveDirection = ts.wind_wave_direction?.data || [];
@@ -134,6 +317,12 @@ function renderSpectralCharts(waveChart, buoy, ts) {
   const windWaveArrows = createSpectralDirectionArrows(windWaveDirection, windWaveHeight, "#1e88e5");
   const swellArrows = createSpectralDirectionArrows(swellDirection, swellHeight, "#fb8c00");
 
+  // Optional wave power overlay on a second axis
+  const powerOverlay = buildWavePowerOverlay(buoyId, ts, 1);
+
+  // Shade gale / strong wind / storm warnings for the station's forecast zone
+  const warningShading = MarineWarnings.buildMarkAreaSeries(buoyId);
+
   // Debug: Check what data we actually have
   logger.debug("WaveChart", `${buoy.name} wave data available`, {
     sig: sigWaveHeight.length,
@@ -159,14 +348,16 @@ function renderSpectralCharts(waveChart, buoy, ts) {
         const timestamp = new Date(params[0].value[0]).getTime();
         let res = `<b>${time}</b><br/>`;
 
-        // Show heights (skip direction arrow series in tooltip)
+        // Show heights (skip direction arrow and power series in tooltip)
         params.forEach((p) => {
-          if (p.seriesName.includes("Dir")) return; // Skip direction series
+          if (p.seriesName.includes("Dir") || p.seriesName === WAVE_POWER_SERIES_NAME) return;
           if (p.value[1] != null) {
-            res += `${p.marker} ${p.seriesName}: ${p.value[1]} m<br/>`;
+            res += `${p.marker} ${p.seriesName}: ${p.value[1]} ${Units.getLabel('height')}<br/>`;
           }
         });
 
+        if (powerOverlay) res += powerOverlay.tooltipHtml(timestamp);
+
         // Add direction info if available
         const windDirPoint = windWaveDirection.find(d => Math.abs(new Date(d.time).getTime() - timestamp) < 1800000);
         if (windDirPoint && windDirPoint.value != null) {
@@ -186,7 +377,7 @@ function renderSpectralCharts(waveChart, buoy, ts) {
       },
     },
     legend: {
-      data: ["Wind Waves", "Ocean Swell", "Total (Significant)"],
+      data: ["Wind Waves", "Ocean Swell", "Total (Significant)", ...(powerOverlay ? [WAVE_POWER_SERIES_NAME] : [])],
       bottom: getResponsiveLegendBottom()
     },
     grid: {
@@ -208,14 +399,19 @@ function renderSpectralCharts(waveChart, buoy, ts) {
       axisTick: { show: true },
       splitLine: { show: true, lineStyle: { color: "#eee" } },
     },
-    yAxis: {
-      type: "value",
-      name: "Height (m)",
-      min: 0,
-      max: (value) => Math.max(0.5, Math.ceil(value.max * 1.1)),
-      scale: true
-    },
+    yAxis: [
+      {
+        type: "value",
+        name: `Height (${Units.getLabel('height')})`,
+        min: 0,
+        max: (value) => Math.max(0.5, Math.ceil(value.max * 1.1)),
+        scale: true
+      },
+      ...(powerOverlay ? [powerOverlay.yAxis] : [])
+    ],
     series: [
+      ...(powerOverlay ? [powerOverlay.series] : []),
+      ...(warningShading ? [warningShading] : []),
       {
         name: "Wind Waves",
         type: "line",
@@ -475,23 +671,173 @@ function renderSpectralCharts(waveChart, buoy, ts) {
       }
     }, 100);
   }
+
+  // Chart 3: Wave Directions (kept separate so arrows don't clutter heights/periods)
+  renderSpectralDirectionChart(buoy, ts);
+}
+
+/**
+ * Break a direction series where it wraps past north
+ * A 350° → 10° step would otherwise draw a line across the whole axis.
+ * @param {Array} directionData - Array of {time, value} direction points
+ * @returns {Array} Sanitized [timestamp, value] pairs with null gaps at wraps
+ */
+function breakDirectionWraps(directionData) {
+  const points = sanitizeSeriesData(directionData);
+  const result = [];
+
+  points.forEach((point, i) => {
+    const prev = points[i - 1];
+    if (prev && prev[1] != null && point[1] != null && Math.abs(point[1] - prev[1]) > 180) {
+      result.push([(prev[0] + point[0]) / 2, null]);
+    }
+    result.push(point);
+  });
+
+  return result;
+}
+
+/**
+ * Render NOAA spectral wave direction chart (wind waves, swell and peak)
+ * Third chart for Neah Bay (46087) and New Dungeness (46088) - see FUTURE_ENHANCEMENTS.md
+ */
+function renderSpectralDirectionChart(buoy, ts) {
+  const directionChartContainer = document.getElementById("wave-direction-chart");
+  if (!directionChartContainer) return;
+
+  const components = [
+    { name: "Wind Wave Direction", data: ts.wind_wave_direction?.data || [], color: "#1e88e5" },
+    { name: "Swell Direction", data: ts.swell_direction?.data || [], color: "#fb8c00" },
+    { name: "Peak Direction", data: ts.wave_direction_peak?.data || ts.wave_direction_avg?.data || [], color: "#999999", dashed: true }
+  ].filter(c => c.data.some(d => d.value != null));
+
+  if (components.length === 0) {
+    directionChartContainer.style.display = "none";
+    return;
+  }
+
+  directionChartContainer.style.display = "block";
+
+  if (!window.waveDirectionChart) {
+    window.waveDirectionChart = echarts.init(directionChartContainer);
+    window.addEventListener("resize", () => window.waveDirectionChart.resize());
+  }
+
+  // Arrows sit on each component's own line (y = direction)
+  const arrowSets = components.map(c => createSpectralDirectionArrows(c.data, c.data, c.color));
+
+  logger.debug("WaveChart", `${buoy.name} direction data available`, Object.fromEntries(
+    components.map((c, i) => [c.name, { points: c.data.length, arrows: arrowSets[i].length }])
+  ));
+
+  window.waveDirectionChart.setOption({
+    title: {
+      text: `${buoy.name} - Wave Direction Components`,
+      left: "center",
+      textStyle: { fontSize: window.innerWidth < 600 ? 12 : 14 }
+    },
+    tooltip: {
+      ...getMobileOptimizedTooltipConfig(),
+      formatter: (params) => {
+        if (!params || params.length === 0) return "";
+        const time = formatTimeAxis(new Date(params[0].value[0]).toISOString());
+        let res = `<b>${time}</b><br/>`;
+        params.forEach((p) => {
+          if (p.seriesType !== "line" || p.value[1] == null) return; // Skip arrows and wrap gaps
+          const dir = Math.round(p.value[1]);
+          res += `${p.marker} ${p.seriesName}: ${dir}° (${degreesToCompass(dir)})<br/>`;
+        });
+        return res;
+      },
+    },
+    legend: {
+      data: components.map(c => c.name),
+      bottom: getResponsiveLegendBottom()
+    },
+    grid: {
+      left: window.innerWidth < 600 ? '12%' : '10%',
+      right: window.innerWidth < 600 ? '12%' : '10%',
+      top: '15%',
+      bottom: '22%',
+      containLabel: true
+    },
+    xAxis: {
+      type: "time",
+      axisLabel: {
+        fontSize: window.innerWidth < 600 ? 9 : 10,
+        rotate: window.innerWidth < 600 ? 30 : 0,
+        formatter: (value) => formatCompactTimeLabel(new Date(value).toISOString()),
+        hideOverlap: true,
+        margin: 10
+      },
+      axisTick: { show: true },
+      splitLine: { show: true, lineStyle: { color: "#eee" } },
+    },
+    yAxis: {
+      type: "value",
+      name: "Direction (from)",
+      min: 0,
+      max: 360,
+      interval: window.innerWidth < 600 ? 90 : 45,
+      axisLabel: {
+        formatter: (value) => `${value}° ${degreesToCompass(value)}`
+      },
+      splitLine: { show: true, lineStyle: { color: "#eee" } }
+    },
+    series: [
+      ...components.map(c => ({
+        name: c.name,
+        type: "line",
+        data: breakDirectionWraps(c.data),
+        connectNulls: false,
+        itemStyle: { color: c.color },
+        lineStyle: c.dashed ? { type: "dashed", width: 2, color: c.color } : { width: 2 },
+        showSymbol: false,
+        z: c.dashed ? 1 : 2
+      })),
+      ...components.map((c, i) => ({
+        name: c.name, // Shares the legend entry so toggling hides its arrows too
+        type: "scatter",
+        data: arrowSets[i],
+        symbol: DIRECTION_ARROW_PATH,
+        symbolSize: 14,
+        symbolRotate: function(params) {
+          return arrowSets[i][params.dataIndex]?.symbolRotate || 0;
+        },
+        itemStyle: {
+          color: c.color,
+          opacity: 0.8
+        },
+        silent: true,
+        z: 3
+      }))
+    ]
+  }, true);
+
+  setTimeout(() => {
+    if (window.waveDirectionChart) {
+      window.waveDirectionChart.resize();
+    }
+  }, 100);
 }
 
 /**
  * Render standard wave chart (all buoys except New Dungeness)
  */
 function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
-  // Hide the period chart if it exists
-  const periodChartContainer = document.getElementById("wave-period-chart");
-  if (periodChartContainer) {
-    periodChartContainer.style.display = "none";
-  }
+  // Hide the spectral period and direction charts if they exist
+  ["wave-period-chart", "wave-direction-chart"].forEach(id => {
+    const container = document.getElementById(id);
+    if (container) {
+      container.style.display = "none";
+    }
+  });
 
   let waveHeightData, wavePeriodData, wavePeriodPeakData, chartTitle, heightLabel, periodLabel;
 
-  if (buoyId === "46087") {
-    // Neah Bay - use swell data (open ocean)
-    waveHeightData = ts.swell_height?.data || [];
+  if (BuoyRegistry.getWaveMetric(buoyId).heightKey === "swell_height") {
+    // Swell stations (Neah Bay) - use swell data (open ocean)
+    waveHeightData = Units.convertSeries('height', ts.swell_height?.data || []);
     wavePeriodData = ts.swell_period?.data || [];
     wavePeriodPeakData = null; // NOAA buoys don't need peak period overlay
     chartTitle = `${buoy.name} - Swell Conditions`;
@@ -499,7 +845,7 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
     periodLabel = "Swell Period";
   } else {
     // Canadian buoys - use significant wave height and average period, with peak period as dots
-    waveHeightData = ts.wave_height_sig?.data || [];
+    waveHeightData = Units.convertSeries('height', ts.wave_height_sig?.data || []);
     wavePeriodData = ts.wave_period_avg?.data || [];
     wavePeriodPeakData = ts.wave_period_peak?.data || [];
     chartTitle = `${buoy.name} - Wave Conditions`;
@@ -507,9 +853,9 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
     periodLabel = "Average Period";
   }
 
-  // Check if this buoy has wave direction data
+  // Check if this buoy has wave direction data (flagged in buoy-registry.js)
   // Halibut Bank (4600146), Sentry Shoal (4600131), Angeles Point (46267)
-  const hasWaveDirection = (buoyId === "4600146" || buoyId === "4600131" || buoyId === "46267");
+  const hasWaveDirection = BuoyRegistry.hasWaveDirection(buoyId);
 
   // Select appropriate direction data based on buoy type:
   // - All buoys: Prefer wave_direction_avg (MWD - Mean Wave Direction for NOAA)
@@ -593,6 +939,26 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
     });
   }
 
+  // Optional wave power overlay on a third axis (offset right of period)
+  const powerOverlay = buildWavePowerOverlay(buoyId, ts, 2);
+  if (powerOverlay) {
+    legendData.push(WAVE_POWER_SERIES_NAME);
+    series.push(powerOverlay.series);
+  }
+
+  // Optional tide level overlay on a second left-hand axis
+  const tideOverlay = buildTideOverlay(buoyId, waveHeightData, powerOverlay ? 3 : 2);
+  if (tideOverlay) {
+    legendData.push(...tideOverlay.legend);
+    series.push(...tideOverlay.series);
+  }
+
+  // Shade gale / strong wind / storm warnings for the station's forecast zone
+  const warningShading = MarineWarnings.buildMarkAreaSeries(buoyId);
+  if (warningShading) {
+    series.push(warningShading);
+  }
+
   waveChart.setOption({
     title: {
       text: chartTitle,
@@ -607,13 +973,23 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
         let res = `<b>${time}</b><br/>`;
         params.forEach((p) => {
           if (p.seriesName === "Wave Direction") return; // Skip arrow series in tooltip
+          if (p.seriesName === WAVE_POWER_SERIES_NAME) return; // Shown with energy/steepness below
+          if (p.seriesName === TIDE_PREDICTED_SERIES_NAME || p.seriesName === TIDE_OBSERVED_SERIES_NAME) return; // Shown below
           if (p.value[1] != null) {
             res += `${p.marker} ${p.seriesName}: ${p.value[1]} ${
-              p.seriesName.includes("Height") ? "m" : "s"
+              p.seriesName.includes("Height") ? Units.getLabel('height') : "s"
             }<br/>`;
           }
         });
 
+        if (powerOverlay) {
+          res += powerOverlay.tooltipHtml(new Date(params[0].value[0]).getTime());
+        }
+
+        if (tideOverlay) {
+          res += tideOverlay.tooltipHtml(new Date(params[0].value[0]).getTime());
+        }
+
         // Add wave direction to tooltip if available
         if (hasWaveDirection) {
           const timestamp = new Date(params[0].value[0]).getTime();
@@ -632,7 +1008,12 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
       data: legendData,
       bottom: getResponsiveLegendBottom()
     },
-    grid: getResponsiveGridConfig(false),
+    // Extra room for the offset power (right) and tide (left) axes
+    grid: {
+      ...getResponsiveGridConfig(false),
+      ...(powerOverlay ? { right: window.innerWidth < 600 ? '14%' : '12%' } : {}),
+      ...(tideOverlay ? { left: window.innerWidth < 600 ? '14%' : '12%' } : {})
+    },
     xAxis: {
       type: "time",
       axisLabel: {
@@ -648,7 +1029,7 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
     yAxis: [
       {
         type: "value",
-        name: "Height (m)",
+        name: `Height (${Units.getLabel('height')})`,
         position: "left",
         min: 0,
         max: yAxisMax,
@@ -663,6 +1044,8 @@ function renderStandardWaveChart(waveChart, buoy, buoyId, ts) {
         nameTextStyle: { color: "#43a047" },
         axisLine: { lineStyle: { color: "#43a047" } }
       },
+      ...(powerOverlay ? [powerOverlay.yAxis] : []),
+      ...(tideOverlay ? [tideOverlay.yAxis] : [])
     ],
     series: series
   }, true);
@@ -0,0 +1,170 @@
+/* =====================================================
+   Wave Physics
+   Derived wave power, energy density and steepness
+   ===================================================== */
+
+/**
+ * Deep-water linear wave theory applied to the bulk buoy parameters
+ * (Hs and a period). Buoys don't report the energy period Te that the
+ * power formula needs, so it's estimated from the reported period using
+ * the usual JONSWAP ratios - good for comparing stations and days, not
+ * for resource assessment.
+ *
+ *   Power         P = ρ g² Hs² Te / (64π)      (W/m of wave crest)
+ *   Energy        E = ρ g Hs² / 16             (J/m² of sea surface)
+ *   Steepness     S = Hs / L0, L0 = g T² / 2π  (deep-water wavelength)
+ *
+ * Inputs are always in source units (metres, seconds) - never pass
+ * Units-converted values.
+ */
+(function() {
+  const RHO = 1025; // Sea water density (kg/m³)
+  const G = 9.81;   // Gravity (m/s²)
+
+  // Te / T for each period type (JONSWAP, γ = 3.3)
+  const ENERGY_PERIOD_RATIO = {
+    peak: 0.9,
+    mean: 1.16
+  };
+
+  // Period fields in order of preference, with their type
+  const PERIOD_SOURCES = {
+    wave_height_sig: [
+      { key: 'wave_period_peak', type: 'peak' },
+      { key: 'wave_period_avg', type: 'mean' }
+    ],
+    swell_height: [
+      { key: 'swell_period', type: 'peak' } // NDBC swell period is the swell peak
+    ]
+  };
+
+  // Time tolerance when pairing height and period samples
+  const MATCH_TOLERANCE_MS = 30 * 60 * 1000;
+
+  /**
+   * Compute derived metrics for one height/period pair
+   * @param {number} hs - Significant (or swell) wave height in metres
+   * @param {number} period - Wave period in seconds
+   * @param {string} periodType - 'peak' or 'mean'
+   * @returns {Object|null} { power (kW/m), energy (kJ/m²), steepness (ratio), energyPeriod (s) }
+   */
+  function compute(hs, period, periodType) {
+    const h = parseFloat(hs);
+    const t = parseFloat(period);
+    if (isNaN(h) || isNaN(t) || h < 0 || t <= 0) return null;
+
+    const energyPeriod = t * ENERGY_PERIOD_RATIO[periodType];
+    const wavelength = G * t * t / (2 * Math.PI);
+
+    return {
+      power: RHO * G * G * h * h * energyPeriod / (64 * Math.PI) / 1000,
+      energy: RHO * G * h * h / 16 / 1000,
+      steepness: h / wavelength,
+      energyPeriod: energyPeriod
+    };
+  }
+
+  /**
+   * Derived metrics from a station's latest reading (buoy card data)
+   * @param {string} id - Station ID
+   * @param {Object} reading - Latest observation with height/period fields
+   * @returns {Object|null} compute() result, or null if height/period missing
+   */
+  function fromReading(id, reading) {
+    if (!reading) return null;
+    const metric = BuoyRegistry.getWaveMetric(id);
+    const hs = reading[metric.heightKey];
+    if (hs == null) return null;
+
+    for (const source of PERIOD_SOURCES[metric.heightKey] || []) {
+      if (reading[source.key] != null) {
+        return compute(hs, reading[source.key], source.type);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Derived series from a station's timeseries
+   * Each height sample is paired with the nearest period sample within 30 minutes.
+   * @param {string} id - Station ID
+   * @param {Object} timeseries - Station timeseries from buoy_timeseries_48h.json
+   * @returns {Object} { power, energy, steepness } - arrays of {time, value}
+   */
+  function deriveSeries(id, timeseries) {
+    const result = { power: [], energy: [], steepness: [] };
+    if (!timeseries) return result;
+
+    const metric = BuoyRegistry.getWaveMetric(id);
+    const heights = timeseries[metric.heightKey]?.data || [];
+    const source = (PERIOD_SOURCES[metric.heightKey] || [])
+      .find(s => (timeseries[s.key]?.data || []).some(d => d.value != null));
+    if (!source) return result;
+
+    const periods = timeseries[source.key].data
+      .filter(d => d.value != null)
+      .map(d => ({ t: new Date(d.time).getTime(), value: d.value }))
+      .sort((a, b) => a.t - b.t);
+
+    let j = 0;
+    heights.forEach(point => {
+      const t = new Date(point.time).getTime();
+
+      // Both series are time-ordered, so walk the period index forward
+      while (j < periods.length - 1 && Math.abs(periods[j + 1].t - t) <= Math.abs(periods[j].t - t)) {
+        j++;
+      }
+      const period = periods[j];
+      const derived = period && Math.abs(period.t - t) <= MATCH_TOLERANCE_MS
+        ? compute(point.value, period.value, source.type)
+        : null;
+
+      result.power.push({ time: point.time, value: derived ? derived.power : null });
+      result.energy.push({ time: point.time, value: derived ? derived.energy : null });
+      result.steepness.push({ time: point.time, value: derived ? derived.steepness : null });
+    });
+
+    return result;
+  }
+
+  /**
+   * Format steepness as a height:wavelength ratio (e.g. "1:32")
+   * @param {number} steepness - Hs / L0
+   * @returns {string} Ratio, or '—' if missing
+   */
+  function formatSteepness(steepness) {
+    if (steepness == null || isNaN(steepness) || steepness <= 0) return '—';
+    return `1:${Math.round(1 / steepness)}`;
+  }
+
+  /**
+   * Format power with sensible precision (small Strait values need a decimal)
+   * @param {number} power - kW/m
+   * @returns {string} e.g. "0.8 kW/m", "24 kW/m"
+   */
+  function formatPower(power) {
+    if (power == null || isNaN(power)) return '—';
+    return `${power < 10 ? power.toFixed(1) : Math.round(power)} kW/m`;
+  }
+
+  /**
+   * Format energy density
+   * @param {number} energy - kJ/m²
+   * @returns {string} e.g. "1.3 kJ/m²"
+   */
+  function formatEnergy(energy) {
+    if (energy == null || isNaN(energy)) return '—';
+    return `${energy < 10 ? energy.toFixed(1) : Math.round(energy)} kJ/m²`;
+  }
+
+  // Public API
+  window.WavePhysics = {
+    compute: compute,
+    fromReading: fromReading,
+    deriveSeries: deriveSeries,
+
+    formatPower: formatPower,
+    formatEnergy: formatEnergy,
+    formatSteepness: formatSteepness
+  };
+})();
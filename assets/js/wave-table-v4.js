@@ -1,86 +1,333 @@
 /* -----------------------------
    Wave Table Module
-   Generates 24-hour wave height summary table
+   Generates the hourly buoy summary table (heatmap, column picker, sorting)
    ----------------------------- */
 
 /**
- * Generate 24-hour wave height summary table
- * @param {Object} chartData - Full chart data object with all buoys
+ * Metrics the table can show
+ * getKeys - timeseries keys for a station, in order of preference
+ * kind    - Units kind, or null for seconds
+ * scale   - heatmap thresholds in source units (5 bins: below first … above last)
+ */
+const WAVE_TABLE_METRICS = {
+  hs: {
+    label: "Wave Height",
+    getKeys: (id) => [BuoyRegistry.getWaveMetric(id).heightKey],
+    kind: "height"
+  },
+  period: {
+    label: "Wave Period",
+    getKeys: (id) => {
+      const metric = BuoyRegistry.getWaveMetric(id);
+      return [metric.periodKey, metric.periodFallbackKey].filter(Boolean);
+    },
+    kind: null,
+    scale: [4, 6, 9, 12]
+  },
+  wind: {
+    label: "Wind Speed",
+    getKeys: () => ["wind_speed"],
+    kind: "speed",
+    scale: [10, 15, 20, 34] // 20 kt strong-wind, 34 kt gale
+  }
+};
+
+// Height scales users can pick from (metres) - thresholds match the comparison chart breaking lines
+const WAVE_TABLE_HEIGHT_SCALES = {
+  strait: { label: "Strait (0.3–2 m)", thresholds: [0.3, 0.7, 1.2, 2] },
+  ocean: { label: "Open ocean (1–4.5 m)", thresholds: [1, 2, 3, 4.5] }
+};
+
+const WAVE_TABLE_COLORS = ["#e8f5e9", "#fff9c4", "#ffe0b2", "#ffccbc", "#ef9a9a"];
+const WAVE_TABLE_STORAGE_KEY = "wave_table_prefs";
+
+let waveTablePrefs = loadWaveTablePrefs();
+let waveTableSort = { column: "time", ascending: false };
+let waveTableData = null;
+
+/**
+ * All stations in column order: the default columns, then the rest in registry order
+ */
+function getWaveTableStationOrder() {
+  const defaults = BuoyRegistry.getWaveTableStations();
+  return [...defaults, ...BuoyRegistry.STATIONS.filter(s => !defaults.includes(s))].map(s => s.id);
+}
+
+/**
+ * Load table preferences (metric, columns, height scale) from localStorage
+ */
+function loadWaveTablePrefs() {
+  const defaults = {
+    metric: "hs",
+    stations: BuoyRegistry.getWaveTableStations().map(s => s.id),
+    heightScale: "strait"
+  };
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(WAVE_TABLE_STORAGE_KEY) || "{}");
+    return {
+      metric: WAVE_TABLE_METRICS[stored.metric] ? stored.metric : defaults.metric,
+      stations: Array.isArray(stored.stations)
+        ? getWaveTableStationOrder().filter(id => stored.stations.includes(id))
+        : defaults.stations,
+      heightScale: WAVE_TABLE_HEIGHT_SCALES[stored.heightScale] ? stored.heightScale : defaults.heightScale
+    };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveWaveTablePrefs() {
+  try {
+    localStorage.setItem(WAVE_TABLE_STORAGE_KEY, JSON.stringify(waveTablePrefs));
+  } catch (e) {
+    // Ignore localStorage errors - preferences still apply to this page
+  }
+}
+
+/**
+ * Heading label for the current table metric (used by charts-v4.js)
+ */
+function getWaveTableMetricLabel() {
+  return WAVE_TABLE_METRICS[waveTablePrefs.metric].label;
+}
+
+/**
+ * Heatmap thresholds for the current metric, in source units
+ */
+function getWaveTableThresholds() {
+  if (waveTablePrefs.metric === "hs") {
+    return WAVE_TABLE_HEIGHT_SCALES[waveTablePrefs.heightScale].thresholds;
+  }
+  return WAVE_TABLE_METRICS[waveTablePrefs.metric].scale;
+}
+
+/**
+ * Heatmap colour for a value
+ * @param {number} value - Value in source units
+ * @returns {string|null} Background colour, or null for missing values
+ */
+function getWaveTableCellColor(value) {
+  if (value == null || isNaN(value)) return null;
+  const thresholds = getWaveTableThresholds();
+  const bin = thresholds.filter(t => value >= t).length;
+  return WAVE_TABLE_COLORS[bin];
+}
+
+/**
+ * Format a table value for the current metric
+ */
+function formatWaveTableValue(value, stationId) {
+  const metric = WAVE_TABLE_METRICS[waveTablePrefs.metric];
+  if (metric.kind === "height") return Units.format("height", value, BuoyRegistry.getHeightPrecision(stationId));
+  if (metric.kind === "speed") return Units.format("speed", value);
+  return value != null && !isNaN(value) ? `${Number(value).toFixed(1)} s` : "—";
+}
+
+/**
+ * Format a threshold for the heatmap legend
+ */
+function formatWaveTableThreshold(value) {
+  const metric = WAVE_TABLE_METRICS[waveTablePrefs.metric];
+  if (metric.kind) return Units.format(metric.kind, value, metric.kind === "height" ? 1 : 0, { compact: true });
+  return `${value}s`;
+}
+
+/**
+ * Render metric, scale and column controls above the table
+ */
+function initWaveTableControls() {
+  const container = document.getElementById("wave-table-controls");
+  if (!container) return;
+
+  const selected = new Set(waveTablePrefs.stations);
+
+  container.innerHTML = `
+    <div class="wave-table-control-row">
+      <label>
+        Show:
+        <select id="wave-table-metric-select">
+          ${Object.entries(WAVE_TABLE_METRICS).map(([key, metric]) =>
+            `<option value="${key}"${key === waveTablePrefs.metric ? " selected" : ""}>${metric.label}</option>`
+          ).join("")}
+        </select>
+      </label>
+      <label id="wave-table-scale-control"${waveTablePrefs.metric === "hs" ? "" : " hidden"}>
+        Colour scale:
+        <select id="wave-table-scale-select">
+          ${Object.entries(WAVE_TABLE_HEIGHT_SCALES).map(([key, scale]) =>
+            `<option value="${key}"${key === waveTablePrefs.heightScale ? " selected" : ""}>${scale.label}</option>`
+          ).join("")}
+        </select>
+      </label>
+    </div>
+    <div class="wave-table-control-row wave-table-columns">
+      ${getWaveTableStationOrder().map(id => BuoyRegistry.getStation(id)).map(station => `
+        <label class="wave-table-column-option">
+          <input type="checkbox" value="${station.id}"${selected.has(station.id) ? " checked" : ""}>
+          ${station.name}
+        </label>
+      `).join("")}
+    </div>
+    <div id="wave-table-legend" class="wave-table-legend"></div>
+  `;
+
+  container.addEventListener("change", (e) => {
+    if (e.target.id === "wave-table-metric-select") {
+      waveTablePrefs = { ...waveTablePrefs, metric: e.target.value };
+      document.getElementById("wave-table-scale-control").hidden = e.target.value !== "hs";
+    } else if (e.target.id === "wave-table-scale-select") {
+      waveTablePrefs = { ...waveTablePrefs, heightScale: e.target.value };
+    } else if (e.target.type === "checkbox") {
+      const checked = new Set(
+        Array.from(container.querySelectorAll(".wave-table-column-option input:checked")).map(input => input.value)
+      );
+      waveTablePrefs = { ...waveTablePrefs, stations: getWaveTableStationOrder().filter(id => checked.has(id)) };
+    } else {
+      return;
+    }
+
+    // Sorting by a column that was just removed falls back to time
+    if (waveTableSort.column !== "time" && !waveTablePrefs.stations.includes(waveTableSort.column)) {
+      waveTableSort = { column: "time", ascending: false };
+    }
+
+    saveWaveTablePrefs();
+    generateWaveHeightTable(waveTableData);
+    if (typeof updateTimeRangeLabels === "function") updateTimeRangeLabels();
+  });
+}
+
+/**
+ * Render the heatmap legend for the current metric and scale
+ */
+function renderWaveTableLegend() {
+  const legend = document.getElementById("wave-table-legend");
+  if (!legend) return;
+
+  const thresholds = getWaveTableThresholds();
+  const labels = [
+    `&lt; ${formatWaveTableThreshold(thresholds[0])}`,
+    ...thresholds.slice(0, -1).map((t, i) => `${formatWaveTableThreshold(t)}–${formatWaveTableThreshold(thresholds[i + 1])}`),
+    `≥ ${formatWaveTableThreshold(thresholds[thresholds.length - 1])}`
+  ];
+
+  legend.innerHTML = labels.map((label, i) =>
+    `<span class="wave-table-legend-item" style="background: ${WAVE_TABLE_COLORS[i]};">${label}</span>`
+  ).join("");
+}
+
+/**
+ * Sort the table by a column (click on a header)
+ * @param {string} column - 'time' or a station ID
+ */
+function sortWaveTable(column) {
+  if (waveTableSort.column === column) {
+    waveTableSort = { column, ascending: !waveTableSort.ascending };
+  } else {
+    // Time starts newest-first, values start largest-first
+    waveTableSort = { column, ascending: false };
+  }
+  generateWaveHeightTable(waveTableData);
+}
+
+/**
+ * Generate the hourly buoy summary table
+ * @param {Object} chartData - Chart data object with all buoys (already limited to the visible range)
  */
 function generateWaveHeightTable(chartData) {
   try {
     if (!chartData) return;
+    waveTableData = chartData;
 
     const table = document.getElementById("wave-height-table");
     if (!table) return;
 
-    const buoyOrder = ["4600146", "4600304", "CRPILE", "4600303", "4600131", "4600206", "46087", "46088", "46267"];
-  const hourMap = new Map();
+    const metric = WAVE_TABLE_METRICS[waveTablePrefs.metric];
+    const hourMap = new Map();
 
-  buoyOrder.forEach((buoyId) => {
-    const buoy = chartData[buoyId];
-    if (!buoy || !buoy.timeseries) return;
+    // Selected columns in column order, skipping stations with no data for this metric
+    const columns = [];
+    waveTablePrefs.stations.forEach(buoyId => {
+      const station = BuoyRegistry.getStation(buoyId);
+      const buoy = chartData[buoyId];
+      const key = metric.getKeys(buoyId).find(k => buoy?.timeseries?.[k]?.data?.length);
+      if (!station || !key) return;
 
-    // Use swell_height ONLY for Neah Bay (46087), sig wave height for all others
-    const waveData = (buoyId === "46087")
-      ? buoy.timeseries.swell_height?.data
-      : buoy.timeseries.wave_height_sig?.data;
+      columns.push({ ...station, key });
 
-    if (!waveData) return;
-
-    waveData.forEach((point) => {
-      const date = new Date(point.time);
-      const hourKey = new Date(date);
-      hourKey.setMinutes(0, 0, 0);
-      const hourStr = hourKey.toISOString();
-
-      if (!hourMap.has(hourStr)) {
-        hourMap.set(hourStr, {});
-      }
-      hourMap.get(hourStr)[buoyId] = point.value;
+      // Hourly Pacific-time buckets, keeping the reading nearest the top of the hour
+      // (same resampling as the comparison chart)
+      Resampler.resample(buoy.timeseries[key].data, { interval: "hourly", aggregate: "nearest" }).forEach((point) => {
+        if (!hourMap.has(point.time)) {
+          hourMap.set(point.time, {});
+        }
+        hourMap.get(point.time)[buoyId] = point.value;
+      });
     });
-  });
 
-  const sortedHours = Array.from(hourMap.keys()).sort().reverse();
-  const totalRows = sortedHours.length;
+    const sortedHours = Array.from(hourMap.keys()).sort();
+    if (waveTableSort.column === "time") {
+      if (!waveTableSort.ascending) sortedHours.reverse();
+    } else {
+      const col = waveTableSort.column;
+      const direction = waveTableSort.ascending ? 1 : -1;
+      sortedHours.sort((a, b) => {
+        const va = hourMap.get(a)[col];
+        const vb = hourMap.get(b)[col];
+        if (va == null && vb == null) return 0;
+        if (va == null) return 1; // Missing values always last
+        if (vb == null) return -1;
+        return (va - vb) * direction;
+      });
+    }
+    const totalRows = sortedHours.length;
 
   // Show first half of data by default:
   // - 24hr mode: ~24 rows total → show 12, hide 12
   // - 48hr mode: ~48 rows total → show 24, hide 24
   const halfwayPoint = Math.ceil(totalRows / 2);
 
+  const sortIndicator = (column) => waveTableSort.column === column
+    ? `<span class="sort-indicator">${waveTableSort.ascending ? "▲" : "▼"}</span>`
+    : "";
+
   let tableHTML = `
     <thead>
       <tr>
-        <th>Time</th>
-        <th>Halibut Bank</th>
-        <th>English Bay</th>
-        <th>Crescent Beach Ocean</th>
-        <th>Southern Georgia Strait</th>
-        <th>Sentry Shoal</th>
-        <th>La Perouse Bank</th>
-        <th>Neah Bay<br><span style="font-size: 0.8em; font-weight: normal; color: #666;">(Swell)</span></th>
-        <th>New Dungeness</th>
-        <th>Angeles Point</th>
+        <th class="sortable" onclick="sortWaveTable('time')">Time${sortIndicator("time")}</th>
+        ${columns.map(station => {
+          const waveMetric = BuoyRegistry.getWaveMetric(station.id);
+          const note = metric.kind !== "speed" && waveMetric.heightKey === "swell_height"
+            ? `<br><span style="font-size: 0.8em; font-weight: normal; color: #666;">(${waveMetric.label})</span>`
+            : "";
+          return `<th class="sortable" onclick="sortWaveTable('${station.id}')">${station.name}${sortIndicator(station.id)}${note}</th>`;
+        }).join("")}
       </tr>
     </thead>
     <tbody>
   `;
 
+  if (columns.length === 0) {
+    tableHTML += `<tr><td style="text-align: center; color: #999; padding: 2rem;">No stations selected with ${metric.label.toLowerCase()} data</td></tr>`;
+  }
+
+  // Date prefix only repeats when rows are in time order
+  const timeOrdered = waveTableSort.column === "time";
   let previousDate = null;
 
   sortedHours.forEach((hourStr, index) => {
     const date = new Date(hourStr);
 
-    // Format: "Sa-22 05h" (2-letter weekday, day, hour)
-    const dayOfWeek = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'][date.getDay()];
+    // Format: "Sa-22 05h" (2-letter weekday, day, hour) - all in Pacific time
+    const dayOfWeek = date.toLocaleString('en-US', { weekday: 'short', timeZone: 'America/Vancouver' }).slice(0, 2);
     const dayOfMonth = date.toLocaleString('en-US', { day: 'numeric', timeZone: 'America/Vancouver' });
     const hour = date.toLocaleString('en-US', { hour: '2-digit', hour12: false, timeZone: 'America/Vancouver' });
 
     // Only show date prefix if it changed from previous row
     const currentDate = `${dayOfWeek}-${dayOfMonth}`;
     let timeLabel;
-    if (currentDate !== previousDate) {
+    if (!timeOrdered || currentDate !== previousDate) {
       timeLabel = `${currentDate} ${hour}h`;
       previousDate = currentDate;
     } else {
@@ -95,21 +342,18 @@ function generateWaveHeightTable(chartData) {
     tableHTML += `
       <tr${rowClass}>
         <td><strong>${timeLabel}</strong></td>
-        <td>${values["4600146"] != null ? values["4600146"] + " m" : "—"}</td>
-        <td>${values["4600304"] != null ? values["4600304"] + " m" : "—"}</td>
-        <td>${values["CRPILE"] != null ? values["CRPILE"].toFixed(2) + " m" : "—"}</td>
-        <td>${values["4600303"] != null ? values["4600303"] + " m" : "—"}</td>
-        <td>${values["4600131"] != null ? values["4600131"] + " m" : "—"}</td>
-        <td>${values["4600206"] != null ? values["4600206"] + " m" : "—"}</td>
-        <td>${values["46087"] != null ? values["46087"] + " m" : "—"}</td>
-        <td>${values["46088"] != null ? values["46088"] + " m" : "—"}</td>
-        <td>${values["46267"] != null ? values["46267"] + " m" : "—"}</td>
+        ${columns.map(station => {
+          const value = values[station.id];
+          const color = getWaveTableCellColor(value);
+          return `<td${color ? ` style="background: ${color};"` : ""}>${formatWaveTableValue(value, station.id)}</td>`;
+        }).join("")}
       </tr>
     `;
   });
 
   tableHTML += "</tbody>";
   table.innerHTML = tableHTML;
+  renderWaveTableLegend();
 
   // Reset any inline styles from previous toggle (ensure rows start hidden)
   setTimeout(() => {
@@ -125,11 +369,13 @@ function generateWaveHeightTable(chartData) {
     logger.error('WaveTable', 'Error generating wave height table', error);
     const table = document.getElementById("wave-height-table");
     if (table) {
-      table.innerHTML = '<tbody><tr><td colspan="10" style="text-align: center; color: #e53935; padding: 2rem;">Error generating table</td></tr></tbody>';
+      table.innerHTML = `<tbody><tr><td colspan="${waveTablePrefs.stations.length + 1}" style="text-align: center; color: #e53935; padding: 2rem;">Error generating table</td></tr></tbody>`;
     }
   }
 }
 
+initWaveTableControls();
+
 /**
  * Update or create the table toggle button
  */
@@ -369,9 +369,9 @@ function createWindDisplay(data, showLabel = false) {
   details.innerHTML = `
     <span class="wind-cardinal">${data.wind_direction_cardinal || ''}</span>
     <span class="wind-degrees">(${Math.round(data.wind_direction)}°)</span>
-    <span class="wind-speed">${windSpeed.toFixed(0)}</span>
-    ${windGust ? `<span class="wind-gust">G ${windGust.toFixed(0)}</span>` : ''}
-    <span class="wind-gust">kt</span>
+    <span class="wind-speed">${Units.formatValue('speed', windSpeed)}</span>
+    ${windGust ? `<span class="wind-gust">G ${Units.formatValue('speed', windGust)}</span>` : ''}
+    <span class="wind-gust">${Units.getLabel('speed')}</span>
   `;
   windDiv.appendChild(details);
 
@@ -389,7 +389,7 @@ function createSimpleWaveDisplay(data) {
   waveDiv.innerHTML = `
     <span class="wave-icon">🌊</span>
     <div class="wave-details">
-      <span class="wave-height">${data.wave_height_sig.toFixed(2)}m</span>
+      <span class="wave-height">${Units.format('height', data.wave_height_sig, 2, { compact: true })}</span>
       ${data.wave_period_avg ? `<span class="wave-period">@ ${data.wave_period_avg.toFixed(1)}s</span>` : ''}
     </div>
   `;
@@ -442,13 +442,13 @@ function createDetailedWaveDisplay(data) {
 
   // Significant height
   const sigMetric = createElement('div', 'wave-metric');
-  sigMetric.innerHTML = `<span class="wave-label">Sig:</span> <span class="wave-value">${data.wave_height_sig.toFixed(1)}m @ ${data.wave_period_sig ? data.wave_period_sig.toFixed(1) + 's' : 'N/A'}</span>`;
+  sigMetric.innerHTML = `<span class="wave-label">Sig:</span> <span class="wave-value">${Units.format('height', data.wave_height_sig, 1, { compact: true })} @ ${data.wave_period_sig ? data.wave_period_sig.toFixed(1) + 's' : 'N/A'}</span>`;
   dataGrid.appendChild(sigMetric);
 
   // Peak height
   if (data.wave_height_max != null) {
     const peakMetric = createElement('div', 'wave-metric');
-    peakMetric.innerHTML = `<span class="wave-label">Peak:</span> <span class="wave-value">${data.wave_height_max.toFixed(1)}m @ ${data.wave_period_peak ? data.wave_period_peak.toFixed(1) + 's' : 'N/A'}</span>`;
+    peakMetric.innerHTML = `<span class="wave-label">Peak:</span> <span class="wave-value">${Units.format('height', data.wave_height_max, 1, { compact: true })} @ ${data.wave_period_peak ? data.wave_period_peak.toFixed(1) + 's' : 'N/A'}</span>`;
     dataGrid.appendChild(peakMetric);
   }
 
@@ -750,6 +750,31 @@ function updateConditionsBanner(marineData) {
   }
 }
 
+/**
+ * Re-render condition panels from cached data (e.g. after a unit change)
+ */
+function rerenderConditionSections() {
+  if (!cachedMarineData) return;
+
+  const grouped = {};
+  webcams.forEach(webcam => {
+    const region = webcam.region || 'other';
+    if (!grouped[region]) grouped[region] = [];
+    grouped[region].push(...(webcam.conditions || []));
+  });
+
+  Object.entries(grouped).forEach(([regionKey, conditions]) => {
+    const id = `conditions-${regionKey}`;
+    const existing = document.getElementById(id);
+    const updated = createConditionsSection(conditions, cachedMarineData, id);
+    if (existing && updated) existing.replaceWith(updated);
+  });
+
+  if (document.getElementById('marine-conditions-banner')) {
+    updateConditionsBanner(cachedMarineData);
+  }
+}
+
 // ==========================================================================
 // Slideshow Management
 // ==========================================================================
@@ -898,7 +923,7 @@ async function loadWebcams() {
 
     // Regional conditions
     const regionConditions = regionWebcams.flatMap(w => w.conditions || []);
-    const conditionsSection = createConditionsSection(regionConditions, marineData);
+    const conditionsSection = createConditionsSection(regionConditions, marineData, `conditions-${regionKey}`);
     if (conditionsSection) content.appendChild(conditionsSection);
 
     // Webcam grid
@@ -1008,6 +1033,7 @@ function showRefreshNotice() {
 function initWebcamsPage() {
   loadWebcams();
   startAutoRefresh();
+  Units.onChange(rerenderConditionSections);
 }
 
 // Start when DOM is ready
@@ -60,12 +60,13 @@ function createWindDirectionArrowData(windDirectionData, windSpeedData, windGust
  * Render wind chart for the selected buoy
  * @param {Object} windChart - ECharts instance for wind chart
  * @param {Object} buoy - Buoy data including name and timeseries
+ * @param {string} buoyId - Selected buoy (for marine warning shading)
  */
-function renderWindChart(windChart, buoy) {
+function renderWindChart(windChart, buoy, buoyId) {
   try {
     const ts = buoy.timeseries;
-  const windSpeedData = ts.wind_speed?.data || [];
-  const windGustData = ts.wind_gust?.data || [];
+  const windSpeedData = Units.convertSeries('speed', ts.wind_speed?.data || [], { decimals: 1 });
+  const windGustData = Units.convertSeries('speed', ts.wind_gust?.data || [], { decimals: 1 });
   const windDirectionData = ts.wind_direction?.data || [];
 
   // Create direction arrow data (returns object with arrowData and maxValue)
@@ -80,6 +81,9 @@ function renderWindChart(windChart, buoy) {
     legendData.push("Wind Direction");
   }
 
+  // Shade gale / strong wind / storm warnings for the station's forecast zone
+  const warningShading = MarineWarnings.buildMarkAreaSeries(buoyId);
+
   windChart.setOption({
     title: {
       text: `${buoy.name} - Wind Conditions`,
@@ -95,7 +99,7 @@ function renderWindChart(windChart, buoy) {
         params.forEach((p) => {
           if (p.seriesName === "Wind Direction") return; // Skip arrow series in tooltip
           if (p.value[1] != null) {
-            res += `${p.marker} ${p.seriesName}: ${p.value[1]} kt<br/>`;
+            res += `${p.marker} ${p.seriesName}: ${p.value[1]} ${Units.getLabel('speed')}<br/>`;
           }
         });
 
@@ -127,7 +131,7 @@ function renderWindChart(windChart, buoy) {
     },
     yAxis: {
       type: "value",
-      name: "Speed (kt)",
+      name: `Speed (${Units.getLabel('speed')})`,
       max: yAxisMax // Set max to accommodate arrows at top
     },
     series: [
@@ -170,14 +174,33 @@ function renderWindChart(windChart, buoy) {
         },
         silent: true, // Don't trigger mouse events
         z: 2 // Render on top of lines
-      }
+      },
+      ...(warningShading ? [warningShading] : [])
     ]
-  });
+  }, { replaceMerge: ["series"] }); // Drop the shading series once warnings end
   } catch (error) {
     showChartError('wind-chart', 'Wind Chart', error);
   }
 }
 
+/**
+ * Render the wind rose beside the buoy wind chart
+ * Uses the full 48h timeseries - the rose has its own 24h/48h window (wind-rose.js).
+ * @param {Object} roseChart - ECharts instance for the wind rose
+ * @param {Object} buoy - Unfiltered buoy data including name and timeseries
+ */
+function renderWindRoseChart(roseChart, buoy) {
+  try {
+    WindRose.render(roseChart, {
+      title: buoy.name,
+      speedData: buoy.timeseries?.wind_speed?.data || [],
+      directionData: buoy.timeseries?.wind_direction?.data || []
+    });
+  } catch (error) {
+    showChartError('wind-rose-chart', 'Wind Rose', error);
+  }
+}
+
 /**
  * Convert degrees to compass direction
  * @param {number} degrees - Wind direction in degrees
@@ -0,0 +1,207 @@
+/* =====================================================
+   Wind Rose
+   Direction × speed distribution chart for a station
+   ===================================================== */
+
+/**
+ * Shared by the buoy page (next to the buoy wind chart) and the winds page
+ * (next to the station chart). Readings from the 48h timeseries are paired
+ * by timestamp, binned into 16 direction sectors and the speed bins below,
+ * and drawn as a stacked polar bar chart of % of readings.
+ *
+ * Directions are where the wind blows FROM (meteorological), so the longest
+ * petal points at the prevailing wind. Readings under CALM_THRESHOLD knots
+ * have no meaningful direction and are reported as "calm" instead.
+ *
+ * The 24h/48h window is shared by both pages and remembered in localStorage.
+ */
+(function() {
+  const HOURS_STORAGE_KEY = 'wind_rose_hours';
+  const HOURS_OPTIONS = [24, 48];
+  const CALM_THRESHOLD = 1; // knots
+
+  const SECTORS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+  // Speed bins in knots (lower bound inclusive) - 20 kt strong wind, 34 kt gale
+  const SPEED_BINS = [
+    { min: CALM_THRESHOLD, max: 5, color: '#b3e5fc' },
+    { min: 5, max: 10, color: '#4fc3f7' },
+    { min: 10, max: 15, color: '#0288d1' },
+    { min: 15, max: 20, color: '#fbc02d' },
+    { min: 20, max: 34, color: '#f57c00' },
+    { min: 34, max: Infinity, color: '#c62828' }
+  ];
+
+  const listeners = [];
+  let hours = loadHours();
+
+  function loadHours() {
+    try {
+      const stored = Number(localStorage.getItem(HOURS_STORAGE_KEY));
+      return HOURS_OPTIONS.includes(stored) ? stored : HOURS_OPTIONS[0];
+    } catch (e) {
+      return HOURS_OPTIONS[0];
+    }
+  }
+
+  /**
+   * Bin paired speed/direction readings into sectors × speed bins
+   * @param {Array} speedData - [{time, value}] wind speed in knots
+   * @param {Array} directionData - [{time, value}] direction in degrees (FROM)
+   * @param {number} windowHours - Only use readings from the last N hours
+   * @returns {Object} { counts: [bin][sector], total, calm }
+   */
+  function compute(speedData, directionData, windowHours) {
+    const cutoff = Date.now() - windowHours * 60 * 60 * 1000;
+    const directions = new Map();
+    (directionData || []).forEach(point => {
+      if (point.value != null) directions.set(new Date(point.time).getTime(), point.value);
+    });
+
+    const counts = SPEED_BINS.map(() => SECTORS.map(() => 0));
+    let total = 0;
+    let calm = 0;
+
+    (speedData || []).forEach(point => {
+      const time = new Date(point.time).getTime();
+      const speed = parseFloat(point.value);
+      if (time < cutoff || point.value == null || isNaN(speed)) return;
+
+      if (speed < CALM_THRESHOLD) {
+        total++;
+        calm++;
+        return;
+      }
+
+      const direction = directions.get(time);
+      if (direction == null) return; // Need both to place the reading
+
+      const sector = Math.round((((direction % 360) + 360) % 360) / 22.5) % SECTORS.length;
+      const bin = SPEED_BINS.findIndex(b => speed >= b.min && speed < b.max);
+      counts[bin][sector]++;
+      total++;
+    });
+
+    return { counts: counts, total: total, calm: calm };
+  }
+
+  function getBinLabel(bin) {
+    if (bin.max === Infinity) return `${Units.format('speed', bin.min, 0, { compact: true })}+`;
+    return `${Units.formatValue('speed', bin.min)}–${Units.format('speed', bin.max, 0, { compact: true })}`;
+  }
+
+  /**
+   * Draw the wind rose for a station
+   * @param {Object} chart - ECharts instance
+   * @param {Object} options
+   * @param {string} options.title - Chart title (station name)
+   * @param {Array} options.speedData - [{time, value}] wind speed in knots (source units)
+   * @param {Array} options.directionData - [{time, value}] wind direction in degrees
+   */
+  function render(chart, { title, speedData, directionData }) {
+    if (!chart) return;
+
+    const result = compute(speedData, directionData, hours);
+    const toPercent = count => (result.total ? Math.round((count / result.total) * 1000) / 10 : 0);
+    const isMobile = window.innerWidth < 600;
+
+    chart.setOption({
+      title: {
+        text: `${title} - Wind Rose (${hours}h)`,
+        subtext: result.total
+          ? `${result.total} readings · ${toPercent(result.calm)}% calm`
+          : 'No wind direction data in this window',
+        left: 'center',
+        textStyle: { fontSize: isMobile ? 12 : 14 },
+        subtextStyle: { fontSize: 11 }
+      },
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        formatter: (p) => `<b>${SECTORS[p.dataIndex]}</b><br/>${p.marker} ${p.seriesName}: ${p.value}%`
+      },
+      legend: {
+        bottom: 0,
+        itemWidth: 12,
+        itemHeight: 10,
+        textStyle: { fontSize: isMobile ? 9 : 11 }
+      },
+      polar: {
+        center: ['50%', '52%'],
+        radius: isMobile ? '58%' : '62%'
+      },
+      angleAxis: {
+        type: 'category',
+        data: SECTORS,
+        startAngle: 90 + 360 / SECTORS.length / 2, // Centre the N sector on top
+        axisLabel: { fontSize: isMobile ? 9 : 11 },
+        splitLine: { show: true, lineStyle: { color: '#eee' } }
+      },
+      radiusAxis: {
+        type: 'value',
+        axisLabel: { formatter: '{value}%', fontSize: 9 },
+        splitLine: { lineStyle: { color: '#eee' } }
+      },
+      series: SPEED_BINS.map((bin, i) => ({
+        name: getBinLabel(bin),
+        type: 'bar',
+        coordinateSystem: 'polar',
+        stack: 'wind-rose',
+        data: result.counts[i].map(toPercent),
+        itemStyle: { color: bin.color },
+        emphasis: { focus: 'series' }
+      }))
+    }, true);
+  }
+
+  /**
+   * Render the 24h/48h toggle buttons into a container
+   * @param {HTMLElement} container - Toggle container
+   */
+  function renderToggle(container) {
+    if (!container) return;
+    container.innerHTML = HOURS_OPTIONS.map(option => `
+      <button type="button" class="wind-rose-btn${option === hours ? ' active' : ''}" onclick="WindRose.setHours(${option})">${option}h</button>
+    `).join('');
+  }
+
+  /**
+   * Switch the wind rose window on every page section
+   * @param {number} nextHours - One of HOURS_OPTIONS
+   */
+  function setHours(nextHours) {
+    if (!HOURS_OPTIONS.includes(nextHours)) return;
+    hours = nextHours;
+    try {
+      localStorage.setItem(HOURS_STORAGE_KEY, String(nextHours));
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+    document.querySelectorAll('.wind-rose-toggle').forEach(renderToggle);
+    listeners.forEach(callback => callback());
+  }
+
+  /**
+   * Register a callback for window changes (page re-renders its rose)
+   * @param {Function} callback - Called after setHours()
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  // Pages include empty `.wind-rose-toggle` containers next to their rose
+  document.querySelectorAll('.wind-rose-toggle').forEach(renderToggle);
+
+  // Public API
+  window.WindRose = {
+    SECTORS: SECTORS,
+    SPEED_BINS: SPEED_BINS,
+
+    compute: compute,
+    render: render,
+    renderToggle: renderToggle,
+    setHours: setHours,
+    getHours: () => hours,
+    onChange: onChange
+  };
+})();
@@ -57,6 +57,7 @@ function formatTimestamp(isoString) {
 
 // Global chart instance
 let windChart = null;
+let windRoseChart = null;
 let windTimeseriesData = null;
 let allStationsList = []; // Store all stations
 let currentSort = { column: null, ascending: true };
@@ -64,48 +65,10 @@ let currentWindTimeRange = 24; // Default to 24 hours
 
 /**
  * Filter wind timeseries data to specified time range (hours)
+ * Handles both buoy format (with .data) and wind station format (direct arrays)
  */
 function filterWindTimeseriesData(data, hours) {
-  if (!data) return data;
-
-  const now = new Date();
-  const cutoff = new Date(now - hours * 60 * 60 * 1000);
-
-  // Deep copy and filter each station's timeseries
-  const filtered = {};
-
-  Object.keys(data).forEach(stationId => {
-    if (stationId === '_meta') {
-      filtered[stationId] = data[stationId];
-      return;
-    }
-
-    const station = data[stationId];
-    filtered[stationId] = {
-      name: station.name,
-      isBuoy: station.isBuoy,
-      timeseries: {}
-    };
-
-    // Handle both buoy format (with .data) and wind station format (direct arrays)
-    Object.keys(station.timeseries || {}).forEach(metricKey => {
-      const metric = station.timeseries[metricKey];
-
-      if (Array.isArray(metric)) {
-        // Wind station format: direct array
-        filtered[stationId].timeseries[metricKey] = metric.filter(point => new Date(point.time) >= cutoff);
-      } else if (metric.data && Array.isArray(metric.data)) {
-        // Buoy format: {data: [...], name, unit}
-        filtered[stationId].timeseries[metricKey] = {
-          name: metric.name,
-          unit: metric.unit,
-          data: metric.data.filter(point => new Date(point.time) >= cutoff)
-        };
-      }
-    });
-  });
-
-  return filtered;
+  return Resampler.filterDataset(data, Date.now() - hours * 60 * 60 * 1000);
 }
 
 /**
@@ -331,9 +294,12 @@ async function loadWindTable() {
         <tr>
           <th class="sortable" data-column="name" data-type="string">Station <span class="sort-indicator"></span></th>
           <th class="sortable" data-column="wind_direction" data-type="number">Direction <span class="sort-indicator"></span></th>
-          <th class="sortable" data-column="wind_speed_kt" data-type="number">Speed (kt) <span class="sort-indicator"></span></th>
-          <th class="sortable" data-column="wind_gust_kt" data-type="number">Gust (kt) <span class="sort-indicator"></span></th>
-          <th class="sortable" data-column="air_temp_c" data-type="number">Temp (°C) <span class="sort-indicator"></span></th>
+          <th class="sortable" data-column="wind_speed_kt" data-type="number">Speed (${Units.getLabel('speed')}) <span class="sort-indicator"></span></th>
+          <th class="sortable" data-column="wind_gust_kt" data-type="number">Gust (${Units.getLabel('speed')}) <span class="sort-indicator"></span></th>
+          <th class="sortable hide-mobile" data-column="gust_factor" data-type="number" title="Mean gust ÷ mean speed over the last ${WindSteadiness.WINDOW_HOURS}h">Gust Factor <span class="sort-indicator"></span></th>
+          <th class="sortable hide-mobile" data-column="direction_sd" data-type="number" title="Circular standard deviation of direction over the last ${WindSteadiness.WINDOW_HOURS}h">Dir Var (°) <span class="sort-indicator"></span></th>
+          <th class="sortable" data-column="steadiness" data-type="number" title="0-100: low gust factor and steady direction score high">Steadiness <span class="sort-indicator"></span></th>
+          <th class="sortable" data-column="air_temp_c" data-type="number">Temp (${Units.getLabel('temperature')}) <span class="sort-indicator"></span></th>
           <th class="sortable" data-column="pressure_hpa" data-type="number">Pressure (hPa) <span class="sort-indicator"></span></th>
           <th class="sortable" data-column="observation_time" data-type="date">Updated <span class="sort-indicator"></span></th>
           <th>View:</th>
@@ -344,14 +310,14 @@ async function loadWindTable() {
 
     stations.forEach(([id, station]) => {
       const rowClass = station.stale ? 'class="stale"' : '';
-      // Round wind speeds to integers
-      const windSpeed = station.wind_speed_kt != null ? Math.round(station.wind_speed_kt) : '—';
-      const windGust = station.wind_gust_kt != null ? Math.round(station.wind_gust_kt) : '—';
+      // Round wind speeds to integers (sorting still uses the raw knots in data-* attributes)
+      const windSpeed = Units.formatValue('speed', station.wind_speed_kt);
+      const windGust = Units.formatValue('speed', station.wind_gust_kt);
       // Show arrow, cardinal direction, and degrees
       const direction = station.wind_direction != null
         ? `${station.wind_direction_cardinal || degreesToCardinal(station.wind_direction)} (${station.wind_direction}°) ${getDirectionalArrow(station.wind_direction)}`
         : '—';
-      const temp = station.air_temp_c != null ? station.air_temp_c.toFixed(1) : '—';
+      const temp = Units.formatValue('temperature', station.air_temp_c, 1);
       const pressure = station.pressure_hpa != null ? station.pressure_hpa.toFixed(1) : '—';
       const updated = formatTimestamp(station.observation_time);
 
@@ -384,6 +350,7 @@ async function loadWindTable() {
 
       tableHTML += `
         <tr ${rowClass}
+            data-station-id="${id}"
             data-name="${station.name}"
             data-wind_speed_kt="${station.wind_speed_kt || ''}"
             data-wind_gust_kt="${station.wind_gust_kt || ''}"
@@ -395,6 +362,9 @@ async function loadWindTable() {
           <td>${direction}</td>
           <td>${windSpeed}</td>
           <td>${windGust}</td>
+          <td class="hide-mobile" data-steadiness-field="gust_factor">…</td>
+          <td class="hide-mobile" data-steadiness-field="direction_sd">…</td>
+          <td data-steadiness-field="steadiness">…</td>
           <td>${temp}</td>
           <td>${pressure}</td>
           <td>${updated}</td>
@@ -413,6 +383,9 @@ async function loadWindTable() {
     // Add sort functionality
     initializeSortableTable();
 
+    // Steadiness columns need the timeseries - filled now if it's already loaded
+    fillWindTableSteadiness();
+
     // Default sort by wind speed (descending) to show strongest winds first
     const speedHeader = document.querySelector('#wind-conditions-table th[data-column="wind_speed_kt"]');
     if (speedHeader) {
@@ -473,11 +446,67 @@ async function loadWindTable() {
     console.error('Error loading wind table:', error);
     const table = document.getElementById("wind-conditions-table");
     if (table) {
-      table.innerHTML = '<tbody><tr><td colspan="7" style="text-align: center; color: #e53935; padding: 2rem;">Error loading wind data</td></tr></tbody>';
+      table.innerHTML = '<tbody><tr><td colspan="11" style="text-align: center; color: #e53935; padding: 2rem;">Error loading wind data</td></tr></tbody>';
     }
   }
 }
 
+/**
+ * Wind speed, gust and direction series for a timeseries station
+ * Buoys have {data: [...]} structure, wind stations have simple arrays
+ * @param {Object} station - windTimeseriesData entry
+ * @returns {Object} { speed, gust, direction } - [{time, value}] in source units
+ */
+function getStationWindSeries(station) {
+  const getSeries = (metric) => (Array.isArray(metric) ? metric : metric?.data) || [];
+  return {
+    speed: getSeries(station?.timeseries?.wind_speed),
+    gust: getSeries(station?.timeseries?.wind_gust),
+    direction: getSeries(station?.timeseries?.wind_direction)
+  };
+}
+
+/**
+ * Fill the gust factor / direction variability / steadiness columns
+ * The table and the timeseries load separately, so this runs after whichever
+ * finishes last. Values also go into the row's data-* attributes for sorting.
+ */
+function fillWindTableSteadiness() {
+  const table = document.getElementById('wind-conditions-table');
+  if (!table || !windTimeseriesData) return;
+
+  table.querySelectorAll('tbody tr[data-station-id]').forEach(row => {
+    const series = getStationWindSeries(windTimeseriesData[row.dataset.stationId]);
+    const stats = WindSteadiness.compute(series.speed, series.gust, series.direction);
+
+    const values = {
+      gust_factor: stats?.gustFactor != null ? stats.gustFactor.toFixed(2) : '',
+      direction_sd: stats?.directionSd != null ? String(Math.round(stats.directionSd)) : '',
+      steadiness: stats ? String(stats.steadiness) : ''
+    };
+
+    Object.entries(values).forEach(([field, value]) => {
+      row.dataset[field] = value;
+      const cell = row.querySelector(`td[data-steadiness-field="${field}"]`);
+      if (!cell) return;
+
+      if (!value) {
+        cell.innerHTML = '<span style="color: #999;" title="Too light or too few readings">—</span>';
+      } else if (field === 'steadiness') {
+        const rating = WindSteadiness.getRating(stats.steadiness);
+        cell.innerHTML = `<span style="color: ${rating.color}; font-weight: 600;" title="${rating.label}">${value}</span>`;
+      } else {
+        cell.textContent = field === 'direction_sd' ? `±${value}` : value;
+      }
+    });
+  });
+
+  // Keep the user's sort if it's on one of the columns just filled
+  if (['gust_factor', 'direction_sd', 'steadiness'].includes(currentSort.column)) {
+    sortTable(currentSort.column, 'number', currentSort.ascending);
+  }
+}
+
 /**
  * Populate station dropdown (always shows all stations)
  */
@@ -525,6 +554,9 @@ async function loadWindTimeseries() {
         }
       });
 
+    // Fill the table's steadiness columns if the table loaded first
+    fillWindTableSteadiness();
+
     const select = document.getElementById("wind-station-select");
     const searchInput = document.getElementById("wind-station-search");
     if (!select) return;
@@ -703,57 +735,30 @@ function renderWind24HourTable(stationId) {
   const airTempArray = isBuoy && timeseries.air_temp?.data ? timeseries.air_temp.data : (timeseries.air_temp || []);
   const pressureArray = isBuoy && timeseries.pressure?.data ? timeseries.pressure.data : (timeseries.pressure || []);
 
-  // Create a merged dataset by time
-  const dataByTime = new Map();
-
-  // Add wind speeds
-  windSpeedArray.forEach(point => {
-    if (!dataByTime.has(point.time)) {
-      dataByTime.set(point.time, {});
-    }
-    dataByTime.get(point.time).speed = point.value;
-  });
-
-  // Add wind gusts
-  windGustArray.forEach(point => {
-    if (!dataByTime.has(point.time)) {
-      dataByTime.set(point.time, {});
-    }
-    dataByTime.get(point.time).gust = point.value;
-  });
-
-  // Add wind directions
-  windDirArray.forEach(point => {
-    if (!dataByTime.has(point.time)) {
-      dataByTime.set(point.time, {});
-    }
-    dataByTime.get(point.time).direction = point.value;
-  });
-
-  // Add air temperature
-  airTempArray.forEach(point => {
-    if (!dataByTime.has(point.time)) {
-      dataByTime.set(point.time, {});
-    }
-    dataByTime.get(point.time).temp = point.value;
-  });
+  // Hourly Pacific-time rows (timeseries-resampler.js): mean wind, peak gust,
+  // and the reading nearest the top of the hour for everything else
+  const hourly = (data, aggregate) => Resampler.resample(data, { interval: 'hourly', aggregate: aggregate });
+  const columns = {
+    speed: hourly(windSpeedArray, 'mean'),
+    gust: hourly(windGustArray, 'max'),
+    direction: hourly(windDirArray, 'nearest'),
+    temp: hourly(airTempArray, 'nearest'),
+    pressure: hourly(pressureArray, 'nearest')
+  };
 
-  // Add pressure
-  pressureArray.forEach(point => {
-    if (!dataByTime.has(point.time)) {
-      dataByTime.set(point.time, {});
-    }
-    dataByTime.get(point.time).pressure = point.value;
+  // Merge columns by bucket time
+  const dataByTime = new Map();
+  Object.entries(columns).forEach(([field, series]) => {
+    series.forEach(point => {
+      if (!dataByTime.has(point.time)) {
+        dataByTime.set(point.time, {});
+      }
+      dataByTime.get(point.time)[field] = point.value;
+    });
   });
 
   // Sort by time (newest first)
-  const sortedTimes = Array.from(dataByTime.keys()).sort((a, b) => new Date(b) - new Date(a));
-
-  // Downsample to hourly data (only show :00 minutes to keep table manageable)
-  const hourlyTimes = sortedTimes.filter(time => {
-    const date = new Date(time);
-    return date.getMinutes() === 0;
-  });
+  const hourlyTimes = Array.from(dataByTime.keys()).sort((a, b) => new Date(b) - new Date(a));
 
   // Build table HTML
   let tableHTML = `
@@ -761,9 +766,9 @@ function renderWind24HourTable(stationId) {
       <tr>
         <th>Time</th>
         <th>Direction</th>
-        <th>Wind Speed (kt)</th>
-        <th>Gust (kt)</th>
-        <th class="hide-mobile">Temp (°C)</th>
+        <th>Wind Speed (${Units.getLabel('speed')})</th>
+        <th>Gust (${Units.getLabel('speed')})</th>
+        <th class="hide-mobile">Temp (${Units.getLabel('temperature')})</th>
         <th class="hide-mobile">Pressure (hPa)</th>
       </tr>
     </thead>
@@ -778,9 +783,9 @@ function renderWind24HourTable(stationId) {
     hourlyTimes.forEach((time, index) => {
       const data = dataByTime.get(time);
       const formattedTime = formatTimestamp(time);
-      const speed = data.speed != null ? Math.round(data.speed) : '—';
-      const gust = data.gust != null ? Math.round(data.gust) : '—';
-      const temp = data.temp != null ? data.temp.toFixed(1) : '—';
+      const speed = Units.formatValue('speed', data.speed);
+      const gust = Units.formatValue('speed', data.gust);
+      const temp = Units.formatValue('temperature', data.temp, 1);
       const pressure = data.pressure != null ? data.pressure.toFixed(1) : '—';
 
       let direction = '—';
@@ -893,8 +898,8 @@ function renderWindChart(stationId) {
   const windGustArray = isBuoy && timeseries.wind_gust?.data ? timeseries.wind_gust.data : (timeseries.wind_gust || []);
   const windDirArray = isBuoy && timeseries.wind_direction?.data ? timeseries.wind_direction.data : (timeseries.wind_direction || []);
 
-  const windSpeedData = windSpeedArray.map(p => ({ time: p.time, value: p.value }));
-  const windGustData = windGustArray.map(p => ({ time: p.time, value: p.value }));
+  const windSpeedData = windSpeedArray.map(p => ({ time: p.time, value: Units.convert('speed', p.value) }));
+  const windGustData = windGustArray.map(p => ({ time: p.time, value: Units.convert('speed', p.value) }));
   const windDirTimes = windDirArray;
 
   // Create direction arrow data
@@ -907,11 +912,26 @@ function renderWindChart(stationId) {
   // Calculate y-axis max to ensure arrows are visible at top
   const yAxisMax = maxValue ? Math.ceil(maxValue * 1.1) : null;
 
+  // Rolling steadiness from the full 48h series, so the trailing window at
+  // the left edge of the chart still has its earlier readings
+  const rangeStart = Date.now() - currentWindTimeRange * 60 * 60 * 1000;
+  const fullSeries = getStationWindSeries(windTimeseriesData[stationId]);
+  const steadinessPoints = WindSteadiness.computeSeries(fullSeries.speed, fullSeries.gust, fullSeries.direction)
+    .filter(point => point.time >= rangeStart);
+  const steadinessByTime = new Map(steadinessPoints.map(point => [point.time, point]));
+  const hasSteadiness = steadinessPoints.some(point => point.steadiness != null);
+
   // Build legend data
   const legendData = ["Wind Speed", "Wind Gust"];
   if (arrowData.length > 0) {
     legendData.push("Wind Direction");
   }
+  if (hasSteadiness) {
+    legendData.push("Steadiness");
+  }
+
+  // Shade gale / strong wind / storm warnings for the station's forecast zone
+  const warningShading = MarineWarnings.buildMarkAreaSeries(stationId);
 
   // Chart configuration
   const option = {
@@ -941,8 +961,18 @@ function renderWindChart(stationId) {
 
         params.forEach((p) => {
           if (p.seriesName === "Wind Direction") return; // Skip arrow series
+          if (p.seriesName === "Steadiness") {
+            const point = steadinessByTime.get(p.value[0]);
+            if (!point || point.steadiness == null) return;
+            const details = [
+              point.gustFactor != null ? `GF ${point.gustFactor.toFixed(2)}` : null,
+              point.directionSd != null ? `±${Math.round(point.directionSd)}°` : null
+            ].filter(Boolean).join(', ');
+            res += `${p.marker} Steadiness: ${point.steadiness} (${WindSteadiness.getRating(point.steadiness).label})${details ? ` · ${details}` : ''}<br/>`;
+            return;
+          }
           if (p.value && p.value[1] != null) {
-            res += `${p.marker} ${p.seriesName}: ${Math.round(p.value[1])} kt<br/>`;
+            res += `${p.marker} ${p.seriesName}: ${Math.round(p.value[1])} ${Units.getLabel('speed')}<br/>`;
           }
         });
 
@@ -986,11 +1016,22 @@ function renderWindChart(stationId) {
         }
       }
     },
-    yAxis: {
-      type: 'value',
-      name: 'Speed (kt)',
-      max: yAxisMax
-    },
+    yAxis: [
+      {
+        type: 'value',
+        name: `Speed (${Units.getLabel('speed')})`,
+        max: yAxisMax
+      },
+      {
+        type: 'value',
+        name: 'Steadiness',
+        min: 0,
+        max: 100,
+        position: 'right',
+        show: hasSteadiness,
+        splitLine: { show: false }
+      }
+    ],
     series: [
       {
         name: 'Wind Speed',
@@ -1037,11 +1078,52 @@ function renderWindChart(stationId) {
         },
         silent: true,
         z: 2
-      }
+      },
+      ...(hasSteadiness ? [{
+        name: 'Steadiness',
+        type: 'line',
+        yAxisIndex: 1,
+        data: steadinessPoints.map(point => [point.time, point.steadiness]),
+        smooth: true,
+        showSymbol: false,
+        lineStyle: {
+          width: 1.5,
+          type: 'dashed',
+          color: '#7b1fa2'
+        },
+        itemStyle: {
+          color: '#7b1fa2'
+        }
+      }] : []),
+      ...(warningShading ? [warningShading] : [])
     ]
   };
 
-  windChart.setOption(option);
+  windChart.setOption(option, { replaceMerge: ['series'] }); // Drop the shading series once warnings end
+
+  renderStationWindRose(stationId);
+}
+
+/**
+ * Render the wind rose beside the station chart
+ * Uses the full 48h timeseries - the rose has its own 24h/48h window (wind-rose.js).
+ */
+function renderStationWindRose(stationId) {
+  const station = windTimeseriesData?.[stationId];
+  const container = document.getElementById('wind-rose-chart');
+  if (!station || !container) return;
+
+  if (!windRoseChart) {
+    windRoseChart = echarts.init(container);
+  }
+
+  const series = getStationWindSeries(station);
+
+  WindRose.render(windRoseChart, {
+    title: station.name.replace(' 💨', '').replace(' 🌊', ''),
+    speedData: series.speed,
+    directionData: series.direction
+  });
 }
 
 /**
@@ -1152,5 +1234,26 @@ document.addEventListener('DOMContentLoaded', () => {
     if (windChart) {
       windChart.resize();
     }
+    if (windRoseChart) {
+      windRoseChart.resize();
+    }
   });
 });
+
+// New marine warnings - refresh the warning shading on the station chart
+MarineWarnings.onChange(() => {
+  const selectedStation = document.getElementById('wind-station-select')?.value;
+  if (selectedStation) renderWindChart(selectedStation);
+});
+
+// Wind rose window changed - only the rose needs redrawing
+WindRose.onChange(() => {
+  const selectedStation = document.getElementById('wind-station-select')?.value;
+  if (selectedStation) renderStationWindRose(selectedStation);
+});
+
+// Re-render table, chart and 24h table in the new units
+Units.onChange(() => {
+  loadWindTable();
+  setWindTimeRange(currentWindTimeRange);
+});
@@ -0,0 +1,226 @@
+/* =====================================================
+   Wind Steadiness
+   Gust factor, direction variability and a steadiness score
+   ===================================================== */
+
+/**
+ * Kiters care less about the mean wind than about how much it pulses and
+ * swings. Over a trailing window of readings (WINDOW_HOURS) this computes:
+ *
+ * - Gust factor: mean gust / mean speed. 1.0 is perfectly smooth; above
+ *   ~1.5 the wind is noticeably puffy.
+ * - Direction variability: circular standard deviation of the direction,
+ *   sqrt(-2 ln R) where R is the mean resultant length. Plain standard
+ *   deviation breaks across north (350° and 10° are 20° apart, not 340°).
+ * - Steadiness: 0-100, the product of a gust penalty (GUST_FACTOR_RANGE)
+ *   and a direction penalty (DIRECTION_SD_RANGE). Either one alone can
+ *   pull the score to zero.
+ *
+ * Readings under MIN_SPEED knots are left out - in light air both numbers
+ * are dominated by noise. Environment Canada stations only report a gust
+ * when it is well above the mean, so a missing gust counts as gust = speed
+ * for any station that reports gusts somewhere in its series.
+ *
+ * Used by the winds page (table columns and the station chart). Series are
+ * {time, value} arrays in source units (knots, degrees FROM).
+ */
+(function() {
+  const WINDOW_HOURS = 3;
+  const MIN_SPEED = 5; // knots
+  const MIN_READINGS = 3;
+
+  const GUST_FACTOR_RANGE = [1.0, 1.8]; // Score 100 → 0 across this range
+  const DIRECTION_SD_RANGE = [0, 60]; // degrees
+
+  const RATINGS = [
+    { min: 70, label: 'Steady', color: '#2e7d32' },
+    { min: 40, label: 'Variable', color: '#f9a825' },
+    { min: 0, label: 'Gusty', color: '#c62828' }
+  ];
+
+  function toValueMap(data) {
+    const values = new Map();
+    (data || []).forEach(point => {
+      const value = parseFloat(point.value);
+      if (point.value != null && !isNaN(value)) {
+        values.set(new Date(point.time).getTime(), value);
+      }
+    });
+    return values;
+  }
+
+  function penalty(value, [low, high]) {
+    return Math.min(Math.max((value - low) / (high - low), 0), 1);
+  }
+
+  /**
+   * Circular standard deviation of directions
+   * @param {Array<number>} directions - Degrees
+   * @returns {number|null} Degrees (capped at 180), or null without readings
+   */
+  function circularStdDev(directions) {
+    if (directions.length === 0) return null;
+
+    const toRad = deg => deg * Math.PI / 180;
+    const sin = directions.reduce((sum, d) => sum + Math.sin(toRad(d)), 0);
+    const cos = directions.reduce((sum, d) => sum + Math.cos(toRad(d)), 0);
+    return resultantStdDev(sin, cos, directions.length);
+  }
+
+  /**
+   * Circular standard deviation from summed sines and cosines
+   * @returns {number} Degrees (capped at 180)
+   */
+  function resultantStdDev(sinSum, cosSum, count) {
+    const resultant = Math.min(Math.sqrt(sinSum * sinSum + cosSum * cosSum) / count, 1); // Rounding can push it past 1
+
+    if (resultant <= 0) return 180;
+    return Math.min(Math.sqrt(-2 * Math.log(resultant)) * 180 / Math.PI, 180);
+  }
+
+  function emptyTotals() {
+    return { readings: 0, speedSum: 0, gustSum: 0, gustCount: 0, sinSum: 0, cosSum: 0, directionCount: 0 };
+  }
+
+  /**
+   * Add (sign 1) or remove (sign -1) one speed reading from window totals
+   * @param {Object} totals - Running sums from emptyTotals()
+   * @param {Object} series - { speeds, gusts, directions } value maps
+   * @param {number} time - Reading time in ms
+   * @param {number} sign - 1 or -1
+   */
+  function accumulate(totals, { speeds, gusts, directions }, time, sign) {
+    const speed = speeds.get(time);
+    if (speed < MIN_SPEED) return;
+    totals.readings += sign;
+
+    const gust = gusts.has(time) ? Math.max(gusts.get(time), speed) : (gusts.size > 0 ? speed : null);
+    if (gust != null) {
+      totals.speedSum += sign * speed;
+      totals.gustSum += sign * gust;
+      totals.gustCount += sign;
+    }
+    if (directions.has(time)) {
+      const rad = directions.get(time) * Math.PI / 180;
+      totals.sinSum += sign * Math.sin(rad);
+      totals.cosSum += sign * Math.cos(rad);
+      totals.directionCount += sign;
+    }
+  }
+
+  /**
+   * Steadiness stats for readings in one window
+   * @param {Object} series - { speeds, gusts, directions } value maps
+   * @param {number} start - Window start in ms
+   * @param {number} end - Window end in ms
+   * @returns {Object|null} { gustFactor, directionSd, steadiness, readings }
+   */
+  function computeWindow(series, start, end) {
+    const totals = emptyTotals();
+    series.speeds.forEach((speed, time) => {
+      if (time >= start && time <= end) accumulate(totals, series, time, 1);
+    });
+    return summarize(totals);
+  }
+
+  /**
+   * Steadiness stats from window totals
+   * @param {Object} totals - Running sums from accumulate()
+   * @returns {Object|null} { gustFactor, directionSd, steadiness, readings }
+   */
+  function summarize({ readings, speedSum, gustSum, gustCount, sinSum, cosSum, directionCount }) {
+    if (readings < MIN_READINGS) return null;
+
+    const gustFactor = gustCount >= MIN_READINGS ? gustSum / speedSum : null;
+    const directionSd = directionCount >= MIN_READINGS ? resultantStdDev(sinSum, cosSum, directionCount) : null;
+    if (gustFactor == null && directionSd == null) return null;
+
+    // A missing component doesn't penalise the score
+    const gustScore = gustFactor != null ? 1 - penalty(gustFactor, GUST_FACTOR_RANGE) : 1;
+    const directionScore = directionSd != null ? 1 - penalty(directionSd, DIRECTION_SD_RANGE) : 1;
+
+    return {
+      gustFactor: gustFactor,
+      directionSd: directionSd,
+      steadiness: Math.round(gustScore * directionScore * 100),
+      readings: readings
+    };
+  }
+
+  function toValueMaps(speedData, gustData, directionData) {
+    return {
+      speeds: toValueMap(speedData),
+      gusts: toValueMap(gustData),
+      directions: toValueMap(directionData)
+    };
+  }
+
+  /**
+   * Stats for the WINDOW_HOURS before a station's latest reading
+   * @param {Array} speedData - [{time, value}] wind speed in knots
+   * @param {Array} gustData - [{time, value}] wind gust in knots
+   * @param {Array} directionData - [{time, value}] direction in degrees
+   * @returns {Object|null} { gustFactor, directionSd, steadiness, readings },
+   *   null when the wind is too light or there are too few readings
+   */
+  function compute(speedData, gustData, directionData) {
+    const series = toValueMaps(speedData, gustData, directionData);
+    if (series.speeds.size === 0) return null;
+
+    const end = Math.max(...series.speeds.keys());
+    return computeWindow(series, end - WINDOW_HOURS * 60 * 60 * 1000, end);
+  }
+
+  /**
+   * Rolling stats at every speed reading (trailing WINDOW_HOURS window)
+   * @param {Array} speedData - [{time, value}] wind speed in knots
+   * @param {Array} gustData - [{time, value}] wind gust in knots
+   * @param {Array} directionData - [{time, value}] direction in degrees
+   * @returns {Array} [{ time, gustFactor, directionSd, steadiness }] ascending by time,
+   *   steadiness is null where the window has no score
+   */
+  function computeSeries(speedData, gustData, directionData) {
+    const series = toValueMaps(speedData, gustData, directionData);
+    const windowMs = WINDOW_HOURS * 60 * 60 * 1000;
+    const times = Array.from(series.speeds.keys()).sort((a, b) => a - b);
+
+    // Sliding window: each reading is added once and removed once
+    const totals = emptyTotals();
+    let first = 0;
+    return times.map(time => {
+      accumulate(totals, series, time, 1);
+      while (times[first] < time - windowMs) {
+        accumulate(totals, series, times[first], -1);
+        first++;
+      }
+
+      const stats = summarize(totals);
+      return {
+        time: time,
+        gustFactor: stats?.gustFactor ?? null,
+        directionSd: stats?.directionSd ?? null,
+        steadiness: stats?.steadiness ?? null
+      };
+    });
+  }
+
+  /**
+   * Rating for a steadiness score
+   * @param {number} score - 0-100
+   * @returns {Object} { label, color }
+   */
+  function getRating(score) {
+    return RATINGS.find(rating => score >= rating.min) || RATINGS[RATINGS.length - 1];
+  }
+
+  // Public API
+  window.WindSteadiness = {
+    WINDOW_HOURS: WINDOW_HOURS,
+    MIN_SPEED: MIN_SPEED,
+
+    compute: compute,
+    computeSeries: computeSeries,
+    circularStdDev: circularStdDev,
+    getRating: getRating
+  };
+})();
@@ -72,7 +72,7 @@ function createDirectionalMarker(direction, speed, stale = false) {
         white-space: nowrap;
         text-shadow: 1px 1px 2px rgba(255,255,255,0.9), -1px -1px 2px rgba(255,255,255,0.9), 1px -1px 2px rgba(255,255,255,0.9), -1px 1px 2px rgba(255,255,255,0.9);
         margin-bottom: -3px;
-      ">${Math.round(speed)}kt</div>`
+      ">${Units.format('speed', speed, 0, { compact: true })}</div>`
     : '';
 
   return `
@@ -194,11 +194,11 @@ function addWindStationMarker(station, currentData) {
 
     // Wind speed and gust
     if (currentData.wind_speed_kt != null) {
-      const windSpeed = Math.round(currentData.wind_speed_kt);
-      const windGust = currentData.wind_gust_kt != null ? Math.round(currentData.wind_gust_kt) : null;
-      popupContent += `<div><strong>Speed:</strong> ${windSpeed} kt`;
+      const windSpeed = Units.format('speed', currentData.wind_speed_kt);
+      const windGust = currentData.wind_gust_kt != null ? Units.format('speed', currentData.wind_gust_kt) : null;
+      popupContent += `<div><strong>Speed:</strong> ${windSpeed}`;
       if (windGust != null) {
-        popupContent += ` (gust ${windGust} kt)`;
+        popupContent += ` (gust ${windGust})`;
       }
       popupContent += `</div>`;
     }
@@ -213,7 +213,7 @@ function addWindStationMarker(station, currentData) {
 
     // Temperature
     if (currentData.air_temp_c != null) {
-      popupContent += `<div><strong>Temp:</strong> ${currentData.air_temp_c.toFixed(1)}°C</div>`;
+      popupContent += `<div><strong>Temp:</strong> ${Units.format('temperature', currentData.air_temp_c, 1, { compact: true })}</div>`;
     }
 
     // Timestamp
@@ -289,11 +289,11 @@ function addBuoyWindMarker(buoy, currentData) {
 
     // Wind speed and gust
     if (currentData.wind_speed_kt != null) {
-      const windSpeed = Math.round(currentData.wind_speed_kt);
-      const windGust = currentData.wind_gust_kt != null ? Math.round(currentData.wind_gust_kt) : null;
-      popupContent += `<div><strong>Speed:</strong> ${windSpeed} kt`;
+      const windSpeed = Units.format('speed', currentData.wind_speed_kt);
+      const windGust = currentData.wind_gust_kt != null ? Units.format('speed', currentData.wind_gust_kt) : null;
+      popupContent += `<div><strong>Speed:</strong> ${windSpeed}`;
       if (windGust != null) {
-        popupContent += ` (gust ${windGust} kt)`;
+        popupContent += ` (gust ${windGust})`;
       }
       popupContent += `</div>`;
     }
@@ -308,7 +308,7 @@ function addBuoyWindMarker(buoy, currentData) {
 
     // Temperature
     if (currentData.air_temp_c != null) {
-      popupContent += `<div><strong>Air Temp:</strong> ${currentData.air_temp_c.toFixed(1)}°C</div>`;
+      popupContent += `<div><strong>Air Temp:</strong> ${Units.format('temperature', currentData.air_temp_c, 1, { compact: true })}</div>`;
     }
 
     // Timestamp
@@ -377,6 +377,13 @@ window.windsMap = {
   focusStation: focusStation
 };
 
+// Rebuild markers and popups in the new units
+Units.onChange(() => {
+  if (!windMarkersLayer) return;
+  windMarkersLayer.clearLayers();
+  loadWindStationsAndMarkers();
+});
+
 // Initialize map when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {